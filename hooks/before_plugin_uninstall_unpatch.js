@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Before Plugin Uninstall Hook - Remove OutSystems script patches
+ *
+ * Removes the code added by after_prepare_patch_ota.js and after_prepare_patch_splash.js
+ * from every platform, so no OSManualOTA code is left behind in
+ * platforms/<platform>/www/scripts once the plugin is gone. Patches applied before the
+ * begin/end sentinels existed are removed too.
+ */
+
+const { runUnpatchHook } = require('./lib/patch_engine');
+const patches = require('./patches');
+
+module.exports = function(context) {
+    console.log('🧹 [OSManualOTA] Removing OutSystems script patches...');
+
+    try {
+        runUnpatchHook(context, patches);
+    } catch (error) {
+        // Never block the uninstall; the next cordova prepare regenerates the scripts anyway
+        console.log(`⚠️  Could not remove patches: ${error.message}`);
+    }
+};
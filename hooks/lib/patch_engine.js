@@ -0,0 +1,566 @@
+/**
+ * Patch engine shared by the hooks that patch OutSystems scripts
+ *
+ * A patch is a plain object:
+ *   {
+ *     id: 'manifest-loader',                       // used in reports and sentinels
+ *     description: 'Automatic OTA blocking hook',
+ *     file: 'scripts/OutSystemsManifestLoader.js',  // relative to the platform www folder
+ *     platforms: ['ios', 'android'],
+ *     anchor: /var OSManifestLoader\s*=/,          // must match, also for append/prepend
+ *     mode: 'append',                              // append | prepend | before | after | replace
+ *     content: '...' or function(match) { return '...'; },
+ *     marker: 'OSManualOTA_BlockingHook',          // present in the patch code
+ *     version: 2,                                  // bump whenever content changes
+ *     legacy: /.../,                               // matches copies applied before sentinels existed
+ *     required: true                               // strict mode fails the build when not applied
+ *   }
+ *
+ * Applied code is wrapped in "OSManualOTA:begin <id> v<version>" and "OSManualOTA:end <id>"
+ * block comments, so an older version is replaced on the next prepare and the patch can be
+ * removed on uninstall. Replace mode keeps the replaced text (base64) in the begin comment.
+ *
+ * Options can be passed on the command line or through the environment:
+ *   cordova prepare ios -- --ota-patch-dry-run     (OS_MANUAL_OTA_PATCH_DRY_RUN=1)
+ *   cordova prepare ios -- --ota-patch-strict      (OS_MANUAL_OTA_PATCH_STRICT=1)
+ *   cordova prepare ios -- --ota-patch-status      (OS_MANUAL_OTA_PATCH_STATUS=1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Modes = {
+    APPEND: 'append',
+    PREPEND: 'prepend',
+    BEFORE: 'before',
+    AFTER: 'after',
+    REPLACE: 'replace'
+};
+
+// Results of applying or removing patches
+const Status = {
+    APPLIED: 'applied',
+    UPGRADED: 'upgraded',
+    REMOVED: 'removed',
+    WOULD_APPLY: 'would-apply',
+    WOULD_UPGRADE: 'would-upgrade',
+    WOULD_REMOVE: 'would-remove',
+    ALREADY_APPLIED: 'already-applied',
+    NOT_APPLIED: 'not-applied',
+    FILE_NOT_FOUND: 'file-not-found',
+    ANCHOR_NOT_FOUND: 'anchor-not-found',
+    FAILED: 'failed'
+};
+
+// What is installed in a file, as reported by --ota-patch-status
+const States = {
+    UP_TO_DATE: 'up-to-date',
+    OUTDATED: 'outdated',
+    UNVERSIONED: 'unversioned',
+    NOT_APPLIED: 'not-applied',
+    FILE_NOT_FOUND: 'file-not-found'
+};
+
+// Statuses that leave the target without the patch
+const FAILURE_STATUSES = [Status.FILE_NOT_FOUND, Status.ANCHOR_NOT_FOUND, Status.FAILED];
+
+// Statuses that change the file, and how they are reported in a dry run
+const DRY_RUN_STATUSES = {
+    [Status.APPLIED]: Status.WOULD_APPLY,
+    [Status.UPGRADED]: Status.WOULD_UPGRADE,
+    [Status.REMOVED]: Status.WOULD_REMOVE
+};
+
+const ICONS = {
+    [Status.APPLIED]: '✅',
+    [Status.UPGRADED]: '⬆️ ',
+    [Status.REMOVED]: '🧹',
+    [Status.WOULD_APPLY]: '📝',
+    [Status.WOULD_UPGRADE]: '📝',
+    [Status.WOULD_REMOVE]: '📝',
+    [Status.ALREADY_APPLIED]: '✅',
+    [Status.NOT_APPLIED]: '➖',
+    [Status.FILE_NOT_FOUND]: '⚠️ ',
+    [Status.ANCHOR_NOT_FOUND]: '⚠️ ',
+    [Status.FAILED]: '❌',
+    [States.UP_TO_DATE]: '✅',
+    [States.OUTDATED]: '⬆️ ',
+    [States.UNVERSIONED]: '⚠️ '
+};
+
+/**
+ * Thrown in strict mode when a required patch could not be applied
+ */
+class PatchError extends Error {
+    constructor(message, results) {
+        super(message);
+        this.name = 'PatchError';
+        this.results = results;
+    }
+}
+
+/**
+ * Throws a TypeError describing the first problem of a patch definition
+ */
+function validatePatch(patch) {
+    const name = patch && patch.id ? `Patch "${patch.id}"` : 'Patch';
+
+    if (!patch || typeof patch.id !== 'string' || !/^[\w-]+$/.test(patch.id)) {
+        throw new TypeError('Patch definitions need an id (letters, digits, "_" and "-")');
+    }
+    if (typeof patch.file !== 'string' || !patch.file) {
+        throw new TypeError(`${name} needs a target file`);
+    }
+    if (!(patch.anchor instanceof RegExp)) {
+        throw new TypeError(`${name} needs an anchor RegExp`);
+    }
+    if (Object.values(Modes).indexOf(patch.mode) === -1) {
+        throw new TypeError(`${name} has an unknown mode "${patch.mode}"`);
+    }
+    if (typeof patch.content !== 'string' && typeof patch.content !== 'function') {
+        throw new TypeError(`${name} needs content (string or function)`);
+    }
+    if (typeof patch.marker !== 'string' || !patch.marker) {
+        throw new TypeError(`${name} needs a marker`);
+    }
+    if (!Number.isInteger(patch.version) || patch.version < 1) {
+        throw new TypeError(`${name} needs a positive integer version`);
+    }
+    if (patch.legacy !== undefined && !(patch.legacy instanceof RegExp)) {
+        throw new TypeError(`${name} legacy must be a RegExp`);
+    }
+}
+
+function beginSentinel(patch, original) {
+    const replaced = original === undefined ? '' : ` original=${Buffer.from(original, 'utf8').toString('base64')}`;
+    return `/* OSManualOTA:begin ${patch.id} v${patch.version}${replaced} */`;
+}
+
+function endSentinel(patch) {
+    return `/* OSManualOTA:end ${patch.id} */`;
+}
+
+/**
+ * Locates the sentinel-wrapped block of a patch
+ * @returns {{start: number, end: number, version: number, original: string|undefined}|null}
+ */
+function findBlock(patch, content) {
+    const begin = new RegExp(`/\\* OSManualOTA:begin ${patch.id} v(\\d+)(?: original=([A-Za-z0-9+/=]*))? \\*/`);
+    const match = begin.exec(content);
+    if (!match) {
+        return null;
+    }
+
+    const end = content.indexOf(endSentinel(patch), match.index);
+    if (end === -1) {
+        return null;
+    }
+
+    return {
+        start: match.index,
+        end: end + endSentinel(patch).length,
+        version: parseInt(match[1], 10),
+        original: match[2] !== undefined ? Buffer.from(match[2], 'base64').toString('utf8') : undefined
+    };
+}
+
+/**
+ * Removes the patch (sentinel block or legacy copy) from content
+ * @returns {{content: string, removed: string|null}} removed is "v<N>" or "unversioned" when something was removed
+ */
+function stripPatch(patch, content) {
+    const block = findBlock(patch, content);
+    if (block) {
+        const restored = block.original !== undefined ? block.original : '';
+        return {
+            content: content.slice(0, block.start) + restored + content.slice(block.end),
+            removed: `v${block.version}`
+        };
+    }
+
+    if (content.indexOf(patch.marker) !== -1 && patch.legacy) {
+        patch.legacy.lastIndex = 0;
+        const stripped = content.replace(patch.legacy, '');
+        if (stripped !== content && stripped.indexOf(patch.marker) === -1) {
+            return { content: stripped, removed: 'unversioned' };
+        }
+    }
+
+    return { content: content, removed: null };
+}
+
+/**
+ * What is installed in a file's content
+ * @returns {{state: string, installedVersion: number|null}}
+ */
+function inspectContent(patch, content) {
+    const block = findBlock(patch, content);
+    if (block) {
+        return {
+            state: block.version === patch.version ? States.UP_TO_DATE : States.OUTDATED,
+            installedVersion: block.version
+        };
+    }
+    if (content.indexOf(patch.marker) !== -1) {
+        return { state: States.UNVERSIONED, installedVersion: null };
+    }
+    return { state: States.NOT_APPLIED, installedVersion: null };
+}
+
+/**
+ * Applies one patch to a file's content, replacing an older version, without touching the file system
+ * @returns {{status: string, content: string, message: string}} content is unchanged unless status is applied/upgraded
+ */
+function applyToContent(patch, content) {
+    const installed = inspectContent(patch, content);
+    if (installed.state === States.UP_TO_DATE) {
+        return { status: Status.ALREADY_APPLIED, content: content, message: `v${patch.version} installed` };
+    }
+
+    let base = content;
+    let replaced = null;
+    if (installed.state !== States.NOT_APPLIED) {
+        const stripped = stripPatch(patch, content);
+        if (!stripped.removed) {
+            return { status: Status.FAILED, content: content, message: 'found an unversioned copy that cannot be removed' };
+        }
+        base = stripped.content;
+        replaced = stripped.removed;
+    }
+
+    patch.anchor.lastIndex = 0;
+    const match = patch.anchor.exec(base);
+    if (!match) {
+        return { status: Status.ANCHOR_NOT_FOUND, content: content, message: `anchor ${patch.anchor} not found` };
+    }
+
+    const snippet = typeof patch.content === 'function' ? patch.content(match) : patch.content;
+    const start = match.index;
+    const end = match.index + match[0].length;
+    const wrap = function(original) {
+        return beginSentinel(patch, original) + snippet + endSentinel(patch);
+    };
+    let patched;
+
+    switch (patch.mode) {
+        case Modes.APPEND:
+            patched = base + wrap();
+            break;
+        case Modes.PREPEND:
+            patched = wrap() + base;
+            break;
+        case Modes.BEFORE:
+            patched = base.slice(0, start) + wrap() + base.slice(start);
+            break;
+        case Modes.AFTER:
+            patched = base.slice(0, end) + wrap() + base.slice(end);
+            break;
+        case Modes.REPLACE:
+            patched = base.slice(0, start) + wrap(match[0]) + base.slice(end);
+            break;
+    }
+
+    // Older copies are recognised by the marker, so the code itself has to carry it
+    if (snippet.indexOf(patch.marker) === -1) {
+        return { status: Status.FAILED, content: content, message: `patch content does not contain marker ${patch.marker}` };
+    }
+
+    if (replaced) {
+        return { status: Status.UPGRADED, content: patched, message: `${replaced} replaced by v${patch.version}` };
+    }
+    return { status: Status.APPLIED, content: patched, message: `v${patch.version}, ${patch.mode} at offset ${patch.mode === Modes.APPEND ? base.length : start}` };
+}
+
+/**
+ * Removes one patch from a file's content, without touching the file system
+ * @returns {{status: string, content: string, message: string}}
+ */
+function removeFromContent(patch, content) {
+    const installed = inspectContent(patch, content);
+    if (installed.state === States.NOT_APPLIED) {
+        return { status: Status.NOT_APPLIED, content: content, message: 'nothing to remove' };
+    }
+
+    const stripped = stripPatch(patch, content);
+    if (!stripped.removed) {
+        return { status: Status.FAILED, content: content, message: 'found an unversioned copy that cannot be removed' };
+    }
+    return { status: Status.REMOVED, content: stripped.content, message: `${stripped.removed} removed` };
+}
+
+/**
+ * Runs a content operation for patches below a www folder
+ * Patches targeting the same file are processed in order and the file is written once.
+ */
+function processPatches(patches, options, operation) {
+    patches.forEach(validatePatch);
+
+    const contents = {};
+    const results = patches.map(function(patch) {
+        const file = path.join(options.root, patch.file);
+        const result = {
+            id: patch.id,
+            file: file,
+            version: patch.version,
+            required: patch.required !== false
+        };
+
+        if (!(file in contents)) {
+            contents[file] = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        }
+        if (contents[file] === null) {
+            return Object.assign(result, { status: Status.FILE_NOT_FOUND, message: 'file not found' });
+        }
+
+        let outcome;
+        try {
+            outcome = operation(patch, contents[file]);
+        } catch (error) {
+            outcome = { status: Status.FAILED, content: contents[file], message: error.message };
+        }
+
+        contents[file] = outcome.content;
+        return Object.assign(result, { status: outcome.status, message: outcome.message });
+    });
+
+    Object.keys(contents).forEach(function(file) {
+        const changed = results.some(function(result) {
+            return result.file === file && DRY_RUN_STATUSES[result.status];
+        });
+        if (changed && !options.dryRun) {
+            fs.writeFileSync(file, contents[file], 'utf8');
+        }
+    });
+
+    if (options.dryRun) {
+        results.forEach(function(result) {
+            result.status = DRY_RUN_STATUSES[result.status] || result.status;
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Applies (or upgrades) patches to the files below a www folder
+ * @param {Object[]} patches - Patch definitions
+ * @param {Object} options
+ * @param {string} options.root - www folder the patch files are relative to
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Object[]} One result per patch: {id, file, version, required, status, message}
+ */
+function applyPatches(patches, options) {
+    return processPatches(patches, options, applyToContent);
+}
+
+/**
+ * Removes patches from the files below a www folder (same options and results as applyPatches)
+ */
+function removePatches(patches, options) {
+    return processPatches(patches, options, removeFromContent);
+}
+
+/**
+ * What is installed for each patch below a www folder
+ * @returns {Object[]} One entry per patch: {id, file, version, installedVersion, state}
+ */
+function inspectPatches(patches, options) {
+    patches.forEach(validatePatch);
+
+    return patches.map(function(patch) {
+        const file = path.join(options.root, patch.file);
+        const entry = { id: patch.id, file: file, version: patch.version, required: patch.required !== false };
+
+        if (!fs.existsSync(file)) {
+            return Object.assign(entry, { state: States.FILE_NOT_FOUND, installedVersion: null });
+        }
+        return Object.assign(entry, inspectContent(patch, fs.readFileSync(file, 'utf8')));
+    });
+}
+
+/**
+ * Results of required patches that left their target unpatched
+ */
+function failedRequired(results) {
+    return results.filter(function(result) {
+        return result.required && FAILURE_STATUSES.indexOf(result.status) !== -1;
+    });
+}
+
+/**
+ * One line per result, for the hook output
+ */
+function formatResults(results) {
+    return results.map(function(result) {
+        return `${ICONS[result.status]} ${result.id} v${result.version}: ${result.status} - ${result.file} (${result.message})`;
+    }).join('\n');
+}
+
+/**
+ * One line per inspected patch, for --ota-patch-status
+ */
+function formatStatus(entries) {
+    return entries.map(function(entry) {
+        const installed = entry.installedVersion ? `v${entry.installedVersion} installed, ` : '';
+        return `${ICONS[entry.state]} ${entry.id} (${entry.platform}): ${entry.state} - ${installed}v${entry.version} current - ${entry.file}`;
+    }).join('\n');
+}
+
+/**
+ * Reads --ota-patch-dry-run / --ota-patch-strict / --ota-patch-status and their environment variables
+ */
+function optionsFromContext(context) {
+    const cliOptions = (context.opts && context.opts.options) || {};
+    const argv = [].concat(cliOptions.argv || [], process.argv);
+    const flag = function(name, envName) {
+        return argv.indexOf(`--${name}`) !== -1 || cliOptions[name] === true ||
+            /^(1|true|yes)$/i.test(process.env[envName] || '');
+    };
+
+    return {
+        dryRun: flag('ota-patch-dry-run', 'OS_MANUAL_OTA_PATCH_DRY_RUN'),
+        strict: flag('ota-patch-strict', 'OS_MANUAL_OTA_PATCH_STRICT'),
+        status: flag('ota-patch-status', 'OS_MANUAL_OTA_PATCH_STATUS')
+    };
+}
+
+/**
+ * www folder of a Cordova platform (Android keeps it under assets/)
+ */
+function platformWwwPath(projectRoot, platform) {
+    const platformPath = path.join(projectRoot, 'platforms', platform);
+    return platform === 'android' ? path.join(platformPath, 'assets', 'www') : path.join(platformPath, 'www');
+}
+
+/**
+ * Platforms of the hook context, or every platform folder of the project
+ * (plugin uninstall hooks are not given a platform list)
+ */
+function contextPlatforms(context) {
+    const platforms = context.opts.platforms || (context.opts.cordova && context.opts.cordova.platforms) || [];
+    if (platforms.length > 0) {
+        return platforms;
+    }
+
+    const platformsPath = path.join(context.opts.projectRoot, 'platforms');
+    if (!fs.existsSync(platformsPath)) {
+        return [];
+    }
+    return fs.readdirSync(platformsPath).filter(function(name) {
+        return fs.statSync(path.join(platformsPath, name)).isDirectory();
+    });
+}
+
+/**
+ * Runs an operation for the patches of every platform, tagging results with the platform
+ */
+function forEachPlatform(context, patches, operation) {
+    let results = [];
+
+    contextPlatforms(context).forEach(function(platform) {
+        const platformPatches = patches.filter(function(patch) {
+            return !patch.platforms || patch.platforms.indexOf(platform) !== -1;
+        });
+        if (platformPatches.length === 0) {
+            return;
+        }
+
+        const root = platformWwwPath(context.opts.projectRoot, platform);
+        results = results.concat(operation(platformPatches, root, platform).map(function(result) {
+            return Object.assign({ platform: platform }, result);
+        }));
+    });
+
+    return results;
+}
+
+/**
+ * Prints what is installed where; used by --ota-patch-status and hooks/patch_status.js
+ * @returns {Object[]} {id, platform, file, version, installedVersion, state}
+ */
+function reportPatchStatus(context, patches) {
+    const entries = forEachPlatform(context, patches, function(platformPatches, root) {
+        return inspectPatches(platformPatches, { root: root });
+    });
+
+    console.log('📋 [OSManualOTA] Patch status:');
+    console.log(entries.length > 0 ? formatStatus(entries).replace(/^/gm, '   ') : '   No platforms found');
+    return entries;
+}
+
+/**
+ * Entry point for after_prepare hooks: applies or upgrades the patches for every prepared platform,
+ * logs one line per patch and, in strict mode, fails the build when a required patch was not applied
+ * @param {Object} context - Cordova hook context
+ * @param {Object[]} patches - Patch definitions
+ * @param {Object} [overrides] - dryRun/strict/status, taking precedence over CLI flags and environment
+ * @returns {Object[]} Results for all platforms
+ * @throws {PatchError} In strict mode, when a required patch was not applied
+ */
+function runPatchHook(context, patches, overrides) {
+    const options = Object.assign(optionsFromContext(context), overrides);
+
+    const results = forEachPlatform(context, patches, function(platformPatches, root, platform) {
+        const platformResults = applyPatches(platformPatches, { root: root, dryRun: options.dryRun });
+        console.log(`🔧 [OSManualOTA] ${platform} patches${options.dryRun ? ' (dry run)' : ''}:`);
+        console.log(formatResults(platformResults).replace(/^/gm, '   '));
+        return platformResults;
+    });
+
+    if (options.status) {
+        reportPatchStatus(context, patches);
+    }
+
+    const failed = failedRequired(results);
+    if (failed.length > 0 && options.strict) {
+        throw new PatchError(
+            `Required OSManualOTA patches could not be applied: ${failed.map(function(result) {
+                return `${result.id} (${result.platform}: ${result.status})`;
+            }).join(', ')}`,
+            results
+        );
+    }
+
+    return results;
+}
+
+/**
+ * Entry point for the before_plugin_uninstall hook: removes the patches from every platform
+ * Failures are only reported - they must not block the uninstall.
+ * @param {Object} context - Cordova hook context
+ * @param {Object[]} patches - Patch definitions
+ * @param {Object} [overrides] - dryRun, taking precedence over CLI flags and environment
+ * @returns {Object[]} Results for all platforms
+ */
+function runUnpatchHook(context, patches, overrides) {
+    const options = Object.assign(optionsFromContext(context), overrides);
+
+    return forEachPlatform(context, patches, function(platformPatches, root, platform) {
+        const platformResults = removePatches(platformPatches, { root: root, dryRun: options.dryRun });
+        console.log(`🧹 [OSManualOTA] Removing ${platform} patches${options.dryRun ? ' (dry run)' : ''}:`);
+        console.log(formatResults(platformResults).replace(/^/gm, '   '));
+        return platformResults;
+    });
+}
+
+module.exports = {
+    Modes,
+    Status,
+    States,
+    PatchError,
+    validatePatch,
+    inspectContent,
+    applyToContent,
+    removeFromContent,
+    applyPatches,
+    removePatches,
+    inspectPatches,
+    failedRequired,
+    formatResults,
+    formatStatus,
+    optionsFromContext,
+    platformWwwPath,
+    reportPatchStatus,
+    runPatchHook,
+    runUnpatchHook
+};
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Patch status report
+ *
+ * Lists which OSManualOTA patch version is applied to which OutSystems script, per platform:
+ *   node plugins/cordova-plugin-os-manual-ota/hooks/patch_status.js [projectRoot]
+ *
+ * The same report is printed by `cordova prepare -- --ota-patch-status`.
+ * Exits with 1 when a required patch is missing or outdated.
+ */
+
+const path = require('path');
+const { reportPatchStatus, States } = require('./lib/patch_engine');
+const patches = require('./patches');
+
+const projectRoot = path.resolve(process.argv[2] || process.cwd());
+const entries = reportPatchStatus({ opts: { projectRoot: projectRoot } }, patches);
+
+const incomplete = entries.filter(function(entry) {
+    return entry.required && entry.state !== States.UP_TO_DATE;
+});
+process.exitCode = incomplete.length > 0 ? 1 : 0;
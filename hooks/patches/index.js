@@ -0,0 +1,8 @@
+/**
+ * Every patch applied by the after_prepare hooks, for the uninstall hook and the status report
+ */
+
+module.exports = [
+    require('./manifest_loader'),
+    require('./splash_bypass')
+];
@@ -0,0 +1,336 @@
+/**
+ * Patch: automatic OTA blocking hook for OutSystemsManifestLoader.js
+ *
+ * Appended AFTER the original content (so OSManifestLoader exists first). Wraps
+ * getLatestVersion/getLatestManifest to honour the blocking policy (OSManualOTA.setOTABlockingPolicy,
+ * evaluated with the same rules as www/OSManualOTABlocking.js) and the pin/blocklist, reports fatal bootstrap errors to the update health check and exposes the
+ * original methods as window.OSManualOTA_OriginalMethods.
+ */
+
+const TimeWindow = require('../../www/OSManualOTATime');
+
+/**
+ * Source of a www helper indented for the hook's closure; the loader runs before any plugin module loads
+ */
+function embed(fn) {
+    return fn.toString().split('\n').map((line, index) => (index === 0 || !line ? line : `    ${line}`)).join('\n');
+}
+
+module.exports = {
+    id: 'manifest-loader',
+    description: 'Automatic OTA blocking hook',
+    file: 'scripts/OutSystemsManifestLoader.js',
+    platforms: ['ios', 'android', 'browser'],
+    anchor: /var OSManifestLoader\s*=/,
+    mode: 'append',
+    marker: 'OSManualOTA_BlockingHook',
+    version: 3,
+    // Copies appended before the begin/end sentinels existed
+    legacy: /\n\/\/ =+\n\/\/ OSManualOTA Plugin - Automatic OTA Blocking Hook\n[^]*?\/\/ End of OSManualOTA Plugin Hook\n\/\/ =+\n*/,
+    required: true,
+    content: `
+// ============================================================================
+// OSManualOTA Plugin - Automatic OTA Blocking Hook
+// ============================================================================
+// This code intercepts OutSystems automatic OTA updates and evaluates
+// the OSManualOTA blocking policy. While the policy blocks, it prevents
+// the automatic update from running.
+// ============================================================================
+
+(function() {
+    // Mark as patched
+    window.OSManualOTA_BlockingHook = true;
+
+    // Health check: report fatal errors of the app bootstrap (uncaught errors and scripts that fail
+    // to load) until OSManualOTA.markUpdateHealthy() is called. Errors before deviceready are queued
+    // in OSManualOTA_BootErrors and sent by the plugin once it loads.
+    var bootErrors = window.OSManualOTA_BootErrors = [];
+    var deviceReady = false;
+
+    function reportBootError(message) {
+        if (window.OSManualOTA_Healthy) {
+            return;
+        }
+        console.error('[OSManualOTA] 🩺 Fatal bootstrap error: ' + message);
+        bootErrors.push(message);
+        if (deviceReady && window.cordova && window.cordova.exec) {
+            window.cordova.exec(function() {}, function() {}, 'OSManualOTA', 'reportUnhealthy', [message]);
+        }
+    }
+
+    window.addEventListener('error', function(event) {
+        var target = event.target;
+        if (target && target.tagName === 'SCRIPT') {
+            reportBootError('Failed to load script: ' + target.src);
+        } else if (target === window || !target) {
+            reportBootError(event.message || String(event.error));
+        }
+    }, true);
+
+    document.addEventListener('deviceready', function() {
+        deviceReady = true;
+    }, false);
+
+    // Diagnostics: loader decisions are kept in a small localStorage ring buffer that
+    // OSManualOTA.exportDiagnostics() merges with the native log
+    var DIAGNOSTICS_KEY = 'os_manual_ota_diagnostics';
+    var DIAGNOSTICS_CAPACITY = 100;
+
+    function logDecision(category, message) {
+        console.log('[OSManualOTA] ' + message);
+        try {
+            var entries = JSON.parse(localStorage.getItem(DIAGNOSTICS_KEY)) || [];
+            entries.push({
+                timestamp: Date.now() / 1000,
+                source: 'loader',
+                level: 'info',
+                category: category,
+                message: message
+            });
+            localStorage.setItem(DIAGNOSTICS_KEY, JSON.stringify(entries.slice(-DIAGNOSTICS_CAPACITY)));
+        } catch (e) {
+            // Diagnostics must never break the loader
+        }
+    }
+
+    // OSManifestLoader is now defined above, store reference to it
+    var OriginalOSManifestLoader = OSManifestLoader;
+
+    if (!OriginalOSManifestLoader) {
+        console.error('[OSManualOTA] ERROR: OSManifestLoader not found!');
+        return;
+    }
+
+    // Store original functions
+    var originalGetLatestVersion = OriginalOSManifestLoader.getLatestVersion;
+    var originalGetLatestManifest = OriginalOSManifestLoader.getLatestManifest;
+
+    console.log('[OSManualOTA] Blocking hook installed');
+
+    // Store current version in localStorage if available
+    // This allows native code to read the actual running version
+    if (OriginalOSManifestLoader.indexVersionToken) {
+        localStorage.setItem('os_manual_ota_current_version', OriginalOSManifestLoader.indexVersionToken);
+        logDecision('versionSync', 'Stored current version in localStorage: ' + OriginalOSManifestLoader.indexVersionToken);
+
+        // AUTO-SYNC: Notify native plugin of the actual running version
+        // This ensures the plugin always knows the real version, even after OTA updates
+        document.addEventListener('deviceready', function() {
+            if (window.cordova && window.cordova.exec) {
+                console.log('[OSManualOTA] 🔄 Auto-syncing version with native plugin: ' + OriginalOSManifestLoader.indexVersionToken);
+                window.cordova.exec(
+                    function() { console.log('[OSManualOTA] ✅ Version auto-synced successfully'); },
+                    function(err) { logDecision('versionSync', '⚠️ Version auto-sync failed: ' + err); },
+                    'OSManualOTA',
+                    'syncVersionFromJS',
+                    [OriginalOSManifestLoader.indexVersionToken]
+                );
+            }
+        }, false);
+    }
+
+    // Blocking policy set with OSManualOTA.setOTABlockingPolicy: {mode, windows?, until?, launches?}
+    // Same rules as www/OSManualOTABlocking.js and the native OSBlockingPolicy
+    var BLOCKING_POLICY_KEY = 'os_manual_ota_blocking_policy';
+    var BLOCKING_LAUNCHES_KEY = 'os_manual_ota_blocking_launches';
+    var BLOCKING_FLAG_KEY = 'os_manual_ota_blocking_enabled';
+
+    function readBlockingPolicy() {
+        try {
+            var policy = JSON.parse(localStorage.getItem(BLOCKING_POLICY_KEY));
+            if (policy && policy.mode) {
+                return policy;
+            }
+        } catch (e) {
+            // Fall back to the boolean flag
+        }
+        // Set by plugin versions without blocking modes
+        return { mode: localStorage.getItem(BLOCKING_FLAG_KEY) === 'true' ? 'always' : 'never' };
+    }
+
+    // Counts page loads for the afterNLaunches mode; reloads of the same WebView session don't count.
+    // This is the only launch count: the native plugin keeps a copy of it (syncBlockingLaunches)
+    (function countLaunch() {
+        var launches;
+        try {
+            if (readBlockingPolicy().mode !== 'afterNLaunches') {
+                return;
+            }
+            launches = parseInt(localStorage.getItem(BLOCKING_LAUNCHES_KEY), 10) || 0;
+            if (!sessionStorage.getItem(BLOCKING_LAUNCHES_KEY)) {
+                sessionStorage.setItem(BLOCKING_LAUNCHES_KEY, 'counted');
+                launches += 1;
+                localStorage.setItem(BLOCKING_LAUNCHES_KEY, String(launches));
+            }
+        } catch (e) {
+            // Storage unavailable: the launch is not counted
+            return;
+        }
+
+        document.addEventListener('deviceready', function() {
+            if (window.cordova && window.cordova.exec) {
+                window.cordova.exec(function() {}, function() {}, 'OSManualOTA', 'syncBlockingLaunches', [launches]);
+            }
+        }, false);
+    })();
+
+    // Generated from www/OSManualOTATime.js
+    ${embed(TimeWindow.minutesOf)}
+
+    ${embed(TimeWindow.isInWindow)}
+
+    function evaluateBlockingPolicy(policy) {
+        var now = new Date();
+
+        switch (policy.mode) {
+            case 'always':
+                return { enabled: true, reason: 'always' };
+            case 'scheduled':
+                return (policy.windows || []).some(function(window) { return isInWindow(window, now); }) ?
+                    { enabled: false, reason: 'insideWindow' } :
+                    { enabled: true, reason: 'outsideWindow' };
+            case 'untilDate':
+                return now.getTime() < policy.until ?
+                    { enabled: true, reason: 'beforeDate' } :
+                    { enabled: false, reason: 'dateReached' };
+            case 'afterNLaunches':
+                return (parseInt(localStorage.getItem(BLOCKING_LAUNCHES_KEY), 10) || 0) <= policy.launches ?
+                    { enabled: true, reason: 'launchesRemaining' } :
+                    { enabled: false, reason: 'launchesReached' };
+            default:
+                return { enabled: false, reason: 'never' };
+        }
+    }
+
+    // Helper to check if blocking is in effect right now
+    function isBlockingEnabled() {
+        // Check if plugin is loaded
+        if (!window.OSManualOTA) {
+            console.log('[OSManualOTA] Plugin not loaded yet, allowing OTA');
+            return false;
+        }
+
+        // Lifted by OSManualOTA.triggerAutomaticOTA for the current session
+        if (window.sessionStorage && sessionStorage.getItem('os_manual_ota_blocking_suspended') === 'true') {
+            logDecision('blocking', 'Blocking suspended by triggerAutomaticOTA');
+            return false;
+        }
+
+        var policy = readBlockingPolicy();
+        var decision = evaluateBlockingPolicy(policy);
+
+        // Keep the boolean flag current for readers that don't know about modes
+        localStorage.setItem(BLOCKING_FLAG_KEY, decision.enabled ? 'true' : 'false');
+        if (policy.mode !== 'always' && policy.mode !== 'never') {
+            logDecision('blocking', 'Blocking policy ' + policy.mode + ': ' + (decision.enabled ? 'blocked' : 'allowed') + ' (' + decision.reason + ')');
+        }
+        return decision.enabled;
+    }
+
+    // Helper to get current version
+    function getCurrentVersion() {
+        return localStorage.getItem('os_manual_ota_current_version') || 'unknown';
+    }
+
+    // Helper to check a version token against the pin/blocklist set with
+    // OSManualOTA.pinVersion/blockVersion (same rules as the native check)
+    function versionRuleViolation(versionToken) {
+        var rules;
+        try {
+            rules = JSON.parse(localStorage.getItem('os_manual_ota_version_rules')) || {};
+        } catch (e) {
+            return null;
+        }
+
+        if (!versionToken || versionToken === getCurrentVersion()) {
+            return null;
+        }
+        if ((rules.blockedVersions || []).indexOf(versionToken) !== -1) {
+            return 'blocked';
+        }
+        if (rules.pinnedVersion && rules.pinnedVersion !== versionToken) {
+            return 'pinned';
+        }
+        return null;
+    }
+
+    // Override getLatestVersion
+    if (originalGetLatestVersion && typeof originalGetLatestVersion === 'function') {
+        OriginalOSManifestLoader.getLatestVersion = function() {
+            if (isBlockingEnabled()) {
+                logDecision('blocking', '🚫 Blocking automatic version check');
+
+                // Return fake version (current version) to prevent update
+                var currentVersion = getCurrentVersion();
+                return Promise.resolve({
+                    versionToken: currentVersion
+                });
+            }
+
+            logDecision('blocking', '✅ Allowing automatic version check');
+            return Promise.resolve(originalGetLatestVersion.apply(this, arguments)).then(function(result) {
+                var violation = versionRuleViolation(result && result.versionToken);
+                if (violation) {
+                    logDecision('blocking', '📌 Ignoring version ' + result.versionToken + ' (' + violation + ')');
+                    return {
+                        versionToken: getCurrentVersion()
+                    };
+                }
+                return result;
+            });
+        };
+    }
+
+    // Override getLatestManifest
+    if (originalGetLatestManifest && typeof originalGetLatestManifest === 'function') {
+        OriginalOSManifestLoader.getLatestManifest = function() {
+            if (isBlockingEnabled()) {
+                logDecision('blocking', '🚫 Blocking automatic manifest fetch');
+
+                // Return fake manifest to prevent update
+                return Promise.resolve({
+                    manifest: {
+                        versionToken: getCurrentVersion(),
+                        urlVersions: {}
+                    }
+                });
+            }
+
+            logDecision('blocking', '✅ Allowing automatic manifest fetch');
+            return Promise.resolve(originalGetLatestManifest.apply(this, arguments)).then(function(result) {
+                var manifest = result && result.manifest;
+                var violation = versionRuleViolation(manifest && manifest.versionToken);
+                if (violation) {
+                    logDecision('blocking', '📌 Ignoring manifest ' + manifest.versionToken + ' (' + violation + ')');
+                    return {
+                        manifest: {
+                            versionToken: getCurrentVersion(),
+                            urlVersions: {}
+                        }
+                    };
+                }
+                return result;
+            });
+        };
+    }
+
+    // Replace the global OSManifestLoader with our wrapped version
+    OSManifestLoader = OriginalOSManifestLoader;
+
+    // Expose original methods for triggerAutomaticOTA functionality
+    // This allows the plugin to call the original OS OTA process when requested
+    window.OSManualOTA_OriginalMethods = {
+        getLatestVersion: originalGetLatestVersion,
+        getLatestManifest: originalGetLatestManifest
+    };
+
+    console.log('[OSManualOTA] ✅ Blocking hook active');
+    console.log('[OSManualOTA] ✅ Original OS methods exposed for manual triggering');
+})();
+
+// ============================================================================
+// End of OSManualOTA Plugin Hook
+// ============================================================================
+
+`
+};
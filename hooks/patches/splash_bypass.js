@@ -0,0 +1,43 @@
+/**
+ * Patch: splash bypass hook for the OutSystems ApplicationLoadEvents component
+ *
+ * Inserted at the beginning of RegisterListenersJS. When splash bypass is enabled
+ * (os_manual_ota_splash_bypass_enabled in localStorage), onLoadComplete is triggered after
+ * ~50ms instead of waiting for the 1.5 second minimum display time.
+ */
+
+module.exports = {
+    id: 'splash-bypass',
+    description: 'Splash screen bypass hook',
+    file: 'scripts/OutSystemsUI.Private.ApplicationLoadEvents.mvc.js',
+    platforms: ['ios'],
+    anchor: /define\("OutSystemsUI\.Private\.ApplicationLoadEvents\.mvc\$controller\.OnInitialize\.RegisterListenersJS",\s*\[\],\s*function\s*\(\)\s*\{\s*return function\s*\(\$parameters, \$actions, \$roles, \$public\)\s*\{/,
+    mode: 'after',
+    marker: 'OSManualOTA_SplashBypassHook',
+    version: 1,
+    // Copies inserted before the begin/end sentinels existed
+    legacy: /[ \t]*\/\/ OSManualOTA Plugin - Splash Bypass Hook\n[^]*?\/\/ Original code follows below \(when bypass is disabled\)\n/,
+    required: true,
+    content: `
+    // OSManualOTA Plugin - Splash Bypass Hook
+    window.OSManualOTA_SplashBypassHook = true;
+
+    // Check if splash bypass is enabled
+    var splashBypassEnabled = localStorage.getItem('os_manual_ota_splash_bypass_enabled') === 'true';
+
+    if (splashBypassEnabled) {
+        console.log('[OSManualOTA] Splash bypass enabled - triggering immediate load');
+
+        // Trigger onLoadComplete immediately with minimal delay
+        // We use a small timeout to ensure the DOM is ready
+        setTimeout(function() {
+            $actions.TriggerOnLoadComplete(window.location.href);
+        }, 50); // 50ms minimal delay instead of 1500ms
+
+        // Don't set up the normal upgrade listeners
+        return;
+    }
+
+    // Original code follows below (when bypass is disabled)
+`
+};
@@ -0,0 +1,2389 @@
+/**
+ * OSManualOTAProxy.js
+ * Browser platform implementation of the OSManualOTA plugin actions
+ *
+ * Runs the same update flow as the iOS plugin in plain JavaScript: the version check against
+ * moduleservices/moduleversioninfo, the hash diff against moduleservices/moduleinfo and the
+ * download of the changed files into one store per version (Cache Storage, or IndexedDB where
+ * Cache Storage is not available). Versions, flags and history are kept in localStorage.
+ *
+ * Serving the stored files is left to the app (e.g. a service worker reading the
+ * "os-manual-ota-<version>" cache); the OutSystemsManifestLoader hook reads the same
+ * blocking policy and current version as on iOS.
+ */
+
+var cordova = require('cordova');
+var BlockingPolicy = require('./OSManualOTABlocking');
+
+// Shared with the OutSystemsManifestLoader hook and www/OSManualOTA.js (same keys as the native side)
+var CURRENT_VERSION_KEY = 'os_manual_ota_current_version';
+var BLOCKING_KEY = 'os_manual_ota_blocking_enabled';
+var BLOCKING_POLICY_KEY = 'os_manual_ota_blocking_policy';
+// Page loads since the policy was set, counted by the OutSystemsManifestLoader hook
+var BLOCKING_LAUNCHES_KEY = 'os_manual_ota_blocking_launches';
+// sessionStorage: set while triggerAutomaticOTA runs
+var BLOCKING_SUSPENDED_KEY = 'os_manual_ota_blocking_suspended';
+var SPLASH_BYPASS_KEY = 'os_manual_ota_splash_bypass_enabled';
+// What the native side keeps in UserDefaults, as one JSON object
+var STATE_KEY = 'os_manual_ota_browser_state';
+var DIAGNOSTICS_KEY = 'os_manual_ota_diagnostics_log';
+var TELEMETRY_QUEUE_KEY = 'os_manual_ota_telemetry_queue';
+
+var CACHE_PREFIX = 'os-manual-ota-';
+var DB_NAME = 'os-manual-ota';
+var DB_STORE = 'files';
+// Stored with the files of each version so rollbackTo can restore its hashes
+var MANIFEST_PATH = '/__os_manual_ota__/manifest.json';
+
+// Same files the native download skips (patched by the build hooks)
+var PATCHED_FILES = [
+    '/scripts/OutSystemsManifestLoader.js',
+    '/scripts/OutSystemsUI.Private.ApplicationLoadEvents.mvc.js'
+];
+
+var MAX_PARALLEL_DOWNLOADS = 6;
+var REQUEST_TIMEOUT = 60000;
+var MAX_HISTORY_ENTRIES = 50;
+var DEFAULT_VERSION_RETENTION = 3;
+var DIAGNOSTICS_CAPACITY = 500;
+
+var SEVERITY_RANK = { optional: 0, recommended: 1, critical: 2 };
+var DEFAULT_CHANNEL = 'production';
+var REMOTE_COMMAND_ACTIONS = ['check', 'download', 'apply', 'rollback', 'pin', 'setBlocking'];
+// Longest accepted time between now and a remote command's expiresAt (seconds); ids are remembered until then
+var REMOTE_COMMAND_MAX_LIFETIME = 30 * 24 * 60 * 60;
+var REMOTE_COMMAND_LEDGER_CAPACITY = 500;
+
+// Download running in this page: { cancelled, controllers }
+var activeDownload = null;
+// Channel a switch is downloading for; the version history follows it until the switch ends
+var switchingToChannel = null;
+var telemetryTimer = null;
+var telemetryFlushing = false;
+
+// Storage
+
+function loadState() {
+    try {
+        return JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function getValue(key, fallback) {
+    var state = loadState();
+    return state.hasOwnProperty(key) ? state[key] : fallback;
+}
+
+/**
+ * Stores a value; null or undefined removes it
+ */
+function setValue(key, value) {
+    var state = loadState();
+    if (value === null || value === undefined) {
+        delete state[key];
+    } else {
+        state[key] = value;
+    }
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+function readJSON(key, fallback) {
+    try {
+        var value = JSON.parse(localStorage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function getCurrentVersion() {
+    return localStorage.getItem(CURRENT_VERSION_KEY) || 'unknown';
+}
+
+function saveCurrentVersion(version) {
+    localStorage.setItem(CURRENT_VERSION_KEY, version);
+}
+
+function getConfiguration() {
+    return getValue('configuration', null);
+}
+
+function installId() {
+    var id = getValue('installId', null);
+    if (!id) {
+        id = randomId();
+        setValue('installId', id);
+    }
+    return id;
+}
+
+function randomId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID().toUpperCase();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        var r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16).toUpperCase();
+    });
+}
+
+function now() {
+    return Date.now() / 1000;
+}
+
+// File stores
+
+/**
+ * One Cache Storage cache per version ("os-manual-ota-<version>"), keyed by file path
+ */
+function CacheStorageStore() {}
+
+CacheStorageStore.prototype.name = 'cacheStorage';
+
+CacheStorageStore.prototype.open = function(version) {
+    return caches.open(CACHE_PREFIX + version);
+};
+
+CacheStorageStore.prototype.put = function(version, path, blob) {
+    return this.open(version).then(function(cache) {
+        return cache.put(path, new Response(blob, {
+            headers: { 'Content-Type': blob.type || 'application/octet-stream' }
+        }));
+    });
+};
+
+CacheStorageStore.prototype.get = function(version, path) {
+    var self = this;
+    // caches.open() would create an empty cache for versions never stored
+    return caches.has(CACHE_PREFIX + version).then(function(exists) {
+        return exists ? self.open(version).then(function(cache) {
+            return cache.match(path);
+        }) : null;
+    }).then(function(response) {
+        return response ? response.blob() : null;
+    });
+};
+
+CacheStorageStore.prototype.remove = function(version) {
+    return caches.delete(CACHE_PREFIX + version);
+};
+
+CacheStorageStore.prototype.clear = function() {
+    return caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return name.indexOf(CACHE_PREFIX) === 0;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    });
+};
+
+/**
+ * Fallback where Cache Storage is missing (e.g. pages not served over HTTPS):
+ * one IndexedDB object store, keyed "<version>\n<path>"
+ */
+function IndexedDBStore() {
+    this.db = null;
+}
+
+IndexedDBStore.prototype.name = 'indexedDB';
+
+IndexedDBStore.prototype.open = function() {
+    var self = this;
+    if (self.db) {
+        return self.db;
+    }
+    self.db = new Promise(function(resolve, reject) {
+        var request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(DB_STORE);
+        };
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            self.db = null;
+            reject(request.error);
+        };
+    });
+    return self.db;
+};
+
+IndexedDBStore.prototype.transaction = function(mode, work) {
+    return this.open().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var tx = db.transaction(DB_STORE, mode);
+            var result = work(tx.objectStore(DB_STORE));
+            tx.oncomplete = function() {
+                resolve(result ? result.result : undefined);
+            };
+            tx.onerror = function() {
+                reject(tx.error);
+            };
+        });
+    });
+};
+
+IndexedDBStore.prototype.put = function(version, path, blob) {
+    return this.transaction('readwrite', function(store) {
+        store.put(blob, version + '\n' + path);
+    });
+};
+
+IndexedDBStore.prototype.get = function(version, path) {
+    return this.transaction('readonly', function(store) {
+        return store.get(version + '\n' + path);
+    }).then(function(blob) {
+        return blob || null;
+    });
+};
+
+IndexedDBStore.prototype.remove = function(version) {
+    return this.transaction('readwrite', function(store) {
+        store.delete(IDBKeyRange.bound(version + '\n', version + '\n\uffff'));
+    });
+};
+
+IndexedDBStore.prototype.clear = function() {
+    return this.transaction('readwrite', function(store) {
+        store.clear();
+    });
+};
+
+var fileStore = typeof window.caches !== 'undefined' ? new CacheStorageStore() : new IndexedDBStore();
+
+function saveManifest(version, manifest) {
+    return fileStore.put(version, MANIFEST_PATH, new Blob([JSON.stringify(manifest)], { type: 'application/json' }));
+}
+
+function loadManifest(version) {
+    return fileStore.get(version, MANIFEST_PATH).then(function(blob) {
+        return blob ? new Response(blob).json() : null;
+    });
+}
+
+// Events, diagnostics and telemetry
+
+/**
+ * Same document events the iOS plugin fires ('OSManualOTA.<name>')
+ */
+function postEvent(name, payload) {
+    cordova.fireDocumentEvent('OSManualOTA.' + name, payload || {});
+}
+
+function logDiagnostic(category, message, level, details) {
+    var entry = {
+        timestamp: now(),
+        source: 'browser',
+        level: level || 'info',
+        category: category,
+        message: message
+    };
+    if (details) {
+        entry.details = details;
+    }
+
+    try {
+        var entries = readJSON(DIAGNOSTICS_KEY, []);
+        entries.push(entry);
+        localStorage.setItem(DIAGNOSTICS_KEY, JSON.stringify(entries.slice(-DIAGNOSTICS_CAPACITY)));
+    } catch (e) {
+        // Diagnostics must never break an update
+    }
+}
+
+function telemetryOptions() {
+    var options = getValue('telemetry', null) || {};
+    return {
+        endpoint: options.endpoint || null,
+        headers: options.headers || {},
+        batchSize: Math.max(1, options.batchSize || 20),
+        flushInterval: Math.max(5, options.flushInterval || 60),
+        maxQueueSize: Math.max(1, options.maxQueueSize || 500)
+    };
+}
+
+function scheduleTelemetryFlush() {
+    clearInterval(telemetryTimer);
+    telemetryTimer = null;
+
+    var options = telemetryOptions();
+    if (options.endpoint) {
+        telemetryTimer = setInterval(sendTelemetryBatch, options.flushInterval * 1000);
+    }
+}
+
+/**
+ * Funnel event with this install's id and running version, fired as OSManualOTA.telemetry
+ * and queued for the reporter when an endpoint is configured
+ */
+function track(name, properties) {
+    var failed = name === 'downloadFailed' || name === 'crashDetected';
+    logDiagnostic('update', name, failed ? 'error' : 'info', properties);
+
+    var event = {
+        id: randomId(),
+        name: name,
+        timestamp: now(),
+        properties: properties,
+        installId: installId(),
+        version: getCurrentVersion()
+    };
+    postEvent('telemetry', event);
+
+    var options = telemetryOptions();
+    if (!options.endpoint) {
+        return;
+    }
+
+    var queue = readJSON(TELEMETRY_QUEUE_KEY, []);
+    queue.push(event);
+    queue = queue.slice(-options.maxQueueSize);
+    localStorage.setItem(TELEMETRY_QUEUE_KEY, JSON.stringify(queue));
+
+    if (queue.length >= options.batchSize) {
+        sendTelemetryBatch();
+    }
+}
+
+/**
+ * Sends queued events until the queue is empty or a batch fails; retryable failures keep the batch
+ */
+function sendTelemetryBatch() {
+    var options = telemetryOptions();
+    var batch = readJSON(TELEMETRY_QUEUE_KEY, []).slice(0, options.batchSize);
+    if (telemetryFlushing || !options.endpoint || batch.length === 0) {
+        return;
+    }
+
+    var headers = { 'Content-Type': 'application/json' };
+    Object.keys(options.headers).forEach(function(header) {
+        headers[header] = options.headers[header];
+    });
+
+    var removeBatch = function() {
+        var sent = batch.map(function(event) { return event.id; });
+        var queue = readJSON(TELEMETRY_QUEUE_KEY, []).filter(function(event) {
+            return sent.indexOf(event.id) === -1;
+        });
+        localStorage.setItem(TELEMETRY_QUEUE_KEY, JSON.stringify(queue));
+    };
+
+    telemetryFlushing = true;
+    fetch(options.endpoint, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({ events: batch })
+    }).then(function(response) {
+        telemetryFlushing = false;
+        if (response.ok) {
+            removeBatch();
+            console.log('[OSManualOTA] 📊 Sent ' + batch.length + ' telemetry event(s)');
+            sendTelemetryBatch();
+        } else if (isRetryableStatus(response.status)) {
+            console.log('[OSManualOTA] ⚠️ Telemetry not sent (HTTP ' + response.status + ') - kept for later');
+        } else {
+            removeBatch();
+            console.log('[OSManualOTA] ❌ Telemetry batch rejected with HTTP ' + response.status + ' - dropped ' + batch.length + ' event(s)');
+        }
+    }, function(error) {
+        telemetryFlushing = false;
+        console.log('[OSManualOTA] ⚠️ Telemetry not sent (' + error.message + ') - kept for later');
+    });
+}
+
+// Network
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * fetch with the request timeout; network failures are reported with the messages
+ * OSManualOTAError maps to NETWORK_UNAVAILABLE and TIMEOUT. File downloads pass
+ * cancellable so cancelDownload() can abort them.
+ */
+function request(url, init, cancellable) {
+    init = init || {};
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    var timedOut = false;
+    var timer = null;
+
+    if (controller) {
+        init.signal = controller.signal;
+        timer = setTimeout(function() {
+            timedOut = true;
+            controller.abort();
+        }, REQUEST_TIMEOUT);
+        if (activeDownload && cancellable) {
+            activeDownload.controllers.push(controller);
+        }
+    }
+
+    return fetch(url, init).then(function(response) {
+        clearTimeout(timer);
+        return response;
+    }, function(error) {
+        clearTimeout(timer);
+        if (timedOut) {
+            throw new Error('The request timed out');
+        }
+        if (error && error.name === 'AbortError') {
+            throw new Error('Update was cancelled');
+        }
+        if (!navigator.onLine) {
+            throw new Error('Network connection is not available');
+        }
+        throw new Error('Could not connect to the server (' + url + ')');
+    });
+}
+
+function fetchJSON(url, failurePrefix) {
+    return request(url, {
+        headers: { 'Accept': 'application/json' },
+        cache: 'no-store'
+    }).then(function(response) {
+        if (response.status !== 200) {
+            throw new Error(failurePrefix + 'HTTP error');
+        }
+        return response.json().catch(function() {
+            throw new Error(failurePrefix + 'Invalid response format');
+        });
+    });
+}
+
+/**
+ * Absolute URL, or a path relative to baseURL
+ */
+function resolveRemoteURL(urlString) {
+    if (/^https?:\/\//.test(urlString)) {
+        return urlString;
+    }
+    return getConfiguration().baseURL + '/' + urlString.replace(/^\//, '');
+}
+
+/**
+ * Small JSON document used by update checks (rollout, severity, metadata); the last fetched
+ * copy is kept and used when the URL cannot be reached
+ */
+function loadRemoteDocument(url, name, stateKey) {
+    if (!url) {
+        return Promise.resolve(getValue(stateKey, null));
+    }
+
+    return fetchJSON(resolveRemoteURL(url), 'Failed to check for updates: ' + name + ' document ').then(function(document) {
+        setValue(stateKey, document);
+        return document;
+    }, function(error) {
+        console.log('[OSManualOTA] ⚠️ Could not fetch ' + name + ' document: ' + error.message + ' - using last known one');
+        return getValue(stateKey, null);
+    });
+}
+
+function getLatestVersion(config) {
+    return fetchJSON(config.baseURL + '/moduleservices/moduleversioninfo', 'Failed to check for updates: ').then(function(json) {
+        if (!json || typeof json.versionToken !== 'string') {
+            throw new Error('Failed to check for updates: Invalid response format');
+        }
+        return json.versionToken;
+    });
+}
+
+function getModuleManifest(config) {
+    return fetchJSON(config.baseURL + '/moduleservices/moduleinfo', 'Failed to fetch update manifest: ').then(function(json) {
+        var manifest = json && json.manifest;
+        if (!manifest || typeof manifest.versionToken !== 'string' || !manifest.urlVersions) {
+            throw new Error('Failed to fetch update manifest: Invalid response format');
+        }
+        return {
+            versionToken: manifest.versionToken,
+            urlVersions: manifest.urlVersions,
+            urlMappings: manifest.urlMappings || null,
+            urlMappingsNoCache: manifest.urlMappingsNoCache || null
+        };
+    });
+}
+
+/**
+ * Same URL as the native download: <scheme>://<hostname><path>?<hash>
+ */
+function resourceURL(config, path, hash) {
+    var scheme = /^http:/.test(config.baseURL) ? 'http:' : 'https:';
+    var query = hash.charAt(0) === '?' ? hash.substring(1) : hash;
+    return scheme + '//' + config.hostname + path + '?' + query;
+}
+
+// Update rules: version rules, rollout, severity, metadata
+
+function getVersionRules() {
+    return {
+        pinnedVersion: getValue('pinnedVersion', null),
+        blockedVersions: getValue('blockedVersions', [])
+    };
+}
+
+/**
+ * Why a version may not be installed ("blocked", "pinned"), null when allowed
+ */
+function versionRuleReason(token) {
+    var rules = getVersionRules();
+    if (rules.blockedVersions.indexOf(token) !== -1) {
+        return 'blocked';
+    }
+    if (rules.pinnedVersion && rules.pinnedVersion !== token) {
+        return 'pinned';
+    }
+    return null;
+}
+
+/**
+ * Stable bucket in 0..99 for an install and version (FNV-1a 32-bit over UTF-8, as OSRollout.swift)
+ */
+function rolloutBucket(id, versionToken) {
+    var bytes = unescape(encodeURIComponent(id + ':' + versionToken));
+    var hash = 2166136261;
+    for (var i = 0; i < bytes.length; i++) {
+        hash ^= bytes.charCodeAt(i);
+        hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    return hash % 100;
+}
+
+function isInRollout(versionToken) {
+    var rolloutURL = getValue('rolloutURL', null);
+
+    return loadRemoteDocument(rolloutURL, 'rollout', 'rolloutDocument').then(function(document) {
+        if (!document) {
+            return !rolloutURL;
+        }
+
+        var rule = (document.versions || {})[versionToken];
+        if (!rule) {
+            return true;
+        }
+
+        var cohorts = getValue('cohorts', []);
+        var ruleCohorts = rule.cohorts || [];
+        for (var i = 0; i < ruleCohorts.length; i++) {
+            if (cohorts.indexOf(ruleCohorts[i]) !== -1) {
+                return true;
+            }
+        }
+
+        var percentage = Math.min(Math.max(typeof rule.percentage === 'number' ? rule.percentage : 100, 0), 100);
+        return rolloutBucket(installId(), versionToken) < percentage;
+    });
+}
+
+function raiseSeverity(severity, other) {
+    return SEVERITY_RANK[other] > SEVERITY_RANK[severity] ? other : severity;
+}
+
+/**
+ * Whether the severity document places the version below the minimum: listed in unsupportedVersions,
+ * or before minimumVersion in releases (oldest first). A version it does not order is not.
+ */
+function isBelowMinimumVersion(version, document) {
+    if (Array.isArray(document.unsupportedVersions) && document.unsupportedVersions.indexOf(version) !== -1) {
+        return true;
+    }
+    var releases = Array.isArray(document.releases) ? document.releases : [];
+    var minimumIndex = document.minimumVersion ? releases.indexOf(document.minimumVersion) : -1;
+    var index = releases.indexOf(version);
+    return minimumIndex !== -1 && index !== -1 && index < minimumIndex;
+}
+
+function updateSeverity(latestVersion, currentVersion) {
+    return loadRemoteDocument(getValue('severityURL', null), 'severity', 'severityDocument').then(function(document) {
+        if (!document) {
+            return 'optional';
+        }
+
+        var declared = (document.versions || {})[latestVersion];
+        declared = declared && typeof declared === 'object' ? declared.severity : declared;
+        var severity = SEVERITY_RANK.hasOwnProperty(declared) ? declared :
+            (SEVERITY_RANK.hasOwnProperty(document.defaultSeverity) ? document.defaultSeverity : 'optional');
+
+        if (isBelowMinimumVersion(currentVersion, document)) {
+            console.log('[OSManualOTA] 🚨 Running version ' + currentVersion + ' is below the minimum supported version');
+            severity = 'critical';
+        }
+        return severity;
+    });
+}
+
+/**
+ * Known keys only, as OSUpdateMetadata
+ */
+function normalizeMetadata(document) {
+    var metadata = {};
+    ['releaseNotes', 'versionLabel', 'publishedAt'].forEach(function(key) {
+        if (typeof document[key] === 'string') {
+            metadata[key] = document[key];
+        }
+    });
+    if (SEVERITY_RANK.hasOwnProperty(document.severity)) {
+        metadata.severity = document.severity;
+    }
+    return metadata;
+}
+
+function mergeMetadata(metadata, target) {
+    if (metadata) {
+        ['releaseNotes', 'versionLabel', 'publishedAt'].forEach(function(key) {
+            if (metadata.hasOwnProperty(key)) {
+                target[key] = metadata[key];
+            }
+        });
+    }
+    return target;
+}
+
+function cachedMetadata(versionToken) {
+    return getValue('metadata', {})[versionToken] || null;
+}
+
+/**
+ * Keeps metadata for the versions in the history, the running version and the new one
+ */
+function cacheMetadata(metadata, versionToken) {
+    var cache = getValue('metadata', {});
+    cache[versionToken] = metadata;
+
+    var keep = loadHistory().map(function(entry) { return entry.version; });
+    keep.push(versionToken, getCurrentVersion(), getValue('downloadedVersion', null));
+
+    Object.keys(cache).forEach(function(token) {
+        if (keep.indexOf(token) === -1) {
+            delete cache[token];
+        }
+    });
+    setValue('metadata', cache);
+}
+
+function updateMetadata(versionToken) {
+    var template = getValue('metadataURL', null);
+    if (!template) {
+        return Promise.resolve(cachedMetadata(versionToken));
+    }
+
+    var url = resolveRemoteURL(template.replace(/\{version\}/g, encodeURIComponent(versionToken)));
+    return fetchJSON(url, 'Failed to check for updates: metadata document ').then(function(document) {
+        var metadata = normalizeMetadata(document || {});
+        cacheMetadata(metadata, versionToken);
+        return metadata;
+    }, function(error) {
+        console.log('[OSManualOTA] ⚠️ Could not fetch metadata for ' + versionToken + ': ' + error.message + ' - using cached copy');
+        return cachedMetadata(versionToken);
+    });
+}
+
+function knownMetadata(versionToken) {
+    var cached = cachedMetadata(versionToken);
+    return cached ? Promise.resolve(cached) : updateMetadata(versionToken);
+}
+
+// Version history and retention
+
+/**
+ * Each release channel keeps its own history; the default channel keeps the key used before channels existed
+ */
+function historyKey(channel) {
+    var name = channel || switchingToChannel || currentChannel();
+    return name === defaultChannelName() ? 'versionHistory' : 'versionHistory_' + name;
+}
+
+function loadHistory(channel) {
+    return getValue(historyKey(channel), []);
+}
+
+function saveHistory(entries) {
+    setValue(historyKey(), entries.slice(0, MAX_HISTORY_ENTRIES));
+}
+
+function recordHistory(version, source, outcome, error) {
+    var entries = loadHistory();
+    var entry = { version: version, installedAt: now(), source: source, outcome: outcome };
+    if (error) {
+        entry.error = error;
+    }
+    entries.unshift(entry);
+    saveHistory(entries);
+}
+
+/**
+ * Marks the latest install of a version as rolled back
+ */
+function markHistoryRolledBack(version, reason) {
+    var entries = loadHistory();
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].version === version && entries[i].outcome === 'installed') {
+            entries[i].outcome = 'rolledBack';
+            if (reason) {
+                entries[i].error = reason;
+            }
+            saveHistory(entries);
+            return;
+        }
+    }
+}
+
+function getVersionRetention() {
+    return getValue('versionRetention', DEFAULT_VERSION_RETENTION);
+}
+
+function isRollbackAvailable(version) {
+    return version !== getCurrentVersion() && getValue('retainedVersions', []).indexOf(version) !== -1;
+}
+
+/**
+ * History entries with rollbackAvailable, as getVersionHistory returns them
+ */
+function versionHistory(channel) {
+    return loadHistory(channel).map(function(entry) {
+        var result = {
+            version: entry.version,
+            installedAt: entry.installedAt,
+            source: entry.source,
+            outcome: entry.outcome,
+            rollbackAvailable: entry.outcome !== 'failed' && isRollbackAvailable(entry.version)
+        };
+        if (entry.error) {
+            result.error = entry.error;
+        }
+        return result;
+    });
+}
+
+/**
+ * Entries of every release channel's history, newest first
+ */
+function historyOfAllChannels() {
+    var channels = Object.keys(releaseChannels());
+    [defaultChannelName(), currentChannel()].forEach(function(name) {
+        if (channels.indexOf(name) === -1) {
+            channels.push(name);
+        }
+    });
+    return channels.reduce(function(entries, name) {
+        return entries.concat(loadHistory(name));
+    }, []).sort(function(a, b) {
+        return b.installedAt - a.installedAt;
+    });
+}
+
+/**
+ * Keeps the stores of the current version, the downloaded one and the `retention` most recent past versions
+ * of all release channels together
+ */
+function pruneRetainedVersions() {
+    var current = getCurrentVersion();
+    var kept = [];
+    historyOfAllChannels().forEach(function(entry) {
+        if (entry.outcome !== 'failed' && entry.version !== current && kept.indexOf(entry.version) === -1) {
+            kept.push(entry.version);
+        }
+    });
+    var keep = kept.slice(0, getVersionRetention());
+    keep.push(current, getValue('downloadedVersion', null));
+
+    var retained = getValue('retainedVersions', []);
+    var dropped = retained.filter(function(version) {
+        return keep.indexOf(version) === -1;
+    });
+    setValue('retainedVersions', retained.filter(function(version) {
+        return keep.indexOf(version) !== -1;
+    }));
+
+    return Promise.all(dropped.map(function(version) {
+        console.log('[OSManualOTA] 🗑️ Dropped retained version ' + version);
+        return fileStore.remove(version);
+    }));
+}
+
+// Health check
+
+function healthCheckOptions() {
+    var options = getValue('healthCheck', null);
+    if (!options) {
+        return null;
+    }
+    return {
+        timeout: Math.max(typeof options.timeout === 'number' ? options.timeout : 60, 0),
+        maxLaunches: Math.max(typeof options.maxLaunches === 'number' ? options.maxLaunches : 2, 0),
+        rollbackOnFatalError: options.rollbackOnFatalError !== false
+    };
+}
+
+function healthCheckInfo() {
+    var options = healthCheckOptions();
+    var pending = getValue('pendingHealthCheck', null);
+    var info = {
+        enabled: options !== null,
+        pending: null,
+        lastRollback: getValue('lastHealthCheckRollback', null)
+    };
+
+    if (options && pending) {
+        info.pending = {
+            version: pending.version,
+            previousVersion: pending.previousVersion,
+            appliedAt: pending.appliedAt,
+            launches: pending.launches,
+            maxLaunches: options.maxLaunches
+        };
+        if (pending.firstLaunchAt && options.timeout > 0) {
+            info.pending.deadline = pending.firstLaunchAt + options.timeout;
+        }
+    }
+    return info;
+}
+
+function armHealthCheck(version, previousVersion) {
+    if (!healthCheckOptions()) {
+        return;
+    }
+    setValue('pendingHealthCheck', {
+        version: version,
+        previousVersion: previousVersion,
+        appliedAt: now(),
+        launches: 0,
+        firstLaunchAt: null
+    });
+    console.log('[OSManualOTA] 🩺 Health check armed for ' + version);
+}
+
+/**
+ * Counts a page load of the version on probation and rolls it back once it runs out of launches or time
+ */
+function evaluateHealthCheckOnLaunch() {
+    var options = healthCheckOptions();
+    var pending = getValue('pendingHealthCheck', null);
+    if (!options || !pending) {
+        return;
+    }
+    if (pending.version !== getCurrentVersion()) {
+        setValue('pendingHealthCheck', null);
+        return;
+    }
+
+    pending.launches += 1;
+    pending.firstLaunchAt = pending.firstLaunchAt || now();
+    setValue('pendingHealthCheck', pending);
+
+    if (options.maxLaunches > 0 && pending.launches > options.maxLaunches) {
+        rollbackFailedHealthCheck(pending, 'healthCheckTimeout', 'Not marked healthy within ' + options.maxLaunches + ' launch(es)');
+        return;
+    }
+    if (options.timeout <= 0) {
+        return;
+    }
+
+    var remaining = pending.firstLaunchAt + options.timeout - now();
+    setTimeout(function() {
+        var current = getValue('pendingHealthCheck', null);
+        if (current && current.version === pending.version) {
+            rollbackFailedHealthCheck(current, 'healthCheckTimeout', 'Not marked healthy within ' + Math.floor(options.timeout) + 's');
+        }
+    }, Math.max(remaining, 0) * 1000);
+}
+
+function rollbackFailedHealthCheck(pending, reason, message) {
+    setValue('pendingHealthCheck', null);
+    setValue('lastHealthCheckRollback', {
+        version: pending.previousVersion,
+        fromVersion: pending.version,
+        reason: reason,
+        message: message,
+        rolledBackAt: now()
+    });
+
+    console.log('[OSManualOTA] 🩺 Health check failed for ' + pending.version + ' (' + reason + ': ' + message + ') - rolling back to ' + pending.previousVersion);
+    track('crashDetected', {
+        version: pending.version,
+        reason: reason,
+        message: message,
+        launches: pending.launches
+    });
+
+    rollbackTo(pending.previousVersion, reason).catch(function() {
+        return rollbackToPrevious(reason);
+    }).catch(function(error) {
+        console.log('[OSManualOTA] ❌ Automatic rollback failed: ' + error.message);
+    });
+}
+
+// Download
+
+function updateAttemptsToday() {
+    var attempts = getValue('updateAttempts', null);
+    return attempts && attempts.day === new Date().toISOString().substring(0, 10) ? attempts.count : 0;
+}
+
+function recordUpdateAttempt() {
+    setValue('updateAttempts', {
+        day: new Date().toISOString().substring(0, 10),
+        count: updateAttemptsToday() + 1
+    });
+}
+
+function isPatchedFile(path) {
+    return PATCHED_FILES.some(function(file) {
+        return path.indexOf(file) !== -1;
+    });
+}
+
+/**
+ * Files whose hash differs from the last downloaded manifest (every file on first run)
+ */
+function getChangedFiles(newHashes) {
+    var oldHashes = getValue('assetHashes', null);
+    var changed = {};
+    Object.keys(newHashes).forEach(function(path) {
+        if (!oldHashes || oldHashes[path] !== newHashes[path]) {
+            changed[path] = newHashes[path];
+        }
+    });
+    return changed;
+}
+
+/**
+ * Reason to hold the download back under the download options, null to go ahead.
+ * Uses navigator.onLine and, where available, the Network Information API.
+ */
+function deferReason(options) {
+    if (!options) {
+        return null;
+    }
+    if (!navigator.onLine) {
+        return 'offline';
+    }
+
+    var connection = navigator.connection;
+    if (!connection) {
+        return null;
+    }
+    if (options.deferIfLowDataMode && connection.saveData) {
+        return 'lowDataMode';
+    }
+    if (connection.type === 'cellular') {
+        if (options.requireUnmetered) {
+            return 'metered';
+        }
+        if (options.allowCellular === false) {
+            return 'cellular';
+        }
+    }
+    return null;
+}
+
+function deferDownload(trigger, options, reason, version) {
+    var pending = { trigger: trigger, options: options, reason: reason, deferredAt: now() };
+    var payload = { reason: reason };
+    if (version) {
+        pending.version = version;
+        payload.version = version;
+    }
+    setValue('deferredDownload', pending);
+
+    console.log('[OSManualOTA] ⏸️ Download deferred: ' + reason);
+    postEvent('downloadDeferred', payload);
+}
+
+function resumeDeferredDownloadIfPossible() {
+    var pending = getValue('deferredDownload', null);
+    if (!pending || activeDownload || deferReason(pending.options) !== null) {
+        return;
+    }
+
+    setValue('deferredDownload', null);
+    console.log('[OSManualOTA] ▶️ Network conditions match - resuming deferred download');
+    postEvent('downloadResumed', { reason: pending.reason || '', version: pending.version || '' });
+
+    downloadUpdate(pending.trigger || 'manual', pending.options, {}).then(function(outcome) {
+        if (outcome.completed) {
+            console.log('[OSManualOTA] ✅ Deferred download completed');
+        }
+    }, function() {});
+}
+
+function reportProgress(callbacks, downloaded, total, skipped) {
+    var progress = {
+        downloaded: downloaded,
+        total: total,
+        skipped: skipped,
+        percentage: total > 0 ? downloaded / total * 100 : 0
+    };
+    if (callbacks.progress) {
+        callbacks.progress(progress);
+    }
+    postEvent('downloadProgress', progress);
+}
+
+/**
+ * Fetches one file, retrying network failures, timeouts, 408, 429 and 5xx per the retry settings
+ */
+function downloadFile(url, retry) {
+    var policy = getValue('retry', null) || {};
+    var maxRetries = Math.max(typeof policy.maxRetries === 'number' ? policy.maxRetries : 3, 0);
+    var initialDelay = Math.max(typeof policy.initialDelay === 'number' ? policy.initialDelay : 1, 0);
+    var maxDelay = Math.max(typeof policy.maxDelay === 'number' ? policy.maxDelay : 30, 0);
+    var multiplier = Math.max(typeof policy.multiplier === 'number' ? policy.multiplier : 2, 1);
+    var jitter = Math.min(Math.max(typeof policy.jitter === 'number' ? policy.jitter : 0.2, 0), 1);
+
+    var retryAfterDelay = function(error) {
+        if (retry >= maxRetries || (activeDownload && activeDownload.cancelled)) {
+            throw error;
+        }
+        var base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, retry));
+        var delay = Math.max(0, base + (Math.random() * 2 - 1) * base * jitter);
+        return new Promise(function(resolve) {
+            setTimeout(resolve, delay * 1000);
+        }).then(function() {
+            if (activeDownload && activeDownload.cancelled) {
+                throw new Error('Update was cancelled');
+            }
+            return downloadFile(url, retry + 1);
+        });
+    };
+
+    return request(url, { cache: 'no-store' }, true).then(function(response) {
+        if (response.status === 200) {
+            return response.blob();
+        }
+        var error = new Error('Download failed: HTTP ' + response.status + ' for ' + url);
+        return isRetryableStatus(response.status) ? retryAfterDelay(error) : Promise.reject(error);
+    }, function(error) {
+        return /cancelled/.test(error.message) ? Promise.reject(error) : retryAfterDelay(error);
+    });
+}
+
+/**
+ * Stores the changed files of a version; unchanged files are copied from the store of the
+ * version the old hashes belong to, when it has them. Files already stored by an interrupted
+ * download of the same version are not fetched again.
+ */
+function downloadChangedFiles(config, changedFiles, manifest, version, callbacks) {
+    var paths = Object.keys(changedFiles).filter(function(path) {
+        if (isPatchedFile(path)) {
+            console.log('[OSManualOTA] ⏭️  Skipping patched file from download: ' + path);
+            return false;
+        }
+        return true;
+    });
+    var totalFiles = Object.keys(manifest.urlVersions).length;
+    var skipped = totalFiles - Object.keys(changedFiles).length;
+    var sourceVersion = getValue('downloadedVersion', null) || getCurrentVersion();
+    var download = activeDownload;
+    var completed = 0;
+    var index = 0;
+    var failure = null;
+
+    setValue('partialDownload', { version: version, total: paths.length, completed: 0 });
+    reportProgress(callbacks, 0, paths.length, skipped);
+
+    var copyUnchanged = Promise.all(Object.keys(manifest.urlVersions).filter(function(path) {
+        return !changedFiles.hasOwnProperty(path);
+    }).map(function(path) {
+        return fileStore.get(sourceVersion, path).then(function(blob) {
+            return blob ? fileStore.put(version, path, blob) : null;
+        }).catch(function() {
+            return null;
+        });
+    }));
+
+    var next = function() {
+        if (download.cancelled) {
+            return Promise.reject(new Error('Update was cancelled'));
+        }
+        if (index >= paths.length) {
+            return Promise.resolve();
+        }
+
+        var path = paths[index++];
+        return fileStore.get(version, path).then(function(stored) {
+            return stored || downloadFile(resourceURL(config, path, changedFiles[path]), 0).then(function(blob) {
+                return fileStore.put(version, path, blob);
+            });
+        }).then(function() {
+            completed += 1;
+            setValue('partialDownload', { version: version, total: paths.length, completed: completed });
+            reportProgress(callbacks, completed, paths.length, skipped);
+            return next();
+        });
+    };
+
+    // The first failure stops the other workers; it is reported once all of them have stopped,
+    // so none is left writing partialDownload after the download ended
+    var stopOnFailure = function(error) {
+        if (!download.cancelled) {
+            download.failure = error;
+            download.cancelled = true;
+            download.controllers.forEach(function(controller) {
+                controller.abort();
+            });
+        }
+        failure = failure || error;
+    };
+
+    var workers = [];
+    for (var i = 0; i < Math.min(MAX_PARALLEL_DOWNLOADS, paths.length); i++) {
+        workers.push(next().catch(stopOnFailure));
+    }
+
+    return Promise.all([copyUnchanged].concat(workers)).then(function() {
+        if (failure) {
+            throw download.failure || failure;
+        }
+        return saveManifest(version, manifest);
+    });
+}
+
+/**
+ * Full download flow; resolves { completed: true } or { deferred: reason }, rejects with the failure
+ */
+function downloadUpdate(trigger, options, callbacks) {
+    var config = getConfiguration();
+    if (!config) {
+        postEvent('downloadFailed', { message: 'Invalid configuration' });
+        return Promise.reject(new Error('Invalid configuration'));
+    }
+    if (activeDownload) {
+        return Promise.reject(new Error('Download already in progress'));
+    }
+
+    var reason = deferReason(options);
+    if (reason) {
+        deferDownload(trigger, options, reason, null);
+        return Promise.resolve({ deferred: reason });
+    }
+
+    activeDownload = { cancelled: false, controllers: [] };
+    recordUpdateAttempt();
+    track('downloadStarted', { trigger: trigger });
+
+    var startTime = Date.now();
+    var targetVersion = null;
+    var filesDownloaded = 0;
+    var filesSkipped = 0;
+
+    var metrics = function(success, errorMessage) {
+        var properties = {
+            version: targetVersion,
+            trigger: trigger,
+            duration: (Date.now() - startTime) / 1000,
+            bytes: 0,
+            filesDownloaded: success ? filesDownloaded : 0,
+            filesSkipped: success ? filesSkipped : 0
+        };
+        if (errorMessage) {
+            properties.error = errorMessage;
+        }
+        track(success ? 'downloadFinished' : 'downloadFailed', properties);
+    };
+
+    return getLatestVersion(config).then(function(latestVersion) {
+        if (latestVersion === getCurrentVersion()) {
+            throw new Error('No update available');
+        }
+        var ruleReason = versionRuleReason(latestVersion);
+        if (ruleReason) {
+            throw new Error('Version not allowed: ' + latestVersion + ' (' + ruleReason + ')');
+        }
+        targetVersion = latestVersion;
+
+        return getModuleManifest(config);
+    }).then(function(manifest) {
+        var changedFiles = getChangedFiles(manifest.urlVersions);
+        if (Object.keys(changedFiles).length === 0) {
+            throw new Error('No update available');
+        }
+        filesDownloaded = Object.keys(changedFiles).length;
+        filesSkipped = Object.keys(manifest.urlVersions).length - filesDownloaded;
+
+        return downloadChangedFiles(config, changedFiles, manifest, targetVersion, callbacks).then(function() {
+            return manifest;
+        });
+    }).then(function(manifest) {
+        if (activeDownload.cancelled) {
+            throw new Error('Update was cancelled');
+        }
+
+        setValue('downloadedVersion', targetVersion);
+        setValue('assetHashes', manifest.urlVersions);
+        setValue('partialDownload', null);
+
+        var retained = getValue('retainedVersions', []);
+        if (retained.indexOf(targetVersion) === -1) {
+            retained.push(targetVersion);
+            setValue('retainedVersions', retained);
+        }
+        recordHistory(targetVersion, trigger, 'installed');
+        pruneRetainedVersions();
+
+        console.log('[OSManualOTA] ✅ Download completed - ' + targetVersion + ' stored in ' + fileStore.name);
+        metrics(true);
+
+        activeDownload = null;
+        postEvent('downloadComplete', {
+            version: targetVersion,
+            filesDownloaded: filesDownloaded,
+            filesSkipped: filesSkipped,
+            duration: (Date.now() - startTime) / 1000
+        });
+        return { completed: true };
+    }).catch(function(error) {
+        // A failed file also flags the download cancelled to stop the other workers
+        var cancelled = activeDownload && activeDownload.cancelled && !activeDownload.failure;
+        if (targetVersion && !cancelled) {
+            recordHistory(targetVersion, trigger, 'failed', error.message);
+        }
+        metrics(false, error.message);
+
+        activeDownload = null;
+        postEvent('downloadFailed', { message: error.message });
+        throw error;
+    });
+}
+
+// Apply and rollback
+
+function rolledBackPayload(version, fromVersion, reason) {
+    var payload = { version: version, fromVersion: fromVersion };
+    if (reason) {
+        payload.reason = reason;
+    }
+    return payload;
+}
+
+function finishRollback(version, fromVersion, reason) {
+    setValue('downloadedVersion', null);
+    setValue('pendingHealthCheck', null);
+
+    markHistoryRolledBack(fromVersion, reason);
+    recordHistory(version, reason ? 'healthCheck' : 'rollback', 'installed');
+
+    console.log('[OSManualOTA] ⏪ Rolled back from ' + fromVersion + ' to ' + version);
+    postEvent('rolledBack', rolledBackPayload(version, fromVersion, reason));
+    track('rolledBack', rolledBackPayload(version, fromVersion, reason));
+}
+
+function rollbackToPrevious(reason) {
+    var previousVersion = getValue('previousVersion', null);
+    if (!previousVersion) {
+        return Promise.reject(new Error('Failed to rollback: No previous version available'));
+    }
+
+    var fromVersion = getCurrentVersion();
+    saveCurrentVersion(previousVersion);
+
+    return loadManifest(previousVersion).catch(function() {
+        return null;
+    }).then(function(manifest) {
+        if (manifest) {
+            setValue('assetHashes', manifest.urlVersions);
+        }
+        finishRollback(previousVersion, fromVersion, reason);
+    });
+}
+
+/**
+ * Rolls back to any version whose files are still retained
+ */
+function rollbackTo(version, reason) {
+    var fromVersion = getCurrentVersion();
+
+    if (version === fromVersion) {
+        return Promise.reject(new Error('Failed to rollback: Version ' + version + ' is already running'));
+    }
+    if (versionRuleReason(version) === 'blocked') {
+        return Promise.reject(new Error('Failed to rollback: Version ' + version + ' is blocked'));
+    }
+    if (!isRollbackAvailable(version)) {
+        return Promise.reject(new Error('Failed to rollback: Version ' + version + ' is no longer retained'));
+    }
+
+    return loadManifest(version).then(function(manifest) {
+        if (!manifest) {
+            throw new Error('Failed to rollback: Version ' + version + ' is no longer retained');
+        }
+
+        setValue('previousVersion', fromVersion);
+        saveCurrentVersion(version);
+        setValue('assetHashes', manifest.urlVersions);
+        finishRollback(version, fromVersion, reason);
+    });
+}
+
+// Version info
+
+function partialDownloadInfo() {
+    var partial = getValue('partialDownload', null);
+    return partial ? { version: partial.version, completed: partial.completed, total: partial.total } : null;
+}
+
+function deferredDownloadInfo() {
+    var pending = getValue('deferredDownload', null);
+    if (!pending) {
+        return null;
+    }
+    var info = { reason: pending.reason, deferredAt: pending.deferredAt };
+    if (pending.version) {
+        info.version = pending.version;
+    }
+    return info;
+}
+
+function getVersionInfo() {
+    var currentVersion = getCurrentVersion();
+    var downloadedVersion = getValue('downloadedVersion', null);
+
+    return Promise.all([
+        currentVersion === 'unknown' ? null : knownMetadata(currentVersion),
+        downloadedVersion ? knownMetadata(downloadedVersion) : null
+    ]).then(function(metadata) {
+        return {
+            currentVersion: currentVersion,
+            downloadedVersion: downloadedVersion || '',
+            previousVersion: getValue('previousVersion', null) || '',
+            lastUpdateCheck: getValue('lastUpdateCheck', 0),
+            isUpdateDownloaded: downloadedVersion !== null,
+            isDownloading: activeDownload !== null,
+            updateAttemptsToday: updateAttemptsToday(),
+            installId: installId(),
+            deferredDownload: deferredDownloadInfo(),
+            partialDownload: partialDownloadInfo(),
+            integrity: null,
+            healthCheck: healthCheckInfo(),
+            metadata: metadata[0] || null,
+            downloadedMetadata: metadata[1] || null,
+            storage: fileStore.name
+        };
+    });
+}
+
+function redactURL(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        var url = new URL(value, window.location.href);
+        url.username = '';
+        url.password = '';
+        if (url.search) {
+            url.search = 'redacted';
+        }
+        return url.toString();
+    } catch (e) {
+        return '<redacted>';
+    }
+}
+
+function redactedConfiguration() {
+    var config = getConfiguration() || {};
+    var telemetry = telemetryOptions();
+    var headers = {};
+    Object.keys(telemetry.headers).forEach(function(header) {
+        headers[header] = '<redacted>';
+    });
+
+    return {
+        baseURL: redactURL(config.baseURL),
+        hostname: config.hostname || null,
+        applicationPath: config.applicationPath || null,
+        rolloutURL: redactURL(getValue('rolloutURL', null)),
+        cohorts: getValue('cohorts', []),
+        severityURL: redactURL(getValue('severityURL', null)),
+        metadataURL: redactURL(getValue('metadataURL', null)),
+        manifestSignatureURL: redactURL(getValue('manifestSignatureURL', null)),
+        manifestSigningEnabled: getValue('manifestPublicKey', null) !== null,
+        retry: getValue('retry', null),
+        healthCheck: getValue('healthCheck', null),
+        updatePolicy: getValue('updatePolicy', null),
+        versionRetention: getVersionRetention(),
+        telemetry: telemetry.endpoint ? {
+            endpoint: redactURL(telemetry.endpoint),
+            headers: headers,
+            batchSize: telemetry.batchSize,
+            flushInterval: telemetry.flushInterval,
+            maxQueueSize: telemetry.maxQueueSize
+        } : null
+    };
+}
+
+// OTA blocking
+
+function storedBlockingPolicy() {
+    var policy = readJSON(BLOCKING_POLICY_KEY, null);
+    try {
+        return BlockingPolicy.normalize(policy);
+    } catch (e) {
+        // Set by plugin versions without blocking modes
+        return { mode: localStorage.getItem(BLOCKING_KEY) === 'true' ? BlockingPolicy.Modes.ALWAYS : BlockingPolicy.Modes.NEVER };
+    }
+}
+
+function isBlockingSuspended() {
+    try {
+        return sessionStorage.getItem(BLOCKING_SUSPENDED_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Effective blocking decision: {enabled, mode, reason, policy, launches?}
+ */
+function blockingStatus() {
+    var policy = storedBlockingPolicy();
+    var launches = parseInt(localStorage.getItem(BLOCKING_LAUNCHES_KEY), 10) || 0;
+    var decision = BlockingPolicy.evaluate(policy, { launches: launches });
+    var suspended = isBlockingSuspended();
+
+    var status = {
+        enabled: decision.enabled && !suspended,
+        mode: decision.mode,
+        reason: suspended ? 'suspended' : decision.reason,
+        policy: policy
+    };
+    if (policy.mode === BlockingPolicy.Modes.AFTER_N_LAUNCHES) {
+        status.launches = launches;
+    }
+    return status;
+}
+
+/**
+ * Stores the policy where the loader hook reads it and restarts the launch count
+ * (the current page load is not counted)
+ */
+function setBlockingPolicy(policy) {
+    localStorage.setItem(BLOCKING_POLICY_KEY, JSON.stringify(policy));
+    localStorage.setItem(BLOCKING_LAUNCHES_KEY, '0');
+    try {
+        sessionStorage.setItem(BLOCKING_LAUNCHES_KEY, 'counted');
+    } catch (e) {
+        // The next reload of this page counts as a launch
+    }
+
+    var status = blockingStatus();
+    localStorage.setItem(BLOCKING_KEY, status.enabled ? 'true' : 'false');
+    postEvent('blockingStatusChanged', status);
+    console.log('[OSManualOTA] ✅ OTA blocking policy: ' + policy.mode + ' (' + status.reason + ')');
+    logDiagnostic('blocking', 'OTA blocking policy set to ' + policy.mode, 'info', status);
+    return status;
+}
+
+// Release channels
+
+function releaseChannels() {
+    return getValue('channels', {});
+}
+
+function defaultChannelName() {
+    return getValue('defaultChannel', DEFAULT_CHANNEL);
+}
+
+function currentChannel() {
+    var selected = getValue('channel', null);
+    return selected && releaseChannels().hasOwnProperty(selected) ? selected : defaultChannelName();
+}
+
+function channelConfiguration(channel) {
+    return {
+        baseURL: channel.baseURL.replace(/\/+$/, ''),
+        hostname: channel.hostname,
+        applicationPath: channel.applicationPath
+    };
+}
+
+/**
+ * Stores the channels of configure(); the configuration just saved is the default channel.
+ * Points the configuration at the selected channel when it is not the default one.
+ */
+function configureChannels(config) {
+    var defaultName = config.defaultChannel || DEFAULT_CHANNEL;
+    var channels = {};
+    Object.keys(config.channels || {}).forEach(function(name) {
+        var channel = config.channels[name];
+        if (channel && channel.baseURL && channel.hostname && channel.applicationPath) {
+            channels[name] = channelConfiguration(channel);
+        } else {
+            console.warn('[OSManualOTA] ⚠️ Ignoring release channel \'' + name + '\': baseURL, hostname and applicationPath are required');
+        }
+    });
+    channels[defaultName] = getConfiguration();
+
+    setValue('channels', channels);
+    setValue('defaultChannel', defaultName);
+
+    var current = currentChannel();
+    if (current !== defaultName) {
+        setValue('configuration', channels[current]);
+    }
+    logDiagnostic('configuration', 'Release channel ' + current, 'info', {
+        channels: Object.keys(channels).sort(),
+        defaultChannel: defaultName
+    });
+}
+
+function channelInfo() {
+    var config = getConfiguration() || {};
+    return {
+        channel: currentChannel(),
+        defaultChannel: defaultChannelName(),
+        channels: Object.keys(releaseChannels()).sort(),
+        baseURL: config.baseURL,
+        hostname: config.hostname,
+        applicationPath: config.applicationPath
+    };
+}
+
+/**
+ * Switches to another channel with a full download of its latest version; the previous channel,
+ * configuration and hashes stay in place unless the download succeeds
+ * @returns {Promise} Resolves {channel, previousChannel, version, downloaded}
+ */
+function switchChannel(name, callbacks) {
+    var channel = releaseChannels()[name];
+    if (!channel) {
+        return Promise.reject(new Error('Invalid parameter: unknown channel \'' + name + '\''));
+    }
+
+    var previousChannel = currentChannel();
+    if (name === previousChannel) {
+        return Promise.resolve({ channel: name, previousChannel: previousChannel, version: getCurrentVersion(), downloaded: false });
+    }
+    if (activeDownload || switchingToChannel) {
+        return Promise.reject(new Error('Download already in progress'));
+    }
+
+    var previousConfiguration = getConfiguration();
+    var previousHashes = getValue('assetHashes', null);
+
+    console.log('[OSManualOTA] 📡 Switching release channel ' + previousChannel + ' -> ' + name);
+    logDiagnostic('update', 'Switching release channel ' + previousChannel + ' -> ' + name, 'info');
+
+    switchingToChannel = name;
+    setValue('configuration', channel);
+    // Files of another environment can't be diffed against the running ones: download everything
+    setValue('assetHashes', null);
+
+    var commit = function(downloaded) {
+        switchingToChannel = null;
+        setValue('channel', name);
+
+        var result = {
+            channel: name,
+            previousChannel: previousChannel,
+            version: downloaded ? getValue('downloadedVersion', null) : getCurrentVersion(),
+            downloaded: downloaded
+        };
+        console.log('[OSManualOTA] ✅ Release channel is now ' + name);
+        logDiagnostic('update', 'Release channel is now ' + name, 'info', result);
+        postEvent('channelChanged', result);
+        return result;
+    };
+
+    return downloadUpdate('channel_switch', null, callbacks).then(function() {
+        return commit(true);
+    }, function(failure) {
+        // The channel already serves the running version
+        if (failure.message === 'No update available') {
+            setValue('assetHashes', previousHashes);
+            return commit(false);
+        }
+
+        switchingToChannel = null;
+        setValue('configuration', previousConfiguration);
+        setValue('assetHashes', previousHashes);
+        logDiagnostic('update', 'Channel switch to ' + name + ' failed, staying on ' + previousChannel, 'error', {
+            error: failure.message
+        });
+        throw failure;
+    });
+}
+
+// Remote commands (envelope and checks as in OSRemoteCommand.swift)
+
+function base64Bytes(value) {
+    try {
+        var binary = atob(value.replace(/\s+/g, ''));
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * ECDSA signatures may come DER encoded; WebCrypto wants r || s (32 bytes each)
+ */
+function rawECDSASignature(bytes) {
+    if (bytes.length === 64) {
+        return bytes;
+    }
+    if (bytes[0] !== 0x30) {
+        return null;
+    }
+
+    var raw = new Uint8Array(64);
+    var offset = bytes[1] & 0x80 ? 2 + (bytes[1] & 0x7f) : 2;
+    for (var part = 0; part < 2; part++) {
+        if (bytes[offset] !== 0x02) {
+            return null;
+        }
+        var length = bytes[offset + 1];
+        var integer = bytes.subarray(offset + 2, offset + 2 + length);
+        while (integer.length > 32 && integer[0] === 0) {
+            integer = integer.subarray(1);
+        }
+        if (integer.length > 32) {
+            return null;
+        }
+        raw.set(integer, part * 32 + 32 - integer.length);
+        offset += 2 + length;
+    }
+    return raw;
+}
+
+/**
+ * Whether the signature matches the HMAC key or the public key of the remoteCommands options
+ * @returns {Promise<boolean>}
+ */
+function isValidCommandSignature(options, signature, command) {
+    var subtle = window.crypto && window.crypto.subtle;
+    var mac = base64Bytes(signature);
+    if (!subtle || !mac) {
+        return Promise.resolve(false);
+    }
+
+    var data = new TextEncoder().encode(command);
+    var verifyHMAC = !options.hmacKey ? Promise.resolve(false) :
+        subtle.importKey('raw', new TextEncoder().encode(options.hmacKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify'])
+            .then(function(key) {
+                return subtle.verify('HMAC', key, mac, data);
+            });
+
+    return verifyHMAC.catch(function() {
+        return false;
+    }).then(function(valid) {
+        var publicKey = options.publicKey && base64Bytes(options.publicKey);
+        if (valid || !publicKey) {
+            return valid;
+        }
+
+        if (publicKey.length === 32) {
+            return subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify']).then(function(key) {
+                return subtle.verify({ name: 'Ed25519' }, key, mac, data);
+            });
+        }
+
+        var ecdsaSignature = rawECDSASignature(mac);
+        if (!ecdsaSignature) {
+            return false;
+        }
+        var curve = { name: 'ECDSA', namedCurve: 'P-256' };
+        return subtle.importKey(publicKey[0] === 0x04 ? 'raw' : 'spki', publicKey, curve, false, ['verify']).then(function(key) {
+            return subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, ecdsaSignature, data);
+        });
+    }).catch(function() {
+        return false;
+    });
+}
+
+/**
+ * Parses {id, action, version?, expiresAt, blocking?}
+ * @returns {{command: Object}|{problem: string}}
+ */
+function parseRemoteCommand(json) {
+    var command;
+    try {
+        command = JSON.parse(json);
+    } catch (e) {
+        command = null;
+    }
+
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+        return { problem: 'command is not a JSON object' };
+    }
+    if (typeof command.id !== 'string' || command.id === '' || command.id.length > 128) {
+        return { problem: 'id must be a non-empty string of at most 128 characters' };
+    }
+    if (REMOTE_COMMAND_ACTIONS.indexOf(command.action) === -1) {
+        return { problem: 'action must be one of ' + REMOTE_COMMAND_ACTIONS.join(', ') };
+    }
+    if (command.version !== undefined && !(typeof command.version === 'string' && command.version)) {
+        return { problem: 'version must be a non-empty string' };
+    }
+    if (command.action === 'pin' && command.version === undefined) {
+        return { problem: 'pin needs a version' };
+    }
+    // Required: the ledger only remembers ids until their command expires
+    if (!(typeof command.expiresAt === 'number' && isFinite(command.expiresAt))) {
+        return { problem: 'expiresAt (seconds since epoch) is required' };
+    }
+    if (command.action === 'setBlocking' && typeof command.blocking !== 'boolean' &&
+        !(command.blocking && typeof command.blocking === 'object' && !Array.isArray(command.blocking))) {
+        return { problem: 'setBlocking needs blocking (a boolean or a blocking policy)' };
+    }
+    return { command: command };
+}
+
+/**
+ * Ids of accepted commands that are still remembered: { id: forgetAt (seconds) }
+ */
+function remoteCommandLedger() {
+    var ledger = getValue('remoteCommandsSeen', {});
+    var current = now();
+    Object.keys(ledger).forEach(function(id) {
+        if (ledger[id] <= current) {
+            delete ledger[id];
+        }
+    });
+    return ledger;
+}
+
+/**
+ * Remembers the id until the command expires
+ * @returns {boolean} false when the ledger is full of unexpired ids (forgetting one would allow its replay)
+ */
+function recordRemoteCommand(command) {
+    var ledger = remoteCommandLedger();
+    if (Object.keys(ledger).length >= REMOTE_COMMAND_LEDGER_CAPACITY) {
+        return false;
+    }
+    ledger[command.id] = command.expiresAt;
+    setValue('remoteCommandsSeen', ledger);
+    return true;
+}
+
+/**
+ * Forgets the id of a command whose action failed, so the same command can be delivered again
+ */
+function forgetRemoteCommand(id) {
+    var ledger = remoteCommandLedger();
+    delete ledger[id];
+    setValue('remoteCommandsSeen', ledger);
+    console.log('[OSManualOTA] 📨 Remote command ' + id + ' failed, it can be delivered again');
+    logDiagnostic('update', 'Remote command failed, id forgotten', 'warning', { id: id });
+}
+
+/**
+ * Checks a signed envelope: signature, expiry and duplicate id
+ * @returns {Promise} Resolves with the command; rejects with {code: 'COMMAND_REJECTED', message, reason}
+ */
+function verifyRemoteCommand(envelope) {
+    var reject = function(reason, message) {
+        console.log('[OSManualOTA] ⛔️ Remote command rejected: ' + message);
+        logDiagnostic('update', 'Remote command rejected: ' + message, 'warning', { reason: reason });
+        return Promise.reject({ code: 'COMMAND_REJECTED', message: 'Remote command rejected: ' + message, reason: reason });
+    };
+
+    var options = getValue('remoteCommands', null);
+    if (!options || (!options.hmacKey && !options.publicKey)) {
+        return reject('notConfigured', 'no remote command key configured');
+    }
+    if (typeof envelope.command !== 'string' || typeof envelope.signature !== 'string') {
+        return reject('malformed', 'expected {command: <JSON string>, signature: <base64>}');
+    }
+
+    return isValidCommandSignature(options, envelope.signature, envelope.command).then(function(valid) {
+        if (!valid) {
+            return reject('invalidSignature', 'invalid signature');
+        }
+
+        var parsed = parseRemoteCommand(envelope.command);
+        if (parsed.problem) {
+            return reject('malformed', parsed.problem);
+        }
+        var command = parsed.command;
+        if (command.expiresAt <= now()) {
+            return reject('expired', 'command ' + command.id + ' expired');
+        }
+        // Its id must stay in the ledger for as long as the command is valid
+        if (command.expiresAt - now() > REMOTE_COMMAND_MAX_LIFETIME) {
+            return reject('lifetimeTooLong', 'command ' + command.id + ' expires more than 30 days ahead');
+        }
+        if (remoteCommandLedger().hasOwnProperty(command.id)) {
+            return reject('duplicate', 'command ' + command.id + ' was already handled');
+        }
+        if (!recordRemoteCommand(command)) {
+            return reject('ledgerFull', 'too many unexpired commands, try again after some expire');
+        }
+
+        console.log('[OSManualOTA] 📨 Remote command accepted: ' + command.id + ' (' + command.action + ')');
+        logDiagnostic('update', 'Remote command accepted', 'info', {
+            id: command.id,
+            action: command.action,
+            version: command.version || null
+        });
+        return command;
+    });
+}
+
+// Actions (same names, arguments and results as OSManualOTAPlugin.swift)
+
+function booleanAction(success, error, args, apply) {
+    if (typeof args[0] !== 'boolean') {
+        error('Invalid parameter: expected boolean');
+        return;
+    }
+    success(apply(args[0]));
+}
+
+function versionTokenAction(success, error, args, apply) {
+    if (typeof args[0] !== 'string' || args[0] === '') {
+        error('Invalid version: expected version token');
+        return;
+    }
+    apply(args[0]);
+    success(getVersionRules());
+}
+
+module.exports = {
+    configure: function(success, error, args) {
+        var config = args[0];
+        if (!config || typeof config.baseURL !== 'string' || typeof config.hostname !== 'string' ||
+            typeof config.applicationPath !== 'string') {
+            error('Invalid configuration parameters');
+            return;
+        }
+        // OutSystems file hashes are MD5, which SubtleCrypto can't compute: a signed manifest could
+        // not vouch for the files, so refuse the key rather than download unverified files
+        if (config.manifestPublicKey) {
+            error('Invalid configuration: manifestPublicKey is not supported on the browser platform');
+            return;
+        }
+
+        setValue('configuration', {
+            baseURL: config.baseURL.replace(/\/+$/, ''),
+            hostname: config.hostname,
+            applicationPath: config.applicationPath
+        });
+        configureChannels(config);
+        if (config.currentVersion && getCurrentVersion() === 'unknown') {
+            saveCurrentVersion(config.currentVersion);
+        }
+
+        setValue('rolloutURL', config.rolloutURL || null);
+        if (config.rollout) {
+            setValue('rolloutDocument', config.rollout);
+        } else if (!config.rolloutURL) {
+            setValue('rolloutDocument', null);
+        }
+        setValue('cohorts', config.cohorts || []);
+
+        setValue('severityURL', config.severityURL || null);
+        if (config.severity) {
+            setValue('severityDocument', config.severity);
+        } else if (!config.severityURL) {
+            setValue('severityDocument', null);
+        }
+
+        setValue('metadataURL', config.metadataURL || null);
+        setValue('retry', config.retry || null);
+        setValue('manifestPublicKey', config.manifestPublicKey || null);
+        setValue('manifestSignatureURL', config.manifestSignatureURL || null);
+        if (config.hasOwnProperty('remoteCommands')) {
+            setValue('remoteCommands', config.remoteCommands || null);
+        }
+        setValue('healthCheck', config.healthCheck || null);
+
+        setValue('telemetry', config.telemetry || null);
+        if (!config.telemetry || !config.telemetry.endpoint) {
+            localStorage.removeItem(TELEMETRY_QUEUE_KEY);
+        }
+        scheduleTelemetryFlush();
+
+        logDiagnostic('configuration', 'Configured', 'info', { baseURL: redactURL(config.baseURL) });
+        console.log('[OSManualOTA] ✅ Configured for ' + config.baseURL + ' (files stored in ' + fileStore.name + ')');
+        success('Configuration saved');
+    },
+
+    syncVersionFromJS: function(success, error, args) {
+        var version = args[0];
+        if (typeof version !== 'string' || version === '') {
+            error('Invalid version');
+            return;
+        }
+
+        var storedVersion = getCurrentVersion();
+        if (version !== storedVersion) {
+            saveCurrentVersion(version);
+            logDiagnostic('versionSync', 'Stored version updated from JavaScript', 'info', {
+                stored: storedVersion,
+                javascript: version
+            });
+        }
+        success('Version synced');
+    },
+
+    // The patched loader counts launches in localStorage, where blockingStatus() reads them
+    syncBlockingLaunches: function(success) {
+        success(blockingStatus());
+    },
+
+    checkForUpdates: function(success, error) {
+        var config = getConfiguration();
+        var startTime = Date.now();
+
+        var finish = function(result, failure) {
+            var properties = { duration: (Date.now() - startTime) / 1000 };
+            if (failure) {
+                properties.result = 'failed';
+                properties.error = failure.message;
+            } else {
+                properties.result = result.hasUpdate ? 'available' : (result.reason ? 'notOffered' : 'upToDate');
+                properties.latestVersion = result.version;
+                if (result.reason) {
+                    properties.reason = result.reason;
+                }
+            }
+            track('updateCheck', properties);
+
+            if (failure) {
+                error(failure.message);
+            } else {
+                success(result);
+            }
+        };
+
+        if (!config) {
+            finish(null, new Error('Invalid OTA configuration'));
+            return;
+        }
+
+        getLatestVersion(config).then(function(latestVersion) {
+            var currentVersion = getCurrentVersion();
+
+            // First check: the latest version is the one running
+            if (currentVersion === 'unknown') {
+                saveCurrentVersion(latestVersion);
+                currentVersion = latestVersion;
+            }
+            setValue('lastUpdateCheck', now());
+
+            if (latestVersion === currentVersion) {
+                return { hasUpdate: false, version: currentVersion };
+            }
+
+            var ruleReason = versionRuleReason(latestVersion);
+            if (ruleReason) {
+                console.log('[OSManualOTA] 📌 Version \'' + latestVersion + '\' not offered: ' + ruleReason);
+                return { hasUpdate: false, version: currentVersion, reason: ruleReason };
+            }
+
+            return isInRollout(latestVersion).then(function(eligible) {
+                if (!eligible) {
+                    console.log('[OSManualOTA] 🎲 Version \'' + latestVersion + '\' is not rolled out to this install yet');
+                    return { hasUpdate: false, version: currentVersion, reason: 'notInRollout' };
+                }
+
+                return Promise.all([
+                    updateMetadata(latestVersion),
+                    updateSeverity(latestVersion, currentVersion)
+                ]).then(function(results) {
+                    var metadata = results[0];
+                    var severity = metadata && metadata.severity ? raiseSeverity(results[1], metadata.severity) : results[1];
+
+                    var payload = mergeMetadata(metadata, {
+                        version: latestVersion,
+                        currentVersion: currentVersion,
+                        severity: severity
+                    });
+                    postEvent('updateAvailable', payload);
+                    track('updateAvailable', payload);
+
+                    return mergeMetadata(metadata, {
+                        hasUpdate: true,
+                        version: latestVersion,
+                        severity: severity
+                    });
+                });
+            });
+        }).then(function(result) {
+            finish(result, null);
+        }, function(failure) {
+            finish(null, failure);
+        });
+    },
+
+    estimateUpdate: function(success, error) {
+        var config = getConfiguration();
+        if (!config) {
+            error('Invalid OTA configuration');
+            return;
+        }
+
+        getModuleManifest(config).then(function(manifest) {
+            var changed = getChangedFiles(manifest.urlVersions);
+            var paths = Object.keys(changed).filter(function(path) {
+                return !isPatchedFile(path);
+            });
+            var totalFiles = Object.keys(manifest.urlVersions).length;
+
+            return Promise.all(paths.map(function(path) {
+                return request(resourceURL(config, path, changed[path]), { method: 'HEAD', cache: 'no-store' }).then(function(response) {
+                    var length = response.status === 200 ? response.headers.get('Content-Length') : null;
+                    return length === null ? null : parseInt(length, 10);
+                }, function() {
+                    return null;
+                });
+            })).then(function(lengths) {
+                var sized = lengths.filter(function(length) { return typeof length === 'number' && !isNaN(length); });
+                var bytes = sized.reduce(function(sum, length) { return sum + length; }, 0);
+
+                success({
+                    version: manifest.versionToken,
+                    hasUpdate: manifest.versionToken !== getCurrentVersion(),
+                    changedFiles: paths.length,
+                    unchangedFiles: totalFiles - paths.length,
+                    totalFiles: totalFiles,
+                    estimatedBytes: sized.length > 0 ? bytes : null,
+                    sizeComplete: sized.length === paths.length
+                });
+            });
+        }).catch(function(failure) {
+            error(failure.message);
+        });
+    },
+
+    downloadUpdate: function(success, error, args) {
+        var callbacks = {
+            progress: function(progress) {
+                success(progress, { keepCallback: true });
+            }
+        };
+
+        downloadUpdate('manual', args[0] || null, callbacks).then(function(outcome) {
+            if (outcome.deferred) {
+                success({ success: false, deferred: true, reason: outcome.deferred });
+            } else {
+                console.log('[OSManualOTA] ✅ Update ready! Reload the app to load the new version.');
+                success({ success: true });
+            }
+        }, function(failure) {
+            error(failure.message, { keepCallback: true });
+            error({ success: false });
+        });
+    },
+
+    applyUpdate: function(success, error) {
+        var downloadedVersion = getValue('downloadedVersion', null);
+        if (!downloadedVersion) {
+            error('No update available');
+            return;
+        }
+
+        var currentVersion = getCurrentVersion();
+        setValue('previousVersion', currentVersion);
+        saveCurrentVersion(downloadedVersion);
+        armHealthCheck(downloadedVersion, currentVersion);
+
+        var payload = { version: downloadedVersion, previousVersion: currentVersion };
+        postEvent('updateApplied', payload);
+        track('updateApplied', payload);
+
+        success({ success: true, message: 'Update will be applied on next app restart' });
+    },
+
+    rollback: function(success, error) {
+        rollbackToPrevious(null).then(function() {
+            success({ success: true, message: 'Rollback completed' });
+        }, function(failure) {
+            error(failure.message);
+        });
+    },
+
+    rollbackTo: function(success, error, args) {
+        var version = args[0];
+        if (typeof version !== 'string' || version === '') {
+            error('Invalid version: expected version token');
+            return;
+        }
+
+        rollbackTo(version, null).then(function() {
+            success({ success: true, version: version, message: 'Rollback completed' });
+        }, function(failure) {
+            error(failure.message);
+        });
+    },
+
+    markUpdateHealthy: function(success) {
+        var pending = getValue('pendingHealthCheck', null);
+        if (!pending) {
+            success({ version: getCurrentVersion(), wasPending: false });
+            return;
+        }
+
+        setValue('pendingHealthCheck', null);
+        console.log('[OSManualOTA] 🩺 Version ' + pending.version + ' marked healthy after ' + pending.launches + ' launch(es)');
+        success({ version: pending.version, wasPending: true });
+    },
+
+    reportUnhealthy: function(success, error, args) {
+        var message = typeof args[0] === 'string' ? args[0] : 'Fatal JavaScript error';
+        var pending = getValue('pendingHealthCheck', null);
+        var options = healthCheckOptions();
+
+        if (!pending || pending.version !== getCurrentVersion()) {
+            console.log('[OSManualOTA] 🩺 Fatal error reported outside a health check - ignoring: ' + message);
+        } else if (!options || !options.rollbackOnFatalError) {
+            console.log('[OSManualOTA] 🩺 Fatal error reported for ' + pending.version + ', rollbackOnFatalError is off: ' + message);
+        } else {
+            rollbackFailedHealthCheck(pending, 'fatalError', message);
+        }
+        success('Reported');
+    },
+
+    flushTelemetry: function(success) {
+        var queued = readJSON(TELEMETRY_QUEUE_KEY, []).length;
+        sendTelemetryBatch();
+        success({ queued: queued });
+    },
+
+    exportDiagnostics: function(success) {
+        getVersionInfo().then(function(info) {
+            success({
+                generatedAt: now(),
+                log: readJSON(DIAGNOSTICS_KEY, []),
+                versionInfo: info,
+                versionHistory: versionHistory(),
+                versionRules: getVersionRules(),
+                flags: {
+                    otaBlockingEnabled: blockingStatus().enabled,
+                    otaBlocking: blockingStatus(),
+                    splashBypassEnabled: localStorage.getItem(SPLASH_BYPASS_KEY) === 'true',
+                    remoteCommandsEnabled: !!getValue('remoteCommands', null)
+                },
+                configuration: redactedConfiguration()
+            });
+        });
+    },
+
+    getVersionHistory: function(success, error, args) {
+        success(versionHistory(typeof args[0] === 'string' ? args[0] : null));
+    },
+
+    setChannel: function(success, error, args) {
+        var name = args[0];
+        if (typeof name !== 'string' || name === '') {
+            error('Invalid parameter: expected channel name');
+            return;
+        }
+
+        var callbacks = {
+            progress: function(progress) {
+                success(progress, { keepCallback: true });
+            }
+        };
+
+        switchChannel(name, callbacks).then(success, function(failure) {
+            error(failure.message);
+        });
+    },
+
+    getChannel: function(success) {
+        success(channelInfo());
+    },
+
+    verifyRemoteCommand: function(success, error, args) {
+        var envelope = args[0];
+        if (!envelope || typeof envelope !== 'object') {
+            error('Invalid parameter: expected {command, signature}');
+            return;
+        }
+        verifyRemoteCommand(envelope).then(success, error);
+    },
+
+    forgetRemoteCommand: function(success, error, args) {
+        var id = args[0];
+        if (typeof id !== 'string' || !id) {
+            error('Invalid parameter: expected command id');
+            return;
+        }
+        forgetRemoteCommand(id);
+        success('Forgotten');
+    },
+
+    setVersionRetention: function(success, error, args) {
+        var count = args[0];
+        if (typeof count !== 'number' || count < 0 || Math.floor(count) !== count) {
+            error('Invalid parameter: expected non-negative integer');
+            return;
+        }
+
+        setValue('versionRetention', count);
+        console.log('[OSManualOTA] 🗂️ Keeping ' + count + ' past versions');
+        pruneRetainedVersions();
+        success({ retention: getVersionRetention() });
+    },
+
+    cancelDownload: function(success) {
+        if (getValue('deferredDownload', null)) {
+            setValue('deferredDownload', null);
+            console.log('[OSManualOTA] ⚠️ Deferred download cancelled');
+        }
+        if (activeDownload) {
+            activeDownload.cancelled = true;
+            activeDownload.controllers.forEach(function(controller) {
+                controller.abort();
+            });
+            console.log('[OSManualOTA] ⚠️ Download cancelled');
+        }
+        success('Download cancelled');
+    },
+
+    getVersionInfo: function(success) {
+        getVersionInfo().then(success);
+    },
+
+    setOTABlockingEnabled: function(success, error, args) {
+        booleanAction(success, error, args, function(enabled) {
+            setBlockingPolicy({ mode: enabled ? BlockingPolicy.Modes.ALWAYS : BlockingPolicy.Modes.NEVER });
+
+            var status = blockingStatus();
+            status.message = enabled ? 'OTA blocking enabled' : 'OTA blocking disabled';
+            return status;
+        });
+    },
+
+    setOTABlockingPolicy: function(success, error, args) {
+        var policy;
+        try {
+            policy = BlockingPolicy.normalize(args[0]);
+        } catch (e) {
+            error('Invalid parameter: expected blocking policy object');
+            return;
+        }
+        success(setBlockingPolicy(policy));
+    },
+
+    setOTABlockingSuspended: function(success, error, args) {
+        booleanAction(success, error, args, function(suspended) {
+            try {
+                if (suspended) {
+                    sessionStorage.setItem(BLOCKING_SUSPENDED_KEY, 'true');
+                } else {
+                    sessionStorage.removeItem(BLOCKING_SUSPENDED_KEY);
+                }
+            } catch (e) {
+                console.log('[OSManualOTA] ⚠️ Could not write ' + BLOCKING_SUSPENDED_KEY + ' to sessionStorage: ' + e);
+            }
+
+            var status = blockingStatus();
+            postEvent('blockingStatusChanged', status);
+            logDiagnostic('blocking', 'OTA blocking ' + (suspended ? 'suspended' : 'resumed'), 'info', status);
+            return status;
+        });
+    },
+
+    isOTABlockingEnabled: function(success) {
+        success(blockingStatus());
+    },
+
+    setUpdatePolicy: function(success, error, args) {
+        var policy = args[0];
+        if (!policy || typeof policy !== 'object') {
+            error('Invalid parameter: expected policy object');
+            return;
+        }
+        setValue('updatePolicy', policy);
+        success(policy);
+    },
+
+    setSplashBypassEnabled: function(success, error, args) {
+        booleanAction(success, error, args, function(enabled) {
+            localStorage.setItem(SPLASH_BYPASS_KEY, String(enabled));
+            return { enabled: enabled, message: enabled ? 'Splash bypass enabled' : 'Splash bypass disabled' };
+        });
+    },
+
+    isSplashBypassEnabled: function(success) {
+        success({ enabled: localStorage.getItem(SPLASH_BYPASS_KEY) === 'true' });
+    },
+
+    pinVersion: function(success, error, args) {
+        versionTokenAction(success, error, args, function(token) {
+            setValue('pinnedVersion', token);
+        });
+    },
+
+    unpinVersion: function(success) {
+        setValue('pinnedVersion', null);
+        success(getVersionRules());
+    },
+
+    blockVersion: function(success, error, args) {
+        versionTokenAction(success, error, args, function(token) {
+            var blocked = getValue('blockedVersions', []);
+            if (blocked.indexOf(token) === -1) {
+                blocked.push(token);
+            }
+            setValue('blockedVersions', blocked);
+        });
+    },
+
+    unblockVersion: function(success, error, args) {
+        versionTokenAction(success, error, args, function(token) {
+            setValue('blockedVersions', getValue('blockedVersions', []).filter(function(blocked) {
+                return blocked !== token;
+            }));
+        });
+    },
+
+    getVersionRules: function(success) {
+        success(getVersionRules());
+    },
+
+    // No background execution in a browser: the flags are stored and reported only
+    enableBackgroundUpdates: function(success, error, args) {
+        booleanAction(success, error, args, function(enabled) {
+            setValue('backgroundUpdatesEnabled', enabled);
+            return { enabled: enabled, message: enabled ? 'Background updates enabled' : 'Background updates disabled' };
+        });
+    },
+
+    isBackgroundFetchEnabled: function(success) {
+        success({ enabled: getValue('backgroundUpdatesEnabled', false) });
+    },
+
+    setBackgroundFetchInterval: function(success, error, args) {
+        var interval = args[0];
+        if (typeof interval !== 'number') {
+            error('Invalid parameter: expected number');
+            return;
+        }
+        setValue('backgroundFetchInterval', interval);
+        success({ interval: interval, message: 'Background fetch interval set to ' + interval + ' seconds' });
+    },
+
+    resetOTAState: function(success) {
+        localStorage.removeItem(CURRENT_VERSION_KEY);
+        ['downloadedVersion', 'assetHashes', 'previousVersion', 'lastUpdateCheck', 'updateAttempts',
+            'partialDownload', 'pendingHealthCheck', 'lastHealthCheckRollback',
+            'retainedVersions'].forEach(function(key) {
+            setValue(key, null);
+        });
+        Object.keys(releaseChannels()).forEach(function(channel) {
+            setValue(historyKey(channel), null);
+        });
+        setValue('versionHistory', null);
+
+        fileStore.clear().catch(function() {}).then(function() {
+            console.log('[OSManualOTA] ✅ OTA state reset complete');
+            success({ message: 'OTA state reset - all cached versions and hashes cleared' });
+        });
+    }
+};
+
+window.addEventListener('online', resumeDeferredDownloadIfPossible, false);
+scheduleTelemetryFlush();
+evaluateHealthCheckOnLaunch();
+
+require('cordova/exec/proxy').add('OSManualOTA', module.exports);
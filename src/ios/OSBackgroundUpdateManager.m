@@ -22,7 +22,12 @@
     - (void)downloadUpdateWithProgressHandler:(void (^ _Nullable)(NSInteger, NSInteger, NSInteger))progressHandler
                                   errorHandler:(void (^ _Nullable)(NSString * _Nonnull))errorHandler
                                     completion:(void (^)(BOOL))completion;
+    - (void)downloadUpdateWithTrigger:(NSString * _Nonnull)trigger
+                      progressHandler:(void (^ _Nullable)(NSInteger, NSInteger, NSInteger))progressHandler
+                         errorHandler:(void (^ _Nullable)(NSString * _Nonnull))errorHandler
+                           completion:(void (^)(BOOL))completion;
     - (void)applyUpdateWithCompletion:(void (^)(BOOL, NSError * _Nullable))completion;
+    - (NSString * _Nullable)policyBlockReasonForStep:(NSString * _Nonnull)step isBackground:(BOOL)isBackground;
     @end
 #endif
 
@@ -66,6 +71,16 @@
 
 - (void)performBackgroundFetchWithCompletion:(void (^)(UIBackgroundFetchResult))completion {
     NSLog(@"🔄 Background Fetch triggered - checking for OTA updates...");
+    [self.otaManager trackTelemetryEvent:@"backgroundWake" properties:@{@"trigger": @"background_fetch"}];
+
+    // Respect the update policy set from JavaScript (quiet hours, min interval, ...)
+    NSString *checkBlockReason = [self.otaManager policyBlockReasonForStep:@"check" isBackground:YES];
+    if (checkBlockReason) {
+        NSLog(@"⏸️ Background check skipped by update policy: %@", checkBlockReason);
+        [self postBackgroundCheckSkippedWithTrigger:@"background_fetch" version:nil reason:checkBlockReason];
+        completion(UIBackgroundFetchResultNoData);
+        return;
+    }
 
     // Start background task to ensure we have time to complete
     [self startBackgroundTask];
@@ -80,6 +95,11 @@
 
         if (error) {
             NSLog(@"❌ Background fetch check failed: %@", error.localizedDescription);
+            [strongSelf postBackgroundCheckCompletedWithTrigger:@"background_fetch"
+                                                      hasUpdate:NO
+                                                        version:nil
+                                                     downloaded:NO
+                                                   errorMessage:error.localizedDescription];
             [strongSelf endBackgroundTask];
             completion(UIBackgroundFetchResultFailed);
             return;
@@ -88,8 +108,22 @@
         if (hasUpdate) {
             NSLog(@"✅ Update available: %@", version ?: @"unknown");
 
+            NSString *downloadBlockReason = [strongSelf.otaManager policyBlockReasonForStep:@"download" isBackground:YES];
+            if (downloadBlockReason) {
+                NSLog(@"⏸️ Background download skipped by update policy: %@", downloadBlockReason);
+                [strongSelf postBackgroundCheckSkippedWithTrigger:@"background_fetch" version:version reason:downloadBlockReason];
+                [strongSelf endBackgroundTask];
+                completion(UIBackgroundFetchResultNoData);
+                return;
+            }
+
             // Download the update in background
-            [strongSelf downloadUpdateInBackgroundWithCompletion:^(BOOL success) {
+            [strongSelf downloadUpdateInBackgroundWithTrigger:@"background_fetch" completion:^(BOOL success) {
+                [strongSelf postBackgroundCheckCompletedWithTrigger:@"background_fetch"
+                                                          hasUpdate:YES
+                                                            version:version
+                                                         downloaded:success
+                                                       errorMessage:nil];
                 [strongSelf endBackgroundTask];
                 if (success) {
                     NSLog(@"✅ Background update download completed");
@@ -104,6 +138,11 @@
             }];
         } else {
             NSLog(@"ℹ️ No update available");
+            [strongSelf postBackgroundCheckCompletedWithTrigger:@"background_fetch"
+                                                      hasUpdate:NO
+                                                        version:version
+                                                     downloaded:NO
+                                                   errorMessage:nil];
             [strongSelf endBackgroundTask];
             completion(UIBackgroundFetchResultNoData);
         }
@@ -131,6 +170,7 @@
 
 - (void)handleAppRefreshTask:(BGAppRefreshTask *)task API_AVAILABLE(ios(13.0)) {
     NSLog(@"🔄 BGAppRefreshTask triggered - checking for OTA updates...");
+    [self.otaManager trackTelemetryEvent:@"backgroundWake" properties:@{@"trigger": @"app_refresh"}];
 
     // Schedule next refresh
     [self scheduleAppRefreshTask];
@@ -187,11 +227,14 @@
     BOOL immediate = [otaInfo[@"immediate"] boolValue];
 
     NSLog(@"📦 OTA update push received for version: %@, immediate: %d", version ?: @"unknown", immediate);
+    [self.otaManager trackTelemetryEvent:@"backgroundWake"
+                              properties:@{@"trigger": @"silent_push", @"version": version ?: [NSNull null]}];
 
     // Start background task
     [self startBackgroundTask];
 
     // Handle foreground vs background
+    NSString *downloadBlockReason = nil;
     if ([UIApplication sharedApplication].applicationState == UIApplicationStateActive) {
         NSLog(@"ℹ️ App in foreground - scheduling download for later");
         // Schedule download for next background opportunity
@@ -201,12 +244,22 @@
         // }
         [self endBackgroundTask];
         completion(UIBackgroundFetchResultNewData);
+    } else if ((downloadBlockReason = [self.otaManager policyBlockReasonForStep:@"download" isBackground:YES])) {
+        NSLog(@"⏸️ Push download skipped by update policy: %@", downloadBlockReason);
+        [self postBackgroundCheckSkippedWithTrigger:@"silent_push" version:version reason:downloadBlockReason];
+        [self endBackgroundTask];
+        completion(UIBackgroundFetchResultNoData);
     } else {
         NSLog(@"⬇️ App in background - downloading update now");
         // Download immediately in background
         __weak OSBackgroundUpdateManager *weakSelf = self;
-        [self downloadUpdateInBackgroundWithCompletion:^(BOOL success) {
+        [self downloadUpdateInBackgroundWithTrigger:@"silent_push" completion:^(BOOL success) {
             __strong OSBackgroundUpdateManager *strongSelf = weakSelf;
+            [strongSelf postBackgroundCheckCompletedWithTrigger:@"silent_push"
+                                                      hasUpdate:YES
+                                                        version:version
+                                                     downloaded:success
+                                                   errorMessage:nil];
             [strongSelf endBackgroundTask];
             completion(success ? UIBackgroundFetchResultNewData : UIBackgroundFetchResultFailed);
         }];
@@ -230,7 +283,7 @@
         }
 
         if (hasUpdate) {
-            [strongSelf downloadUpdateInBackgroundWithCompletion:^(BOOL success) {
+            [strongSelf downloadUpdateInBackgroundWithTrigger:@"background_fetch" completion:^(BOOL success) {
                 completion(success ? UIBackgroundFetchResultNewData : UIBackgroundFetchResultFailed);
             }];
         } else {
@@ -239,11 +292,11 @@
     }];
 }
 
-- (void)downloadUpdateInBackgroundWithCompletion:(void (^)(BOOL))completion {
+- (void)downloadUpdateInBackgroundWithTrigger:(NSString *)trigger completion:(void (^)(BOOL))completion {
     NSDate *startTime = [NSDate date];
 
     __weak OSBackgroundUpdateManager *weakSelf = self;
-    [self.otaManager downloadUpdateWithProgressHandler:^(NSInteger downloaded, NSInteger total, NSInteger skipped) {
+    [self.otaManager downloadUpdateWithTrigger:trigger progressHandler:^(NSInteger downloaded, NSInteger total, NSInteger skipped) {
         NSLog(@"⬇️ Progress: %ld/%ld files downloaded, %ld skipped", (long)downloaded, (long)total, (long)skipped);
     } errorHandler:^(NSString * _Nonnull error) {
         NSLog(@"❌ Download error: %@", error);
@@ -263,6 +316,66 @@
     }];
 }
 
+#pragma mark - Events
+
+/**
+ * Posts OSManualOTA.backgroundCheckCompleted; OSManualOTAPlugin forwards it to JavaScript
+ */
+- (void)postBackgroundCheckCompletedWithTrigger:(NSString *)trigger
+                                      hasUpdate:(BOOL)hasUpdate
+                                        version:(NSString * _Nullable)version
+                                     downloaded:(BOOL)downloaded
+                                   errorMessage:(NSString * _Nullable)errorMessage {
+    NSMutableDictionary *userInfo = [@{
+        @"trigger": trigger,
+        @"hasUpdate": @(hasUpdate),
+        @"downloaded": @(downloaded),
+        @"timestamp": @([[NSDate date] timeIntervalSince1970])
+    } mutableCopy];
+
+    if (version) {
+        userInfo[@"version"] = version;
+    }
+    if (errorMessage) {
+        userInfo[@"error"] = errorMessage;
+    }
+
+    NSString *message = errorMessage ? @"Background check failed" :
+        (downloaded ? @"Background update downloaded" :
+         (hasUpdate ? @"Background update found but not downloaded" : @"Background check found no update"));
+    [self.otaManager logDiagnostic:@"background" message:message details:userInfo];
+
+    [[NSNotificationCenter defaultCenter] postNotificationName:@"OSManualOTA.backgroundCheckCompleted"
+                                                        object:nil
+                                                      userInfo:userInfo];
+}
+
+/**
+ * Posts OSManualOTA.backgroundCheckCompleted for a run the update policy did not allow
+ */
+- (void)postBackgroundCheckSkippedWithTrigger:(NSString *)trigger
+                                      version:(NSString * _Nullable)version
+                                       reason:(NSString *)reason {
+    NSMutableDictionary *userInfo = [@{
+        @"trigger": trigger,
+        @"hasUpdate": @(version != nil),
+        @"downloaded": @NO,
+        @"skipped": @YES,
+        @"reason": reason,
+        @"timestamp": @([[NSDate date] timeIntervalSince1970])
+    } mutableCopy];
+
+    if (version) {
+        userInfo[@"version"] = version;
+    }
+
+    [self.otaManager logDiagnostic:@"background" message:@"Background run skipped by update policy" details:userInfo];
+
+    [[NSNotificationCenter defaultCenter] postNotificationName:@"OSManualOTA.backgroundCheckCompleted"
+                                                        object:nil
+                                                      userInfo:userInfo];
+}
+
 #pragma mark - Background Task Management
 
 - (void)startBackgroundTask {
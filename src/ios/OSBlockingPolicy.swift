@@ -0,0 +1,131 @@
+//
+//  OSBlockingPolicy.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Automatic OTA blocking policy (always, never, scheduled, untilDate, afterNLaunches).
+//  Mirrors www/OSManualOTABlocking.js and the OutSystemsManifestLoader hook - keep all three in sync.
+//
+
+import Foundation
+
+// MARK: - Blocking Modes
+enum OSBlockingMode: String {
+    case always
+    case never
+    case scheduled
+    case untilDate
+    case afterNLaunches
+}
+
+// MARK: - Blocking Window
+struct OSBlockingWindow {
+    let startMinutes: Int
+    let endMinutes: Int
+    let days: [Int]?               // 0 = Sunday ... 6 = Saturday, nil = every day
+
+    /// Parses {start: "HH:MM", end: "HH:MM", days?: [0-6]}
+    init?(dictionary: [String: Any]) {
+        guard let start = OSBlockingWindow.minutes(of: dictionary["start"] as? String),
+              let end = OSBlockingWindow.minutes(of: dictionary["end"] as? String) else {
+            return nil
+        }
+        self.startMinutes = start
+        self.endMinutes = end
+        self.days = (dictionary["days"] as? [NSNumber])?.map { $0.intValue }
+    }
+
+    /// Whether a date falls inside the window; windows may wrap midnight (e.g. 22:00 - 02:00),
+    /// in which case `days` refers to the day the window starts
+    func contains(_ date: Date, calendar: Calendar = .current) -> Bool {
+        let components = calendar.dateComponents([.hour, .minute, .weekday], from: date)
+        let minutes = (components.hour ?? 0) * 60 + (components.minute ?? 0)
+        var day = (components.weekday ?? 1) - 1
+
+        if startMinutes == endMinutes {
+            return false
+        }
+
+        let inside: Bool
+        if startMinutes < endMinutes {
+            inside = minutes >= startMinutes && minutes < endMinutes
+        } else if minutes >= startMinutes {
+            inside = true
+        } else {
+            inside = minutes < endMinutes
+            // After midnight: the window started the day before
+            day = (day + 6) % 7
+        }
+
+        return inside && (days?.contains(day) ?? true)
+    }
+
+    private static func minutes(of time: String?) -> Int? {
+        guard let parts = time?.split(separator: ":"), parts.count == 2,
+              let hours = Int(parts[0]), let minutes = Int(parts[1]),
+              (0...23).contains(hours), (0...59).contains(minutes) else {
+            return nil
+        }
+        return hours * 60 + minutes
+    }
+}
+
+// MARK: - Blocking Decision
+struct OSBlockingDecision {
+    let enabled: Bool
+    let mode: OSBlockingMode
+    let reason: String
+}
+
+// MARK: - Blocking Policy
+struct OSBlockingPolicy {
+    let mode: OSBlockingMode
+    let windows: [OSBlockingWindow]
+    let until: Date?
+    let launches: Int
+
+    static let always = OSBlockingPolicy(dictionary: ["mode": OSBlockingMode.always.rawValue])!
+    static let never = OSBlockingPolicy(dictionary: ["mode": OSBlockingMode.never.rawValue])!
+
+    /// Builds a policy from the dictionary passed to OSManualOTA.setOTABlockingPolicy
+    /// (already normalized by JavaScript: `until` in milliseconds since epoch)
+    init?(dictionary: [String: Any]?) {
+        guard let dictionary = dictionary,
+              let mode = OSBlockingMode(rawValue: dictionary["mode"] as? String ?? "") else {
+            return nil
+        }
+        self.mode = mode
+        self.windows = (dictionary["windows"] as? [[String: Any]] ?? []).compactMap { OSBlockingWindow(dictionary: $0) }
+        self.until = (dictionary["until"] as? NSNumber).map { Date(timeIntervalSince1970: $0.doubleValue / 1000) }
+        self.launches = (dictionary["launches"] as? NSNumber)?.intValue ?? 0
+
+        switch mode {
+        case .scheduled where windows.isEmpty, .untilDate where until == nil, .afterNLaunches where launches < 1:
+            return nil
+        default:
+            break
+        }
+    }
+
+    /// Whether automatic OTA is blocked now
+    /// - Parameter launches: launches since the policy was set, including the current one
+    func evaluate(now: Date = Date(), launches launchCount: Int = 0) -> OSBlockingDecision {
+        switch mode {
+        case .always:
+            return OSBlockingDecision(enabled: true, mode: mode, reason: "always")
+        case .never:
+            return OSBlockingDecision(enabled: false, mode: mode, reason: "never")
+        case .scheduled:
+            return windows.contains { $0.contains(now) }
+                ? OSBlockingDecision(enabled: false, mode: mode, reason: "insideWindow")
+                : OSBlockingDecision(enabled: true, mode: mode, reason: "outsideWindow")
+        case .untilDate:
+            return now < (until ?? .distantPast)
+                ? OSBlockingDecision(enabled: true, mode: mode, reason: "beforeDate")
+                : OSBlockingDecision(enabled: false, mode: mode, reason: "dateReached")
+        case .afterNLaunches:
+            return launchCount <= launches
+                ? OSBlockingDecision(enabled: true, mode: mode, reason: "launchesRemaining")
+                : OSBlockingDecision(enabled: false, mode: mode, reason: "launchesReached")
+        }
+    }
+}
@@ -0,0 +1,116 @@
+//
+//  OSDiagnostics.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Persistent ring-buffer log of plugin decisions, exported with OSManualOTA.exportDiagnostics()
+//
+
+import Foundation
+
+// MARK: - Diagnostics Categories
+enum OSDiagnosticsCategory: String {
+    case blocking
+    case versionSync
+    case cacheSwap
+    case background
+    case update
+    case configuration
+}
+
+// MARK: - Diagnostics Log
+/// Keeps the last `capacity` entries {timestamp, source, level, category, message, details?}
+/// in UserDefaults so they survive relaunches.
+final class OSDiagnosticsLog {
+    static let shared = OSDiagnosticsLog()
+
+    static let capacity = 500
+
+    private let defaults = UserDefaults.standard
+    private let queue = DispatchQueue(label: "com.outsystems.manual-ota.diagnostics")
+    private lazy var entries: [[String: Any]] = loadEntries()
+
+    private init() {}
+
+    func log(_ category: OSDiagnosticsCategory, _ message: String, level: String = "info", details: [String: Any]? = nil) {
+        log(category: category.rawValue, message: message, level: level, details: details)
+    }
+
+    func log(category: String, message: String, level: String = "info", details: [String: Any]? = nil) {
+        var entry: [String: Any] = [
+            "timestamp": Date().timeIntervalSince1970,
+            "source": "native",
+            "level": level,
+            "category": category,
+            "message": message
+        ]
+        if let details = details, JSONSerialization.isValidJSONObject(details) {
+            entry["details"] = details
+        }
+
+        queue.async {
+            self.entries.append(entry)
+            if self.entries.count > OSDiagnosticsLog.capacity {
+                self.entries.removeFirst(self.entries.count - OSDiagnosticsLog.capacity)
+            }
+            self.saveEntries()
+        }
+    }
+
+    /// Oldest first
+    func allEntries() -> [[String: Any]] {
+        return queue.sync { entries }
+    }
+
+    func clear() {
+        queue.async {
+            self.entries = []
+            self.defaults.removeObject(forKey: OSStorageKey.diagnosticsLog)
+        }
+    }
+
+    // JSON rather than a property list: details may contain nulls
+    private func loadEntries() -> [[String: Any]] {
+        guard let data = defaults.data(forKey: OSStorageKey.diagnosticsLog),
+              let entries = try? JSONSerialization.jsonObject(with: data) as? [[String: Any]] else {
+            return []
+        }
+        return entries
+    }
+
+    private func saveEntries() {
+        if let data = try? JSONSerialization.data(withJSONObject: entries) {
+            defaults.set(data, forKey: OSStorageKey.diagnosticsLog)
+        }
+    }
+}
+
+// MARK: - Redaction
+enum OSDiagnosticsRedaction {
+    static let placeholder = "<redacted>"
+
+    /// Drops query strings and credentials, which may carry tokens
+    static func url(_ value: String?) -> Any {
+        guard let value = value else {
+            return NSNull()
+        }
+        guard var components = URLComponents(string: value) else {
+            return placeholder
+        }
+        if components.query != nil {
+            components.percentEncodedQuery = "redacted"
+        }
+        if components.user != nil || components.password != nil {
+            components.user = nil
+            components.password = nil
+        }
+        return components.string ?? placeholder
+    }
+
+    /// Keeps header names, hides their values
+    static func headers(_ headers: [String: String]?) -> Any {
+        guard let headers = headers else {
+            return NSNull()
+        }
+        return headers.mapValues { _ in placeholder }
+    }
+}
@@ -0,0 +1,54 @@
+//
+//  OSHealthCheck.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Health-check contract for applied updates: the app calls markUpdateHealthy() within a
+//  timeout or a number of launches, otherwise the update is rolled back automatically
+//
+
+import Foundation
+
+// MARK: - Health Check Options
+struct OSHealthCheckOptions {
+    let timeout: TimeInterval      // seconds after the first launch of the new version, 0 = no timeout
+    let maxLaunches: Int           // launches of the new version without markUpdateHealthy, 0 = unlimited
+    let rollbackOnFatalError: Bool // roll back when the bootstrap reports an early fatal JS error
+
+    /// Builds options from the `healthCheck` object passed to configure
+    init(dictionary: [String: Any]?) {
+        let dictionary = dictionary ?? [:]
+        self.timeout = max((dictionary["timeout"] as? NSNumber)?.doubleValue ?? 60, 0)
+        self.maxLaunches = max((dictionary["maxLaunches"] as? NSNumber)?.intValue ?? 2, 0)
+        self.rollbackOnFatalError = (dictionary["rollbackOnFatalError"] as? NSNumber)?.boolValue ?? true
+    }
+}
+
+// MARK: - Pending Health Check
+/// An applied version still waiting for markUpdateHealthy()
+struct OSPendingHealthCheck: Codable {
+    let version: String
+    let previousVersion: String
+    let appliedAt: Date
+    var launches: Int
+    var firstLaunchAt: Date?
+
+    func toDictionary(options: OSHealthCheckOptions) -> [String: Any] {
+        var dictionary: [String: Any] = [
+            "version": version,
+            "previousVersion": previousVersion,
+            "appliedAt": appliedAt.timeIntervalSince1970,
+            "launches": launches,
+            "maxLaunches": options.maxLaunches
+        ]
+        if let firstLaunchAt = firstLaunchAt, options.timeout > 0 {
+            dictionary["deadline"] = firstLaunchAt.addingTimeInterval(options.timeout).timeIntervalSince1970
+        }
+        return dictionary
+    }
+}
+
+// MARK: - Health Check Reasons
+enum OSHealthCheckReason {
+    static let timeout = "healthCheckTimeout"
+    static let fatalError = "fatalError"
+}
@@ -0,0 +1,154 @@
+//
+//  OSIntegrity.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Integrity verification: downloaded files are checked against the hash the module manifest
+//  lists for them, and the manifest itself can be signed with a key given in configure
+//
+
+import Foundation
+import CryptoKit
+
+// MARK: - File Hashes
+enum OSContentHash {
+    /// Hash carried in the resource query ("path?<hash>"), when it looks like a digest we can check
+    static func expectedHash(for url: URL) -> String? {
+        guard let query = url.query?.lowercased(),
+              [32, 40, 64].contains(query.count),
+              query.allSatisfy({ $0.isHexDigit }) else {
+            return nil
+        }
+        return query
+    }
+
+    /// Digest of the data using the algorithm implied by the expected hash length (MD5, SHA-1 or SHA-256)
+    static func matches(_ data: Data, expected: String) -> Bool {
+        let digest: String
+        switch expected.count {
+        case 32:
+            digest = hex(Insecure.MD5.hash(data: data))
+        case 40:
+            digest = hex(Insecure.SHA1.hash(data: data))
+        default:
+            digest = hex(SHA256.hash(data: data))
+        }
+        return digest == expected
+    }
+
+    /// True when there is nothing to check against, or the data matches
+    static func passes(_ data: Data, expected: String?) -> Bool {
+        guard let expected = expected else {
+            return true
+        }
+        return matches(data, expected: expected)
+    }
+
+    private static func hex<D: Sequence>(_ digest: D) -> String where D.Element == UInt8 {
+        return digest.map { String(format: "%02x", $0) }.joined()
+    }
+}
+
+// MARK: - Integrity Report
+/// Verification results for the files of one version, collected while it downloads
+final class OSIntegrityReport {
+    let version: String
+    private(set) var verified = 0
+    private(set) var unverifiable = 0
+    private(set) var mismatched: [String] = []
+    private let lock = NSLock()
+
+    init(version: String) {
+        self.version = version
+    }
+
+    func recordVerified() {
+        lock.lock(); defer { lock.unlock() }
+        verified += 1
+    }
+
+    func recordUnverifiable() {
+        lock.lock(); defer { lock.unlock() }
+        unverifiable += 1
+    }
+
+    func recordMismatch(_ path: String) {
+        lock.lock(); defer { lock.unlock() }
+        mismatched.append(path)
+    }
+
+    var passed: Bool {
+        lock.lock(); defer { lock.unlock() }
+        return mismatched.isEmpty
+    }
+
+    func toDictionary() -> [String: Any] {
+        lock.lock(); defer { lock.unlock() }
+        return [
+            "version": version,
+            "verified": verified,
+            "unverifiable": unverifiable,
+            "mismatched": mismatched
+        ]
+    }
+}
+
+// MARK: - Manifest Signature
+/// Verifies a detached signature over the manifest with the public key given in configure.
+/// Supported keys (base64): raw 32-byte Ed25519, or P-256 in raw (x9.63) or DER (SubjectPublicKeyInfo) form.
+struct OSManifestSignatureVerifier {
+    private enum Key {
+        case ed25519(Curve25519.Signing.PublicKey)
+        case p256(P256.Signing.PublicKey)
+    }
+
+    private let key: Key
+
+    init?(base64PublicKey: String) {
+        guard let data = Data(base64Encoded: base64PublicKey.trimmingCharacters(in: .whitespacesAndNewlines)) else {
+            return nil
+        }
+        if data.count == 32, let key = try? Curve25519.Signing.PublicKey(rawRepresentation: data) {
+            self.key = .ed25519(key)
+        } else if let key = try? P256.Signing.PublicKey(x963Representation: data) {
+            self.key = .p256(key)
+        } else if let key = try? P256.Signing.PublicKey(derRepresentation: data) {
+            self.key = .p256(key)
+        } else {
+            return nil
+        }
+    }
+
+    /// Bytes covered by the signature: the version token, then one "path<TAB>hash" line per
+    /// resource sorted by path, each line ending with "\n"
+    static func signedPayload(for manifest: OSModuleManifest) -> Data {
+        var payload = manifest.versionToken + "\n"
+        for path in manifest.urlVersions.keys.sorted() {
+            payload += "\(path)\t\(manifest.urlVersions[path] ?? "")\n"
+        }
+        return Data(payload.utf8)
+    }
+
+    func isValid(signature base64Signature: String, for manifest: OSModuleManifest) -> Bool {
+        return isValid(signature: base64Signature, for: OSManifestSignatureVerifier.signedPayload(for: manifest))
+    }
+
+    /// Detached signature over arbitrary bytes (also used for remote commands)
+    func isValid(signature base64Signature: String, for payload: Data) -> Bool {
+        guard let signature = Data(base64Encoded: base64Signature.trimmingCharacters(in: .whitespacesAndNewlines)) else {
+            return false
+        }
+
+        switch key {
+        case .ed25519(let key):
+            return key.isValidSignature(signature, for: payload)
+        case .p256(let key):
+            if let ecdsa = try? P256.Signing.ECDSASignature(derRepresentation: signature) {
+                return key.isValidSignature(ecdsa, for: payload)
+            }
+            if let ecdsa = try? P256.Signing.ECDSASignature(rawRepresentation: signature) {
+                return key.isValidSignature(ecdsa, for: payload)
+            }
+            return false
+        }
+    }
+}
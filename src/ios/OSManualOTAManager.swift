@@ -20,6 +20,12 @@ import ObjectiveC
     private var currentStatus: OSUpdateStatus = .notAvailable
     private var isDownloading = false
     private var downloadCancelled = false
+    // Lifted by triggerAutomaticOTA for the current app session only
+    private var otaBlockingSuspended = false
+    // Channel a switch is downloading for; the version history follows it until the switch ends
+    private var switchingToChannel: String?
+    // The health check counts one launch per app process
+    private var healthCheckLaunchEvaluated = false
 
     // Callback handlers
     private var progressHandler: ((Int, Int, Int) -> Void)?
@@ -28,12 +34,24 @@ import ObjectiveC
     // Storage
     private let defaults = UserDefaults.standard
 
+    // Network conditions for download options; resumes deferred downloads on changes
+    private lazy var networkMonitor: OSNetworkMonitor = {
+        let monitor = OSNetworkMonitor()
+        monitor.onChange = { [weak self] _ in
+            self?.resumeDeferredDownloadIfPossible()
+        }
+        return monitor
+    }()
+
     // MARK: - Initialization
     private override init() {
         super.init()
         loadConfiguration()
         checkForCrashOnLastUpdate()
 
+        // Start watching the network so a deferred download resumes when conditions match
+        _ = networkMonitor
+
         // Note: No need to check for pending swaps anymore
         // Cache swaps happen immediately after download completes
     }
@@ -115,6 +133,311 @@ import ObjectiveC
         }
 
         print("[OSManualOTA] 🔧 configure() complete. Final currentVersion: '\(getCurrentVersion())'")
+        diagnostics.log(.configuration, "Configured for \(hostname)/\(normalizedAppPath)", details: [
+            "currentVersion": getCurrentVersion(),
+            "versionFromJavaScript": currentVersion ?? NSNull()
+        ])
+    }
+
+    /// Staged rollout settings: a rollout document URL (absolute, or relative to baseURL),
+    /// an inline rollout document, and the cohorts this install belongs to
+    @objc public func configureRollout(url: String?, document: [String: Any]?, cohorts: [String]) {
+        defaults.set(url, forKey: OSStorageKey.rolloutURL)
+        defaults.set(cohorts, forKey: OSStorageKey.rolloutCohorts)
+
+        if let document = document,
+           let data = try? JSONSerialization.data(withJSONObject: document) {
+            defaults.set(data, forKey: OSStorageKey.rolloutDocument)
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.rolloutDocument)
+        }
+
+        print("[OSManualOTA] 🎲 Rollout configured - url: \(url ?? "nil"), inline: \(document != nil), cohorts: \(cohorts)")
+    }
+
+    /// Severity rules: a severity document URL (absolute, or relative to baseURL) fetched on every
+    /// check, and/or an inline document with minimumVersion, releases, unsupportedVersions, defaultSeverity
+    /// and per-version severities
+    @objc public func configureSeverity(url: String?, document: [String: Any]?) {
+        defaults.set(url, forKey: OSStorageKey.severityURL)
+
+        if let document = document,
+           let data = try? JSONSerialization.data(withJSONObject: document) {
+            defaults.set(data, forKey: OSStorageKey.severityDocument)
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.severityDocument)
+        }
+
+        print("[OSManualOTA] 🚨 Severity rules configured - url: \(url ?? "nil"), inline: \(document != nil)")
+    }
+
+    /// Metadata source: URL template (absolute, or relative to baseURL) where "{version}" is replaced
+    /// by the version token; the response carries releaseNotes, versionLabel, publishedAt and severity
+    @objc public func configureMetadata(urlTemplate: String?) {
+        defaults.set(urlTemplate, forKey: OSStorageKey.metadataURL)
+        print("[OSManualOTA] 📝 Metadata source configured: \(urlTemplate ?? "nil")")
+    }
+
+    /// Built-in telemetry reporter: endpoint, headers, batchSize, flushInterval, maxQueueSize (nil disables it)
+    @objc public func configureTelemetry(_ options: [String: Any]?) {
+        OSTelemetry.shared.configure(options)
+    }
+
+    /// Per-file retry settings: maxRetries, initialDelay, maxDelay, multiplier and jitter
+    @objc public func configureRetryPolicy(_ policy: [String: Any]?) {
+        if let policy = policy {
+            defaults.set(policy, forKey: OSStorageKey.retryPolicy)
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.retryPolicy)
+        }
+
+        let retryPolicy = OSRetryPolicy(dictionary: policy)
+        print("[OSManualOTA] 🔁 Retry policy configured - maxRetries: \(retryPolicy.maxRetries), initialDelay: \(retryPolicy.initialDelay)s, maxDelay: \(retryPolicy.maxDelay)s")
+    }
+
+    /// Manifest signing: base64 public key (Ed25519 or P-256) and an optional URL of the detached
+    /// signature (absolute or relative to baseURL, "{version}" is replaced by the version token).
+    /// Without a key manifests are accepted unsigned; file hashes are always verified.
+    @objc public func configureIntegrity(publicKey: String?, signatureURL: String?) {
+        defaults.set(publicKey, forKey: OSStorageKey.manifestPublicKey)
+        defaults.set(signatureURL, forKey: OSStorageKey.manifestSignatureURL)
+
+        if let publicKey = publicKey, OSManifestSignatureVerifier(base64PublicKey: publicKey) == nil {
+            print("[OSManualOTA] ⚠️ Manifest public key is not a valid Ed25519 or P-256 key - every manifest will be rejected")
+        }
+        print("[OSManualOTA] 🔏 Manifest signing \(publicKey != nil ? "required" : "not configured")")
+    }
+
+    /// Keys remote commands must be signed with: {hmacKey (shared secret), publicKey (base64 Ed25519 or P-256)}.
+    /// Without a key every remote command is rejected.
+    @objc public func configureRemoteCommands(_ options: [String: Any]?) {
+        if let options = options {
+            defaults.set(options, forKey: OSStorageKey.remoteCommandOptions)
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.remoteCommandOptions)
+        }
+        let enabled = OSRemoteCommandVerifier(options: options) != nil
+        print("[OSManualOTA] 📨 Remote commands \(enabled ? "enabled" : "disabled")")
+    }
+
+    /// Health-check contract for applied updates (nil disables it)
+    @objc public func configureHealthCheck(_ options: [String: Any]?) {
+        if let options = options {
+            defaults.set(options, forKey: OSStorageKey.healthCheckOptions)
+            let healthCheck = OSHealthCheckOptions(dictionary: options)
+            print("[OSManualOTA] 🩺 Health check enabled - timeout: \(healthCheck.timeout)s, maxLaunches: \(healthCheck.maxLaunches)")
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.healthCheckOptions)
+            defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+        }
+    }
+
+    // MARK: - Release Channels
+    /// Named channels besides the default one, which is the configuration passed to configure().
+    /// Points the configuration at the selected channel when it is not the default one.
+    @objc public func configureChannels(_ channels: [String: Any]?, defaultChannel: String?) {
+        guard let config = configuration else {
+            return
+        }
+
+        let defaultName = defaultChannel.flatMap { $0.isEmpty ? nil : $0 } ?? OSReleaseChannels.defaultChannelName
+        var all = OSReleaseChannels.parse(channels)
+        all[defaultName] = OSReleaseChannel(name: defaultName, configuration: config)
+
+        defaults.set(all.mapValues { $0.toDictionary() }, forKey: OSStorageKey.releaseChannels)
+        defaults.set(defaultName, forKey: OSStorageKey.defaultChannel)
+
+        let current = getCurrentChannel()
+        if current != defaultName, let channel = all[current] {
+            configuration = channel.configuration
+            saveConfiguration()
+        }
+
+        print("[OSManualOTA] 📡 Release channels: \(all.keys.sorted()) - current: \(current)")
+        diagnostics.log(.configuration, "Release channel \(current)", details: [
+            "channels": all.keys.sorted(),
+            "defaultChannel": defaultName
+        ])
+    }
+
+    /// Channel whose environment updates are checked and downloaded from
+    @objc public func getCurrentChannel() -> String {
+        if let selected = defaults.string(forKey: OSStorageKey.currentChannel), releaseChannels()[selected] != nil {
+            return selected
+        }
+        return defaultChannelName()
+    }
+
+    /// {channel, defaultChannel, channels, baseURL, hostname, applicationPath}
+    @objc public func channelInfo() -> [String: Any] {
+        let channel = getCurrentChannel()
+        var info: [String: Any] = [
+            "channel": channel,
+            "defaultChannel": defaultChannelName(),
+            "channels": releaseChannels().keys.sorted()
+        ]
+        if let config = configuration {
+            info["baseURL"] = config.baseURL
+            info["hostname"] = config.hostname
+            info["applicationPath"] = config.applicationPath
+        }
+        return info
+    }
+
+    /// Switches to another release channel with a full download of its latest version.
+    /// The switch is only committed once the download succeeds; on failure the previous channel,
+    /// its configuration and its file hashes stay in place.
+    /// - Parameter completion: result {channel, previousChannel, version, downloaded}, or an error message
+    func switchChannel(
+        _ name: String,
+        progressHandler: ((Int, Int, Int) -> Void)? = nil,
+        completion: @escaping ([String: Any]?, String?) -> Void
+    ) {
+        guard let channel = releaseChannels()[name] else {
+            completion(nil, "Invalid parameter: unknown channel '\(name)'")
+            return
+        }
+
+        let previousChannel = getCurrentChannel()
+        guard name != previousChannel else {
+            completion(["channel": name, "previousChannel": previousChannel, "version": getCurrentVersion(), "downloaded": false], nil)
+            return
+        }
+
+        guard !isDownloading, switchingToChannel == nil else {
+            completion(nil, "Download already in progress")
+            return
+        }
+
+        let previousConfiguration = configuration
+        let previousHashes = defaults.data(forKey: OSStorageKey.assetHashes)
+
+        print("📡 [OSManualOTA] Switching release channel \(previousChannel) -> \(name)")
+        diagnostics.log(.update, "Switching release channel \(previousChannel) -> \(name)")
+
+        switchingToChannel = name
+        configuration = channel.configuration
+        // Files of another environment can't be diffed against the running ones: download everything
+        defaults.removeObject(forKey: OSStorageKey.assetHashes)
+
+        var downloadError: String?
+        downloadUpdate(
+            trigger: "channel_switch",
+            options: nil,
+            progressHandler: progressHandler,
+            errorHandler: { downloadError = $0 }
+        ) { [weak self] outcome in
+            guard let self = self else { return }
+            self.switchingToChannel = nil
+
+            var downloaded = false
+            if case .completed = outcome {
+                downloaded = true
+            } else if downloadError != OTAError.noUpdateAvailable.localizedDescription {
+                // Keep the previous channel
+                self.configuration = previousConfiguration
+                if let previousHashes = previousHashes {
+                    self.defaults.set(previousHashes, forKey: OSStorageKey.assetHashes)
+                }
+                let message = downloadError ?? "Download failed: channel switch did not complete"
+                self.diagnostics.log(.update, "Channel switch to \(name) failed, staying on \(previousChannel)", level: "error", details: [
+                    "error": message
+                ])
+                completion(nil, message)
+                return
+            } else if let previousHashes = previousHashes {
+                // The channel already serves the running version
+                self.defaults.set(previousHashes, forKey: OSStorageKey.assetHashes)
+            }
+
+            self.defaults.set(name, forKey: OSStorageKey.currentChannel)
+            self.saveConfiguration()
+
+            let result: [String: Any] = [
+                "channel": name,
+                "previousChannel": previousChannel,
+                "version": downloaded ? (self.getDownloadedVersion() ?? "") : self.getCurrentVersion(),
+                "downloaded": downloaded
+            ]
+            print("✅ [OSManualOTA] Release channel is now \(name)")
+            self.diagnostics.log(.update, "Release channel is now \(name)", details: result)
+            self.postEvent(.otaChannelChanged, result)
+            completion(result, nil)
+        }
+    }
+
+    // MARK: - Remote Commands
+    /// Checks a signed command envelope {command, signature}: signature, expiry and duplicate id.
+    /// Accepted ids are recorded until the command expires, so the same command is rejected when delivered again
+    /// (unless forgetRemoteCommand is called because its action failed).
+    /// - Returns: the parsed command, or an error {code: "COMMAND_REJECTED", message, reason}
+    ///   with reason "notConfigured", "malformed", "invalidSignature", "expired", "lifetimeTooLong",
+    ///   "duplicate" or "ledgerFull"
+    @objc public func verifyRemoteCommand(_ envelope: [String: Any]) -> [String: Any] {
+        let reject: (String, String) -> [String: Any] = { reason, message in
+            print("⛔️ [OSManualOTA] Remote command rejected: \(message)")
+            self.diagnostics.log(.update, "Remote command rejected: \(message)", level: "warning", details: ["reason": reason])
+            return ["error": [
+                "code": "COMMAND_REJECTED",
+                "message": "Remote command rejected: \(message)",
+                "reason": reason
+            ]]
+        }
+
+        guard let verifier = OSRemoteCommandVerifier(options: defaults.dictionary(forKey: OSStorageKey.remoteCommandOptions)) else {
+            return reject("notConfigured", "no remote command key configured")
+        }
+        guard let json = envelope["command"] as? String, let signature = envelope["signature"] as? String else {
+            return reject("malformed", "expected {command: <JSON string>, signature: <base64>}")
+        }
+        guard verifier.isValid(signature: signature, for: json) else {
+            return reject("invalidSignature", "invalid signature")
+        }
+
+        let (parsed, problem) = OSRemoteCommand.parse(json)
+        guard let command = parsed else {
+            return reject("malformed", problem ?? "invalid command")
+        }
+        let now = Date()
+        if command.expiresAt <= now {
+            return reject("expired", "command \(command.id) expired")
+        }
+        // Its id must stay in the ledger for as long as the command is valid
+        if command.expiresAt.timeIntervalSince(now) > OSRemoteCommandLedger.maxLifetime {
+            return reject("lifetimeTooLong", "command \(command.id) expires more than 30 days ahead")
+        }
+
+        let ledger = OSRemoteCommandLedger(defaults: defaults)
+        guard !ledger.contains(command.id) else {
+            return reject("duplicate", "command \(command.id) was already handled")
+        }
+        guard ledger.record(command, now: now) else {
+            return reject("ledgerFull", "too many unexpired commands, try again after some expire")
+        }
+
+        print("📨 [OSManualOTA] Remote command accepted: \(command.id) (\(command.action.rawValue))")
+        diagnostics.log(.update, "Remote command accepted", details: [
+            "id": command.id,
+            "action": command.action.rawValue,
+            "version": command.version ?? NSNull()
+        ])
+        return ["command": command.dictionary]
+    }
+
+    /// Forgets a command accepted by verifyRemoteCommand whose action then failed, so it can be retried
+    @objc public func forgetRemoteCommand(id: String) {
+        OSRemoteCommandLedger(defaults: defaults).forget(id)
+
+        print("📨 [OSManualOTA] Remote command \(id) failed, it can be delivered again")
+        diagnostics.log(.update, "Remote command failed, id forgotten", level: "warning", details: ["id": id])
+    }
+
+    private func releaseChannels() -> [String: OSReleaseChannel] {
+        return OSReleaseChannels.parse(defaults.dictionary(forKey: OSStorageKey.releaseChannels))
+    }
+
+    private func defaultChannelName() -> String {
+        return defaults.string(forKey: OSStorageKey.defaultChannel) ?? OSReleaseChannels.defaultChannelName
     }
 
     private func initializeCurrentVersionIfNeeded() {
@@ -218,8 +541,21 @@ import ObjectiveC
 
     // MARK: - Check for Updates
     @objc public func checkForUpdates(completion: @escaping (Bool, String?, Error?) -> Void) {
+        checkForUpdatesWithDetails { result, error in
+            completion(result?.hasUpdate ?? false, result?.version, error)
+        }
+    }
+
+    /// Same as checkForUpdates, also reporting why a newer version is not offered
+    public func checkForUpdatesWithDetails(completion checkCompletion: @escaping (OSUpdateCheckResult?, Error?) -> Void) {
+        let startTime = Date()
+        let completion: (OSUpdateCheckResult?, Error?) -> Void = { [weak self] result, error in
+            self?.trackUpdateCheck(result: result, error: error, duration: Date().timeIntervalSince(startTime))
+            checkCompletion(result, error)
+        }
+
         guard let config = configuration else {
-            completion(false, nil, OTAError.invalidConfiguration)
+            completion(nil, OTAError.invalidConfiguration)
             return
         }
 
@@ -253,6 +589,10 @@ import ObjectiveC
                             print("[OSManualOTA]    Stored: '\(currentVersion)'")
                             print("[OSManualOTA]    Actually running: '\(actualRunningVersion)'")
                             print("[OSManualOTA] ✅ Updating to actual running version")
+                            diagnostics.log(.versionSync, "Stored version differs from the running cache frame - using the running version", details: [
+                                "stored": currentVersion,
+                                "running": actualRunningVersion
+                            ])
                             saveCurrentVersion(actualRunningVersion)
                             currentVersion = actualRunningVersion
                         } else {
@@ -288,18 +628,44 @@ import ObjectiveC
                 print("[OSManualOTA]    Are they equal? \(latestVersion == currentVersion)")
                 print("[OSManualOTA]    Are they NOT equal? \(latestVersion != currentVersion)")
 
-                if latestVersion != currentVersion {
+                if latestVersion != currentVersion, let ruleReason = versionRuleReason(for: latestVersion) {
+                    currentStatus = .notAvailable
+                    print("[OSManualOTA] 📌 Version '\(latestVersion)' not offered: \(ruleReason)")
+                    completion(OSUpdateCheckResult(hasUpdate: false, version: currentVersion, reason: ruleReason), nil)
+                } else if latestVersion != currentVersion, !(await isInRollout(versionToken: latestVersion)) {
+                    currentStatus = .notAvailable
+                    print("[OSManualOTA] 🎲 Version '\(latestVersion)' is not rolled out to this install yet")
+                    completion(OSUpdateCheckResult(hasUpdate: false, version: currentVersion, reason: "notInRollout"), nil)
+                } else if latestVersion != currentVersion {
+                    let metadata = await updateMetadata(for: latestVersion)
+                    var severity = await updateSeverity(latestVersion: latestVersion, currentVersion: currentVersion)
+                    if let declared = metadata?.severity {
+                        severity = severity.raised(to: declared)
+                    }
                     currentStatus = .available(version: latestVersion)
-                    print("[OSManualOTA] ✅ Update available!")
-                    completion(true, latestVersion, nil)
+                    print("[OSManualOTA] ✅ Update available! Severity: \(severity.rawValue)")
+                    var payload: [String: Any] = [
+                        "version": latestVersion,
+                        "currentVersion": currentVersion,
+                        "severity": severity.rawValue
+                    ]
+                    metadata?.merge(into: &payload)
+                    postEvent(.otaUpdateAvailable, payload)
+                    track(.updateAvailable, payload)
+                    completion(OSUpdateCheckResult(
+                        hasUpdate: true,
+                        version: latestVersion,
+                        severity: severity,
+                        metadata: metadata
+                    ), nil)
                 } else {
                     currentStatus = .notAvailable
                     print("[OSManualOTA] ✅ No update - versions match")
-                    completion(false, currentVersion, nil)
+                    completion(OSUpdateCheckResult(hasUpdate: false, version: currentVersion), nil)
                 }
             } catch {
                 currentStatus = .failed(error: error)
-                completion(false, nil, error)
+                completion(nil, error)
             }
         }
     }
@@ -309,16 +675,62 @@ import ObjectiveC
         progressHandler: ((Int, Int, Int) -> Void)? = nil,
         errorHandler: ((String) -> Void)? = nil,
         completion: @escaping (Bool) -> Void
+    ) {
+        downloadUpdate(
+            trigger: "manual",
+            progressHandler: progressHandler,
+            errorHandler: errorHandler,
+            completion: completion
+        )
+    }
+
+    /// Downloads the latest version; trigger ("manual", "background_fetch", "silent_push")
+    /// is recorded in the version history and metrics
+    @objc public func downloadUpdate(
+        trigger: String,
+        progressHandler: ((Int, Int, Int) -> Void)? = nil,
+        errorHandler: ((String) -> Void)? = nil,
+        completion: @escaping (Bool) -> Void
+    ) {
+        downloadUpdate(
+            trigger: trigger,
+            options: nil,
+            progressHandler: progressHandler,
+            errorHandler: errorHandler
+        ) { outcome in
+            if case .completed = outcome {
+                completion(true)
+            } else {
+                completion(false)
+            }
+        }
+    }
+
+    /// Downloads the latest version if the network matches the download options; otherwise the
+    /// download is queued and resumed automatically once it does (outcome .deferred)
+    func downloadUpdate(
+        trigger: String,
+        options: OSDownloadOptions?,
+        progressHandler: ((Int, Int, Int) -> Void)? = nil,
+        errorHandler: ((String) -> Void)? = nil,
+        completion: @escaping (OSDownloadOutcome) -> Void
     ) {
         guard let config = configuration else {
             errorHandler?("Invalid configuration")
-            completion(false)
+            postEvent(.otaDownloadFailed, ["message": "Invalid configuration"])
+            completion(.failed)
             return
         }
 
         guard !isDownloading else {
             errorHandler?("Download already in progress")
-            completion(false)
+            completion(.failed)
+            return
+        }
+
+        if let options = options, let reason = networkMonitor.deferReason(for: options) {
+            deferDownload(trigger: trigger, options: options, reason: reason, version: nil)
+            completion(.deferred(reason: reason))
             return
         }
 
@@ -326,9 +738,13 @@ import ObjectiveC
         self.errorHandler = errorHandler
         self.isDownloading = true
         self.downloadCancelled = false
+        recordUpdateAttempt()
+        track(.downloadStarted, ["trigger": trigger])
+        OSRetryingURLProtocol.transferredBytes.reset()
 
         Task {
             let startTime = Date()
+            var targetVersion: String?
 
             do {
                 // 1. Get latest version
@@ -339,19 +755,31 @@ import ObjectiveC
                     throw OTAError.noUpdateAvailable
                 }
 
-                // 2. Check network conditions
-                try checkNetworkConditions()
+                if let ruleReason = versionRuleReason(for: latestVersion) {
+                    throw OTAError.versionNotAllowed("\(latestVersion) (\(ruleReason))")
+                }
+                targetVersion = latestVersion
 
-                // 3. Get manifest with file hashes
+                // 2. Get manifest with file hashes
                 let manifest = try await getModuleManifest()
 
-                // 4. Compare with current hashes to find changed files
+                // 3. Compare with current hashes to find changed files
                 let changedFiles = getChangedFiles(newHashes: manifest.urlVersions)
 
                 guard !changedFiles.isEmpty else {
                     throw OTAError.noUpdateAvailable
                 }
 
+                // 4. Check network conditions against the download options (size needed for maxCellularBytes)
+                if let options = options,
+                   let reason = await checkNetworkConditions(options: options, changedFiles: changedFiles) {
+                    isDownloading = false
+                    currentStatus = .available(version: latestVersion)
+                    deferDownload(trigger: trigger, options: options, reason: reason, version: latestVersion)
+                    completion(.deferred(reason: reason))
+                    return
+                }
+
                 // 5. Download changed files using OutSystems infrastructure
                 let success = try await downloadChangedFiles(
                     changedFiles: changedFiles,
@@ -367,158 +795,998 @@ import ObjectiveC
                     //    - Immediately if already in foreground (handled by checkAndApplyPendingSwap)
                     saveDownloadedVersion(latestVersion)
                     saveAssetHashes(manifest.urlVersions)
+                    setIntegrityFailed(false, version: latestVersion)
+
+                    // Keep the manifest so rollbackTo can swap back to this version later
+                    retainManifest(manifest, version: latestVersion)
+                    recordHistory(version: latestVersion, source: trigger, outcome: "installed")
+                    pruneRetainedVersions()
 
                     print("✅ Download completed - update marked for cache swap")
 
                     // 8. Log metrics
                     let duration = Date().timeIntervalSince(startTime)
                     logUpdateMetrics(
+                        version: latestVersion,
                         checkDuration: 0,
                         downloadDuration: duration,
-                        downloadSize: 0,
+                        downloadSize: OSRetryingURLProtocol.transferredBytes.value,
                         filesDownloaded: changedFiles.count,
                         filesSkipped: manifest.urlVersions.count - changedFiles.count,
                         filesFailed: 0,
                         success: true,
                         errorMessage: nil,
-                        triggerMethod: "manual"
+                        triggerMethod: trigger
                     )
 
                     currentStatus = .downloaded
                     isDownloading = false
-                    completion(true)
+                    postEvent(.otaDownloadComplete, [
+                        "version": latestVersion,
+                        "filesDownloaded": changedFiles.count,
+                        "filesSkipped": manifest.urlVersions.count - changedFiles.count,
+                        "duration": duration
+                    ])
+                    completion(.completed)
                 } else {
                     throw downloadCancelled ? OTAError.cancelled : OTAError.downloadFailed("Unknown error")
                 }
 
-            } catch {
-                currentStatus = .failed(error: error)
-                isDownloading = false
-                errorHandler?(error.localizedDescription)
-                completion(false)
+            } catch {
+                if let version = targetVersion, !downloadCancelled {
+                    recordHistory(version: version, source: trigger, outcome: "failed", error: error.localizedDescription)
+                }
+                if let version = targetVersion, case OTAError.integrityCheckFailed = error {
+                    setIntegrityFailed(true, version: version)
+                }
+                logUpdateMetrics(
+                    version: targetVersion,
+                    checkDuration: 0,
+                    downloadDuration: Date().timeIntervalSince(startTime),
+                    downloadSize: OSRetryingURLProtocol.transferredBytes.value,
+                    filesDownloaded: 0,
+                    filesSkipped: 0,
+                    filesFailed: 0,
+                    success: false,
+                    errorMessage: error.localizedDescription,
+                    triggerMethod: trigger
+                )
+                currentStatus = .failed(error: error)
+                isDownloading = false
+                errorHandler?(error.localizedDescription)
+                postEvent(.otaDownloadFailed, ["message": error.localizedDescription])
+                completion(.failed)
+            }
+        }
+    }
+
+    // MARK: - Apply Update
+    @objc public func applyUpdate(completion: @escaping (Bool, Error?) -> Void) {
+        guard let downloadedVersion = getDownloadedVersion() else {
+            completion(false, OTAError.noUpdateAvailable)
+            return
+        }
+
+        guard !hasFailedIntegrity(downloadedVersion) else {
+            completion(false, OTAError.integrityCheckFailed("version \(downloadedVersion) failed verification and will not be applied"))
+            return
+        }
+
+        // Save current version as previous (for rollback)
+        let currentVersion = getCurrentVersion()
+        savePreviousVersion(currentVersion)
+
+        // Mark the downloaded version as current
+        saveCurrentVersion(downloadedVersion)
+
+        // Set flag to detect crash on next launch
+        setCrashDetectionFlag()
+
+        // The new version has to call markUpdateHealthy() once it runs
+        armHealthCheck(version: downloadedVersion, previousVersion: currentVersion)
+
+        postEvent(.otaUpdateApplied, [
+            "version": downloadedVersion,
+            "previousVersion": currentVersion
+        ])
+        track(.updateApplied, [
+            "version": downloadedVersion,
+            "previousVersion": currentVersion
+        ])
+
+        // In OutSystems, the cache swap happens automatically on next app launch
+        // We just need to ensure the version is updated
+        completion(true, nil)
+    }
+
+    // MARK: - Rollback
+    @objc public func rollbackToPreviousVersion(completion: @escaping (Bool, Error?) -> Void) {
+        rollbackToPreviousVersion(reason: nil, completion: completion)
+    }
+
+    /// reason is set for automatic rollbacks (e.g. "healthCheckTimeout") and reported with the rolledBack event
+    private func rollbackToPreviousVersion(reason: String?, completion: @escaping (Bool, Error?) -> Void) {
+        guard let previousVersion = getPreviousVersion() else {
+            completion(false, OTAError.rollbackFailed("No previous version available"))
+            return
+        }
+
+        // Use OutSystems cache rollback if available
+        if let osCache = getOutSystemsCache() {
+            osCache.rollbackToPreviousVersion()
+        }
+
+        // Update version info
+        let rolledBackFrom = getCurrentVersion()
+        saveCurrentVersion(previousVersion)
+        clearDownloadedVersion()
+
+        // Clear crash detection flag
+        clearCrashDetectionFlag()
+        defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+
+        markHistoryRolledBack(rolledBackFrom, reason: reason)
+        recordHistory(version: previousVersion, source: reason != nil ? "healthCheck" : "rollback", outcome: "installed")
+
+        postEvent(.otaRolledBack, rolledBackPayload(version: previousVersion, fromVersion: rolledBackFrom, reason: reason))
+        track(.rolledBack, rolledBackPayload(version: previousVersion, fromVersion: rolledBackFrom, reason: reason))
+
+        completion(true, nil)
+    }
+
+    /// Rolls back to any version whose manifest and cache frame are still retained
+    @objc public func rollbackTo(version: String, completion: @escaping (Bool, Error?) -> Void) {
+        rollbackTo(version: version, reason: nil, completion: completion)
+    }
+
+    private func rollbackTo(version: String, reason: String?, completion: @escaping (Bool, Error?) -> Void) {
+        let rolledBackFrom = getCurrentVersion()
+
+        guard version != rolledBackFrom else {
+            completion(false, OTAError.rollbackFailed("Version \(version) is already running"))
+            return
+        }
+
+        if versionRuleReason(for: version) == "blocked" {
+            completion(false, OTAError.rollbackFailed("Version \(version) is blocked"))
+            return
+        }
+
+        guard isRollbackAvailable(version), let manifest = retainedManifest(for: version) else {
+            completion(false, OTAError.rollbackFailed("Version \(version) is no longer retained"))
+            return
+        }
+
+        do {
+            try swapCacheToVersion(version, manifest: manifest)
+        } catch {
+            completion(false, OTAError.rollbackFailed(error.localizedDescription))
+            return
+        }
+
+        savePreviousVersion(rolledBackFrom)
+        saveCurrentVersion(version)
+        saveAssetHashes(manifest.urlVersions)
+        clearDownloadedVersion()
+        clearCrashDetectionFlag()
+        defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+        updateVersionInLocalStorage(newVersion: version)
+        patchCachedManifestLoader()
+
+        markHistoryRolledBack(rolledBackFrom, reason: reason)
+        recordHistory(version: version, source: reason != nil ? "healthCheck" : "rollback", outcome: "installed")
+
+        print("⏪ [OSManualOTA] Rolled back from \(rolledBackFrom) to \(version)")
+
+        postEvent(.otaRolledBack, rolledBackPayload(version: version, fromVersion: rolledBackFrom, reason: reason))
+        track(.rolledBack, rolledBackPayload(version: version, fromVersion: rolledBackFrom, reason: reason))
+
+        completion(true, nil)
+    }
+
+    private func rolledBackPayload(version: String, fromVersion: String, reason: String?) -> [String: Any] {
+        var payload: [String: Any] = [
+            "version": version,
+            "fromVersion": fromVersion
+        ]
+        if let reason = reason {
+            payload["reason"] = reason
+        }
+        return payload
+    }
+
+    // MARK: - Health Check
+    /// Confirms the running version works; stops the pending health check
+    @objc public func markUpdateHealthy() -> [String: Any] {
+        guard let pending = pendingHealthCheck() else {
+            return ["version": getCurrentVersion(), "wasPending": false]
+        }
+
+        defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+        print("🩺 [OSManualOTA] Version \(pending.version) marked healthy after \(pending.launches) launch(es)")
+        return ["version": pending.version, "wasPending": true]
+    }
+
+    /// Early fatal error reported by the patched bootstrap; rolls back a version still on probation
+    @objc public func reportUnhealthy(message: String) {
+        guard let pending = pendingHealthCheck(), pending.version == getCurrentVersion() else {
+            print("🩺 [OSManualOTA] Fatal error reported outside a health check - ignoring: \(message)")
+            return
+        }
+        guard healthCheckOptions()?.rollbackOnFatalError == true else {
+            print("🩺 [OSManualOTA] Fatal error reported for \(pending.version), rollbackOnFatalError is off: \(message)")
+            return
+        }
+
+        rollbackFailedHealthCheck(pending, reason: OSHealthCheckReason.fatalError, message: message)
+    }
+
+    private func healthCheckOptions() -> OSHealthCheckOptions? {
+        guard let dictionary = defaults.dictionary(forKey: OSStorageKey.healthCheckOptions) else {
+            return nil
+        }
+        return OSHealthCheckOptions(dictionary: dictionary)
+    }
+
+    private func pendingHealthCheck() -> OSPendingHealthCheck? {
+        guard let data = defaults.data(forKey: OSStorageKey.pendingHealthCheck) else {
+            return nil
+        }
+        return try? JSONDecoder().decode(OSPendingHealthCheck.self, from: data)
+    }
+
+    private func savePendingHealthCheck(_ pending: OSPendingHealthCheck) {
+        if let data = try? JSONEncoder().encode(pending) {
+            defaults.set(data, forKey: OSStorageKey.pendingHealthCheck)
+        }
+    }
+
+    private func armHealthCheck(version: String, previousVersion: String) {
+        guard healthCheckOptions() != nil else {
+            return
+        }
+        savePendingHealthCheck(OSPendingHealthCheck(
+            version: version,
+            previousVersion: previousVersion,
+            appliedAt: Date(),
+            launches: 0,
+            firstLaunchAt: nil
+        ))
+        print("🩺 [OSManualOTA] Health check armed for \(version)")
+    }
+
+    /// Counts a launch of the version on probation and rolls it back once it runs out of launches or time.
+    /// Called by the plugin once it observes the manager's notifications, so a rollback here reaches JavaScript.
+    @objc public func evaluateHealthCheckOnLaunch() {
+        guard !healthCheckLaunchEvaluated else {
+            return
+        }
+        healthCheckLaunchEvaluated = true
+
+        guard let options = healthCheckOptions(), var pending = pendingHealthCheck() else {
+            return
+        }
+        guard pending.version == getCurrentVersion() else {
+            // Replaced by another version in the meantime
+            defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+            return
+        }
+
+        pending.launches += 1
+        if pending.firstLaunchAt == nil {
+            pending.firstLaunchAt = Date()
+        }
+        savePendingHealthCheck(pending)
+
+        if options.maxLaunches > 0 && pending.launches > options.maxLaunches {
+            rollbackFailedHealthCheck(pending, reason: OSHealthCheckReason.timeout,
+                                      message: "Not marked healthy within \(options.maxLaunches) launch(es)")
+            return
+        }
+
+        guard options.timeout > 0, let firstLaunchAt = pending.firstLaunchAt else {
+            return
+        }
+
+        let remaining = firstLaunchAt.addingTimeInterval(options.timeout).timeIntervalSinceNow
+        let version = pending.version
+        DispatchQueue.main.asyncAfter(deadline: .now() + max(remaining, 0)) { [weak self] in
+            guard let self = self, let current = self.pendingHealthCheck(), current.version == version else {
+                return
+            }
+            self.rollbackFailedHealthCheck(current, reason: OSHealthCheckReason.timeout,
+                                           message: "Not marked healthy within \(Int(options.timeout))s")
+        }
+    }
+
+    private func rollbackFailedHealthCheck(_ pending: OSPendingHealthCheck, reason: String, message: String) {
+        defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+        defaults.set([
+            "version": pending.previousVersion,
+            "fromVersion": pending.version,
+            "reason": reason,
+            "message": message,
+            "rolledBackAt": Date().timeIntervalSince1970
+        ], forKey: OSStorageKey.lastHealthCheckRollback)
+
+        print("🩺 [OSManualOTA] Health check failed for \(pending.version) (\(reason): \(message)) - rolling back to \(pending.previousVersion)")
+        track(.crashDetected, [
+            "version": pending.version,
+            "reason": reason,
+            "message": message,
+            "launches": pending.launches
+        ])
+
+        // Prefer the retained cache frame of the exact previous version, fall back to the OutSystems rollback
+        rollbackTo(version: pending.previousVersion, reason: reason) { [weak self] success, _ in
+            guard !success else { return }
+            self?.rollbackToPreviousVersion(reason: reason) { success, error in
+                if !success {
+                    print("❌ [OSManualOTA] Automatic rollback failed: \(error?.localizedDescription ?? "unknown")")
+                }
+            }
+        }
+    }
+
+    private func healthCheckInfo() -> [String: Any] {
+        var info: [String: Any] = [
+            "enabled": healthCheckOptions() != nil,
+            "pending": NSNull(),
+            "lastRollback": defaults.dictionary(forKey: OSStorageKey.lastHealthCheckRollback) ?? NSNull()
+        ]
+        if let options = healthCheckOptions(), let pending = pendingHealthCheck() {
+            info["pending"] = pending.toDictionary(options: options)
+        }
+        return info
+    }
+
+    // MARK: - Cancel Download
+    @objc public func cancelDownload() {
+        downloadCancelled = true
+
+        if defaults.object(forKey: OSStorageKey.deferredDownload) != nil {
+            defaults.removeObject(forKey: OSStorageKey.deferredDownload)
+            print("⚠️ Deferred download cancelled")
+        }
+
+        // Cancel OutSystems OSCacheResources download
+        if let cacheResources = currentCacheResources {
+            cacheResources.cancelDownload()
+            print("⚠️ Download cancelled")
+        }
+
+        currentCacheResources = nil
+    }
+
+    // MARK: - Version Management
+    @objc public func getCurrentVersionInfo(completion: @escaping ([String: Any]?) -> Void) {
+        Task {
+            let currentVersion = getCurrentVersion()
+            let downloadedVersion = getDownloadedVersion()
+
+            let metadata = currentVersion == "unknown" ? nil : await knownMetadata(for: currentVersion)
+            var downloadedMetadata: OSUpdateMetadata?
+            if let downloadedVersion = downloadedVersion {
+                downloadedMetadata = await knownMetadata(for: downloadedVersion)
+            }
+
+            var info = versionInfo(currentVersion: currentVersion, downloadedVersion: downloadedVersion)
+            info["metadata"] = metadata?.toDictionary() ?? NSNull()
+            info["downloadedMetadata"] = downloadedMetadata?.toDictionary() ?? NSNull()
+            completion(info)
+        }
+    }
+
+    private func versionInfo(currentVersion: String, downloadedVersion: String?) -> [String: Any] {
+        let previousVersion = getPreviousVersion()
+        let lastCheck = defaults.object(forKey: OSStorageKey.lastUpdateCheck) as? Date
+
+        return [
+            "currentVersion": currentVersion,
+            "downloadedVersion": downloadedVersion ?? "",
+            "previousVersion": previousVersion ?? "",
+            "lastUpdateCheck": lastCheck?.timeIntervalSince1970 ?? 0,
+            "isUpdateDownloaded": downloadedVersion != nil,
+            "isDownloading": isDownloading,
+            "updateAttemptsToday": updateAttemptsToday(),
+            "installId": installId(),
+            "deferredDownload": deferredDownloadInfo() ?? NSNull(),
+            "partialDownload": partialDownloadInfo() ?? NSNull(),
+            "integrity": defaults.dictionary(forKey: OSStorageKey.lastIntegrityReport) ?? NSNull(),
+            "healthCheck": healthCheckInfo()
+        ]
+    }
+
+    // MARK: - OTA Blocking Control
+    @objc public func setOTABlockingEnabled(_ enabled: Bool) {
+        setOTABlockingPolicy(enabled ? OSBlockingPolicy.always : OSBlockingPolicy.never,
+                             dictionary: ["mode": enabled ? "always" : "never"])
+    }
+
+    /// Stores the blocking policy (normalized by JavaScript) and restarts the launch count
+    /// - Returns: false when the dictionary is not a valid policy
+    @objc public func setOTABlockingPolicy(_ dictionary: [String: Any]) -> Bool {
+        guard let policy = OSBlockingPolicy(dictionary: dictionary) else {
+            return false
+        }
+        setOTABlockingPolicy(policy, dictionary: dictionary)
+        return true
+    }
+
+    private func setOTABlockingPolicy(_ policy: OSBlockingPolicy, dictionary: [String: Any]) {
+        if let data = try? JSONSerialization.data(withJSONObject: dictionary) {
+            defaults.set(data, forKey: OSStorageKey.otaBlockingPolicy)
+        }
+        defaults.set(0, forKey: OSStorageKey.otaBlockingLaunches)
+
+        let status = otaBlockingStatus()
+        defaults.set(status["enabled"] as? Bool ?? false, forKey: OSStorageKey.otaBlockingEnabled)
+
+        // The JavaScript hook reads the policy from localStorage (synced by the plugin)
+        NotificationCenter.default.post(
+            name: .otaBlockingStatusChanged,
+            object: nil,
+            userInfo: status
+        )
+
+        print("✅ OTA blocking policy: \(policy.mode.rawValue) (\(status["reason"] as? String ?? ""))")
+        diagnostics.log(.blocking, "OTA blocking policy set to \(policy.mode.rawValue)", details: status)
+    }
+
+    /// Lifts blocking until the app restarts (used by OSManualOTA.triggerAutomaticOTA)
+    @objc public func setOTABlockingSuspended(_ suspended: Bool) {
+        otaBlockingSuspended = suspended
+
+        let status = otaBlockingStatus()
+        NotificationCenter.default.post(
+            name: .otaBlockingStatusChanged,
+            object: nil,
+            userInfo: status
+        )
+        diagnostics.log(.blocking, "OTA blocking \(suspended ? "suspended" : "resumed")", details: status)
+    }
+
+    @objc public func isOTABlockingEnabled() -> Bool {
+        return otaBlockingStatus()["enabled"] as? Bool ?? false
+    }
+
+    /// Effective blocking decision: {enabled, mode, reason, policy, launches?}
+    @objc public func otaBlockingStatus() -> [String: Any] {
+        let policyDictionary = storedBlockingPolicyDictionary()
+        let policy = OSBlockingPolicy(dictionary: policyDictionary) ?? OSBlockingPolicy.never
+        let launches = defaults.integer(forKey: OSStorageKey.otaBlockingLaunches)
+        let decision = policy.evaluate(launches: launches)
+
+        var status: [String: Any] = [
+            "enabled": decision.enabled && !otaBlockingSuspended,
+            "mode": decision.mode.rawValue,
+            "reason": otaBlockingSuspended ? "suspended" : decision.reason,
+            "policy": policyDictionary
+        ]
+        if policy.mode == .afterNLaunches {
+            status["launches"] = launches
+        }
+        return status
+    }
+
+    /// Stored policy, or the one implied by the boolean flag of plugin versions without blocking modes
+    private func storedBlockingPolicyDictionary() -> [String: Any] {
+        if let data = defaults.data(forKey: OSStorageKey.otaBlockingPolicy),
+           let dictionary = try? JSONSerialization.jsonObject(with: data) as? [String: Any],
+           OSBlockingPolicy(dictionary: dictionary) != nil {
+            return dictionary
+        }
+        return ["mode": defaults.bool(forKey: OSStorageKey.otaBlockingEnabled) ? "always" : "never"]
+    }
+
+    /// Stores the afterNLaunches count of the OutSystemsManifestLoader hook, which counts the launches
+    /// (WebView sessions); the native decision only mirrors it
+    @objc public func syncBlockingLaunches(_ launches: Int) {
+        guard OSBlockingPolicy(dictionary: storedBlockingPolicyDictionary())?.mode == .afterNLaunches,
+              launches != defaults.integer(forKey: OSStorageKey.otaBlockingLaunches) else {
+            return
+        }
+        defaults.set(launches, forKey: OSStorageKey.otaBlockingLaunches)
+
+        let status = otaBlockingStatus()
+        defaults.set(status["enabled"] as? Bool ?? false, forKey: OSStorageKey.otaBlockingEnabled)
+        diagnostics.log(.blocking, "Blocking launch \(launches): \(status["reason"] as? String ?? "")")
+    }
+
+    // MARK: - Update Policy
+    @objc public func setUpdatePolicy(_ policy: [String: Any]) {
+        guard let data = try? JSONSerialization.data(withJSONObject: policy) else {
+            print("❌ [OSManualOTA] Could not store update policy")
+            return
+        }
+        defaults.set(data, forKey: OSStorageKey.updatePolicy)
+        print("📋 [OSManualOTA] Update policy set: \(policy)")
+    }
+
+    private func getUpdatePolicy() -> OSUpdatePolicy {
+        guard let data = defaults.data(forKey: OSStorageKey.updatePolicy),
+              let dictionary = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            return OSUpdatePolicy(dictionary: nil)
+        }
+        return OSUpdatePolicy(dictionary: dictionary)
+    }
+
+    /// Reason the update policy refuses a step ("check", "download", "apply"), nil when allowed
+    /// Used by the background fetch / silent push path
+    @objc public func policyBlockReason(forStep step: String, isBackground: Bool) -> String? {
+        guard let policyStep = OSUpdatePolicyStep(rawValue: step) else {
+            return nil
+        }
+
+        let reason = getUpdatePolicy().blockReason(
+            for: policyStep,
+            lastUpdateCheck: defaults.object(forKey: OSStorageKey.lastUpdateCheck) as? Date,
+            isBackground: isBackground,
+            attemptsToday: updateAttemptsToday()
+        )
+        if let reason = reason {
+            print("⏸️ [OSManualOTA] Update policy blocks \(step): \(reason)")
+        }
+        return reason
+    }
+
+    private func todayKey() -> String {
+        let formatter = DateFormatter()
+        formatter.dateFormat = "yyyy-MM-dd"
+        formatter.locale = Locale(identifier: "en_US_POSIX")
+        return formatter.string(from: Date())
+    }
+
+    private func updateAttemptsToday() -> Int {
+        guard defaults.string(forKey: OSStorageKey.updateAttemptsDay) == todayKey() else {
+            return 0
+        }
+        return defaults.integer(forKey: OSStorageKey.updateAttemptsCount)
+    }
+
+    private func recordUpdateAttempt() {
+        let count = updateAttemptsToday() + 1
+        defaults.set(todayKey(), forKey: OSStorageKey.updateAttemptsDay)
+        defaults.set(count, forKey: OSStorageKey.updateAttemptsCount)
+    }
+
+    // MARK: - Version History
+    private let maxHistoryEntries = 50
+    private let defaultVersionRetention = 3
+
+    /// Installs, failures and rollbacks of the current release channel, newest first
+    @objc public func getVersionHistory() -> [[String: Any]] {
+        return getVersionHistory(channel: nil)
+    }
+
+    /// Installs, failures and rollbacks of a release channel (nil = current), newest first
+    @objc public func getVersionHistory(channel: String?) -> [[String: Any]] {
+        return loadHistory(channel: channel).map { entry in
+            entry.toDictionary(rollbackAvailable: entry.outcome != "failed" && isRollbackAvailable(entry.version))
+        }
+    }
+
+    /// How many past versions are kept on disk for rollbackTo
+    @objc public func setVersionRetention(_ count: Int) {
+        defaults.set(max(count, 0), forKey: OSStorageKey.versionRetention)
+        print("🗂️ [OSManualOTA] Keeping \(max(count, 0)) past versions")
+        pruneRetainedVersions()
+    }
+
+    @objc public func getVersionRetention() -> Int {
+        guard defaults.object(forKey: OSStorageKey.versionRetention) != nil else {
+            return defaultVersionRetention
+        }
+        return defaults.integer(forKey: OSStorageKey.versionRetention)
+    }
+
+    /// Each release channel keeps its own history; the default channel keeps the key used before channels existed
+    private func historyKey(channel: String?) -> String {
+        let name = channel ?? switchingToChannel ?? getCurrentChannel()
+        return name == defaultChannelName() ? OSStorageKey.versionHistory : "\(OSStorageKey.versionHistory)_\(name)"
+    }
+
+    private func loadHistory(channel: String? = nil) -> [OSVersionHistoryEntry] {
+        guard let data = defaults.data(forKey: historyKey(channel: channel)),
+              let entries = try? JSONDecoder().decode([OSVersionHistoryEntry].self, from: data) else {
+            return []
+        }
+        return entries
+    }
+
+    private func saveHistory(_ entries: [OSVersionHistoryEntry]) {
+        if let data = try? JSONEncoder().encode(Array(entries.prefix(maxHistoryEntries))) {
+            defaults.set(data, forKey: historyKey(channel: nil))
+        }
+    }
+
+    private func recordHistory(version: String, source: String, outcome: String, error: String? = nil) {
+        var entries = loadHistory()
+        entries.insert(
+            OSVersionHistoryEntry(version: version, installedAt: Date(), source: source, outcome: outcome, error: error),
+            at: 0
+        )
+        saveHistory(entries)
+    }
+
+    /// Marks the latest install of a version as rolled back
+    private func markHistoryRolledBack(_ version: String, reason: String? = nil) {
+        var entries = loadHistory()
+        if let index = entries.firstIndex(where: { $0.version == version && $0.outcome == "installed" }) {
+            entries[index].outcome = "rolledBack"
+            if let reason = reason {
+                entries[index].error = reason
+            }
+            saveHistory(entries)
+        }
+    }
+
+    private func retainedManifestURL(for version: String) -> URL? {
+        guard let appSupport = FileManager.default.urls(for: .applicationSupportDirectory, in: .userDomainMask).first else {
+            return nil
+        }
+        let safeName = version.replacingOccurrences(of: "/", with: "_")
+        return appSupport
+            .appendingPathComponent("OSManualOTA/manifests", isDirectory: true)
+            .appendingPathComponent("\(safeName).json")
+    }
+
+    private func retainManifest(_ manifest: OSModuleManifest, version: String) {
+        guard let url = retainedManifestURL(for: version) else { return }
+        do {
+            try FileManager.default.createDirectory(at: url.deletingLastPathComponent(), withIntermediateDirectories: true)
+            try JSONEncoder().encode(manifest).write(to: url, options: .atomic)
+        } catch {
+            print("⚠️ [OSManualOTA] Could not retain manifest for \(version): \(error.localizedDescription)")
+        }
+    }
+
+    private func retainedManifest(for version: String) -> OSModuleManifest? {
+        guard let url = retainedManifestURL(for: version),
+              let data = try? Data(contentsOf: url) else {
+            return nil
+        }
+        return try? JSONDecoder().decode(OSModuleManifest.self, from: data)
+    }
+
+    private func isRollbackAvailable(_ version: String) -> Bool {
+        guard version != getCurrentVersion(),
+              let url = retainedManifestURL(for: version),
+              FileManager.default.fileExists(atPath: url.path) else {
+            return false
+        }
+        // The OutSystems cache must still hold the files of that version
+        if let appCache = getOutSystemsCache() {
+            return appCache.getFrameForVersion(version) != nil
+        }
+        return true
+    }
+
+    /// Keeps the current version and the `retention` most recent past versions of all release channels
+    /// together (manifests are stored once, whatever channel installed them). Dropped versions lose
+    /// their manifest and the cached files no kept version uses.
+    private func pruneRetainedVersions() {
+        let current = getCurrentVersion()
+        let history = historyOfAllChannels()
+        var kept: [String] = []
+        for entry in history where entry.outcome != "failed" && entry.version != current {
+            if !kept.contains(entry.version) {
+                kept.append(entry.version)
+            }
+        }
+        let keep = Set(kept.prefix(getVersionRetention())).union([current])
+
+        var dropped: [String: OSModuleManifest] = [:]
+        for version in Set(history.map { $0.version }) where !keep.contains(version) {
+            guard let url = retainedManifestURL(for: version), FileManager.default.fileExists(atPath: url.path) else {
+                continue
+            }
+            dropped[version] = retainedManifest(for: version)
+            try? FileManager.default.removeItem(at: url)
+            print("🗑️ [OSManualOTA] Dropped retained version \(version)")
+        }
+
+        removeCachedFiles(of: dropped, keeping: keep)
+    }
+
+    /// Entries of every release channel's history, newest first
+    private func historyOfAllChannels() -> [OSVersionHistoryEntry] {
+        let channels = Set(releaseChannels().keys).union([defaultChannelName(), getCurrentChannel()])
+        return channels
+            .flatMap { loadHistory(channel: $0) }
+            .sorted { $0.installedAt > $1.installedAt }
+    }
+
+    /// Deletes the OutSystems cache files of dropped versions that no kept version references
+    private func removeCachedFiles(of dropped: [String: OSModuleManifest], keeping kept: Set<String>) {
+        guard !dropped.isEmpty, let appCache = getOutSystemsCache() else {
+            return
+        }
+
+        // Files of the running version, then of every kept version that can still be rolled back to
+        var keptResources = Set<String>()
+        if let data = defaults.data(forKey: OSStorageKey.assetHashes),
+           let hashes = try? JSONDecoder().decode([String: String].self, from: data) {
+            keptResources.formUnion(cacheResourceKeys(hashes))
+        }
+        for version in kept {
+            if let manifest = retainedManifest(for: version) {
+                keptResources.formUnion(cacheResourceKeys(manifest.urlVersions))
+            }
+        }
+
+        var removed = 0
+        for (version, manifest) in dropped {
+            guard let frame = appCache.getFrameForVersion(version) else {
+                continue
+            }
+            let files = cachedFiles(in: frame.cacheEntries)
+            for resource in cacheResourceKeys(manifest.urlVersions) where !keptResources.contains(resource) {
+                guard let file = files[resource] else {
+                    continue
+                }
+                do {
+                    try FileManager.default.removeItem(at: file)
+                    removed += 1
+                } catch {
+                    print("⚠️ [OSManualOTA] Could not remove cached file \(resource): \(error.localizedDescription)")
+                }
             }
         }
+
+        print("🗑️ [OSManualOTA] Removed \(removed) cached file(s) of dropped versions")
+        diagnostics.log(.cacheSwap, "Removed cached files of dropped versions", details: [
+            "versions": dropped.keys.sorted(),
+            "files": removed
+        ])
     }
 
-    // MARK: - Apply Update
-    @objc public func applyUpdate(completion: @escaping (Bool, Error?) -> Void) {
-        guard let downloadedVersion = getDownloadedVersion() else {
-            completion(false, OTAError.noUpdateAvailable)
-            return
+    /// "path?hash" of each file, as downloadChangedFiles lists resources for OutSystems
+    private func cacheResourceKeys(_ urlVersions: [String: String]) -> [String] {
+        return urlVersions.map { path, hash in
+            hash.hasPrefix("?") ? "\(path)\(hash)" : "\(path)?\(hash)"
         }
+    }
 
-        // Save current version as previous (for rollback)
-        let currentVersion = getCurrentVersion()
-        savePreviousVersion(currentVersion)
+    /// Files on disk of a cache frame's entries by resource ("path?hash"), read from its OSCacheEntry objects
+    private func cachedFiles(in cacheEntries: Any?) -> [String: URL] {
+        guard let config = configuration,
+              let appSupportDir = FileManager.default.urls(for: .applicationSupportDirectory, in: .userDomainMask).first,
+              let entries = (cacheEntries as? NSDictionary)?.allValues else {
+            return [:]
+        }
+        let cacheAppDir = appSupportDir
+            .appendingPathComponent("OSNativeCache")
+            .appendingPathComponent(OSCacheHelper.cacheKey(forHostname: config.hostname, andApplication: config.applicationPath))
+
+        var files: [String: URL] = [:]
+        for case let entry as NSObject in entries {
+            // Same private-API access as the urlMappings update in performCacheSwap
+            guard entry.responds(to: NSSelectorFromString("url")),
+                  entry.responds(to: NSSelectorFromString("filePath")),
+                  let url = entry.value(forKey: "url") as? String,
+                  let filePath = entry.value(forKey: "filePath") as? String,
+                  let components = URLComponents(string: url),
+                  let hash = components.query else {
+                continue
+            }
+            files["\(components.path)?\(hash)"] = filePath.hasPrefix("/") ?
+                URL(fileURLWithPath: filePath) :
+                cacheAppDir.appendingPathComponent(filePath)
+        }
+        return files
+    }
 
-        // Mark the downloaded version as current
-        saveCurrentVersion(downloadedVersion)
+    // MARK: - Version Rules
 
-        // Set flag to detect crash on next launch
-        setCrashDetectionFlag()
+    /// Stay on a version token: newer versions are not offered until unpinned
+    @objc public func pinVersion(_ token: String) {
+        defaults.set(token, forKey: OSStorageKey.pinnedVersion)
+        print("📌 [OSManualOTA] Pinned version: \(token)")
+    }
 
-        // In OutSystems, the cache swap happens automatically on next app launch
-        // We just need to ensure the version is updated
-        completion(true, nil)
+    @objc public func unpinVersion() {
+        defaults.removeObject(forKey: OSStorageKey.pinnedVersion)
+        print("📌 [OSManualOTA] Version unpinned")
     }
 
-    // MARK: - Rollback
-    @objc public func rollbackToPreviousVersion(completion: @escaping (Bool, Error?) -> Void) {
-        guard let previousVersion = getPreviousVersion() else {
-            completion(false, OTAError.rollbackFailed("No previous version available"))
-            return
+    /// Never install a version token
+    @objc public func blockVersion(_ token: String) {
+        var blocked = defaults.stringArray(forKey: OSStorageKey.blockedVersions) ?? []
+        if !blocked.contains(token) {
+            blocked.append(token)
         }
+        defaults.set(blocked, forKey: OSStorageKey.blockedVersions)
+        print("⛔ [OSManualOTA] Blocked version: \(token)")
+    }
 
-        // Use OutSystems cache rollback if available
-        if let osCache = getOutSystemsCache() {
-            osCache.rollbackToPreviousVersion()
+    @objc public func unblockVersion(_ token: String) {
+        let blocked = (defaults.stringArray(forKey: OSStorageKey.blockedVersions) ?? []).filter { $0 != token }
+        defaults.set(blocked, forKey: OSStorageKey.blockedVersions)
+        print("⛔ [OSManualOTA] Unblocked version: \(token)")
+    }
+
+    @objc public func getVersionRules() -> [String: Any] {
+        return [
+            "pinnedVersion": defaults.string(forKey: OSStorageKey.pinnedVersion) ?? NSNull(),
+            "blockedVersions": defaults.stringArray(forKey: OSStorageKey.blockedVersions) ?? []
+        ]
+    }
+
+    /// Why a version may not be installed ("blocked", "pinned"), nil when allowed.
+    /// Mirrored by versionRuleViolation() in hooks/after_prepare_patch_ota.js
+    private func versionRuleReason(for token: String) -> String? {
+        if (defaults.stringArray(forKey: OSStorageKey.blockedVersions) ?? []).contains(token) {
+            return "blocked"
+        }
+        if let pinned = defaults.string(forKey: OSStorageKey.pinnedVersion), pinned != token {
+            return "pinned"
         }
+        return nil
+    }
 
-        // Update version info
-        saveCurrentVersion(previousVersion)
-        clearDownloadedVersion()
+    // MARK: - Staged Rollout
 
-        // Clear crash detection flag
-        clearCrashDetectionFlag()
+    /// Random identifier created on first use; stable across launches, reset by reinstalling
+    private func installId() -> String {
+        if let id = defaults.string(forKey: OSStorageKey.installId) {
+            return id
+        }
+        let id = UUID().uuidString
+        defaults.set(id, forKey: OSStorageKey.installId)
+        return id
+    }
 
-        completion(true, nil)
+    /// Whether this install may receive the version according to the rollout document.
+    /// Without rollout configuration every version is eligible. If the rollout URL cannot be
+    /// fetched the last fetched document is used; without one the version is held back.
+    private func isInRollout(versionToken: String) async -> Bool {
+        guard let document = await loadRolloutDocument() else {
+            return defaults.string(forKey: OSStorageKey.rolloutURL) == nil
+        }
+
+        let cohorts = defaults.stringArray(forKey: OSStorageKey.rolloutCohorts) ?? []
+        return document.isEligible(versionToken: versionToken, installId: installId(), cohorts: cohorts)
     }
 
-    // MARK: - Cancel Download
-    @objc public func cancelDownload() {
-        downloadCancelled = true
+    private func loadRolloutDocument() async -> OSRolloutDocument? {
+        if let urlString = defaults.string(forKey: OSStorageKey.rolloutURL) {
+            do {
+                let document = try await fetchRemoteDocument(urlString, name: "rollout")
+                defaults.set(try JSONSerialization.data(withJSONObject: document), forKey: OSStorageKey.rolloutDocument)
+            } catch {
+                print("[OSManualOTA] ⚠️ Could not fetch rollout document: \(error.localizedDescription) - using last known one")
+            }
+        }
 
-        // Cancel OutSystems OSCacheResources download
-        if let cacheResources = currentCacheResources {
-            cacheResources.cancelDownload()
-            print("⚠️ Download cancelled")
+        guard let data = defaults.data(forKey: OSStorageKey.rolloutDocument),
+              let dictionary = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            return nil
         }
+        return OSRolloutDocument(dictionary: dictionary)
+    }
 
-        currentCacheResources = nil
+    // MARK: - Update Severity
+    private func updateSeverity(latestVersion: String, currentVersion: String) async -> OSUpdateSeverity {
+        guard let document = await loadSeverityDocument() else {
+            return .optional
+        }
+        let belowMinimum = document.isBelowMinimum(currentVersion)
+        if belowMinimum {
+            print("[OSManualOTA] 🚨 Running version \(currentVersion) is below the minimum supported version")
+        }
+        return document.severity(of: latestVersion, isBelowMinimum: belowMinimum)
     }
 
-    // MARK: - Version Management
-    @objc public func getCurrentVersionInfo(completion: @escaping ([String: Any]?) -> Void) {
-        let currentVersion = getCurrentVersion()
-        let downloadedVersion = getDownloadedVersion()
-        let previousVersion = getPreviousVersion()
-        let lastCheck = defaults.object(forKey: OSStorageKey.lastUpdateCheck) as? Date
+    private func loadSeverityDocument() async -> OSSeverityDocument? {
+        if let urlString = defaults.string(forKey: OSStorageKey.severityURL) {
+            do {
+                let document = try await fetchRemoteDocument(urlString, name: "severity")
+                defaults.set(try JSONSerialization.data(withJSONObject: document), forKey: OSStorageKey.severityDocument)
+            } catch {
+                print("[OSManualOTA] ⚠️ Could not fetch severity document: \(error.localizedDescription) - using last known one")
+            }
+        }
 
-        let info: [String: Any] = [
-            "currentVersion": currentVersion,
-            "downloadedVersion": downloadedVersion ?? "",
-            "previousVersion": previousVersion ?? "",
-            "lastUpdateCheck": lastCheck?.timeIntervalSince1970 ?? 0,
-            "isUpdateDownloaded": downloadedVersion != nil,
-            "isDownloading": isDownloading
-        ]
+        guard let data = defaults.data(forKey: OSStorageKey.severityDocument),
+              let dictionary = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            return nil
+        }
+        return OSSeverityDocument(dictionary: dictionary)
+    }
+
+    // MARK: - Update Metadata
+    /// Metadata for a version token: fetched from the metadata source, or the cached copy when offline
+    private func updateMetadata(for versionToken: String) async -> OSUpdateMetadata? {
+        guard let template = defaults.string(forKey: OSStorageKey.metadataURL) else {
+            return cachedMetadata(for: versionToken)
+        }
 
-        completion(info)
+        do {
+            let urlString = template.replacingOccurrences(of: "{version}", with: versionToken)
+            let document = try await fetchRemoteDocument(urlString, name: "metadata")
+            let metadata = OSUpdateMetadata(dictionary: document)
+            cacheMetadata(metadata, for: versionToken)
+            return metadata
+        } catch {
+            print("[OSManualOTA] ⚠️ Could not fetch metadata for \(versionToken): \(error.localizedDescription) - using cached copy")
+            return cachedMetadata(for: versionToken)
+        }
     }
 
-    // MARK: - OTA Blocking Control
-    @objc public func setOTABlockingEnabled(_ enabled: Bool) {
-        defaults.set(enabled, forKey: OSStorageKey.otaBlockingEnabled)
+    /// Cached copy first; the source is only asked about versions it never described
+    private func knownMetadata(for versionToken: String) async -> OSUpdateMetadata? {
+        if let cached = cachedMetadata(for: versionToken) {
+            return cached
+        }
+        return await updateMetadata(for: versionToken)
+    }
 
-        // Also sync to JavaScript side via notification
-        // The JavaScript hook checks localStorage for the blocking state
-        NotificationCenter.default.post(
-            name: .otaBlockingStatusChanged,
-            object: nil,
-            userInfo: ["enabled": enabled]
-        )
+    private func cachedMetadata(for versionToken: String) -> OSUpdateMetadata? {
+        guard let cache = defaults.dictionary(forKey: OSStorageKey.updateMetadata),
+              let dictionary = cache[versionToken] as? [String: Any] else {
+            return nil
+        }
+        return OSUpdateMetadata(dictionary: dictionary)
+    }
+
+    /// Keeps metadata for the versions in the history, the running version and the new one
+    private func cacheMetadata(_ metadata: OSUpdateMetadata, for versionToken: String) {
+        var cache = defaults.dictionary(forKey: OSStorageKey.updateMetadata) ?? [:]
+        cache[versionToken] = metadata.toDictionary()
 
-        // Trigger JavaScript update
-        DispatchQueue.main.async {
-            self.syncBlockingStateToJavaScript(enabled)
+        var keep = Set(loadHistory().map { $0.version })
+        keep.insert(versionToken)
+        keep.insert(getCurrentVersion())
+        if let downloadedVersion = getDownloadedVersion() {
+            keep.insert(downloadedVersion)
         }
+        cache = cache.filter { keep.contains($0.key) }
 
-        print("✅ OTA blocking \(enabled ? "enabled" : "disabled")")
+        defaults.set(cache, forKey: OSStorageKey.updateMetadata)
     }
 
-    @objc public func isOTABlockingEnabled() -> Bool {
-        return defaults.bool(forKey: OSStorageKey.otaBlockingEnabled)
+    /// Absolute URL, or a path relative to baseURL
+    private func resolveRemoteURL(_ urlString: String) throws -> URL? {
+        if urlString.hasPrefix("http://") || urlString.hasPrefix("https://") {
+            return URL(string: urlString)
+        } else if let config = configuration {
+            let path = urlString.hasPrefix("/") ? String(urlString.dropFirst()) : urlString
+            return URL(string: "\(config.baseURL)/\(path)")
+        }
+        throw OTAError.invalidConfiguration
     }
 
-    // Sync blocking state to JavaScript localStorage
-    private func syncBlockingStateToJavaScript(_ enabled: Bool) {
-        // This will be called from the plugin to update localStorage
-        // The JavaScript hook checks localStorage.getItem('os_manual_ota_blocking_enabled')
-        let js = """
-        (function() {
-            localStorage.setItem('os_manual_ota_blocking_enabled', '\(enabled ? "true" : "false")');
-            console.log('[OSManualOTA] Blocking state updated: \(enabled ? "enabled" : "disabled")');
-        })();
-        """
+    /// Fetches a small JSON document (rollout, severity...) used by update checks
+    private func fetchRemoteDocument(_ urlString: String, name: String) async throws -> [String: Any] {
+        guard let url = try resolveRemoteURL(urlString) else {
+            throw OTAError.versionCheckFailed("Invalid \(name) URL")
+        }
+
+        var request = URLRequest(url: url)
+        request.setValue("application/json", forHTTPHeaderField: "Accept")
+        request.cachePolicy = .reloadIgnoringLocalCacheData
+        request.timeoutInterval = configuration?.downloadTimeout ?? 60
+
+        let (data, response) = try await URLSession.shared.data(for: request)
+
+        guard let httpResponse = response as? HTTPURLResponse,
+              httpResponse.statusCode == 200 else {
+            throw OTAError.versionCheckFailed("\(name.capitalized) document HTTP error")
+        }
+
+        guard let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            throw OTAError.versionCheckFailed("Invalid \(name) document")
+        }
 
-        // This would need a WebView reference - will be handled via plugin
-        // For now, the plugin will handle this via JavaScript callback
+        return json
     }
 
     // MARK: - Splash Screen Bypass Control
     @objc public func setSplashBypassEnabled(_ enabled: Bool) {
         defaults.set(enabled, forKey: OSStorageKey.splashBypassEnabled)
         print("💨 [OSManualOTA] Splash bypass \(enabled ? "enabled" : "disabled")")
+        diagnostics.log(.blocking, "Splash bypass \(enabled ? "enabled" : "disabled")")
 
         // Post notification for UI updates if needed
         NotificationCenter.default.post(
@@ -599,9 +1867,75 @@ import ObjectiveC
             urlMappingsNoCache: manifestDict["urlMappingsNoCache"] as? [String: String]
         )
 
+        // Signature can come with the manifest (body or header) or from the configured signature URL
+        let inlineSignature = json["signature"] as? String ??
+            httpResponse.value(forHTTPHeaderField: "X-Manifest-Signature")
+        try await verifyManifestSignature(manifest, inlineSignature: inlineSignature)
+
         return manifest
     }
 
+    // MARK: - Integrity Verification
+
+    /// Throws unless the manifest is signed with the configured key (no-op when no key is configured)
+    private func verifyManifestSignature(_ manifest: OSModuleManifest, inlineSignature: String?) async throws {
+        guard let publicKey = defaults.string(forKey: OSStorageKey.manifestPublicKey) else {
+            return
+        }
+        guard let verifier = OSManifestSignatureVerifier(base64PublicKey: publicKey) else {
+            throw OTAError.integrityCheckFailed("invalid manifest public key")
+        }
+
+        var signature = inlineSignature
+        if signature == nil, let template = defaults.string(forKey: OSStorageKey.manifestSignatureURL) {
+            signature = try await fetchManifestSignature(
+                template.replacingOccurrences(of: "{version}", with: manifest.versionToken)
+            )
+        }
+
+        guard let signature = signature else {
+            throw OTAError.integrityCheckFailed("manifest for \(manifest.versionToken) is not signed")
+        }
+        guard verifier.isValid(signature: signature, for: manifest) else {
+            throw OTAError.integrityCheckFailed("invalid manifest signature for \(manifest.versionToken)")
+        }
+
+        print("🔏 [OSManualOTA] Manifest signature verified for \(manifest.versionToken)")
+    }
+
+    private func fetchManifestSignature(_ urlString: String) async throws -> String {
+        guard let url = try resolveRemoteURL(urlString) else {
+            throw OTAError.manifestFetchFailed("Invalid signature URL")
+        }
+
+        var request = URLRequest(url: url)
+        request.cachePolicy = .reloadIgnoringLocalCacheData
+        request.timeoutInterval = configuration?.downloadTimeout ?? 60
+
+        let (data, response) = try await URLSession.shared.data(for: request)
+
+        guard let httpResponse = response as? HTTPURLResponse,
+              httpResponse.statusCode == 200,
+              let signature = String(data: data, encoding: .utf8) else {
+            throw OTAError.manifestFetchFailed("Signature HTTP error")
+        }
+
+        return signature
+    }
+
+    private func hasFailedIntegrity(_ version: String) -> Bool {
+        return (defaults.stringArray(forKey: OSStorageKey.integrityFailedVersions) ?? []).contains(version)
+    }
+
+    private func setIntegrityFailed(_ failed: Bool, version: String) {
+        var versions = (defaults.stringArray(forKey: OSStorageKey.integrityFailedVersions) ?? []).filter { $0 != version }
+        if failed {
+            versions.append(version)
+            print("🚫 [OSManualOTA] Version \(version) failed integrity verification")
+        }
+        defaults.set(versions, forKey: OSStorageKey.integrityFailedVersions)
+    }
+
     // MARK: - File Comparison & Download
     private func getChangedFiles(newHashes: [String: String]) -> [String: String] {
         guard let savedHashesData = defaults.data(forKey: OSStorageKey.assetHashes),
@@ -616,6 +1950,92 @@ import ObjectiveC
         }
     }
 
+    // MARK: - Update Estimation
+
+    /// Estimates what downloadUpdate would fetch: changed/unchanged file counts (same comparison
+    /// as getChangedFiles) and, where the server reports Content-Length, the byte size
+    @objc public func estimateUpdate(completion: @escaping ([String: Any]?, Error?) -> Void) {
+        guard configuration != nil else {
+            completion(nil, OTAError.invalidConfiguration)
+            return
+        }
+
+        Task {
+            do {
+                let manifest = try await getModuleManifest()
+                let changedFiles = getChangedFiles(newHashes: manifest.urlVersions).filter { !isPatchedFile($0.key) }
+                let unchangedCount = manifest.urlVersions.count - changedFiles.count
+
+                let (bytes, sizedFiles) = await estimateDownloadSize(changedFiles)
+                print("📏 [OSManualOTA] Update estimate: \(changedFiles.count) changed, \(unchangedCount) unchanged, \(bytes) bytes (\(sizedFiles)/\(changedFiles.count) sized)")
+
+                completion([
+                    "version": manifest.versionToken,
+                    "hasUpdate": manifest.versionToken != getCurrentVersion(),
+                    "changedFiles": changedFiles.count,
+                    "unchangedFiles": unchangedCount,
+                    "totalFiles": manifest.urlVersions.count,
+                    "estimatedBytes": sizedFiles > 0 ? bytes : NSNull(),
+                    "sizeComplete": sizedFiles == changedFiles.count
+                ], nil)
+            } catch {
+                completion(nil, error)
+            }
+        }
+    }
+
+    /// Sums Content-Length of HEAD requests for the files; returns (bytes, number of files with a known size)
+    private func estimateDownloadSize(_ files: [String: String]) async -> (Int64, Int) {
+        guard let config = configuration,
+              let base = URLComponents(string: config.baseURL) else {
+            return (0, 0)
+        }
+
+        let urls: [URL] = files.compactMap { path, hash in
+            var components = URLComponents()
+            components.scheme = base.scheme ?? "https"
+            components.host = config.hostname
+            components.path = path
+            components.percentEncodedQuery = hash.hasPrefix("?") ? String(hash.dropFirst()) : hash
+            return components.url
+        }
+
+        var totalBytes: Int64 = 0
+        var sizedFiles = 0
+        var index = 0
+
+        // Same parallelism as downloads
+        while index < urls.count {
+            let batch = urls[index..<min(index + config.maxParallelDownloads, urls.count)]
+            index += batch.count
+
+            await withTaskGroup(of: Int64?.self) { group in
+                for url in batch {
+                    group.addTask {
+                        var request = URLRequest(url: url)
+                        request.httpMethod = "HEAD"
+                        request.timeoutInterval = 15
+                        guard let result = try? await URLSession.shared.data(for: request),
+                              let httpResponse = result.1 as? HTTPURLResponse,
+                              httpResponse.statusCode == 200,
+                              httpResponse.expectedContentLength >= 0 else {
+                            return nil
+                        }
+                        return httpResponse.expectedContentLength
+                    }
+                }
+                for await length in group {
+                    if let length = length {
+                        totalBytes += length
+                        sizedFiles += 1
+                    }
+                }
+            }
+        }
+
+        return (totalBytes, sizedFiles)
+    }
+
     // MARK: - Cache Directory Management
     private func ensureCacheDirectoryExists(forVersion version: String) throws {
         guard let config = configuration else {
@@ -671,13 +2091,9 @@ import ObjectiveC
         let totalFiles = manifest.urlVersions.count
         let changedCount = changedFiles.count
         let skippedFiles = totalFiles - changedCount
-        progressHandler?(0, changedCount, skippedFiles)
+        reportProgress(downloaded: 0, total: changedCount, skipped: skippedFiles)
 
-        // Files we patch and should skip from download (keep our patched versions)
-        let patchedFiles = [
-            "/scripts/OutSystemsManifestLoader.js",
-            "/scripts/OutSystemsUI.Private.ApplicationLoadEvents.mvc.js"
-        ]
+        let patchedFiles = OSManualOTAManager.patchedFiles
 
         // Prepare resource list in OutSystems format
         // Format: ["path?hash", "path2?hash2", ...]
@@ -730,6 +2146,18 @@ import ObjectiveC
 
         // Use continuation to bridge async/await with OutSystems completion blocks
         return try await withCheckedThrowingContinuation { continuation in
+            // Requests go through OSRetryingURLProtocol: files fetched by an earlier, interrupted
+            // attempt for this version are served from the checkpoint, the rest are retried with backoff
+            let checkpoint = OSDownloadCheckpoint(version: version)
+            OSRetryingURLProtocol.checkpoint = checkpoint
+            OSRetryingURLProtocol.retryPolicy = OSRetryPolicy(dictionary: self.defaults.dictionary(forKey: OSStorageKey.retryPolicy))
+            let integrityReport = OSIntegrityReport(version: version)
+            OSRetryingURLProtocol.integrityReport = integrityReport
+            self.defaults.set(["version": version, "total": resourceList.count], forKey: OSStorageKey.partialDownload)
+            if let staged = checkpoint?.completedCount, staged > 0 {
+                print("▶️ Resuming download of \(version): \(staged)/\(resourceList.count) files already fetched")
+            }
+
             // Track progress
             var downloadedFiles = 0
             var errorOccurred = false
@@ -744,7 +2172,7 @@ import ObjectiveC
                     let totalFilesInt = total.intValue
                     let skipped = totalFilesInt - changedCount
 
-                    self.progressHandler?(downloadedFiles, changedCount, skipped)
+                    self.reportProgress(downloaded: downloadedFiles, total: changedCount, skipped: skipped)
                 }
             }
 
@@ -759,13 +2187,22 @@ import ObjectiveC
 
             // Finish handler
             let downloadFinishBlock: DownloadFinishBlock = { [weak self] success in
+                OSRetryingURLProtocol.checkpoint = nil
+                OSRetryingURLProtocol.integrityReport = nil
+
                 guard let self = self else {
                     continuation.resume(returning: false)
                     return
                 }
 
+                self.defaults.set(integrityReport.toDictionary(), forKey: OSStorageKey.lastIntegrityReport)
+
                 if self.downloadCancelled {
                     continuation.resume(returning: false)
+                } else if !integrityReport.passed {
+                    // Mismatching files never reach the cache; do not register or swap to this version
+                    let mismatched = integrityReport.toDictionary()["mismatched"] as? [String] ?? []
+                    continuation.resume(throwing: OTAError.integrityCheckFailed("\(mismatched.count) file(s) do not match the manifest hash: \(mismatched.prefix(5).joined(separator: ", "))"))
                 } else if errorOccurred || !success {
                     continuation.resume(throwing: OTAError.downloadFailed("Download failed"))
                 } else {
@@ -818,6 +2255,8 @@ import ObjectiveC
                             print("⚠️  Could not get OSNativeCache sharedInstance or configuration for switchToVersion")
                         }
 
+                        self.clearPartialDownload()
+
                         continuation.resume(returning: true)
                     } catch {
                         print("❌ Failed to register or swap cache: \(error.localizedDescription)")
@@ -827,8 +2266,9 @@ import ObjectiveC
             }
 
             // Create URLSession getter block
+            let retryingSession = OSRetryingURLProtocol.makeSession()
             let sessionGetter: DownloadSession = {
-                return URLSession.shared
+                return retryingSession
             }
 
             // Create OSCacheResources instance
@@ -874,6 +2314,33 @@ import ObjectiveC
     // Store current download instance for cancellation
     private var currentCacheResources: OSCacheResources?
 
+    // Files we patch and should skip from download (keep our patched versions)
+    private static let patchedFiles = [
+        "/scripts/OutSystemsManifestLoader.js",
+        "/scripts/OutSystemsUI.Private.ApplicationLoadEvents.mvc.js"
+    ]
+
+    private func isPatchedFile(_ path: String) -> Bool {
+        return OSManualOTAManager.patchedFiles.contains { path.contains($0) }
+    }
+
+    /// Reports download progress to the caller and to JavaScript event subscribers
+    private func reportProgress(downloaded: Int, total: Int, skipped: Int) {
+        progressHandler?(downloaded, total, skipped)
+        postEvent(.otaDownloadProgress, [
+            "downloaded": downloaded,
+            "total": total,
+            "skipped": skipped,
+            "percentage": total > 0 ? Double(downloaded) / Double(total) * 100 : 0
+        ])
+    }
+
+    // MARK: - Events
+    /// Posts a plugin event; OSManualOTAPlugin forwards it to JavaScript as a document event
+    private func postEvent(_ name: Notification.Name, _ userInfo: [String: Any] = [:]) {
+        NotificationCenter.default.post(name: name, object: nil, userInfo: userInfo)
+    }
+
     // MARK: - Storage Helpers
     internal func getCurrentVersion() -> String {
         let storedVersion = defaults.string(forKey: OSStorageKey.currentVersion) ?? "unknown"
@@ -954,6 +2421,16 @@ import ObjectiveC
     /// Swaps the OutSystems cache to make the downloaded version active
     /// This is the critical step that makes OutSystems load the new version on next app start
     private func swapCacheToVersion(_ version: String, manifest: OSModuleManifest) throws {
+        do {
+            try performCacheSwap(version, manifest: manifest)
+            diagnostics.log(.cacheSwap, "Swapped cache to \(version)")
+        } catch {
+            diagnostics.log(.cacheSwap, "Cache swap to \(version) failed: \(error.localizedDescription)", level: "error")
+            throw error
+        }
+    }
+
+    private func performCacheSwap(_ version: String, manifest: OSModuleManifest) throws {
         guard let config = configuration else {
             throw OTAError.invalidConfiguration
         }
@@ -1417,7 +2894,8 @@ import ObjectiveC
                 searchFor: "function checkForUpdates(",
                 replaceWith: """
                 // [OSManualOTA Plugin Patch] Check if OTA is blocked
-                if (window.localStorage && window.localStorage.getItem('os_manual_ota_blocking_enabled') === 'true') {
+                if (window.localStorage && window.localStorage.getItem('os_manual_ota_blocking_enabled') === 'true' &&
+                    window.sessionStorage.getItem('os_manual_ota_blocking_suspended') !== 'true') {
                     console.log('[OSManualOTA] 🚫 Blocking automatic manifest fetch');
                     return;
                 }
@@ -1501,6 +2979,7 @@ import ObjectiveC
         if defaults.bool(forKey: OSStorageKey.crashDetection) {
             // App crashed after last update, rollback automatically
             print("⚠️ Detected crash after last update, initiating automatic rollback...")
+            track(.crashDetected, ["version": getCurrentVersion(), "reason": "crashAfterUpdate"])
             rollbackToPreviousVersion { success, error in
                 if success {
                     print("✅ Automatic rollback successful")
@@ -1513,14 +2992,94 @@ import ObjectiveC
     }
 
     // MARK: - Network Conditions
-    private func checkNetworkConditions() throws {
-        // Check if network is available
-        // For large updates, check if we're on WiFi
-        // This is a simplified version
+    /// Reason the download options do not allow this download now, nil when they do
+    private func checkNetworkConditions(options: OSDownloadOptions, changedFiles: [String: String]) async -> String? {
+        var estimatedBytes: Int64?
+        if networkMonitor.isOnCellular && options.maxCellularBytes != nil {
+            estimatedBytes = await estimateDownloadSize(changedFiles).0
+        }
+        return networkMonitor.deferReason(for: options, estimatedBytes: estimatedBytes)
+    }
+
+    /// Queues a download until the network matches its options
+    private func deferDownload(trigger: String, options: OSDownloadOptions, reason: String, version: String?) {
+        var pending: [String: Any] = [
+            "trigger": trigger,
+            "options": options.toDictionary(),
+            "reason": reason,
+            "deferredAt": Date().timeIntervalSince1970
+        ]
+        if let version = version {
+            pending["version"] = version
+        }
+        defaults.set(pending, forKey: OSStorageKey.deferredDownload)
+
+        print("⏸️ [OSManualOTA] Download deferred: \(reason)")
+        var userInfo: [String: Any] = ["reason": reason]
+        if let version = version {
+            userInfo["version"] = version
+        }
+        postEvent(.otaDownloadDeferred, userInfo)
+    }
+
+    /// Files already fetched for a version whose download did not finish
+    private func partialDownloadInfo() -> [String: Any]? {
+        guard let partial = defaults.dictionary(forKey: OSStorageKey.partialDownload),
+              let version = partial["version"] as? String else {
+            return nil
+        }
+        let completed = isDownloading ?
+            OSRetryingURLProtocol.checkpoint?.completedCount ?? 0 :
+            OSDownloadCheckpoint(version: version)?.completedCount ?? 0
+        return [
+            "version": version,
+            "completed": completed,
+            "total": partial["total"] as? Int ?? 0
+        ]
+    }
+
+    private func clearPartialDownload() {
+        if let version = defaults.dictionary(forKey: OSStorageKey.partialDownload)?["version"] as? String {
+            OSDownloadCheckpoint(version: version)?.clear()
+        }
+        defaults.removeObject(forKey: OSStorageKey.partialDownload)
+    }
+
+    private func deferredDownloadInfo() -> [String: Any]? {
+        guard let pending = defaults.dictionary(forKey: OSStorageKey.deferredDownload) else {
+            return nil
+        }
+        return pending.filter { $0.key != "options" && $0.key != "trigger" }
+    }
+
+    private func resumeDeferredDownloadIfPossible() {
+        guard let pending = defaults.dictionary(forKey: OSStorageKey.deferredDownload),
+              !isDownloading else {
+            return
+        }
+
+        let options = OSDownloadOptions(dictionary: pending["options"] as? [String: Any])
+        guard networkMonitor.deferReason(for: options) == nil else {
+            return
+        }
+
+        defaults.removeObject(forKey: OSStorageKey.deferredDownload)
+        print("▶️ [OSManualOTA] Network conditions match - resuming deferred download")
+        postEvent(.otaDownloadResumed, [
+            "reason": pending["reason"] as? String ?? "",
+            "version": pending["version"] as? String ?? ""
+        ])
+
+        downloadUpdate(trigger: pending["trigger"] as? String ?? "manual", options: options) { outcome in
+            if case .completed = outcome {
+                print("✅ [OSManualOTA] Deferred download completed")
+            }
+        }
     }
 
     // MARK: - Metrics
     private func logUpdateMetrics(
+        version: String?,
         checkDuration: TimeInterval,
         downloadDuration: TimeInterval,
         downloadSize: Int64,
@@ -1545,7 +3104,118 @@ import ObjectiveC
         )
 
         print("📊 OTA Update Metrics: \(metrics.toDictionary())")
-        // TODO: Send to analytics platform
+
+        var properties: [String: Any] = [
+            "version": version ?? NSNull(),
+            "trigger": triggerMethod,
+            "duration": downloadDuration,
+            "bytes": downloadSize,
+            "filesDownloaded": filesDownloaded,
+            "filesSkipped": filesSkipped
+        ]
+        if let errorMessage = errorMessage {
+            properties["error"] = errorMessage
+        }
+        track(success ? .downloadFinished : .downloadFailed, properties)
+    }
+
+    // MARK: - Telemetry
+    /// Records a funnel event (see OSTelemetry) with this install's id and running version
+    private func track(_ event: OSTelemetryEvent, _ properties: [String: Any]) {
+        trackTelemetryEvent(event.rawValue, properties: properties)
+    }
+
+    /// Also used by OSBackgroundUpdateManager.m (backgroundWake)
+    @objc public func trackTelemetryEvent(_ name: String, properties: [String: Any]) {
+        let category: OSDiagnosticsCategory = name == OSTelemetryEvent.backgroundWake.rawValue ? .background : .update
+        let failed = name == OSTelemetryEvent.downloadFailed.rawValue || name == OSTelemetryEvent.crashDetected.rawValue
+        diagnostics.log(category, name, level: failed ? "error" : "info", details: properties)
+
+        OSTelemetry.shared.record(name, properties: properties, context: [
+            "installId": installId(),
+            "version": getCurrentVersion()
+        ])
+    }
+
+    private func trackUpdateCheck(result: OSUpdateCheckResult?, error: Error?, duration: TimeInterval) {
+        var properties: [String: Any] = ["duration": duration]
+        if let error = error {
+            properties["result"] = "failed"
+            properties["error"] = error.localizedDescription
+        } else if let result = result {
+            properties["result"] = result.hasUpdate ? "available" : (result.reason != nil ? "notOffered" : "upToDate")
+            properties["latestVersion"] = result.version ?? NSNull()
+            if let reason = result.reason {
+                properties["reason"] = reason
+            }
+        }
+        track(.updateCheck, properties)
+    }
+
+    /// Sends queued telemetry now; completion gets the number of queued events
+    @objc public func flushTelemetry(completion: @escaping (Int) -> Void) {
+        OSTelemetry.shared.flush(completion: completion)
+    }
+
+    // MARK: - Diagnostics
+    private var diagnostics: OSDiagnosticsLog {
+        return OSDiagnosticsLog.shared
+    }
+
+    /// Adds an entry to the diagnostics log (also used by OSManualOTAPlugin and OSBackgroundUpdateManager.m)
+    @objc public func logDiagnostic(_ category: String, message: String, details: [String: Any]?) {
+        diagnostics.log(category: category, message: message, details: details)
+    }
+
+    /// Debug bundle for support: diagnostics log, version info and history, flags and configuration
+    /// (URL query strings and telemetry header values redacted)
+    @objc public func exportDiagnostics(completion: @escaping ([String: Any]) -> Void) {
+        getCurrentVersionInfo { [weak self] info in
+            guard let self = self else { return }
+
+            completion([
+                "generatedAt": Date().timeIntervalSince1970,
+                "log": self.diagnostics.allEntries(),
+                "versionInfo": info ?? NSNull(),
+                "versionHistory": self.getVersionHistory(),
+                "versionRules": self.getVersionRules(),
+                "flags": [
+                    "otaBlockingEnabled": self.isOTABlockingEnabled(),
+                    "otaBlocking": self.otaBlockingStatus(),
+                    "splashBypassEnabled": self.isSplashBypassEnabled(),
+                    "remoteCommandsEnabled": OSRemoteCommandVerifier(options: self.defaults.dictionary(forKey: OSStorageKey.remoteCommandOptions)) != nil
+                ],
+                "configuration": self.redactedConfiguration()
+            ])
+        }
+    }
+
+    private func redactedConfiguration() -> [String: Any] {
+        let telemetry = OSTelemetryOptions(dictionary: defaults.dictionary(forKey: OSStorageKey.telemetryOptions))
+
+        return [
+            "baseURL": OSDiagnosticsRedaction.url(configuration?.baseURL),
+            "hostname": configuration?.hostname ?? NSNull(),
+            "applicationPath": configuration?.applicationPath ?? NSNull(),
+            "rolloutURL": OSDiagnosticsRedaction.url(defaults.string(forKey: OSStorageKey.rolloutURL)),
+            "cohorts": defaults.stringArray(forKey: OSStorageKey.rolloutCohorts) ?? [],
+            "severityURL": OSDiagnosticsRedaction.url(defaults.string(forKey: OSStorageKey.severityURL)),
+            "metadataURL": OSDiagnosticsRedaction.url(defaults.string(forKey: OSStorageKey.metadataURL)),
+            "manifestSignatureURL": OSDiagnosticsRedaction.url(defaults.string(forKey: OSStorageKey.manifestSignatureURL)),
+            "manifestSigningEnabled": defaults.string(forKey: OSStorageKey.manifestPublicKey) != nil,
+            "retry": defaults.dictionary(forKey: OSStorageKey.retryPolicy) ?? NSNull(),
+            "healthCheck": defaults.dictionary(forKey: OSStorageKey.healthCheckOptions) ?? NSNull(),
+            "updatePolicy": defaults.data(forKey: OSStorageKey.updatePolicy)
+                .flatMap { try? JSONSerialization.jsonObject(with: $0) } ?? NSNull(),
+            "versionRetention": getVersionRetention(),
+            "telemetry": telemetry.endpoint == nil ? NSNull() : [
+                "endpoint": OSDiagnosticsRedaction.url(telemetry.endpoint?.absoluteString),
+                "headers": OSDiagnosticsRedaction.headers(telemetry.headers),
+                "batchSize": telemetry.batchSize,
+                "flushInterval": telemetry.flushInterval,
+                "maxQueueSize": telemetry.maxQueueSize
+            ] as [String: Any]
+        ]
     }
 
     // MARK: - Helper Methods
@@ -1602,6 +3272,18 @@ import ObjectiveC
         defaults.removeObject(forKey: OSStorageKey.lastUpdateCheck)
         defaults.removeObject(forKey: OSStorageKey.pendingSwapVersion)
         defaults.removeObject(forKey: OSStorageKey.pendingSwapTimestamp)
+        defaults.removeObject(forKey: OSStorageKey.updateAttemptsDay)
+        defaults.removeObject(forKey: OSStorageKey.updateAttemptsCount)
+        for channel in releaseChannels().keys {
+            defaults.removeObject(forKey: historyKey(channel: channel))
+        }
+        defaults.removeObject(forKey: OSStorageKey.versionHistory)
+        defaults.removeObject(forKey: OSStorageKey.partialDownload)
+        defaults.removeObject(forKey: OSStorageKey.integrityFailedVersions)
+        defaults.removeObject(forKey: OSStorageKey.lastIntegrityReport)
+        defaults.removeObject(forKey: OSStorageKey.pendingHealthCheck)
+        defaults.removeObject(forKey: OSStorageKey.lastHealthCheckRollback)
+        OSDownloadCheckpoint.clearAll()
         print("✅ OTA state reset complete")
     }
 
@@ -1781,4 +3463,13 @@ extension Notification.Name {
     static let otaUpdateAvailable = Notification.Name("OSManualOTA.updateAvailable")
     static let otaDownloadProgress = Notification.Name("OSManualOTA.downloadProgress")
     static let otaDownloadComplete = Notification.Name("OSManualOTA.downloadComplete")
+    static let otaDownloadFailed = Notification.Name("OSManualOTA.downloadFailed")
+    static let otaUpdateApplied = Notification.Name("OSManualOTA.updateApplied")
+    static let otaRolledBack = Notification.Name("OSManualOTA.rolledBack")
+    static let otaDownloadDeferred = Notification.Name("OSManualOTA.downloadDeferred")
+    static let otaDownloadResumed = Notification.Name("OSManualOTA.downloadResumed")
+    static let otaChannelChanged = Notification.Name("OSManualOTA.channelChanged")
+    // Posted from OSBackgroundUpdateManager.m by name
+    static let otaBackgroundCheckCompleted = Notification.Name("OSManualOTA.backgroundCheckCompleted")
+    static let otaTelemetry = Notification.Name("OSManualOTA.telemetry")
 }
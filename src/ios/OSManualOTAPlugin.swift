@@ -19,6 +19,23 @@ class OSManualOTAPlugin: CDVPlugin {
     // Store callback IDs for progress updates
     private var downloadCallbackId: String?
 
+    // Native notifications re-fired in JavaScript as document events of the same name
+    // (received by OSManualOTA.on/off/once)
+    private let forwardedEvents: [Notification.Name] = [
+        .otaBlockingStatusChanged,
+        .otaUpdateAvailable,
+        .otaDownloadProgress,
+        .otaDownloadComplete,
+        .otaDownloadFailed,
+        .otaDownloadDeferred,
+        .otaDownloadResumed,
+        .otaUpdateApplied,
+        .otaRolledBack,
+        .otaBackgroundCheckCompleted,
+        .otaChannelChanged,
+        .otaTelemetry
+    ]
+
     // MARK: - Plugin Lifecycle
     override func pluginInitialize() {
         super.pluginInitialize()
@@ -39,13 +56,18 @@ class OSManualOTAPlugin: CDVPlugin {
             self?.readVersionFromOutSystemsJS()
         }
 
-        // Listen for OTA blocking status changes
-        NotificationCenter.default.addObserver(
-            self,
-            selector: #selector(otaBlockingStatusChanged(_:)),
-            name: .otaBlockingStatusChanged,
-            object: nil
-        )
+        // Forward plugin events (blocking changes, downloads, background checks...) to JavaScript
+        for name in forwardedEvents {
+            NotificationCenter.default.addObserver(
+                self,
+                selector: #selector(forwardEventToJavaScript(_:)),
+                name: name,
+                object: nil
+            )
+        }
+
+        // After the observers above, so a rollback of this launch is forwarded as otaRolledBack
+        otaManager.evaluateHealthCheckOnLaunch()
     }
 
     deinit {
@@ -74,6 +96,48 @@ class OSManualOTAPlugin: CDVPlugin {
             currentVersion: currentVersion
         )
 
+        // Optional release channels: {name: {baseURL, hostname, applicationPath}}; the configuration above is the default channel
+        otaManager.configureChannels(
+            config["channels"] as? [String: Any],
+            defaultChannel: config["defaultChannel"] as? String
+        )
+
+        // Optional staged rollout: inline document and/or URL of one, plus this install's cohorts
+        otaManager.configureRollout(
+            url: config["rolloutURL"] as? String,
+            document: config["rollout"] as? [String: Any],
+            cohorts: config["cohorts"] as? [String] ?? []
+        )
+
+        // Optional severity rules: inline document and/or URL of one (minimum version, per-version severity)
+        otaManager.configureSeverity(
+            url: config["severityURL"] as? String,
+            document: config["severity"] as? [String: Any]
+        )
+
+        // Optional metadata source: URL template with "{version}" (release notes, label, publish date, severity)
+        otaManager.configureMetadata(urlTemplate: config["metadataURL"] as? String)
+
+        // Optional per-file retry settings (defaults apply when omitted)
+        otaManager.configureRetryPolicy(config["retry"] as? [String: Any])
+
+        // Optional manifest signing: downloads are refused unless the manifest is signed with this key
+        otaManager.configureIntegrity(
+            publicKey: config["manifestPublicKey"] as? String,
+            signatureURL: config["manifestSignatureURL"] as? String
+        )
+
+        // Optional remote command keys; omitted keeps the ones set before (e.g. from config.xml), null removes them
+        if config.keys.contains("remoteCommands") {
+            otaManager.configureRemoteCommands(config["remoteCommands"] as? [String: Any])
+        }
+
+        // Optional health check: applied updates must call markUpdateHealthy() in time
+        otaManager.configureHealthCheck(config["healthCheck"] as? [String: Any])
+
+        // Optional built-in telemetry reporter (events are queued and POSTed in batches)
+        otaManager.configureTelemetry(config["telemetry"] as? [String: Any])
+
         let result = CDVPluginResult(status: .ok, messageAs: "Configuration saved")
         commandDelegate.send(result, callbackId: command.callbackId)
     }
@@ -93,8 +157,15 @@ class OSManualOTAPlugin: CDVPlugin {
         if version != storedVersion {
             print("[OSManualOTA] 🔄 Updating stored version from '\(storedVersion)' to '\(version)'")
             otaManager.saveCurrentVersion(version)
+            otaManager.logDiagnostic("versionSync", message: "Stored version updated from JavaScript", details: [
+                "stored": storedVersion,
+                "javascript": version
+            ])
             print("[OSManualOTA] ✅ Version synced successfully")
         } else {
+            otaManager.logDiagnostic("versionSync", message: "JavaScript version matches stored version", details: [
+                "version": version
+            ])
             print("[OSManualOTA] ✅ Version already correct - no update needed")
         }
 
@@ -109,7 +180,7 @@ class OSManualOTAPlugin: CDVPlugin {
         logJavaScriptVersions {
             // Then proceed with normal update check
             self.commandDelegate.run {
-                self.otaManager.checkForUpdates { hasUpdate, version, error in
+                self.otaManager.checkForUpdatesWithDetails { checkResult, error in
                     if let error = error {
                         let result = CDVPluginResult(
                             status: .error,
@@ -117,10 +188,7 @@ class OSManualOTAPlugin: CDVPlugin {
                         )
                         self.commandDelegate.send(result, callbackId: command.callbackId)
                     } else {
-                        let response: [String: Any] = [
-                            "hasUpdate": hasUpdate,
-                            "version": version ?? ""
-                        ]
+                        let response = checkResult?.toDictionary() ?? ["hasUpdate": false, "version": ""]
                         let result = CDVPluginResult(status: .ok, messageAs: response)
                         self.commandDelegate.send(result, callbackId: command.callbackId)
                     }
@@ -129,23 +197,62 @@ class OSManualOTAPlugin: CDVPlugin {
         }
     }
 
+    // MARK: - Update Estimation
+    @objc(estimateUpdate:)
+    func estimateUpdate(_ command: CDVInvokedUrlCommand) {
+        commandDelegate.run {
+            self.otaManager.estimateUpdate { estimate, error in
+                let result: CDVPluginResult
+                if let error = error {
+                    result = CDVPluginResult(status: .error, messageAs: error.localizedDescription)
+                } else {
+                    result = CDVPluginResult(status: .ok, messageAs: estimate ?? [:])
+                }
+                self.commandDelegate.send(result, callbackId: command.callbackId)
+            }
+        }
+    }
+
     // MARK: - Download Update
     @objc(downloadUpdate:)
     func downloadUpdate(_ command: CDVInvokedUrlCommand) {
         // Store callback ID for progress updates
         downloadCallbackId = command.callbackId
 
+        // Optional network conditions (Wi-Fi only, no low data mode...)
+        let options = (command.argument(at: 0) as? [String: Any]).map { OSDownloadOptions(dictionary: $0) }
+
         commandDelegate.run {
             self.otaManager.downloadUpdate(
+                trigger: "manual",
+                options: options,
                 progressHandler: { [weak self] downloaded, total, skipped in
                     self?.sendProgressUpdate(downloaded: downloaded, total: total, skipped: skipped)
                 },
                 errorHandler: { [weak self] error in
                     self?.sendError(message: error)
                 },
-                completion: { [weak self] success in
+                completion: { [weak self] outcome in
                     guard let self = self else { return }
 
+                    if case .deferred(let reason) = outcome {
+                        let response: [String: Any] = [
+                            "success": false,
+                            "deferred": true,
+                            "reason": reason
+                        ]
+                        let result = CDVPluginResult(status: .ok, messageAs: response)
+                        result?.setKeepCallbackAs(false)
+                        self.commandDelegate.send(result, callbackId: command.callbackId)
+                        self.downloadCallbackId = nil
+                        return
+                    }
+
+                    var success = false
+                    if case .completed = outcome {
+                        success = true
+                    }
+
                     // Note: We don't reload the webview here because:
                     // 1. The manifest has been persisted to disk
                     // 2. The new version will load automatically on next app start
@@ -218,6 +325,178 @@ class OSManualOTAPlugin: CDVPlugin {
         }
     }
 
+    @objc(rollbackTo:)
+    func rollbackTo(_ command: CDVInvokedUrlCommand) {
+        guard let version = command.argument(at: 0) as? String, !version.isEmpty else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid version: expected version token")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        commandDelegate.run {
+            self.otaManager.rollbackTo(version: version) { success, error in
+                if let error = error {
+                    let result = CDVPluginResult(
+                        status: .error,
+                        messageAs: error.localizedDescription
+                    )
+                    self.commandDelegate.send(result, callbackId: command.callbackId)
+                } else {
+                    let response: [String: Any] = [
+                        "success": success,
+                        "version": version,
+                        "message": "Rollback completed"
+                    ]
+                    let result = CDVPluginResult(status: .ok, messageAs: response)
+                    self.commandDelegate.send(result, callbackId: command.callbackId)
+                }
+            }
+        }
+    }
+
+    // MARK: - Health Check
+    @objc(markUpdateHealthy:)
+    func markUpdateHealthy(_ command: CDVInvokedUrlCommand) {
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.markUpdateHealthy())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    @objc(reportUnhealthy:)
+    func reportUnhealthy(_ command: CDVInvokedUrlCommand) {
+        let message = command.argument(at: 0) as? String ?? "Fatal JavaScript error"
+
+        commandDelegate.run {
+            self.otaManager.reportUnhealthy(message: message)
+            let result = CDVPluginResult(status: .ok, messageAs: "Reported")
+            self.commandDelegate.send(result, callbackId: command.callbackId)
+        }
+    }
+
+    // MARK: - Telemetry
+    @objc(flushTelemetry:)
+    func flushTelemetry(_ command: CDVInvokedUrlCommand) {
+        otaManager.flushTelemetry { queued in
+            let result = CDVPluginResult(status: .ok, messageAs: ["queued": queued])
+            self.commandDelegate.send(result, callbackId: command.callbackId)
+        }
+    }
+
+    // MARK: - Diagnostics
+    @objc(exportDiagnostics:)
+    func exportDiagnostics(_ command: CDVInvokedUrlCommand) {
+        otaManager.exportDiagnostics { bundle in
+            let result = CDVPluginResult(status: .ok, messageAs: bundle)
+            self.commandDelegate.send(result, callbackId: command.callbackId)
+        }
+    }
+
+    // MARK: - Version History
+    @objc(getVersionHistory:)
+    func getVersionHistory(_ command: CDVInvokedUrlCommand) {
+        // Optional release channel (defaults to the current one)
+        let channel = command.argument(at: 0) as? String
+
+        commandDelegate.run {
+            let result = CDVPluginResult(status: .ok, messageAs: self.otaManager.getVersionHistory(channel: channel))
+            self.commandDelegate.send(result, callbackId: command.callbackId)
+        }
+    }
+
+    // MARK: - Remote Commands
+    @objc(verifyRemoteCommand:)
+    func verifyRemoteCommand(_ command: CDVInvokedUrlCommand) {
+        guard let envelope = command.argument(at: 0) as? [String: Any] else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid parameter: expected {command, signature}")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        let verification = otaManager.verifyRemoteCommand(envelope)
+        let result: CDVPluginResult?
+        if let error = verification["error"] as? [String: Any] {
+            result = CDVPluginResult(status: .error, messageAs: error)
+        } else {
+            result = CDVPluginResult(status: .ok, messageAs: verification["command"] as? [String: Any] ?? [:])
+        }
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    @objc(forgetRemoteCommand:)
+    func forgetRemoteCommand(_ command: CDVInvokedUrlCommand) {
+        guard let id = command.argument(at: 0) as? String, !id.isEmpty else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid parameter: expected command id")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        otaManager.forgetRemoteCommand(id: id)
+        let result = CDVPluginResult(status: .ok, messageAs: "Forgotten")
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    // MARK: - Release Channels
+    @objc(setChannel:)
+    func setChannel(_ command: CDVInvokedUrlCommand) {
+        guard let name = command.argument(at: 0) as? String, !name.isEmpty else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid parameter: expected channel name")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        commandDelegate.run {
+            self.otaManager.switchChannel(
+                name,
+                progressHandler: { [weak self] downloaded, total, skipped in
+                    let progress: [String: Any] = [
+                        "downloaded": downloaded,
+                        "total": total,
+                        "skipped": skipped,
+                        "percentage": total > 0 ? Double(downloaded) / Double(total) * 100 : 0
+                    ]
+                    let result = CDVPluginResult(status: .ok, messageAs: progress)
+                    result?.setKeepCallbackAs(true)
+                    self?.commandDelegate.send(result, callbackId: command.callbackId)
+                },
+                completion: { [weak self] response, error in
+                    let result: CDVPluginResult?
+                    if let error = error {
+                        result = CDVPluginResult(status: .error, messageAs: error)
+                    } else {
+                        result = CDVPluginResult(status: .ok, messageAs: response ?? [:])
+                    }
+                    result?.setKeepCallbackAs(false)
+                    self?.commandDelegate.send(result, callbackId: command.callbackId)
+                }
+            )
+        }
+    }
+
+    @objc(getChannel:)
+    func getChannel(_ command: CDVInvokedUrlCommand) {
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.channelInfo())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    @objc(setVersionRetention:)
+    func setVersionRetention(_ command: CDVInvokedUrlCommand) {
+        guard let count = command.argument(at: 0) as? Int, count >= 0 else {
+            let result = CDVPluginResult(
+                status: .error,
+                messageAs: "Invalid parameter: expected non-negative integer"
+            )
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        otaManager.setVersionRetention(count)
+
+        let response: [String: Any] = [
+            "retention": otaManager.getVersionRetention()
+        ]
+        let result = CDVPluginResult(status: .ok, messageAs: response)
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
     // MARK: - Cancel Download
     @objc(cancelDownload:)
     func cancelDownload(_ command: CDVInvokedUrlCommand) {
@@ -252,37 +531,119 @@ class OSManualOTAPlugin: CDVPlugin {
         }
 
         otaManager.setOTABlockingEnabled(enabled)
+        syncBlockingPolicyToJavaScript()
 
-        // Sync to JavaScript localStorage
-        let js = """
-        localStorage.setItem('os_manual_ota_blocking_enabled', '\(enabled ? "true" : "false")');
-        localStorage.setItem('os_manual_ota_current_version', '\(otaManager.isOTABlockingEnabled())');
-        console.log('[OSManualOTA] Blocking state synced to localStorage: \(enabled)');
-        """
+        var response = otaManager.otaBlockingStatus()
+        response["message"] = enabled ? "OTA blocking enabled" : "OTA blocking disabled"
+
+        let result = CDVPluginResult(status: .ok, messageAs: response)
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    @objc(setOTABlockingPolicy:)
+    func setOTABlockingPolicy(_ command: CDVInvokedUrlCommand) {
+        guard let policy = command.argument(at: 0) as? [String: Any],
+              otaManager.setOTABlockingPolicy(policy) else {
+            let result = CDVPluginResult(
+                status: .error,
+                messageAs: "Invalid parameter: expected blocking policy object"
+            )
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        syncBlockingPolicyToJavaScript()
+
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.otaBlockingStatus())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
+    @objc(setOTABlockingSuspended:)
+    func setOTABlockingSuspended(_ command: CDVInvokedUrlCommand) {
+        guard let suspended = command.argument(at: 0) as? Bool else {
+            let result = CDVPluginResult(
+                status: .error,
+                messageAs: "Invalid parameter: expected boolean"
+            )
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        otaManager.setOTABlockingSuspended(suspended)
+
+        // sessionStorage ends with the WebView session, like the native flag ends with the app
+        let js = suspended
+            ? "sessionStorage.setItem('os_manual_ota_blocking_suspended', 'true');"
+            : "sessionStorage.removeItem('os_manual_ota_blocking_suspended');"
         commandDelegate.evalJs(js)
 
-        let response: [String: Any] = [
-            "enabled": enabled,
-            "message": enabled ? "OTA blocking enabled" : "OTA blocking disabled"
-        ]
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.otaBlockingStatus())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
 
-        let result = CDVPluginResult(status: .ok, messageAs: response)
+    /// Launch count of the afterNLaunches mode, reported by the OutSystemsManifestLoader hook on deviceready
+    @objc(syncBlockingLaunches:)
+    func syncBlockingLaunches(_ command: CDVInvokedUrlCommand) {
+        guard let launches = (command.argument(at: 0) as? NSNumber)?.intValue, launches >= 0 else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid parameter: expected launch count")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        otaManager.syncBlockingLaunches(launches)
+
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.otaBlockingStatus())
         commandDelegate.send(result, callbackId: command.callbackId)
     }
 
     @objc(isOTABlockingEnabled:)
     func isOTABlockingEnabled(_ command: CDVInvokedUrlCommand) {
-        let enabled = otaManager.isOTABlockingEnabled()
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.otaBlockingStatus())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
 
-        let response: [String: Any] = [
-            "enabled": enabled
-        ]
+    /// Mirrors the blocking policy into localStorage, where the OutSystemsManifestLoader hook evaluates it.
+    /// The launch count restarts with the policy; the current WebView session is not counted.
+    private func syncBlockingPolicyToJavaScript() {
+        let status = otaManager.otaBlockingStatus()
 
-        let result = CDVPluginResult(status: .ok, messageAs: response)
-        commandDelegate.send(result, callbackId: command.callbackId)
+        guard let policy = status["policy"] as? [String: Any],
+              let data = try? JSONSerialization.data(withJSONObject: policy),
+              let json = String(data: data, encoding: .utf8) else {
+            print("[OSManualOTA] ⚠️ Could not serialize blocking policy")
+            return
+        }
+
+        let enabled = status["enabled"] as? Bool ?? false
+        let js = """
+        localStorage.setItem('os_manual_ota_blocking_policy', JSON.stringify(\(json)));
+        localStorage.setItem('os_manual_ota_blocking_launches', '0');
+        sessionStorage.setItem('os_manual_ota_blocking_launches', 'counted');
+        localStorage.setItem('os_manual_ota_blocking_enabled', '\(enabled ? "true" : "false")');
+        console.log('[OSManualOTA] Blocking policy synced to localStorage: \(json)');
+        """
+        commandDelegate.evalJs(js)
     }
 
     // MARK: - Splash Screen Bypass Control
+    // MARK: - Update Policy
+    @objc(setUpdatePolicy:)
+    func setUpdatePolicy(_ command: CDVInvokedUrlCommand) {
+        guard let policy = command.argument(at: 0) as? [String: Any] else {
+            let result = CDVPluginResult(
+                status: .error,
+                messageAs: "Invalid parameter: expected policy object"
+            )
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return
+        }
+
+        otaManager.setUpdatePolicy(policy)
+
+        let result = CDVPluginResult(status: .ok, messageAs: policy)
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
     @objc(setSplashBypassEnabled:)
     func setSplashBypassEnabled(_ command: CDVInvokedUrlCommand) {
         guard let enabled = command.argument(at: 0) as? Bool else {
@@ -325,6 +686,53 @@ class OSManualOTAPlugin: CDVPlugin {
         commandDelegate.send(result, callbackId: command.callbackId)
     }
 
+    // MARK: - Version Rules
+    @objc(pinVersion:)
+    func pinVersion(_ command: CDVInvokedUrlCommand) {
+        guard let token = versionTokenArgument(command) else { return }
+        otaManager.pinVersion(token)
+        sendVersionRules(command)
+    }
+
+    @objc(unpinVersion:)
+    func unpinVersion(_ command: CDVInvokedUrlCommand) {
+        otaManager.unpinVersion()
+        sendVersionRules(command)
+    }
+
+    @objc(blockVersion:)
+    func blockVersion(_ command: CDVInvokedUrlCommand) {
+        guard let token = versionTokenArgument(command) else { return }
+        otaManager.blockVersion(token)
+        sendVersionRules(command)
+    }
+
+    @objc(unblockVersion:)
+    func unblockVersion(_ command: CDVInvokedUrlCommand) {
+        guard let token = versionTokenArgument(command) else { return }
+        otaManager.unblockVersion(token)
+        sendVersionRules(command)
+    }
+
+    @objc(getVersionRules:)
+    func getVersionRules(_ command: CDVInvokedUrlCommand) {
+        sendVersionRules(command)
+    }
+
+    private func versionTokenArgument(_ command: CDVInvokedUrlCommand) -> String? {
+        guard let token = command.argument(at: 0) as? String, !token.isEmpty else {
+            let result = CDVPluginResult(status: .error, messageAs: "Invalid version: expected version token")
+            commandDelegate.send(result, callbackId: command.callbackId)
+            return nil
+        }
+        return token
+    }
+
+    private func sendVersionRules(_ command: CDVInvokedUrlCommand) {
+        let result = CDVPluginResult(status: .ok, messageAs: otaManager.getVersionRules())
+        commandDelegate.send(result, callbackId: command.callbackId)
+    }
+
     // MARK: - Background Updates Control
     @objc(enableBackgroundUpdates:)
     func enableBackgroundUpdates(_ command: CDVInvokedUrlCommand) {
@@ -392,8 +800,22 @@ class OSManualOTAPlugin: CDVPlugin {
                let hostname = settings["OSManualOTAHostname"] as? String,
                let appPath = settings["OSManualOTAApplicationPath"] as? String {
                 otaManager.configure(baseURL: baseURL, hostname: hostname, applicationPath: appPath)
+                // <preference name="OSManualOTAChannels" value='{"beta": {...}}' /> and the default channel name
+                otaManager.configureChannels(
+                    OSReleaseChannels.dictionary(fromJSON: settings["OSManualOTAChannels"] as? String),
+                    defaultChannel: settings["OSManualOTADefaultChannel"] as? String
+                )
                 print("✅ Configured OTA from settings")
             }
+
+            // Keys of OSManualOTA.handleRemoteCommand: shared HMAC secret and/or signing public key
+            let remoteCommandKeys = [
+                "hmacKey": settings["OSManualOTARemoteCommandKey"] as? String,
+                "publicKey": settings["OSManualOTARemoteCommandPublicKey"] as? String
+            ].compactMapValues { $0 }
+            if !remoteCommandKeys.isEmpty {
+                otaManager.configureRemoteCommands(remoteCommandKeys)
+            }
         }
     }
 
@@ -420,11 +842,18 @@ class OSManualOTAPlugin: CDVPlugin {
         commandDelegate.send(result, callbackId: callbackId)
     }
 
-    @objc private func otaBlockingStatusChanged(_ notification: Notification) {
-        guard let enabled = notification.userInfo?["enabled"] as? Bool else { return }
+    @objc private func forwardEventToJavaScript(_ notification: Notification) {
+        let payload = notification.userInfo as? [String: Any] ?? [:]
+
+        guard JSONSerialization.isValidJSONObject(payload),
+              let data = try? JSONSerialization.data(withJSONObject: payload),
+              let json = String(data: data, encoding: .utf8) else {
+            print("[OSManualOTA] ⚠️ Could not serialize event payload for \(notification.name.rawValue)")
+            return
+        }
 
         // Notify JavaScript side via event
-        let js = "cordova.fireDocumentEvent('OSManualOTA.blockingStatusChanged', {enabled: \(enabled)});"
+        let js = "cordova.fireDocumentEvent('\(notification.name.rawValue)', \(json));"
         commandDelegate.evalJs(js)
     }
 
@@ -0,0 +1,93 @@
+//
+//  OSNetworkConditions.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Download options and the network monitor deciding whether they allow downloading now
+//
+
+import Foundation
+import Network
+
+// MARK: - Download Options
+struct OSDownloadOptions {
+    let requireUnmetered: Bool
+    let allowCellular: Bool
+    let maxCellularBytes: Int64?
+    let deferIfLowDataMode: Bool
+
+    /// Builds options from the object passed to downloadUpdate / checkAndDownload
+    init(dictionary: [String: Any]?) {
+        let dictionary = dictionary ?? [:]
+        self.requireUnmetered = (dictionary["requireUnmetered"] as? NSNumber)?.boolValue ?? false
+        self.allowCellular = (dictionary["allowCellular"] as? NSNumber)?.boolValue ?? true
+        self.maxCellularBytes = (dictionary["maxCellularBytes"] as? NSNumber)?.int64Value
+        self.deferIfLowDataMode = (dictionary["deferIfLowDataMode"] as? NSNumber)?.boolValue ?? false
+    }
+
+    func toDictionary() -> [String: Any] {
+        var dictionary: [String: Any] = [
+            "requireUnmetered": requireUnmetered,
+            "allowCellular": allowCellular,
+            "deferIfLowDataMode": deferIfLowDataMode
+        ]
+        if let maxCellularBytes = maxCellularBytes {
+            dictionary["maxCellularBytes"] = maxCellularBytes
+        }
+        return dictionary
+    }
+}
+
+// MARK: - Network Monitor
+final class OSNetworkMonitor {
+    private let monitor = NWPathMonitor()
+    private let queue = DispatchQueue(label: "com.outsystems.manual-ota.network")
+    private(set) var currentPath: NWPath?
+
+    /// Called on every network change
+    var onChange: ((NWPath) -> Void)?
+
+    init() {
+        monitor.pathUpdateHandler = { [weak self] path in
+            self?.currentPath = path
+            self?.onChange?(path)
+        }
+        monitor.start(queue: queue)
+    }
+
+    deinit {
+        monitor.cancel()
+    }
+
+    var isOnCellular: Bool {
+        return currentPath?.usesInterfaceType(.cellular) ?? false
+    }
+
+    /// Why the options do not allow downloading on the current network, nil when they do.
+    /// Reasons: "offline", "lowDataMode", "metered", "cellular", "cellularSizeLimit"
+    func deferReason(for options: OSDownloadOptions, estimatedBytes: Int64? = nil) -> String? {
+        guard let path = currentPath else {
+            // No path reported yet - don't hold the download back
+            return nil
+        }
+
+        if path.status != .satisfied {
+            return "offline"
+        }
+        if #available(iOS 13.0, *), options.deferIfLowDataMode && path.isConstrained {
+            return "lowDataMode"
+        }
+        if options.requireUnmetered && path.isExpensive {
+            return "metered"
+        }
+
+        let onCellular = path.usesInterfaceType(.cellular)
+        if onCellular && !options.allowCellular {
+            return "cellular"
+        }
+        if onCellular, let maxBytes = options.maxCellularBytes, let bytes = estimatedBytes, bytes > maxBytes {
+            return "cellularSizeLimit"
+        }
+
+        return nil
+    }
+}
@@ -0,0 +1,82 @@
+//
+//  OSReleaseChannels.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Named release channels, each pointing at an OutSystems environment / application path.
+//  The configuration passed to configure() is the default channel.
+//
+
+import Foundation
+
+// MARK: - Release Channel
+struct OSReleaseChannel {
+    let name: String
+    let baseURL: String
+    let hostname: String
+    let applicationPath: String
+
+    /// Parses {baseURL, hostname, applicationPath}
+    init?(name: String, dictionary: [String: Any]?) {
+        guard !name.isEmpty,
+              let baseURL = dictionary?["baseURL"] as? String, !baseURL.isEmpty,
+              let hostname = dictionary?["hostname"] as? String, !hostname.isEmpty,
+              let applicationPath = dictionary?["applicationPath"] as? String, !applicationPath.isEmpty else {
+            return nil
+        }
+        self.name = name
+        self.baseURL = baseURL
+        self.hostname = hostname
+        // Same normalization as configure(): OutSystems uses the path without leading slash
+        self.applicationPath = applicationPath.hasPrefix("/") ? String(applicationPath.dropFirst()) : applicationPath
+    }
+
+    init(name: String, configuration: OSUpdateConfiguration) {
+        self.name = name
+        self.baseURL = configuration.baseURL
+        self.hostname = configuration.hostname
+        self.applicationPath = configuration.applicationPath
+    }
+
+    var configuration: OSUpdateConfiguration {
+        return OSUpdateConfiguration(baseURL: baseURL, hostname: hostname, applicationPath: applicationPath)
+    }
+
+    func toDictionary() -> [String: Any] {
+        return [
+            "baseURL": baseURL,
+            "hostname": hostname,
+            "applicationPath": applicationPath
+        ]
+    }
+}
+
+// MARK: - Release Channels
+enum OSReleaseChannels {
+    static let defaultChannelName = "production"
+
+    /// Parses {name: {baseURL, hostname, applicationPath}}, skipping incomplete channels
+    static func parse(_ dictionary: [String: Any]?) -> [String: OSReleaseChannel] {
+        var channels: [String: OSReleaseChannel] = [:]
+        for (name, value) in dictionary ?? [:] {
+            if let channel = OSReleaseChannel(name: name, dictionary: value as? [String: Any]) {
+                channels[name] = channel
+            } else {
+                print("⚠️ [OSManualOTA] Ignoring release channel '\(name)': baseURL, hostname and applicationPath are required")
+            }
+        }
+        return channels
+    }
+
+    /// Reads the OSManualOTAChannels config.xml preference (a JSON object of channels)
+    static func dictionary(fromJSON json: String?) -> [String: Any]? {
+        guard let json = json else {
+            return nil
+        }
+        guard let data = json.data(using: .utf8),
+              let dictionary = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            print("⚠️ [OSManualOTA] OSManualOTAChannels preference is not a JSON object")
+            return nil
+        }
+        return dictionary
+    }
+}
@@ -0,0 +1,151 @@
+//
+//  OSRemoteCommand.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Signed OTA commands delivered by any push plugin (see OSManualOTA.handleRemoteCommand).
+//  Envelope: {command: "<JSON string>", signature: "<base64>"}; the signature covers the UTF-8
+//  bytes of the command string, as HMAC-SHA256 with a shared secret or as an Ed25519 / P-256
+//  signature checked with a public key.
+//
+
+import Foundation
+import CryptoKit
+
+// MARK: - Actions
+enum OSRemoteCommandAction: String, CaseIterable {
+    case check
+    case download
+    case apply
+    case rollback
+    case pin
+    case setBlocking
+}
+
+// MARK: - Command
+struct OSRemoteCommand {
+    let id: String
+    let action: OSRemoteCommandAction
+    let version: String?
+    let expiresAt: Date
+    /// Parsed command, returned to JavaScript as is
+    let dictionary: [String: Any]
+
+    /// Parses {id, action, version?, expiresAt (seconds since epoch), blocking? (setBlocking only)}
+    /// - Returns: the command, or why it is malformed
+    static func parse(_ json: String) -> (OSRemoteCommand?, String?) {
+        guard let data = json.data(using: .utf8),
+              let dictionary = (try? JSONSerialization.jsonObject(with: data)) as? [String: Any] else {
+            return (nil, "command is not a JSON object")
+        }
+        guard let id = dictionary["id"] as? String, !id.isEmpty, id.count <= 128 else {
+            return (nil, "id must be a non-empty string of at most 128 characters")
+        }
+        guard let action = OSRemoteCommandAction(rawValue: dictionary["action"] as? String ?? "") else {
+            let actions = OSRemoteCommandAction.allCases.map { $0.rawValue }.joined(separator: ", ")
+            return (nil, "action must be one of \(actions)")
+        }
+
+        let version = dictionary["version"] as? String
+        if dictionary["version"] != nil, version?.isEmpty ?? true {
+            return (nil, "version must be a non-empty string")
+        }
+        if action == .pin, version == nil {
+            return (nil, "pin needs a version")
+        }
+
+        // Required: the ledger only remembers ids until their command expires
+        guard let value = dictionary["expiresAt"], let seconds = value as? NSNumber, !(value is Bool),
+              seconds.doubleValue.isFinite else {
+            return (nil, "expiresAt (seconds since epoch) is required")
+        }
+        let expiresAt = Date(timeIntervalSince1970: seconds.doubleValue)
+
+        if action == .setBlocking {
+            let blocking = dictionary["blocking"]
+            guard blocking is Bool || blocking is [String: Any] else {
+                return (nil, "setBlocking needs blocking (a boolean or a blocking policy)")
+            }
+        }
+
+        return (OSRemoteCommand(id: id, action: action, version: version, expiresAt: expiresAt, dictionary: dictionary), nil)
+    }
+}
+
+// MARK: - Verifier
+/// Checks command signatures with the keys given in configure ({hmacKey, publicKey})
+struct OSRemoteCommandVerifier {
+    private let hmacKey: SymmetricKey?
+    private let signatureVerifier: OSManifestSignatureVerifier?
+
+    /// Nil when no usable key is configured
+    init?(options: [String: Any]?) {
+        let secret = options?["hmacKey"] as? String
+        let publicKey = options?["publicKey"] as? String
+
+        hmacKey = secret.flatMap { $0.isEmpty ? nil : SymmetricKey(data: Data($0.utf8)) }
+        signatureVerifier = publicKey.flatMap { OSManifestSignatureVerifier(base64PublicKey: $0) }
+
+        if publicKey != nil, signatureVerifier == nil {
+            print("[OSManualOTA] ⚠️ Remote command public key is not a valid Ed25519 or P-256 key")
+        }
+        if hmacKey == nil, signatureVerifier == nil {
+            return nil
+        }
+    }
+
+    /// True when the signature matches the HMAC key or the public key
+    func isValid(signature: String, for command: String) -> Bool {
+        let payload = Data(command.utf8)
+
+        if let hmacKey = hmacKey,
+           let mac = Data(base64Encoded: signature.trimmingCharacters(in: .whitespacesAndNewlines)),
+           HMAC<SHA256>.isValidAuthenticationCode(mac, authenticating: payload, using: hmacKey) {
+            return true
+        }
+        return signatureVerifier?.isValid(signature: signature, for: payload) ?? false
+    }
+}
+
+// MARK: - Ledger
+/// Ids of accepted commands, kept until they expire so a command can't be replayed.
+/// Commands must expire within maxLifetime, and no id is dropped before its command expires.
+struct OSRemoteCommandLedger {
+    /// Longest accepted time between now and a command's expiresAt
+    static let maxLifetime: TimeInterval = 30 * 24 * 60 * 60
+    static let capacity = 500
+
+    private let defaults: UserDefaults
+
+    init(defaults: UserDefaults) {
+        self.defaults = defaults
+    }
+
+    func contains(_ id: String) -> Bool {
+        return entries()[id] != nil
+    }
+
+    /// Remembers the id until the command expires
+    /// - Returns: false when the ledger is full of unexpired ids (forgetting one would allow its replay)
+    func record(_ command: OSRemoteCommand, now: Date = Date()) -> Bool {
+        var seen = entries(now: now)
+        guard seen.count < OSRemoteCommandLedger.capacity else {
+            return false
+        }
+        seen[command.id] = command.expiresAt.timeIntervalSince1970
+        defaults.set(seen, forKey: OSStorageKey.remoteCommandsSeen)
+        return true
+    }
+
+    /// Forgets the id of a command whose action failed, so the same command can be delivered again
+    func forget(_ id: String) {
+        var seen = entries()
+        seen.removeValue(forKey: id)
+        defaults.set(seen, forKey: OSStorageKey.remoteCommandsSeen)
+    }
+
+    /// Seen ids that are still remembered
+    private func entries(now: Date = Date()) -> [String: Double] {
+        let stored = defaults.dictionary(forKey: OSStorageKey.remoteCommandsSeen) as? [String: Double] ?? [:]
+        return stored.filter { $0.value > now.timeIntervalSince1970 }
+    }
+}
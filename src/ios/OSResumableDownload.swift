@@ -0,0 +1,286 @@
+//
+//  OSResumableDownload.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Per-file retries with exponential backoff and checkpointed (resumable) downloads.
+//  OSCacheResources performs the requests through the URLSession we hand it, so the
+//  retry/checkpoint logic (and hash verification, see OSIntegrity.swift) lives in a
+//  URLProtocol registered on that session.
+//
+
+import Foundation
+
+// MARK: - Retry Policy
+struct OSRetryPolicy {
+    let maxRetries: Int
+    let initialDelay: TimeInterval
+    let maxDelay: TimeInterval
+    let multiplier: Double
+    let jitter: Double // fraction of the delay added or removed at random (0...1)
+
+    /// Builds a policy from the `retry` object passed to configure
+    init(dictionary: [String: Any]?) {
+        let dictionary = dictionary ?? [:]
+        self.maxRetries = max((dictionary["maxRetries"] as? NSNumber)?.intValue ?? 3, 0)
+        self.initialDelay = max((dictionary["initialDelay"] as? NSNumber)?.doubleValue ?? 1, 0)
+        self.maxDelay = max((dictionary["maxDelay"] as? NSNumber)?.doubleValue ?? 30, 0)
+        self.multiplier = max((dictionary["multiplier"] as? NSNumber)?.doubleValue ?? 2, 1)
+        self.jitter = min(max((dictionary["jitter"] as? NSNumber)?.doubleValue ?? 0.2, 0), 1)
+    }
+
+    /// Delay before retry number `retry` (1-based): initialDelay * multiplier^(retry-1), capped, with jitter
+    func delay(forRetry retry: Int) -> TimeInterval {
+        let base = min(maxDelay, initialDelay * pow(multiplier, Double(max(retry - 1, 0))))
+        let spread = base * jitter
+        return max(0, base + Double.random(in: -spread...spread))
+    }
+
+    /// Network failures, timeouts, 408, 429 and 5xx are worth retrying
+    static func isRetryable(statusCode: Int?, error: Error?) -> Bool {
+        if let error = error as? URLError {
+            return error.code != .cancelled
+        }
+        guard let statusCode = statusCode else {
+            return error != nil
+        }
+        return statusCode == 408 || statusCode == 429 || (500...599).contains(statusCode)
+    }
+}
+
+// MARK: - Download Checkpoint
+/// Files of a version fetched so far, kept on disk until the version is fully downloaded
+final class OSDownloadCheckpoint {
+    let version: String
+    private let directory: URL
+    private let fileManager = FileManager.default
+
+    private static var rootDirectory: URL? {
+        return FileManager.default.urls(for: .applicationSupportDirectory, in: .userDomainMask).first?
+            .appendingPathComponent("OSManualOTA/partial", isDirectory: true)
+    }
+
+    /// Opens the checkpoint for a version, discarding files left over from other versions
+    init?(version: String) {
+        guard let root = OSDownloadCheckpoint.rootDirectory else {
+            return nil
+        }
+        self.version = version
+        self.directory = root.appendingPathComponent(OSDownloadCheckpoint.fileName(for: version), isDirectory: true)
+
+        if let others = try? fileManager.contentsOfDirectory(at: root, includingPropertiesForKeys: nil) {
+            for other in others where other.lastPathComponent != directory.lastPathComponent {
+                try? fileManager.removeItem(at: other)
+            }
+        }
+        try? fileManager.createDirectory(at: directory, withIntermediateDirectories: true)
+    }
+
+    /// Resources are keyed by path and query (the hash), not by host
+    static func key(for url: URL) -> String {
+        return url.query.map { "\(url.path)?\($0)" } ?? url.path
+    }
+
+    private static func fileName(for key: String) -> String {
+        // FNV-1a keeps names short and filesystem safe
+        var hash: UInt64 = 14_695_981_039_346_656_037
+        for byte in key.utf8 {
+            hash ^= UInt64(byte)
+            hash = hash &* 1_099_511_628_211
+        }
+        return String(hash, radix: 16)
+    }
+
+    private func dataURL(for key: String) -> URL {
+        return directory.appendingPathComponent(OSDownloadCheckpoint.fileName(for: key))
+    }
+
+    private func headersURL(for key: String) -> URL {
+        return directory.appendingPathComponent(OSDownloadCheckpoint.fileName(for: key) + ".headers")
+    }
+
+    func contains(_ key: String) -> Bool {
+        return fileManager.fileExists(atPath: dataURL(for: key).path) &&
+            fileManager.fileExists(atPath: headersURL(for: key).path)
+    }
+
+    /// Stored response for a resource, if it was fetched by an earlier attempt
+    func stagedResponse(for url: URL) -> (HTTPURLResponse, Data)? {
+        let key = OSDownloadCheckpoint.key(for: url)
+        guard let data = try? Data(contentsOf: dataURL(for: key)),
+              let headersData = try? Data(contentsOf: headersURL(for: key)),
+              let headers = try? JSONSerialization.jsonObject(with: headersData) as? [String: String],
+              let response = HTTPURLResponse(url: url, statusCode: 200, httpVersion: "HTTP/1.1", headerFields: headers) else {
+            return nil
+        }
+        return (response, data)
+    }
+
+    func store(_ data: Data, response: HTTPURLResponse, for url: URL) {
+        let key = OSDownloadCheckpoint.key(for: url)
+        var headers: [String: String] = [:]
+        for (name, value) in response.allHeaderFields {
+            headers["\(name)"] = "\(value)"
+        }
+        do {
+            try data.write(to: dataURL(for: key), options: .atomic)
+            // Written last: a resource only counts as staged once both files exist
+            try JSONSerialization.data(withJSONObject: headers).write(to: headersURL(for: key), options: .atomic)
+        } catch {
+            print("⚠️ [OSManualOTA] Could not checkpoint \(key): \(error.localizedDescription)")
+        }
+    }
+
+    /// Number of resources fully staged so far
+    var completedCount: Int {
+        let names = (try? fileManager.contentsOfDirectory(atPath: directory.path)) ?? []
+        return names.filter { $0.hasSuffix(".headers") }.count
+    }
+
+    /// Removes the checkpoint once the version is fully downloaded
+    func clear() {
+        try? fileManager.removeItem(at: directory)
+    }
+
+    static func clearAll() {
+        if let root = rootDirectory {
+            try? FileManager.default.removeItem(at: root)
+        }
+    }
+}
+
+// MARK: - Byte Counter
+final class OSByteCounter {
+    private var bytes: Int64 = 0
+    private let lock = NSLock()
+
+    var value: Int64 {
+        lock.lock(); defer { lock.unlock() }
+        return bytes
+    }
+
+    func add(_ count: Int) {
+        lock.lock(); defer { lock.unlock() }
+        bytes += Int64(count)
+    }
+
+    func reset() {
+        lock.lock(); defer { lock.unlock() }
+        bytes = 0
+    }
+}
+
+// MARK: - Retrying URL Protocol
+/// Serves resources already in the active checkpoint from disk and fetches the others with
+/// per-file retries. Responses are verified against the hash in their URL before being
+/// checkpointed; a file that keeps failing verification fails the request.
+final class OSRetryingURLProtocol: URLProtocol {
+    static var checkpoint: OSDownloadCheckpoint?
+    static var retryPolicy = OSRetryPolicy(dictionary: nil)
+    static var integrityReport: OSIntegrityReport?
+    // Bytes fetched from the network (checkpointed files are not counted) since the last reset
+    static let transferredBytes = OSByteCounter()
+
+    // Inner session without this protocol, so requests are not intercepted twice
+    private static let session = URLSession(configuration: .default)
+
+    private var task: URLSessionDataTask?
+    private var stopped = false
+
+    /// Session to hand to OSCacheResources
+    static func makeSession() -> URLSession {
+        let configuration = URLSessionConfiguration.default
+        configuration.protocolClasses = [OSRetryingURLProtocol.self] + (configuration.protocolClasses ?? [])
+        return URLSession(configuration: configuration)
+    }
+
+    override class func canInit(with request: URLRequest) -> Bool {
+        return checkpoint != nil && (request.httpMethod ?? "GET") == "GET"
+    }
+
+    override class func canonicalRequest(for request: URLRequest) -> URLRequest {
+        return request
+    }
+
+    override func startLoading() {
+        guard let url = request.url else {
+            client?.urlProtocol(self, didFailWithError: URLError(.badURL))
+            return
+        }
+
+        if let staged = OSRetryingURLProtocol.checkpoint?.stagedResponse(for: url) {
+            let expected = OSContentHash.expectedHash(for: url)
+            if OSContentHash.passes(staged.1, expected: expected) {
+                record(url: url, verified: expected != nil)
+                deliver(staged.0, data: staged.1)
+                return
+            }
+            print("⚠️ [OSManualOTA] Checkpointed \(url.path) failed verification - downloading again")
+        }
+
+        attempt(url: url, retry: 0)
+    }
+
+    override func stopLoading() {
+        stopped = true
+        task?.cancel()
+    }
+
+    private func attempt(url: URL, retry: Int) {
+        let checkpoint = OSRetryingURLProtocol.checkpoint
+        let policy = OSRetryingURLProtocol.retryPolicy
+        let expected = OSContentHash.expectedHash(for: url)
+
+        task = OSRetryingURLProtocol.session.dataTask(with: request) { [weak self] data, response, error in
+            guard let self = self, !self.stopped else { return }
+
+            let httpResponse = response as? HTTPURLResponse
+            var corrupt = false
+            if let httpResponse = httpResponse, let data = data, (200..<300).contains(httpResponse.statusCode) {
+                if OSContentHash.passes(data, expected: expected) {
+                    OSRetryingURLProtocol.transferredBytes.add(data.count)
+                    self.record(url: url, verified: expected != nil)
+                    checkpoint?.store(data, response: httpResponse, for: url)
+                    self.deliver(httpResponse, data: data)
+                    return
+                }
+                print("⚠️ [OSManualOTA] Hash mismatch for \(url.path)")
+                corrupt = true
+            }
+
+            if retry < policy.maxRetries &&
+                (corrupt || OSRetryPolicy.isRetryable(statusCode: httpResponse?.statusCode, error: error)) {
+                let delay = policy.delay(forRetry: retry + 1)
+                print("🔁 [OSManualOTA] Retry \(retry + 1)/\(policy.maxRetries) for \(url.path) in \(String(format: "%.1f", delay))s")
+                DispatchQueue.global().asyncAfter(deadline: .now() + delay) { [weak self] in
+                    guard let self = self, !self.stopped else { return }
+                    self.attempt(url: url, retry: retry + 1)
+                }
+                return
+            }
+
+            if corrupt {
+                OSRetryingURLProtocol.integrityReport?.recordMismatch(url.path)
+                self.client?.urlProtocol(self, didFailWithError: URLError(.cannotDecodeContentData))
+            } else if let httpResponse = httpResponse {
+                self.deliver(httpResponse, data: data ?? Data())
+            } else {
+                self.client?.urlProtocol(self, didFailWithError: error ?? URLError(.unknown))
+            }
+        }
+        task?.resume()
+    }
+
+    private func record(url: URL, verified: Bool) {
+        if verified {
+            OSRetryingURLProtocol.integrityReport?.recordVerified()
+        } else {
+            OSRetryingURLProtocol.integrityReport?.recordUnverifiable()
+        }
+    }
+
+    private func deliver(_ response: HTTPURLResponse, data: Data) {
+        client?.urlProtocol(self, didReceive: response, cacheStoragePolicy: .notAllowed)
+        client?.urlProtocol(self, didLoad: data)
+        client?.urlProtocolDidFinishLoading(self)
+    }
+}
@@ -0,0 +1,66 @@
+//
+//  OSRollout.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Staged rollout: decides whether this install may receive a version token
+//
+
+import Foundation
+
+// MARK: - Rollout Rule
+struct OSRolloutRule {
+    let percentage: Double
+    let cohorts: [String]
+
+    init(dictionary: [String: Any]) {
+        let percentage = (dictionary["percentage"] as? NSNumber)?.doubleValue ?? 100
+        self.percentage = min(max(percentage, 0), 100)
+        self.cohorts = dictionary["cohorts"] as? [String] ?? []
+    }
+}
+
+// MARK: - Rollout Document
+/// {
+///   "versions": {
+///     "<versionToken>": { "percentage": 10, "cohorts": ["beta"] }
+///   }
+/// }
+/// Versions not listed are rolled out to every install.
+struct OSRolloutDocument {
+    let rules: [String: OSRolloutRule]
+
+    init(dictionary: [String: Any]) {
+        let versions = dictionary["versions"] as? [String: Any] ?? [:]
+        var rules: [String: OSRolloutRule] = [:]
+        for (token, value) in versions {
+            if let rule = value as? [String: Any] {
+                rules[token] = OSRolloutRule(dictionary: rule)
+            }
+        }
+        self.rules = rules
+    }
+
+    /// Whether an install (identified by installId, member of cohorts) may receive the version
+    func isEligible(versionToken: String, installId: String, cohorts: [String]) -> Bool {
+        guard let rule = rules[versionToken] else {
+            return true
+        }
+
+        if !Set(rule.cohorts).isDisjoint(with: cohorts) {
+            return true
+        }
+
+        return Double(OSRolloutDocument.bucket(installId: installId, versionToken: versionToken)) < rule.percentage
+    }
+
+    /// Stable bucket in 0..<100 for an install and version (FNV-1a 32-bit).
+    /// Widening a version's percentage keeps every install that was already in.
+    static func bucket(installId: String, versionToken: String) -> Int {
+        var hash: UInt32 = 2_166_136_261
+        for byte in "\(installId):\(versionToken)".utf8 {
+            hash ^= UInt32(byte)
+            hash = hash &* 16_777_619
+        }
+        return Int(hash % 100)
+    }
+}
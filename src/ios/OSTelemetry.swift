@@ -0,0 +1,215 @@
+//
+//  OSTelemetry.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Structured update funnel events and the built-in batching reporter
+//
+
+import Foundation
+import UIKit
+
+// MARK: - Telemetry Events
+enum OSTelemetryEvent: String {
+    case updateCheck
+    case updateAvailable
+    case downloadStarted
+    case downloadFinished
+    case downloadFailed
+    case updateApplied
+    case rolledBack
+    case crashDetected
+    case backgroundWake
+}
+
+// MARK: - Reporter Options
+/// {"endpoint": "https://...", "headers": {...}, "batchSize": 20, "flushInterval": 60, "maxQueueSize": 500}
+struct OSTelemetryOptions {
+    let endpoint: URL?
+    let headers: [String: String]
+    let batchSize: Int
+    let flushInterval: TimeInterval
+    let maxQueueSize: Int
+
+    init(dictionary: [String: Any]?) {
+        let dictionary = dictionary ?? [:]
+        self.endpoint = (dictionary["endpoint"] as? String).flatMap(URL.init(string:))
+        self.headers = dictionary["headers"] as? [String: String] ?? [:]
+        self.batchSize = max(1, (dictionary["batchSize"] as? NSNumber)?.intValue ?? 20)
+        self.flushInterval = max(5, (dictionary["flushInterval"] as? NSNumber)?.doubleValue ?? 60)
+        self.maxQueueSize = max(1, (dictionary["maxQueueSize"] as? NSNumber)?.intValue ?? 500)
+    }
+}
+
+// MARK: - Telemetry
+/// Every event is posted as OSManualOTA.telemetry (forwarded to the JavaScript handler). With an
+/// endpoint configured, events are also queued in UserDefaults and POSTed as {"events": [...]}
+/// in batches; a batch that cannot be sent stays queued until the next flush.
+final class OSTelemetry {
+    static let shared = OSTelemetry()
+
+    private let defaults = UserDefaults.standard
+    private let queue = DispatchQueue(label: "com.outsystems.manual-ota.telemetry")
+    private var options: OSTelemetryOptions
+    private var timer: DispatchSourceTimer?
+    private var isFlushing = false
+
+    private init() {
+        options = OSTelemetryOptions(dictionary: defaults.dictionary(forKey: OSStorageKey.telemetryOptions))
+
+        NotificationCenter.default.addObserver(
+            forName: UIApplication.didEnterBackgroundNotification,
+            object: nil,
+            queue: nil
+        ) { [weak self] _ in
+            self?.flush()
+        }
+
+        queue.async {
+            self.scheduleFlushTimer()
+            self.sendNextBatch()
+        }
+    }
+
+    /// Reporter settings; nil stops the reporter and drops queued events
+    func configure(_ dictionary: [String: Any]?) {
+        if let dictionary = dictionary {
+            defaults.set(dictionary, forKey: OSStorageKey.telemetryOptions)
+        } else {
+            defaults.removeObject(forKey: OSStorageKey.telemetryOptions)
+        }
+
+        queue.async {
+            self.options = OSTelemetryOptions(dictionary: dictionary)
+            if self.options.endpoint == nil {
+                self.saveQueue([])
+            }
+            self.scheduleFlushTimer()
+            print("[OSManualOTA] 📊 Telemetry reporter \(self.options.endpoint.map { "sending to \($0.absoluteString)" } ?? "disabled")")
+        }
+    }
+
+    /// Records one event; context (installId, running version) is added by the caller
+    func record(_ name: String, properties: [String: Any], context: [String: Any]) {
+        var event: [String: Any] = [
+            "id": UUID().uuidString,
+            "name": name,
+            "timestamp": Date().timeIntervalSince1970,
+            "properties": properties
+        ]
+        for (key, value) in context {
+            event[key] = value
+        }
+
+        NotificationCenter.default.post(name: .otaTelemetry, object: nil, userInfo: event)
+
+        queue.async {
+            guard self.options.endpoint != nil,
+                  JSONSerialization.isValidJSONObject(event) else {
+                return
+            }
+
+            var pending = self.loadQueue()
+            pending.append(event)
+            if pending.count > self.options.maxQueueSize {
+                pending.removeFirst(pending.count - self.options.maxQueueSize)
+            }
+            self.saveQueue(pending)
+
+            if pending.count >= self.options.batchSize {
+                self.sendNextBatch()
+            }
+        }
+    }
+
+    /// Sends queued events now; completion gets the number of events still queued when the flush starts
+    func flush(completion: ((Int) -> Void)? = nil) {
+        queue.async {
+            let queued = self.loadQueue().count
+            self.sendNextBatch()
+            completion?(queued)
+        }
+    }
+
+    // MARK: - Sending
+    private func scheduleFlushTimer() {
+        timer?.cancel()
+        timer = nil
+
+        guard options.endpoint != nil else {
+            return
+        }
+
+        let timer = DispatchSource.makeTimerSource(queue: queue)
+        timer.schedule(deadline: .now() + options.flushInterval, repeating: options.flushInterval)
+        timer.setEventHandler { [weak self] in
+            self?.sendNextBatch()
+        }
+        timer.resume()
+        self.timer = timer
+    }
+
+    /// Runs on `queue`; keeps sending until the queue is empty or a batch fails
+    private func sendNextBatch() {
+        guard !isFlushing, let endpoint = options.endpoint else {
+            return
+        }
+
+        let batch = Array(loadQueue().prefix(options.batchSize))
+        guard !batch.isEmpty, let body = try? JSONSerialization.data(withJSONObject: ["events": batch]) else {
+            return
+        }
+
+        var request = URLRequest(url: endpoint)
+        request.httpMethod = "POST"
+        request.httpBody = body
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        for (header, value) in options.headers {
+            request.setValue(value, forHTTPHeaderField: header)
+        }
+
+        isFlushing = true
+        URLSession.shared.dataTask(with: request) { [weak self] _, response, error in
+            guard let self = self else { return }
+
+            self.queue.async {
+                self.isFlushing = false
+                let statusCode = (response as? HTTPURLResponse)?.statusCode
+
+                if error == nil, let statusCode = statusCode, (200..<300).contains(statusCode) {
+                    self.removeFromQueue(batch)
+                    print("[OSManualOTA] 📊 Sent \(batch.count) telemetry event(s)")
+                    self.sendNextBatch()
+                } else if OSRetryPolicy.isRetryable(statusCode: statusCode, error: error) {
+                    print("[OSManualOTA] ⚠️ Telemetry not sent (\(error?.localizedDescription ?? "HTTP \(statusCode ?? 0)")) - kept for later")
+                } else {
+                    // Rejected by the endpoint; sending it again would fail the same way
+                    self.removeFromQueue(batch)
+                    print("[OSManualOTA] ❌ Telemetry batch rejected with HTTP \(statusCode ?? 0) - dropped \(batch.count) event(s)")
+                }
+            }
+        }.resume()
+    }
+
+    // MARK: - Queue Storage
+    // JSON rather than a property list: event properties may contain nulls
+    private func loadQueue() -> [[String: Any]] {
+        guard let data = defaults.data(forKey: OSStorageKey.telemetryQueue),
+              let events = try? JSONSerialization.jsonObject(with: data) as? [[String: Any]] else {
+            return []
+        }
+        return events
+    }
+
+    private func saveQueue(_ events: [[String: Any]]) {
+        if events.isEmpty {
+            defaults.removeObject(forKey: OSStorageKey.telemetryQueue)
+        } else if let data = try? JSONSerialization.data(withJSONObject: events) {
+            defaults.set(data, forKey: OSStorageKey.telemetryQueue)
+        }
+    }
+
+    private func removeFromQueue(_ batch: [[String: Any]]) {
+        let sent = Set(batch.compactMap { $0["id"] as? String })
+        saveQueue(loadQueue().filter { !sent.contains($0["id"] as? String ?? "") })
+    }
+}
@@ -101,6 +101,8 @@ enum OTAError: LocalizedError {
     case alreadyDownloading
     case cancelled
     case wifiRequired
+    case versionNotAllowed(String)
+    case integrityCheckFailed(String)
 
     var errorDescription: String? {
         switch self {
@@ -126,6 +128,10 @@ enum OTAError: LocalizedError {
             return "Update was cancelled"
         case .wifiRequired:
             return "WiFi connection required for this update"
+        case .versionNotAllowed(let details):
+            return "Version not allowed: \(details)"
+        case .integrityCheckFailed(let details):
+            return "Integrity check failed: \(details)"
         }
     }
 }
@@ -137,11 +143,154 @@ enum OSStorageKey {
     static let downloadedVersion = "os_manual_ota_downloaded_version"
     static let assetHashes = "os_manual_ota_asset_hashes"
     static let otaBlockingEnabled = "os_manual_ota_blocking_enabled"
+    static let otaBlockingPolicy = "os_manual_ota_blocking_policy"
+    static let otaBlockingLaunches = "os_manual_ota_blocking_launches"
+    static let releaseChannels = "os_manual_ota_channels"
+    static let defaultChannel = "os_manual_ota_default_channel"
+    static let currentChannel = "os_manual_ota_channel"
     static let splashBypassEnabled = "os_manual_ota_splash_bypass_enabled"
     static let lastUpdateCheck = "os_manual_ota_last_check"
     static let crashDetection = "os_manual_ota_crash_detection"
     static let pendingSwapVersion = "os_manual_ota_pending_swap_version"
     static let pendingSwapTimestamp = "os_manual_ota_pending_swap_timestamp"
+    static let updatePolicy = "os_manual_ota_update_policy"
+    static let updateAttemptsDay = "os_manual_ota_update_attempts_day"
+    static let updateAttemptsCount = "os_manual_ota_update_attempts_count"
+    static let installId = "os_manual_ota_install_id"
+    static let rolloutURL = "os_manual_ota_rollout_url"
+    static let rolloutDocument = "os_manual_ota_rollout_document"
+    static let rolloutCohorts = "os_manual_ota_rollout_cohorts"
+    static let pinnedVersion = "os_manual_ota_pinned_version"
+    static let blockedVersions = "os_manual_ota_blocked_versions"
+    static let versionHistory = "os_manual_ota_version_history"
+    static let versionRetention = "os_manual_ota_version_retention"
+    static let deferredDownload = "os_manual_ota_deferred_download"
+    static let retryPolicy = "os_manual_ota_retry_policy"
+    static let partialDownload = "os_manual_ota_partial_download"
+    static let manifestPublicKey = "os_manual_ota_manifest_public_key"
+    static let manifestSignatureURL = "os_manual_ota_manifest_signature_url"
+    static let remoteCommandOptions = "os_manual_ota_remote_command_options"
+    static let remoteCommandsSeen = "os_manual_ota_remote_commands_seen"
+    static let integrityFailedVersions = "os_manual_ota_integrity_failed_versions"
+    static let lastIntegrityReport = "os_manual_ota_last_integrity_report"
+    static let healthCheckOptions = "os_manual_ota_health_check_options"
+    static let pendingHealthCheck = "os_manual_ota_pending_health_check"
+    static let lastHealthCheckRollback = "os_manual_ota_last_health_check_rollback"
+    static let severityURL = "os_manual_ota_severity_url"
+    static let severityDocument = "os_manual_ota_severity_document"
+    static let metadataURL = "os_manual_ota_metadata_url"
+    static let updateMetadata = "os_manual_ota_update_metadata"
+    static let telemetryOptions = "os_manual_ota_telemetry_options"
+    static let telemetryQueue = "os_manual_ota_telemetry_queue"
+    static let diagnosticsLog = "os_manual_ota_diagnostics_log"
+}
+
+// MARK: - Version History
+struct OSVersionHistoryEntry: Codable {
+    let version: String
+    let installedAt: Date
+    let source: String   // "manual", "background_fetch", "silent_push", "rollback", "healthCheck"
+    var outcome: String  // "installed", "failed", "rolledBack"
+    var error: String?   // failure message, or why the version was rolled back automatically
+
+    func toDictionary(rollbackAvailable: Bool) -> [String: Any] {
+        var dictionary: [String: Any] = [
+            "version": version,
+            "installedAt": installedAt.timeIntervalSince1970,
+            "source": source,
+            "outcome": outcome,
+            "rollbackAvailable": rollbackAvailable
+        ]
+        if let error = error {
+            dictionary["error"] = error
+        }
+        return dictionary
+    }
+}
+
+// MARK: - Download Outcome
+enum OSDownloadOutcome {
+    case completed
+    case failed
+    case deferred(reason: String)
+}
+
+// MARK: - Update Check Result
+struct OSUpdateCheckResult {
+    let hasUpdate: Bool
+    let version: String?
+    let reason: String? // why a newer version is not offered (e.g. "notInRollout")
+    let severity: OSUpdateSeverity?
+    let metadata: OSUpdateMetadata?
+
+    init(
+        hasUpdate: Bool,
+        version: String?,
+        reason: String? = nil,
+        severity: OSUpdateSeverity? = nil,
+        metadata: OSUpdateMetadata? = nil
+    ) {
+        self.hasUpdate = hasUpdate
+        self.version = version
+        self.reason = reason
+        self.severity = severity
+        self.metadata = metadata
+    }
+
+    func toDictionary() -> [String: Any] {
+        var dictionary: [String: Any] = [
+            "hasUpdate": hasUpdate,
+            "version": version ?? ""
+        ]
+        if let reason = reason {
+            dictionary["reason"] = reason
+        }
+        if let severity = severity {
+            dictionary["severity"] = severity.rawValue
+        }
+        metadata?.merge(into: &dictionary)
+        return dictionary
+    }
+}
+
+// MARK: - Update Metadata
+/// Release notes and display information for a version token, from the metadata source
+/// {"releaseNotes": "...", "versionLabel": "2.4.0", "publishedAt": "2024-05-01T10:00:00Z", "severity": "recommended"}
+struct OSUpdateMetadata {
+    let releaseNotes: String?
+    let versionLabel: String?
+    let publishedAt: String?
+    let severity: OSUpdateSeverity?
+
+    /// Unknown keys and values of the wrong type are dropped
+    init(dictionary: [String: Any]) {
+        self.releaseNotes = dictionary["releaseNotes"] as? String
+        self.versionLabel = dictionary["versionLabel"] as? String
+        self.publishedAt = dictionary["publishedAt"] as? String
+        self.severity = (dictionary["severity"] as? String).flatMap(OSUpdateSeverity.init(rawValue:))
+    }
+
+    /// Adds the display fields (severity is reported separately)
+    func merge(into dictionary: inout [String: Any]) {
+        if let releaseNotes = releaseNotes {
+            dictionary["releaseNotes"] = releaseNotes
+        }
+        if let versionLabel = versionLabel {
+            dictionary["versionLabel"] = versionLabel
+        }
+        if let publishedAt = publishedAt {
+            dictionary["publishedAt"] = publishedAt
+        }
+    }
+
+    func toDictionary() -> [String: Any] {
+        var dictionary: [String: Any] = [:]
+        merge(into: &dictionary)
+        if let severity = severity {
+            dictionary["severity"] = severity.rawValue
+        }
+        return dictionary
+    }
 }
 
 // MARK: - Update Metrics
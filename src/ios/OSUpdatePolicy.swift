@@ -0,0 +1,109 @@
+//
+//  OSUpdatePolicy.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Update policy rules evaluated before background checks and downloads.
+//  Mirrors www/OSManualOTAPolicy.js - keep both in sync.
+//
+
+import Foundation
+
+// MARK: - Policy Steps
+enum OSUpdatePolicyStep: String {
+    case check
+    case download
+    case apply
+}
+
+// MARK: - Quiet Hours
+struct OSQuietHours {
+    let startMinutes: Int
+    let endMinutes: Int
+
+    /// Parses {start: "HH:MM", end: "HH:MM"}
+    init?(dictionary: [String: Any]?) {
+        guard let dictionary = dictionary,
+              let start = OSQuietHours.minutes(of: dictionary["start"] as? String),
+              let end = OSQuietHours.minutes(of: dictionary["end"] as? String) else {
+            return nil
+        }
+        self.startMinutes = start
+        self.endMinutes = end
+    }
+
+    /// Whether a date falls inside the window; windows may wrap midnight (e.g. 22:00 - 07:00)
+    func contains(_ date: Date, calendar: Calendar = .current) -> Bool {
+        let components = calendar.dateComponents([.hour, .minute], from: date)
+        let minutes = (components.hour ?? 0) * 60 + (components.minute ?? 0)
+
+        if startMinutes == endMinutes {
+            return false
+        }
+        if startMinutes < endMinutes {
+            return minutes >= startMinutes && minutes < endMinutes
+        }
+        return minutes >= startMinutes || minutes < endMinutes
+    }
+
+    private static func minutes(of time: String?) -> Int? {
+        guard let parts = time?.split(separator: ":"), parts.count == 2,
+              let hours = Int(parts[0]), let minutes = Int(parts[1]),
+              (0...23).contains(hours), (0...59).contains(minutes) else {
+            return nil
+        }
+        return hours * 60 + minutes
+    }
+}
+
+// MARK: - Update Policy
+struct OSUpdatePolicy {
+    let minCheckInterval: TimeInterval
+    let onlyWhenBackgrounded: Bool
+    let quietHours: OSQuietHours?
+    let maxAttemptsPerDay: Int
+    let applyOnColdStart: Bool
+
+    /// Builds a policy from the dictionary passed to OSManualOTA.setUpdatePolicy
+    init(dictionary: [String: Any]?) {
+        let dictionary = dictionary ?? [:]
+        self.minCheckInterval = (dictionary["minCheckInterval"] as? NSNumber)?.doubleValue ?? 0
+        self.onlyWhenBackgrounded = (dictionary["onlyWhenBackgrounded"] as? NSNumber)?.boolValue ?? false
+        self.quietHours = OSQuietHours(dictionary: dictionary["quietHours"] as? [String: Any])
+        self.maxAttemptsPerDay = (dictionary["maxAttemptsPerDay"] as? NSNumber)?.intValue ?? 0
+        self.applyOnColdStart = (dictionary["applyOnColdStart"] as? NSNumber)?.boolValue ?? false
+    }
+
+    /// Returns the reason the step is not allowed, or nil when it may run
+    func blockReason(
+        for step: OSUpdatePolicyStep,
+        now: Date = Date(),
+        lastUpdateCheck: Date? = nil,
+        isBackground: Bool,
+        attemptsToday: Int = 0,
+        isColdStart: Bool = false
+    ) -> String? {
+        if step == .check || step == .download {
+            if onlyWhenBackgrounded && !isBackground {
+                return "notBackgrounded"
+            }
+            if quietHours?.contains(now) == true {
+                return "quietHours"
+            }
+        }
+
+        if step == .check, minCheckInterval > 0, let lastCheck = lastUpdateCheck,
+           now.timeIntervalSince(lastCheck) < minCheckInterval {
+            return "minInterval"
+        }
+
+        if step == .download && maxAttemptsPerDay > 0 && attemptsToday >= maxAttemptsPerDay {
+            return "maxAttemptsReached"
+        }
+
+        if step == .apply && applyOnColdStart && !isColdStart {
+            return "applyOnColdStart"
+        }
+
+        return nil
+    }
+}
@@ -0,0 +1,84 @@
+//
+//  OSUpdateSeverity.swift
+//  OutSystems Manual OTA Plugin
+//
+//  Update severity and minimum supported version rules
+//
+
+import Foundation
+
+// MARK: - Severity
+enum OSUpdateSeverity: String {
+    case optional
+    case recommended
+    case critical
+
+    private var rank: Int {
+        switch self {
+        case .optional: return 0
+        case .recommended: return 1
+        case .critical: return 2
+        }
+    }
+
+    func raised(to other: OSUpdateSeverity) -> OSUpdateSeverity {
+        return other.rank > rank ? other : self
+    }
+}
+
+// MARK: - Severity Document
+/// {
+///   "minimumVersion": "<versionToken>",
+///   "releases": ["<oldest versionToken>", ..., "<newest versionToken>"],
+///   "unsupportedVersions": ["<versionToken>"],
+///   "defaultSeverity": "optional",
+///   "versions": {
+///     "<versionToken>": { "severity": "critical" }
+///   }
+/// }
+/// Version tokens are not ordered, so only the document can say a version is below the minimum:
+/// it is listed in unsupportedVersions, or comes before minimumVersion in releases.
+struct OSSeverityDocument {
+    let minimumVersion: String?
+    let releases: [String]
+    let unsupportedVersions: Set<String>
+    let defaultSeverity: OSUpdateSeverity
+    let severities: [String: OSUpdateSeverity]
+
+    init(dictionary: [String: Any]) {
+        self.minimumVersion = dictionary["minimumVersion"] as? String
+        self.releases = dictionary["releases"] as? [String] ?? []
+        self.unsupportedVersions = Set(dictionary["unsupportedVersions"] as? [String] ?? [])
+        self.defaultSeverity = (dictionary["defaultSeverity"] as? String).flatMap(OSUpdateSeverity.init(rawValue:)) ?? .optional
+
+        let versions = dictionary["versions"] as? [String: Any] ?? [:]
+        var severities: [String: OSUpdateSeverity] = [:]
+        for (token, value) in versions {
+            // Accept both {"severity": "critical"} and the short form "critical"
+            let raw = (value as? [String: Any])?["severity"] as? String ?? value as? String
+            if let severity = raw.flatMap(OSUpdateSeverity.init(rawValue:)) {
+                severities[token] = severity
+            }
+        }
+        self.severities = severities
+    }
+
+    /// Whether the document places version below the minimum; a version it does not order is not
+    func isBelowMinimum(_ version: String) -> Bool {
+        if unsupportedVersions.contains(version) {
+            return true
+        }
+        guard let minimumVersion = minimumVersion,
+              let minimumIndex = releases.firstIndex(of: minimumVersion),
+              let index = releases.firstIndex(of: version) else {
+            return false
+        }
+        return index < minimumIndex
+    }
+
+    /// Severity of moving to latestVersion; critical whenever the running version is below the minimum
+    func severity(of latestVersion: String, isBelowMinimum: Bool) -> OSUpdateSeverity {
+        let severity = severities[latestVersion] ?? defaultSeverity
+        return isBelowMinimum ? severity.raised(to: .critical) : severity
+    }
+}
@@ -0,0 +1,391 @@
+const nodeCrypto = require('crypto');
+
+const BASE_URL = 'https://example.com/App';
+const CONFIG = { baseURL: BASE_URL, hostname: 'example.com', applicationPath: '/App', retry: { maxRetries: 0 } };
+
+// The proxy requires ./OSManualOTABlocking, which Cordova copies next to it from www/
+jest.mock('../../src/browser/OSManualOTABlocking', function() {
+    return jest.requireActual('../../www/OSManualOTABlocking');
+}, { virtual: true });
+jest.mock('cordova', function() {
+    return { fireDocumentEvent: jest.fn() };
+}, { virtual: true });
+jest.mock('cordova/exec/proxy', function() {
+    return { add: jest.fn() };
+}, { virtual: true });
+
+let proxy;
+let storage;
+let server;
+let fetched;
+
+// Cache Storage backed by Maps
+function fakeCaches() {
+    const stores = new Map();
+    return {
+        open: function(name) {
+            if (!stores.has(name)) {
+                stores.set(name, new Map());
+            }
+            const store = stores.get(name);
+            return Promise.resolve({
+                put: function(key, response) {
+                    return response.text().then(function(text) {
+                        store.set(String(key), text);
+                    });
+                },
+                match: function(key) {
+                    return Promise.resolve(store.has(String(key)) ? new Response(store.get(String(key))) : undefined);
+                }
+            });
+        },
+        has: function(name) {
+            return Promise.resolve(stores.has(name));
+        },
+        delete: function(name) {
+            return Promise.resolve(stores.delete(name));
+        },
+        keys: function() {
+            return Promise.resolve(Array.from(stores.keys()));
+        }
+    };
+}
+
+// moduleservices endpoints for server.version; file responses come from server.respond
+function fakeFetch(url, init) {
+    fetched.push(url);
+    if (url.endsWith('/moduleservices/moduleversioninfo')) {
+        return Promise.resolve(new Response(JSON.stringify({ versionToken: server.version })));
+    }
+    if (url.endsWith('/moduleservices/moduleinfo')) {
+        return Promise.resolve(new Response(JSON.stringify({
+            manifest: { versionToken: server.version, urlVersions: server.files }
+        })));
+    }
+    return server.respond(url, init);
+}
+
+function call(action, args) {
+    return new Promise(function(resolve, reject) {
+        let settled = false;
+        proxy[action](function(result, options) {
+            if (!(options && options.keepCallback)) {
+                resolve(result);
+            }
+        }, function(error) {
+            // downloadUpdate reports the message first, then {success: false}
+            if (!settled) {
+                settled = true;
+                reject(error);
+            }
+        }, args || []);
+    });
+}
+
+function state() {
+    return JSON.parse(storage.os_manual_ota_browser_state || '{}');
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function files(count) {
+    const result = {};
+    for (let i = 0; i < count; i++) {
+        result['/App/scripts/file' + i + '.js'] = 'hash' + i;
+    }
+    return result;
+}
+
+beforeEach(function() {
+    jest.resetModules();
+    storage = {};
+    fetched = [];
+    server = {
+        version: 'v2',
+        files: files(3),
+        respond: function(url) {
+            return Promise.resolve(new Response('content of ' + url));
+        }
+    };
+
+    global.window = global;
+    global.location = { href: 'https://example.com/App/' };
+    global.addEventListener = jest.fn();
+    global.localStorage = {
+        getItem: function(key) {
+            return storage.hasOwnProperty(key) ? storage[key] : null;
+        },
+        setItem: function(key, value) {
+            storage[key] = String(value);
+        },
+        removeItem: function(key) {
+            delete storage[key];
+        }
+    };
+    global.caches = fakeCaches();
+    global.fetch = jest.fn(fakeFetch);
+    Object.defineProperty(global, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+    if (!global.crypto) {
+        global.crypto = nodeCrypto.webcrypto;
+    }
+    jest.spyOn(console, 'log').mockImplementation(function() {});
+
+    proxy = require('../../src/browser/OSManualOTAProxy');
+});
+
+afterEach(function() {
+    console.log.mockRestore();
+    delete global.caches;
+    delete global.localStorage;
+    delete global.addEventListener;
+    delete global.location;
+});
+
+describe('configure', function() {
+    test('stores the configuration', async function() {
+        await expect(call('configure', [CONFIG])).resolves.toBe('Configuration saved');
+        expect(state().configuration).toEqual({ baseURL: BASE_URL, hostname: 'example.com', applicationPath: '/App' });
+    });
+
+    test('rejects manifestPublicKey, whose file hashes could not be verified', async function() {
+        await expect(call('configure', [Object.assign({ manifestPublicKey: 'MCowBQYDK2VwAyEA' }, CONFIG)]))
+            .rejects.toMatch(/^Invalid configuration: manifestPublicKey/);
+        expect(state().configuration).toBeUndefined();
+    });
+});
+
+describe('downloadUpdate', function() {
+    beforeEach(function() {
+        return call('configure', [CONFIG]);
+    });
+
+    test('stores the changed files and the downloaded version', async function() {
+        await expect(call('downloadUpdate', [])).resolves.toEqual({ success: true });
+
+        expect(state().downloadedVersion).toBe('v2');
+        expect(state().partialDownload).toBeUndefined();
+        expect(fetched.filter(function(url) {
+            return url.indexOf('/scripts/') !== -1;
+        }).sort()).toEqual([
+            'https://example.com/App/scripts/file0.js?hash0',
+            'https://example.com/App/scripts/file1.js?hash1',
+            'https://example.com/App/scripts/file2.js?hash2'
+        ]);
+    });
+
+    test('a failed file stops the other workers before the download ends', async function() {
+        server.files = files(20);
+        server.respond = function(url, init) {
+            if (url.indexOf('file3.js') !== -1) {
+                return Promise.resolve(new Response('missing', { status: 404 }));
+            }
+            // Others are still in flight when file3 fails
+            return new Promise(function(resolve, reject) {
+                const timer = setTimeout(function() {
+                    resolve(new Response('content of ' + url));
+                }, 20);
+                init.signal.addEventListener('abort', function() {
+                    clearTimeout(timer);
+                    reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+                });
+            });
+        };
+
+        await expect(call('downloadUpdate', [])).rejects.toMatch(/^Download failed: HTTP 404/);
+
+        const after = JSON.stringify(state());
+        const requests = fetched.length;
+        await wait(50);
+
+        // Nothing still running: no further requests, progress writes or download state
+        expect(fetched.length).toBe(requests);
+        expect(JSON.stringify(state())).toBe(after);
+        expect(requests).toBeLessThan(2 + 20);
+        expect(state().downloadedVersion).toBeUndefined();
+        expect(state().versionHistory[0]).toMatchObject({ version: 'v2', outcome: 'failed', error: expect.stringMatching(/HTTP 404/) });
+        await expect(call('getVersionInfo')).resolves.toMatchObject({ isDownloading: false });
+    });
+
+    test('cancelDownload aborts the running download', async function() {
+        server.respond = function(url, init) {
+            return new Promise(function(resolve, reject) {
+                init.signal.addEventListener('abort', function() {
+                    reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+                });
+            });
+        };
+
+        const download = call('downloadUpdate', []);
+        await wait(10);
+        await call('cancelDownload');
+
+        await expect(download).rejects.toBe('Update was cancelled');
+        expect(state().versionHistory).toBeUndefined();
+        await expect(call('getVersionInfo')).resolves.toMatchObject({ isDownloading: false });
+    });
+
+    describe('wifi only', function() {
+        test.each([
+            [{ requireUnmetered: true }, 'metered'],
+            [{ allowCellular: false }, 'cellular']
+        ])('%j defers on cellular', async function(options, reason) {
+            navigator.connection = { type: 'cellular' };
+
+            await expect(call('downloadUpdate', [options])).resolves.toEqual({ success: false, deferred: true, reason: reason });
+            expect(state().deferredDownload).toMatchObject({ reason: reason, options: options });
+            expect(fetched).toEqual([]);
+        });
+
+        test('downloads on wifi', async function() {
+            navigator.connection = { type: 'wifi' };
+
+            await expect(call('downloadUpdate', [{ requireUnmetered: true }])).resolves.toEqual({ success: true });
+        });
+
+        test('defers while offline', async function() {
+            navigator.onLine = false;
+
+            await expect(call('downloadUpdate', [{}])).resolves.toMatchObject({ deferred: true, reason: 'offline' });
+        });
+    });
+});
+
+describe('checkForUpdates severity', function() {
+    function checkWith(severity) {
+        return call('configure', [Object.assign({ currentVersion: 'v1', severity: severity }, CONFIG)]).then(function() {
+            return call('checkForUpdates');
+        });
+    }
+
+    test('a minimum version never installed locally does not make the update critical', async function() {
+        await expect(checkWith({ minimumVersion: 'v0' })).resolves.toMatchObject({ hasUpdate: true, severity: 'optional' });
+    });
+
+    test('a version the releases do not order is supported', async function() {
+        await expect(checkWith({ minimumVersion: 'v0', releases: ['v0', 'v2'] })).resolves.toMatchObject({ severity: 'optional' });
+    });
+
+    test.each([
+        ['comes before minimumVersion in releases', { minimumVersion: 'v1b', releases: ['v0', 'v1', 'v1b', 'v2'] }],
+        ['is listed in unsupportedVersions', { unsupportedVersions: ['v1'] }]
+    ])('is critical when the running version %s', async function(name, severity) {
+        await expect(checkWith(severity)).resolves.toMatchObject({ severity: 'critical' });
+    });
+
+    test('at or after minimumVersion keeps the declared severity', async function() {
+        const severity = { minimumVersion: 'v1', releases: ['v0', 'v1', 'v2'], versions: { v2: 'recommended' } };
+
+        await expect(checkWith(severity)).resolves.toMatchObject({ severity: 'recommended' });
+    });
+});
+
+describe('verifyRemoteCommand', function() {
+    const HMAC_KEY = 'shared-secret';
+
+    function envelope(command, key) {
+        const json = JSON.stringify(command);
+        return { command: json, signature: nodeCrypto.createHmac('sha256', key || HMAC_KEY).update(json).digest('base64') };
+    }
+
+    function inSeconds(seconds) {
+        return Date.now() / 1000 + seconds;
+    }
+
+    beforeEach(function() {
+        return call('configure', [Object.assign({ remoteCommands: { hmacKey: HMAC_KEY } }, CONFIG)]);
+    });
+
+    test('accepts a signed command once', async function() {
+        const command = { id: 'c1', action: 'check', expiresAt: inSeconds(60) };
+
+        await expect(call('verifyRemoteCommand', [envelope(command)])).resolves.toEqual(command);
+        await expect(call('verifyRemoteCommand', [envelope(command)])).rejects.toMatchObject({ reason: 'duplicate' });
+    });
+
+    test('accepts an Ed25519 signature for publicKey', async function() {
+        const keys = nodeCrypto.generateKeyPairSync('ed25519');
+        const publicKey = keys.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+        await call('configure', [Object.assign({ remoteCommands: { publicKey: publicKey } }, CONFIG)]);
+        const json = JSON.stringify({ id: 'c2', action: 'rollback', expiresAt: inSeconds(60) });
+        const signature = nodeCrypto.sign(null, Buffer.from(json), keys.privateKey).toString('base64');
+
+        await expect(call('verifyRemoteCommand', [{ command: json, signature: signature }])).resolves.toMatchObject({ id: 'c2' });
+        await expect(call('verifyRemoteCommand', [{ command: json + ' ', signature: signature }]))
+            .rejects.toMatchObject({ reason: 'invalidSignature' });
+    });
+
+    test.each([
+        ['a bad signature', envelope({ id: 'c3', action: 'check', expiresAt: inSeconds(60) }, 'other-secret'), 'invalidSignature'],
+        ['no expiresAt', envelope({ id: 'c3', action: 'check' }), 'malformed'],
+        ['an expired command', envelope({ id: 'c3', action: 'check', expiresAt: inSeconds(-1) }), 'expired'],
+        ['expiresAt beyond 30 days', envelope({ id: 'c3', action: 'check', expiresAt: inSeconds(31 * 24 * 60 * 60) }), 'lifetimeTooLong'],
+        ['an unknown action', envelope({ id: 'c3', action: 'wipe', expiresAt: inSeconds(60) }), 'malformed'],
+        ['pin without a version', envelope({ id: 'c3', action: 'pin', expiresAt: inSeconds(60) }), 'malformed']
+    ])('rejects %s', async function(name, signed, reason) {
+        await expect(call('verifyRemoteCommand', [signed])).rejects.toMatchObject({ code: 'COMMAND_REJECTED', reason: reason });
+    });
+
+    test('rejects commands without a configured key', async function() {
+        await call('configure', [Object.assign({ remoteCommands: null }, CONFIG)]);
+
+        await expect(call('verifyRemoteCommand', [envelope({ id: 'c4', action: 'check', expiresAt: inSeconds(60) })]))
+            .rejects.toMatchObject({ reason: 'notConfigured' });
+    });
+
+    test('never forgets an unexpired id to make room', async function() {
+        const ledger = {};
+        for (let i = 0; i < 500; i++) {
+            ledger['old' + i] = inSeconds(3600);
+        }
+        storage.os_manual_ota_browser_state = JSON.stringify(Object.assign(state(), { remoteCommandsSeen: ledger }));
+
+        await expect(call('verifyRemoteCommand', [envelope({ id: 'c5', action: 'check', expiresAt: inSeconds(60) })]))
+            .rejects.toMatchObject({ reason: 'ledgerFull' });
+        await expect(call('verifyRemoteCommand', [envelope({ id: 'old0', action: 'check', expiresAt: inSeconds(60) })]))
+            .rejects.toMatchObject({ reason: 'duplicate' });
+    });
+
+    test('accepts a command again once forgotten after its action failed', async function() {
+        const signed = envelope({ id: 'c7', action: 'check', expiresAt: inSeconds(60) });
+        await call('verifyRemoteCommand', [signed]);
+
+        await expect(call('forgetRemoteCommand', ['c7'])).resolves.toBe('Forgotten');
+        await expect(call('verifyRemoteCommand', [signed])).resolves.toMatchObject({ id: 'c7' });
+        await expect(call('verifyRemoteCommand', [signed])).rejects.toMatchObject({ reason: 'duplicate' });
+    });
+
+    test('forgets ids once their command expired', async function() {
+        storage.os_manual_ota_browser_state = JSON.stringify(Object.assign(state(), { remoteCommandsSeen: { c6: inSeconds(-1) } }));
+
+        await expect(call('verifyRemoteCommand', [envelope({ id: 'c6', action: 'check', expiresAt: inSeconds(60) })]))
+            .resolves.toMatchObject({ id: 'c6' });
+    });
+});
+
+describe('setVersionRetention', function() {
+    test('keeps the most recent past versions across release channels', async function() {
+        storage.os_manual_ota_current_version = 'v5';
+        storage.os_manual_ota_browser_state = JSON.stringify({
+            channels: { beta: { baseURL: 'https://beta.example.com/App', hostname: 'beta.example.com', applicationPath: '/App' } },
+            channel: 'beta',
+            versionHistory: [
+                { version: 'v3', installedAt: 3, source: 'manual', outcome: 'installed' },
+                { version: 'v1', installedAt: 1, source: 'manual', outcome: 'installed' }
+            ],
+            versionHistory_beta: [
+                { version: 'v5', installedAt: 5, source: 'channel_switch', outcome: 'installed' },
+                { version: 'v4', installedAt: 4, source: 'manual', outcome: 'installed' },
+                { version: 'v2', installedAt: 2, source: 'manual', outcome: 'installed' }
+            ],
+            retainedVersions: ['v1', 'v2', 'v3', 'v4']
+        });
+
+        await call('setVersionRetention', [2]);
+
+        expect(state().retainedVersions).toEqual(['v3', 'v4']);
+    });
+});
@@ -0,0 +1,2 @@
+/* Trimmed copy of the OutSystems runtime scripts/OutSystemsManifestLoader.js (minified upstream), used as a patch target in tests */
+var OSManifestLoader=function(e){"use strict";var n="moduleversioninfo",t="moduleinfo";function o(e){return fetch(e,{cache:"no-store"}).then(function(e){if(!e.ok)throw new Error("Request to "+e.url+" failed with status "+e.status);return e.json()})}return e.indexVersionToken=null,e.baseUrl="",e.init=function(n){e.baseUrl=n.baseUrl,e.indexVersionToken=n.versionToken},e.getLatestVersion=function(){return o(e.baseUrl+n+"?"+Date.now()).then(function(e){return{versionToken:e.versionToken,hasNewVersion:e.hasNewVersion}})},e.getLatestManifest=function(){return o(e.baseUrl+t+"?"+Date.now()).then(function(e){return{manifest:e.manifest}})},e}(OSManifestLoader||{});
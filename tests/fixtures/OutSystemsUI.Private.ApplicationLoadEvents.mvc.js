@@ -0,0 +1,25 @@
+/* Trimmed copy of the OutSystems UI scripts/OutSystemsUI.Private.ApplicationLoadEvents.mvc.js, used as a patch target in tests */
+define("OutSystemsUI.Private.ApplicationLoadEvents.mvc$model", ["@outsystems/runtime-core-js", "OutSystemsUI.model"], function (OS, OutSystemsUIModel) {
+var OS = OS["default"];
+return new OS.Model.ModelFactory(OS.Model.BaseWidgetRecordNode, null);
+});
+define("OutSystemsUI.Private.ApplicationLoadEvents.mvc$controller.OnInitialize.RegisterListenersJS", [], function () {
+return function ($parameters, $actions, $roles, $public) {
+var start = new Date();
+var MinimumDisplayTimeMs = 1500;
+
+function onLoadComplete() {
+    var elapsed = new Date() - start;
+    setTimeout(function () {
+        $actions.TriggerOnLoadComplete(window.location.href);
+    }, Math.max(0, MinimumDisplayTimeMs - elapsed));
+}
+
+$public.ApplicationLifecycle.addUpgradeListener(onLoadComplete);
+};
+});
+define("OutSystemsUI.Private.ApplicationLoadEvents.mvc$controller.OnDestroy.UnregisterListenersJS", [], function () {
+return function ($parameters, $actions, $roles, $public) {
+$public.ApplicationLifecycle.removeUpgradeListener();
+};
+});
@@ -0,0 +1,429 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const engine = require('../../hooks/lib/patch_engine');
+const manifestLoaderPatch = require('../../hooks/patches/manifest_loader');
+const splashBypassPatch = require('../../hooks/patches/splash_bypass');
+
+const { Status } = engine;
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const LOADER = 'OutSystemsManifestLoader.js';
+const LOAD_EVENTS = 'OutSystemsUI.Private.ApplicationLoadEvents.mvc.js';
+
+let projectRoot;
+
+// Cordova project with fixture copies in platforms/ios/www/scripts
+function createProject(files) {
+    const scripts = path.join(projectRoot, 'platforms', 'ios', 'www', 'scripts');
+    fs.mkdirSync(scripts, { recursive: true });
+    files.forEach(function(file) {
+        fs.copyFileSync(path.join(FIXTURES, file), path.join(scripts, file));
+    });
+    return scripts;
+}
+
+function hookContext(options) {
+    return { opts: { projectRoot: projectRoot, platforms: ['ios'], options: options || {} } };
+}
+
+function read(scripts, file) {
+    return fs.readFileSync(path.join(scripts, file), 'utf8');
+}
+
+beforeEach(function() {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'os-manual-ota-'));
+    jest.spyOn(console, 'log').mockImplementation(function() {});
+});
+
+afterEach(function() {
+    console.log.mockRestore();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+describe('applyToContent', function() {
+    const base = { id: 'test', file: 'a.js', anchor: /ANCHOR/, marker: 'MARK', content: '[MARK]', version: 1 };
+    const block = '/* OSManualOTA:begin test v1 */[MARK]/* OSManualOTA:end test */';
+
+    test.each([
+        ['append', 'x ANCHOR y' + block],
+        ['prepend', block + 'x ANCHOR y'],
+        ['before', 'x ' + block + 'ANCHOR y'],
+        ['after', 'x ANCHOR' + block + ' y'],
+        ['replace', 'x /* OSManualOTA:begin test v1 original=QU5DSE9S */[MARK]/* OSManualOTA:end test */ y']
+    ])('%s mode', function(mode, expected) {
+        const patch = Object.assign({}, base, { mode: mode });
+        const outcome = engine.applyToContent(patch, 'x ANCHOR y');
+        expect(outcome.status).toBe(Status.APPLIED);
+        expect(outcome.content).toBe(expected);
+        expect(engine.removeFromContent(patch, outcome.content)).toMatchObject({ status: Status.REMOVED, content: 'x ANCHOR y' });
+    });
+
+    test('replaces an older version', function() {
+        const v1 = engine.applyToContent(Object.assign({}, base, { mode: 'after' }), 'x ANCHOR y').content;
+        const v2 = Object.assign({}, base, { mode: 'after', version: 2, content: '[MARK v2]' });
+
+        const outcome = engine.applyToContent(v2, v1);
+
+        expect(outcome.status).toBe(Status.UPGRADED);
+        expect(outcome.content).toBe('x ANCHOR/* OSManualOTA:begin test v2 */[MARK v2]/* OSManualOTA:end test */ y');
+        expect(engine.applyToContent(v2, outcome.content).status).toBe(Status.ALREADY_APPLIED);
+    });
+
+    test('replaces unversioned copies matched by legacy', function() {
+        const patch = Object.assign({}, base, { mode: 'append', legacy: /\[MARK old\]/ });
+
+        expect(engine.inspectContent(patch, 'ANCHOR[MARK old]').state).toBe(engine.States.UNVERSIONED);
+        expect(engine.applyToContent(patch, 'ANCHOR[MARK old]')).toMatchObject({
+            status: Status.UPGRADED,
+            content: 'ANCHOR' + block
+        });
+        expect(engine.applyToContent(Object.assign({}, patch, { legacy: undefined }), 'ANCHOR[MARK old]').status).toBe(Status.FAILED);
+    });
+
+    test('passes the anchor match to content functions', function() {
+        const patch = Object.assign({}, base, {
+            anchor: /ANCHOR(\d)/,
+            mode: 'replace',
+            content: function(match) { return 'MARK' + match[1]; }
+        });
+        expect(engine.applyToContent(patch, 'ANCHOR7').content).toContain('*/MARK7/*');
+    });
+
+    test('fails when the content does not carry the marker', function() {
+        const outcome = engine.applyToContent(Object.assign({}, base, { mode: 'append', content: 'nope' }), 'ANCHOR');
+        expect(outcome.status).toBe(Status.FAILED);
+        expect(outcome.content).toBe('ANCHOR');
+    });
+
+    test('rejects invalid definitions', function() {
+        expect(function() { engine.validatePatch(Object.assign({}, base, { mode: 'inline' })); }).toThrow(/unknown mode/);
+        expect(function() { engine.validatePatch(Object.assign({}, base, { mode: 'append', anchor: 'ANCHOR' })); }).toThrow(/anchor RegExp/);
+        expect(function() { engine.validatePatch(Object.assign({}, base, { mode: 'append', marker: '' })); }).toThrow(/marker/);
+        expect(function() { engine.validatePatch(Object.assign({}, base, { mode: 'append', version: '1' })); }).toThrow(/version/);
+    });
+});
+
+describe('manifest loader patch', function() {
+    test('appends the blocking hook once', function() {
+        const scripts = createProject([LOADER]);
+        const original = read(scripts, LOADER);
+
+        const first = engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+        const patched = read(scripts, LOADER);
+        const second = engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+
+        expect(first[0]).toMatchObject({ id: 'manifest-loader', platform: 'ios', status: Status.APPLIED, version: 3 });
+        expect(patched.startsWith(original)).toBe(true);
+        expect(patched).toContain('OSManualOTA_BlockingHook');
+        expect(second[0].status).toBe(Status.ALREADY_APPLIED);
+        expect(read(scripts, LOADER)).toBe(patched);
+    });
+
+    test('patched loader blocks automatic checks when blocking is enabled', function() {
+        const scripts = createProject([LOADER]);
+        engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+
+        const storage = { os_manual_ota_blocking_enabled: 'true', os_manual_ota_current_version: 'v1' };
+        const sandbox = {
+            console: { log: function() {}, error: function() {} },
+            Promise: Promise,
+            fetch: jest.fn(),
+            localStorage: {
+                getItem: function(key) { return key in storage ? storage[key] : null; },
+                setItem: function(key, value) { storage[key] = String(value); }
+            },
+            document: { addEventListener: function() {} },
+            addEventListener: function() {},
+            OSManualOTA: {}
+        };
+        sandbox.window = sandbox;
+        vm.runInNewContext(read(scripts, LOADER), sandbox);
+
+        expect(typeof sandbox.OSManualOTA_OriginalMethods.getLatestVersion).toBe('function');
+        return sandbox.OSManifestLoader.getLatestVersion().then(function(result) {
+            expect(result).toEqual({ versionToken: 'v1' });
+            expect(sandbox.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('blocking policy', function() {
+        // Loads the patched loader as a fresh page load with the given storage
+        function loadPatched(storage, session) {
+            const scripts = createProject([LOADER]);
+            engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+
+            const documentListeners = [];
+            const storageOf = function(values) {
+                return {
+                    getItem: function(key) { return key in values ? values[key] : null; },
+                    setItem: function(key, value) { values[key] = String(value); }
+                };
+            };
+            const sandbox = {
+                console: { log: function() {}, error: function() {} },
+                Promise: Promise,
+                Date: Date,
+                fetch: jest.fn(function() {
+                    return Promise.resolve({ ok: true, json: function() { return { versionToken: 'v2', hasNewVersion: true }; } });
+                }),
+                localStorage: storageOf(storage),
+                sessionStorage: storageOf(session || {}),
+                document: {
+                    addEventListener: function(type, listener) {
+                        documentListeners.push({ type: type, listener: listener });
+                    }
+                },
+                addEventListener: function() {},
+                OSManualOTA: {}
+            };
+            sandbox.window = sandbox;
+            sandbox.fireDocumentEvent = function(type) {
+                documentListeners.filter(function(entry) { return entry.type === type; }).forEach(function(entry) {
+                    entry.listener();
+                });
+            };
+            vm.runInNewContext(read(scripts, LOADER), sandbox);
+            return sandbox;
+        }
+
+        function latestVersion(storage, session) {
+            return loadPatched(storage, session).OSManifestLoader.getLatestVersion().then(function(result) {
+                return result.versionToken;
+            });
+        }
+
+        function withPolicy(policy) {
+            return { os_manual_ota_blocking_policy: JSON.stringify(policy), os_manual_ota_current_version: 'v1' };
+        }
+
+        afterEach(function() {
+            jest.useRealTimers();
+        });
+
+        test('never lets automatic checks through', function() {
+            return expect(latestVersion(withPolicy({ mode: 'never' }))).resolves.toBe('v2');
+        });
+
+        test('falls back to the boolean flag without a policy', function() {
+            return expect(latestVersion({ os_manual_ota_blocking_enabled: 'true', os_manual_ota_current_version: 'v1' })).resolves.toBe('v1');
+        });
+
+        test('scheduled allows automatic checks only inside a window', function() {
+            jest.useFakeTimers({ now: new Date(2024, 0, 3, 23, 30) }); // Wednesday
+            const policy = withPolicy({ mode: 'scheduled', windows: [{ start: '23:00', end: '02:00', days: [3] }] });
+
+            return latestVersion(policy).then(function(inside) {
+                expect(inside).toBe('v2');
+                jest.setSystemTime(new Date(2024, 0, 4, 1, 0)); // Thursday, same window
+                return latestVersion(policy);
+            }).then(function(afterMidnight) {
+                expect(afterMidnight).toBe('v2');
+                jest.setSystemTime(new Date(2024, 0, 4, 23, 30)); // Thursday window not configured
+                return latestVersion(policy);
+            }).then(function(outside) {
+                expect(outside).toBe('v1');
+            });
+        });
+
+        test('untilDate blocks until the date passes', function() {
+            jest.useFakeTimers({ now: new Date(2024, 5, 1) });
+            const until = new Date(2024, 5, 2).getTime();
+
+            return latestVersion(withPolicy({ mode: 'untilDate', until: until })).then(function(before) {
+                expect(before).toBe('v1');
+                jest.setSystemTime(until);
+                return latestVersion(withPolicy({ mode: 'untilDate', until: until }));
+            }).then(function(after) {
+                expect(after).toBe('v2');
+            });
+        });
+
+        test('afterNLaunches counts one launch per session and lifts blocking after N', function() {
+            const storage = withPolicy({ mode: 'afterNLaunches', launches: 2 });
+            const session = {};
+
+            return latestVersion(storage, session).then(function(first) {
+                expect(first).toBe('v1');
+                expect(storage.os_manual_ota_blocking_launches).toBe('1');
+                // Reload of the same WebView session
+                return latestVersion(storage, session);
+            }).then(function(reload) {
+                expect(reload).toBe('v1');
+                expect(storage.os_manual_ota_blocking_launches).toBe('1');
+                return latestVersion(storage, {});
+            }).then(function(second) {
+                expect(second).toBe('v1');
+                return latestVersion(storage, {});
+            }).then(function(third) {
+                expect(third).toBe('v2');
+                expect(storage.os_manual_ota_blocking_launches).toBe('3');
+                expect(storage.os_manual_ota_blocking_enabled).toBe('false');
+            });
+        });
+
+        test('afterNLaunches hands its launch count to the native plugin', function() {
+            const sandbox = loadPatched(withPolicy({ mode: 'afterNLaunches', launches: 2 }), {});
+            sandbox.cordova = { exec: jest.fn() };
+
+            sandbox.fireDocumentEvent('deviceready');
+
+            expect(sandbox.cordova.exec).toHaveBeenCalledWith(
+                expect.any(Function), expect.any(Function), 'OSManualOTA', 'syncBlockingLaunches', [1]
+            );
+        });
+
+        test('a suspension lets automatic checks through', function() {
+            return expect(latestVersion(withPolicy({ mode: 'always' }), { os_manual_ota_blocking_suspended: 'true' })).resolves.toBe('v2');
+        });
+    });
+
+    test('dry run reports without writing', function() {
+        const scripts = createProject([LOADER]);
+        const original = read(scripts, LOADER);
+
+        const results = engine.runPatchHook(hookContext({ argv: ['--ota-patch-dry-run'] }), [manifestLoaderPatch]);
+
+        expect(results[0].status).toBe(Status.WOULD_APPLY);
+        expect(read(scripts, LOADER)).toBe(original);
+    });
+});
+
+describe('splash bypass patch', function() {
+    test('inserts the bypass at the beginning of RegisterListenersJS', function() {
+        const scripts = createProject([LOAD_EVENTS]);
+
+        const results = engine.runPatchHook(hookContext(), [splashBypassPatch]);
+        const patched = read(scripts, LOAD_EVENTS);
+
+        expect(results[0].status).toBe(Status.APPLIED);
+        expect(patched.indexOf('OSManualOTA_SplashBypassHook')).toBeLessThan(patched.indexOf('var start = new Date();'));
+        expect(patched.indexOf('RegisterListenersJS')).toBeLessThan(patched.indexOf('OSManualOTA_SplashBypassHook'));
+        expect(patched).toContain('$public.ApplicationLifecycle.addUpgradeListener(onLoadComplete);');
+    });
+
+    test('is not applied to other platforms', function() {
+        createProject([LOAD_EVENTS]);
+        const context = hookContext();
+        context.opts.platforms = ['android'];
+
+        expect(engine.runPatchHook(context, [splashBypassPatch])).toEqual([]);
+    });
+});
+
+describe('platforms', function() {
+    test('resolves the www folder of each platform', function() {
+        expect(engine.platformWwwPath('/app', 'ios')).toBe(path.join('/app', 'platforms', 'ios', 'www'));
+        expect(engine.platformWwwPath('/app', 'browser')).toBe(path.join('/app', 'platforms', 'browser', 'www'));
+        expect(engine.platformWwwPath('/app', 'android')).toBe(path.join('/app', 'platforms', 'android', 'assets', 'www'));
+    });
+
+    test('applies the blocking hook to the browser platform', function() {
+        const scripts = path.join(projectRoot, 'platforms', 'browser', 'www', 'scripts');
+        fs.mkdirSync(scripts, { recursive: true });
+        fs.copyFileSync(path.join(FIXTURES, LOADER), path.join(scripts, LOADER));
+
+        const context = { opts: { projectRoot: projectRoot, platforms: ['browser'], options: {} } };
+        const results = engine.runPatchHook(context, [manifestLoaderPatch, splashBypassPatch]);
+
+        expect(results).toHaveLength(1);
+        expect(results[0].status).toBe(Status.APPLIED);
+        expect(read(scripts, LOADER)).toContain('OSManualOTA_BlockingHook');
+    });
+});
+
+describe('missing targets', function() {
+    test('reports a missing anchor and leaves the file untouched', function() {
+        const scripts = createProject([LOAD_EVENTS]);
+        fs.writeFileSync(path.join(scripts, LOADER), 'var SomethingElse = {};');
+
+        const results = engine.runPatchHook(hookContext(), [manifestLoaderPatch, splashBypassPatch]);
+
+        expect(results.map(function(result) { return result.status; })).toEqual([Status.ANCHOR_NOT_FOUND, Status.APPLIED]);
+        expect(read(scripts, LOADER)).toBe('var SomethingElse = {};');
+    });
+
+    test('strict mode fails the build when a required patch cannot be applied', function() {
+        createProject([LOADER]);
+
+        expect(function() {
+            engine.runPatchHook(hookContext({ argv: ['--ota-patch-strict'] }), [manifestLoaderPatch, splashBypassPatch]);
+        }).toThrow(engine.PatchError);
+        expect(function() {
+            engine.runPatchHook(hookContext(), [splashBypassPatch], { strict: true });
+        }).toThrow(/splash-bypass \(ios: file-not-found\)/);
+    });
+
+    test('optional patches never fail the build', function() {
+        createProject([]);
+        const optional = Object.assign({}, splashBypassPatch, { required: false });
+
+        const results = engine.runPatchHook(hookContext(), [optional], { strict: true });
+
+        expect(results[0]).toMatchObject({ status: Status.FILE_NOT_FOUND, required: false });
+    });
+});
+
+describe('upgrades and uninstall', function() {
+    test('replaces patches applied before sentinels existed', function() {
+        const scripts = createProject([LOADER, LOAD_EVENTS]);
+        const loader = read(scripts, LOADER);
+        const loadEvents = read(scripts, LOAD_EVENTS);
+        // What the hooks wrote before patches were versioned
+        fs.writeFileSync(path.join(scripts, LOADER), loader + manifestLoaderPatch.content);
+        fs.writeFileSync(path.join(scripts, LOAD_EVENTS), loadEvents.replace(
+            'return function ($parameters, $actions, $roles, $public) {\nvar start = new Date();',
+            'return function ($parameters, $actions, $roles, $public) {' + splashBypassPatch.content + '    var start = new Date();'
+        ));
+
+        const results = engine.runPatchHook(hookContext(), [manifestLoaderPatch, splashBypassPatch]);
+
+        expect(results.map(function(result) { return result.status; })).toEqual([Status.UPGRADED, Status.UPGRADED]);
+        expect(read(scripts, LOADER).split('OSManualOTA Plugin - Automatic OTA Blocking Hook')).toHaveLength(2);
+        expect(read(scripts, LOAD_EVENTS).split('OSManualOTA Plugin - Splash Bypass Hook')).toHaveLength(2);
+    });
+
+    test('upgrades an outdated version on the next prepare', function() {
+        const scripts = createProject([LOADER]);
+        engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+        const next = Object.assign({}, manifestLoaderPatch, {
+            version: manifestLoaderPatch.version + 1,
+            content: manifestLoaderPatch.content.replace('Blocking hook active', 'Blocking hook active (next)')
+        });
+
+        expect(engine.inspectPatches([next], { root: path.dirname(scripts) })[0]).toMatchObject({
+            state: engine.States.OUTDATED,
+            installedVersion: manifestLoaderPatch.version
+        });
+        expect(engine.runPatchHook(hookContext(), [next])[0].status).toBe(Status.UPGRADED);
+        expect(read(scripts, LOADER)).toContain('Blocking hook active (next)');
+        expect(read(scripts, LOADER).split('OSManualOTA:begin manifest-loader')).toHaveLength(2);
+    });
+
+    test('uninstall restores the original scripts on every platform folder', function() {
+        const scripts = createProject([LOADER, LOAD_EVENTS]);
+        const originals = [read(scripts, LOADER), read(scripts, LOAD_EVENTS)];
+        engine.runPatchHook(hookContext(), [manifestLoaderPatch, splashBypassPatch]);
+
+        // Plugin uninstall hooks get no platform list
+        const results = engine.runUnpatchHook({ opts: { projectRoot: projectRoot } }, [manifestLoaderPatch, splashBypassPatch]);
+
+        expect(results.map(function(result) { return result.status; })).toEqual([Status.REMOVED, Status.REMOVED]);
+        expect([read(scripts, LOADER), read(scripts, LOAD_EVENTS)]).toEqual(originals);
+        expect(engine.runUnpatchHook(hookContext(), [manifestLoaderPatch])[0].status).toBe(Status.NOT_APPLIED);
+    });
+
+    test('status report lists what is applied where', function() {
+        createProject([LOADER]);
+        engine.runPatchHook(hookContext(), [manifestLoaderPatch]);
+
+        const entries = engine.reportPatchStatus({ opts: { projectRoot: projectRoot } }, [manifestLoaderPatch, splashBypassPatch]);
+
+        expect(entries).toEqual([
+            expect.objectContaining({ id: 'manifest-loader', platform: 'ios', state: engine.States.UP_TO_DATE, installedVersion: 3 }),
+            expect.objectContaining({ id: 'splash-bypass', platform: 'ios', state: engine.States.FILE_NOT_FOUND })
+        ]);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('manifest-loader (ios): up-to-date'));
+    });
+});
@@ -0,0 +1,121 @@
+jest.mock('cordova/exec', function() {
+    return jest.fn();
+}, { virtual: true });
+jest.mock('cordova', function() {
+    return {};
+}, { virtual: true });
+
+let OSManualOTA;
+let exec;
+let native;
+
+beforeEach(function() {
+    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation(function() {});
+
+    // Native actions by name, called asynchronously like the bridge does
+    native = {};
+    exec = require('cordova/exec');
+    exec.mockImplementation(function(success, error, service, action, args) {
+        // Handlers of the test that made the call, even if it answers after that test ended
+        const handlers = native;
+        setTimeout(function() {
+            if (!handlers[action]) {
+                error('No handler for ' + action);
+                return;
+            }
+            handlers[action](success, error, args);
+        });
+    });
+
+    OSManualOTA = require('../../www/OSManualOTA');
+});
+
+afterEach(function() {
+    console.log.mockRestore();
+});
+
+function calledActions() {
+    return exec.mock.calls.map(function(call) {
+        return call[3];
+    });
+}
+
+describe('handleRemoteCommand', function() {
+    let seen;
+
+    function signed(command) {
+        return { command: JSON.stringify(command), signature: 'c2lnbmF0dXJl' };
+    }
+
+    beforeEach(function() {
+        // Ledger of the native verifyRemoteCommand
+        seen = new Set();
+        native.verifyRemoteCommand = function(success, error, args) {
+            const command = JSON.parse(args[0].command);
+            if (seen.has(command.id)) {
+                error({ code: 'COMMAND_REJECTED', message: 'Remote command rejected: duplicate', reason: 'duplicate' });
+                return;
+            }
+            seen.add(command.id);
+            success(command);
+        };
+        native.forgetRemoteCommand = function(success, error, args) {
+            seen.delete(args[0]);
+            success('Forgotten');
+        };
+    });
+
+    test('works when called detached from OSManualOTA, as a push callback', async function() {
+        native.checkForUpdates = function(success) {
+            success({ hasUpdate: false, version: 'v1' });
+        };
+        const handle = OSManualOTA.handleRemoteCommand;
+
+        await expect(handle(signed({ id: 'c1', action: 'check', expiresAt: 2e9 }))).resolves.toEqual({
+            id: 'c1',
+            action: 'check',
+            result: { hasUpdate: false, version: 'v1' }
+        });
+    });
+
+    test('a command whose action failed can be delivered again', async function() {
+        let attempts = 0;
+        native.checkForUpdates = function(success, error) {
+            attempts++;
+            if (attempts === 1) {
+                error('The Internet connection appears to be offline.');
+            } else {
+                success({ hasUpdate: false, version: 'v1' });
+            }
+        };
+        const payload = signed({ id: 'c2', action: 'check', expiresAt: 2e9 });
+
+        await expect(OSManualOTA.handleRemoteCommand(payload)).rejects.toMatchObject({ code: 'NETWORK_UNAVAILABLE' });
+        expect(calledActions()).toContain('forgetRemoteCommand');
+
+        await expect(OSManualOTA.handleRemoteCommand(payload)).resolves.toMatchObject({ id: 'c2', result: { hasUpdate: false } });
+        await expect(OSManualOTA.handleRemoteCommand(payload)).rejects.toMatchObject({ code: 'COMMAND_REJECTED' });
+    });
+});
+
+describe('setChannel', function() {
+    test('is rejected while another update action runs', async function() {
+        // A check that never answers keeps the state at checking
+        native.checkForUpdates = function() {};
+        OSManualOTA.checkForUpdates();
+
+        await expect(OSManualOTA.setChannel('beta')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+        expect(OSManualOTA.getState().state).toBe(OSManualOTA.States.CHECKING);
+        expect(calledActions()).not.toContain('setChannel');
+    });
+
+    test('switches from a resting state', async function() {
+        native.setChannel = function(success, error, args) {
+            success({ channel: args[0], previousChannel: 'production', version: 'b1', downloaded: true });
+        };
+
+        await expect(OSManualOTA.setChannel('beta')).resolves.toMatchObject({ channel: 'beta', downloaded: true });
+        expect(OSManualOTA.getState().state).toBe(OSManualOTA.States.DOWNLOADED);
+    });
+});
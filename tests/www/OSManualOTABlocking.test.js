@@ -0,0 +1,107 @@
+const BlockingPolicy = require('../../www/OSManualOTABlocking');
+
+const { Modes, Reasons } = BlockingPolicy;
+
+// Local time; 2024-06-03 is a Monday (day 1)
+function at(day, hours, minutes) {
+    return new Date(2024, 5, 2 + day, hours, minutes || 0);
+}
+
+afterEach(function() {
+    jest.useRealTimers();
+});
+
+describe('normalize', function() {
+    test('keeps only the fields of the mode', function() {
+        expect(BlockingPolicy.normalize({ mode: 'always', windows: [], launches: 3 })).toEqual({ mode: 'always' });
+        expect(BlockingPolicy.normalize({ mode: 'afterNLaunches', launches: 3, until: 0 })).toEqual({ mode: 'afterNLaunches', launches: 3 });
+    });
+
+    test('copies the windows', function() {
+        const days = [1, 2];
+        const normalized = BlockingPolicy.normalize({ mode: 'scheduled', windows: [{ start: '02:00', end: '04:00', days: days, note: 'x' }] });
+
+        expect(normalized).toEqual({ mode: 'scheduled', windows: [{ start: '02:00', end: '04:00', days: [1, 2] }] });
+        expect(normalized.windows[0].days).not.toBe(days);
+    });
+
+    test.each([
+        [new Date(Date.UTC(2024, 0, 1)), Date.UTC(2024, 0, 1)],
+        ['2024-01-01T00:00:00Z', Date.UTC(2024, 0, 1)],
+        [1704067200000, 1704067200000]
+    ])('untilDate accepts %p', function(until, expected) {
+        expect(BlockingPolicy.normalize({ mode: 'untilDate', until: until })).toEqual({ mode: 'untilDate', until: expected });
+    });
+
+    test.each([
+        [null, /expected an object/],
+        [{ mode: 'sometimes' }, /mode must be one of always, never, scheduled, untilDate, afterNLaunches/],
+        [{ mode: 'scheduled', windows: [] }, /at least one window/],
+        [{ mode: 'scheduled', windows: [{ start: '2:00', end: '24:00' }] }, /windows must be/],
+        [{ mode: 'scheduled', windows: [{ start: '02:00', end: '04:00', days: [7] }] }, /weekdays/],
+        [{ mode: 'scheduled', windows: [{ start: '02:00', end: '04:00', days: [] }] }, /weekdays/],
+        [{ mode: 'untilDate', until: 'tomorrow' }, /until/],
+        [{ mode: 'afterNLaunches', launches: 0 }, /positive integer/],
+        [{ mode: 'afterNLaunches', launches: 1.5 }, /positive integer/]
+    ])('rejects %j', function(policy, message) {
+        expect(function() {
+            BlockingPolicy.normalize(policy);
+        }).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT', message: expect.stringMatching(message) }));
+    });
+});
+
+describe('evaluate', function() {
+    test('lets automatic OTA run without a policy', function() {
+        expect(BlockingPolicy.evaluate(null)).toEqual({ enabled: false, mode: Modes.NEVER, reason: Reasons.NEVER });
+    });
+
+    test('always blocks', function() {
+        expect(BlockingPolicy.evaluate({ mode: 'always' })).toEqual({ enabled: true, mode: Modes.ALWAYS, reason: Reasons.ALWAYS });
+    });
+
+    describe('scheduled', function() {
+        const policy = BlockingPolicy.normalize({
+            mode: 'scheduled',
+            windows: [{ start: '12:00', end: '13:00' }, { start: '22:00', end: '02:00', days: [5] }]
+        });
+
+        test.each([
+            ['inside a daily window', at(1, 12, 30), false, Reasons.INSIDE_WINDOW],
+            ['at the end of a window', at(1, 13, 0), true, Reasons.OUTSIDE_WINDOW],
+            ['on Friday night', at(5, 23, 0), false, Reasons.INSIDE_WINDOW],
+            ['after midnight of a window started on Friday', at(6, 1, 30), false, Reasons.INSIDE_WINDOW],
+            ['on Thursday night', at(4, 23, 0), true, Reasons.OUTSIDE_WINDOW],
+            ['after midnight of Thursday', at(5, 1, 30), true, Reasons.OUTSIDE_WINDOW]
+        ])('%s', function(name, now, enabled, reason) {
+            expect(BlockingPolicy.evaluate(policy, { now: now })).toEqual({ enabled: enabled, mode: Modes.SCHEDULED, reason: reason });
+        });
+
+        test('an empty window never matches', function() {
+            expect(BlockingPolicy.isInWindow({ start: '10:00', end: '10:00' }, at(1, 10, 0))).toBe(false);
+        });
+    });
+
+    test('untilDate blocks until the date', function() {
+        const policy = BlockingPolicy.normalize({ mode: 'untilDate', until: at(1, 9, 0) });
+
+        expect(BlockingPolicy.evaluate(policy, { now: at(1, 8, 59) })).toMatchObject({ enabled: true, reason: Reasons.BEFORE_DATE });
+        expect(BlockingPolicy.evaluate(policy, { now: at(1, 9, 0).getTime() })).toMatchObject({ enabled: false, reason: Reasons.DATE_REACHED });
+    });
+
+    test('untilDate reads the system clock when no time is given', function() {
+        jest.useFakeTimers().setSystemTime(at(1, 8, 0));
+        const policy = BlockingPolicy.normalize({ mode: 'untilDate', until: at(1, 9, 0) });
+
+        expect(BlockingPolicy.evaluate(policy).enabled).toBe(true);
+        jest.setSystemTime(at(1, 10, 0));
+        expect(BlockingPolicy.evaluate(policy).enabled).toBe(false);
+    });
+
+    test('afterNLaunches blocks during the first N launches', function() {
+        const policy = { mode: 'afterNLaunches', launches: 2 };
+
+        expect(BlockingPolicy.evaluate(policy, {})).toMatchObject({ enabled: true, reason: Reasons.LAUNCHES_REMAINING });
+        expect(BlockingPolicy.evaluate(policy, { launches: 2 })).toMatchObject({ enabled: true, reason: Reasons.LAUNCHES_REMAINING });
+        expect(BlockingPolicy.evaluate(policy, { launches: 3 })).toMatchObject({ enabled: false, reason: Reasons.LAUNCHES_REACHED });
+    });
+});
@@ -0,0 +1,115 @@
+const OSManualOTAError = require('../../www/OSManualOTAError');
+
+const { ErrorCodes, Phases } = OSManualOTAError;
+
+describe('codeForMessage', function() {
+    test.each([
+        ['Remote command rejected: command c1 expired', ErrorCodes.COMMAND_REJECTED],
+        ['Invalid configuration parameters', ErrorCodes.INVALID_CONFIGURATION],
+        ['Invalid OTA configuration', ErrorCodes.INVALID_CONFIGURATION],
+        ['Invalid parameter: expected boolean', ErrorCodes.INVALID_ARGUMENT],
+        ['Version not allowed: v3 (blocked)', ErrorCodes.VERSION_NOT_ALLOWED],
+        ['Integrity check failed: 2 file(s) do not match the manifest hash', ErrorCodes.INTEGRITY_CHECK_FAILED],
+        ['Download already in progress', ErrorCodes.DOWNLOAD_IN_PROGRESS],
+        ['Update was cancelled', ErrorCodes.DOWNLOAD_CANCELLED],
+        ['Download cancelled', ErrorCodes.DOWNLOAD_CANCELLED],
+        ['cancelled', ErrorCodes.DOWNLOAD_CANCELLED],
+        ['No update available', ErrorCodes.NO_UPDATE_AVAILABLE],
+        ['Update requires Wi-Fi', ErrorCodes.WIFI_REQUIRED],
+        ['The request timed out.', ErrorCodes.TIMEOUT],
+        ['The Internet connection appears to be offline.', ErrorCodes.NETWORK_UNAVAILABLE],
+        ['A server with the specified hostname could not be found.', ErrorCodes.NETWORK_UNAVAILABLE],
+        ['Failed to check for updates: HTTP error', ErrorCodes.VERSION_CHECK_FAILED],
+        ['Failed to fetch update manifest: Invalid response format', ErrorCodes.MANIFEST_FETCH_FAILED],
+        ['Download failed: HTTP 404 for https://example.com/App/a.js', ErrorCodes.DOWNLOAD_FAILED],
+        ['Failed to apply update: missing files', ErrorCodes.APPLY_FAILED],
+        ['Failed to rollback: no previous version', ErrorCodes.ROLLBACK_FAILED]
+    ])('%s', function(message, code) {
+        expect(OSManualOTAError.codeForMessage(message)).toBe(code);
+    });
+
+    // Only cancellations are DOWNLOAD_CANCELLED, not messages that merely mention the word
+    test.each([
+        ['Download failed: cancellation token expired', ErrorCodes.DOWNLOAD_FAILED],
+        ['Failed to check for updates: request cancelled by proxy policy', ErrorCodes.VERSION_CHECK_FAILED],
+        ['Failed to rollback: cancelDownload did not finish', ErrorCodes.ROLLBACK_FAILED]
+    ])('%s', function(message, code) {
+        expect(OSManualOTAError.codeForMessage(message)).toBe(code);
+    });
+
+    test('falls back to the code of the action', function() {
+        expect(OSManualOTAError.codeForMessage('Something odd', 'downloadUpdate')).toBe(ErrorCodes.DOWNLOAD_FAILED);
+        expect(OSManualOTAError.codeForMessage('Something odd', 'rollbackTo')).toBe(ErrorCodes.ROLLBACK_FAILED);
+        expect(OSManualOTAError.codeForMessage('Something odd', 'getState')).toBe(ErrorCodes.UNKNOWN);
+        expect(OSManualOTAError.codeForMessage(undefined)).toBe(ErrorCodes.UNKNOWN);
+    });
+});
+
+describe('from', function() {
+    test('wraps a native message with the action and its phase', function() {
+        const error = OSManualOTAError.from('The request timed out.', 'checkForUpdates');
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toBeInstanceOf(OSManualOTAError);
+        expect(error).toMatchObject({
+            name: 'OSManualOTAError',
+            code: ErrorCodes.TIMEOUT,
+            message: 'The request timed out.',
+            action: 'checkForUpdates',
+            phase: Phases.CHECK,
+            retryable: true,
+            details: 'The request timed out.'
+        });
+    });
+
+    test('the phase of the code wins over the action', function() {
+        expect(OSManualOTAError.from('Download already in progress', 'checkAndDownload').phase).toBe(Phases.DOWNLOAD);
+        expect(OSManualOTAError.from('Integrity check failed', 'applyUpdate').phase).toBe(Phases.DOWNLOAD);
+    });
+
+    test('keeps a known code reported by native', function() {
+        const raw = { code: 'COMMAND_REJECTED', message: 'Remote command rejected: duplicate', reason: 'duplicate' };
+        const error = OSManualOTAError.from(raw, 'handleRemoteCommand');
+
+        expect(error.code).toBe(ErrorCodes.COMMAND_REJECTED);
+        expect(error.details).toBe(raw);
+        expect(error.retryable).toBe(false);
+    });
+
+    test('maps an unknown native code from the message', function() {
+        expect(OSManualOTAError.from({ code: 'E42', message: 'No update available' }).code).toBe(ErrorCodes.NO_UPDATE_AVAILABLE);
+    });
+
+    test('describes a bare {success: false} result', function() {
+        expect(OSManualOTAError.from({ success: false }, 'applyUpdate')).toMatchObject({
+            code: ErrorCodes.APPLY_FAILED,
+            message: 'Operation failed',
+            phase: Phases.APPLY
+        });
+    });
+
+    test('returns an OSManualOTAError as is, filling in a missing action', function() {
+        const error = new OSManualOTAError(ErrorCodes.INVALID_STATE, 'Cannot rollback while applying');
+
+        expect(OSManualOTAError.from(error, 'rollback')).toBe(error);
+        expect(error).toMatchObject({ action: 'rollback', phase: Phases.ROLLBACK });
+        expect(OSManualOTAError.from(error, 'applyUpdate').action).toBe('rollback');
+    });
+});
+
+test('serializes and prints like the native message', function() {
+    const error = new OSManualOTAError(ErrorCodes.DOWNLOAD_FAILED, 'Download failed: HTTP 500', { action: 'downloadUpdate' });
+
+    expect('Failed: ' + error).toBe('Failed: Download failed: HTTP 500');
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+        code: ErrorCodes.DOWNLOAD_FAILED,
+        message: 'Download failed: HTTP 500',
+        phase: Phases.DOWNLOAD,
+        retryable: true,
+        action: 'downloadUpdate'
+    });
+});
+
+test('defaults to UNKNOWN', function() {
+    expect(new OSManualOTAError()).toMatchObject({ code: ErrorCodes.UNKNOWN, message: 'Unknown error', phase: null, retryable: false });
+});
@@ -0,0 +1,116 @@
+const OSManualOTAEvents = require('../../www/OSManualOTAEvents');
+
+let events;
+
+beforeEach(function() {
+    events = new OSManualOTAEvents(['downloadProgress', 'downloadComplete']);
+});
+
+test('isKnownEvent', function() {
+    expect(events.isKnownEvent('downloadComplete')).toBe(true);
+    expect(events.isKnownEvent('downloadcomplete')).toBe(false);
+    expect(new OSManualOTAEvents().isKnownEvent('downloadComplete')).toBe(false);
+});
+
+test('delivers the payload to every subscriber in order', function() {
+    const calls = [];
+    events.on('downloadComplete', function(payload) {
+        calls.push(['first', payload]);
+    });
+    events.on('downloadComplete', function(payload) {
+        calls.push(['second', payload]);
+    });
+
+    events.emit('downloadComplete', { version: 'v2' });
+    events.emit('downloadProgress', { percentage: 50 });
+
+    expect(calls).toEqual([['first', { version: 'v2' }], ['second', { version: 'v2' }]]);
+});
+
+test('on returns a function that unsubscribes', function() {
+    const handler = jest.fn();
+    const unsubscribe = events.on('downloadProgress', handler);
+
+    unsubscribe();
+    events.emit('downloadProgress', {});
+
+    expect(handler).not.toHaveBeenCalled();
+});
+
+test('once delivers a single event', function() {
+    const handler = jest.fn();
+    events.once('downloadProgress', handler);
+
+    events.emit('downloadProgress', { percentage: 10 });
+    events.emit('downloadProgress', { percentage: 20 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ percentage: 10 });
+});
+
+describe('off', function() {
+    test('removes one handler, including a once handler', function() {
+        const kept = jest.fn();
+        const removed = jest.fn();
+        const removedOnce = jest.fn();
+        events.on('downloadComplete', kept);
+        events.on('downloadComplete', removed);
+        events.once('downloadComplete', removedOnce);
+
+        events.off('downloadComplete', removed);
+        events.off('downloadComplete', removedOnce);
+        events.emit('downloadComplete', {});
+
+        expect(kept).toHaveBeenCalledTimes(1);
+        expect(removed).not.toHaveBeenCalled();
+        expect(removedOnce).not.toHaveBeenCalled();
+    });
+
+    test('removes every handler of the event when no handler is given', function() {
+        const complete = jest.fn();
+        const progress = jest.fn();
+        events.on('downloadComplete', complete);
+        events.on('downloadProgress', progress);
+
+        events.off('downloadComplete');
+        events.emit('downloadComplete', {});
+        events.emit('downloadProgress', {});
+
+        expect(complete).not.toHaveBeenCalled();
+        expect(progress).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores events without subscribers', function() {
+        expect(function() {
+            events.off('downloadComplete', jest.fn());
+        }).not.toThrow();
+    });
+});
+
+test('a throwing subscriber does not stop delivery to the others', function() {
+    const log = jest.spyOn(console, 'log').mockImplementation(function() {});
+    const handler = jest.fn();
+    events.on('downloadComplete', function() {
+        throw new Error('boom');
+    });
+    events.on('downloadComplete', handler);
+
+    events.emit('downloadComplete', {});
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Error in "downloadComplete" listener'));
+    log.mockRestore();
+});
+
+test('a subscriber removed during delivery still gets the current event', function() {
+    const second = jest.fn();
+    events.on('downloadComplete', function() {
+        events.off('downloadComplete', second);
+    });
+    events.on('downloadComplete', second);
+
+    events.emit('downloadComplete', {});
+    events.emit('downloadComplete', {});
+
+    expect(second).toHaveBeenCalledTimes(1);
+});
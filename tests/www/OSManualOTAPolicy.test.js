@@ -0,0 +1,129 @@
+const UpdatePolicy = require('../../www/OSManualOTAPolicy');
+
+const { Steps, Reasons } = UpdatePolicy;
+
+// Local time on a fixed day, as the quiet hours rule reads it
+function at(hours, minutes) {
+    return new Date(2024, 5, 1, hours, minutes || 0);
+}
+
+afterEach(function() {
+    jest.useRealTimers();
+});
+
+describe('normalize', function() {
+    test('fills omitted rules with the defaults', function() {
+        expect(UpdatePolicy.normalize({ minCheckInterval: 60 })).toEqual(Object.assign({}, UpdatePolicy.DEFAULT_POLICY, {
+            minCheckInterval: 60
+        }));
+    });
+
+    test.each([
+        [{ minCheckInterval: -1 }, /minCheckInterval/],
+        [{ maxAttemptsPerDay: 'two' }, /maxAttemptsPerDay/],
+        [{ quietHours: { start: '25:00', end: '07:00' } }, /quietHours/],
+        [{ quietHours: '22:00-07:00' }, /quietHours/]
+    ])('rejects %j', function(policy, message) {
+        expect(function() {
+            UpdatePolicy.normalize(policy);
+        }).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT', message: expect.stringMatching(message) }));
+    });
+});
+
+describe('evaluate', function() {
+    test('allows every step under the default policy', function() {
+        [Steps.CHECK, Steps.DOWNLOAD, Steps.APPLY].forEach(function(step) {
+            expect(UpdatePolicy.evaluate(null, step)).toEqual({ allowed: true, reason: null });
+        });
+    });
+
+    describe('quietHours', function() {
+        const policy = { quietHours: { start: '22:00', end: '07:00' } };
+
+        test.each([
+            [at(21, 59), true],
+            [at(22, 0), false],
+            [at(3, 30), false],
+            [at(6, 59), false],
+            [at(7, 0), true]
+        ])('window wrapping midnight at %s: allowed %s', function(now, allowed) {
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { now: now }).allowed).toBe(allowed);
+            expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { now: now }).allowed).toBe(allowed);
+        });
+
+        test('window within a day', function() {
+            const lunch = { quietHours: { start: '12:00', end: '13:30' } };
+
+            expect(UpdatePolicy.evaluate(lunch, Steps.CHECK, { now: at(12, 45) })).toEqual({ allowed: false, reason: Reasons.QUIET_HOURS });
+            expect(UpdatePolicy.evaluate(lunch, Steps.CHECK, { now: at(13, 30) }).allowed).toBe(true);
+            expect(UpdatePolicy.evaluate(lunch, Steps.CHECK, { now: at(11, 59) }).allowed).toBe(true);
+        });
+
+        test('does not hold back applying', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.APPLY, { now: at(23, 0) }).allowed).toBe(true);
+        });
+
+        test('reads the system clock when no time is given', function() {
+            jest.useFakeTimers().setSystemTime(at(23, 15));
+
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK)).toEqual({ allowed: false, reason: Reasons.QUIET_HOURS });
+
+            jest.setSystemTime(at(8, 0));
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK).allowed).toBe(true);
+        });
+    });
+
+    describe('applyOnColdStart', function() {
+        const policy = { applyOnColdStart: true };
+
+        test('defers applying outside app launch', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.APPLY, {})).toEqual({ allowed: false, reason: Reasons.COLD_START_ONLY });
+            expect(UpdatePolicy.evaluate(policy, Steps.APPLY, { isColdStart: false }).allowed).toBe(false);
+        });
+
+        test('applies during app launch', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.APPLY, { isColdStart: true })).toEqual({ allowed: true, reason: null });
+        });
+
+        test('does not hold back checking and downloading', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK, {}).allowed).toBe(true);
+            expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, {}).allowed).toBe(true);
+        });
+    });
+
+    describe('minCheckInterval', function() {
+        const policy = { minCheckInterval: 3600 };
+        const lastUpdateCheck = at(10, 0).getTime() / 1000;
+
+        test('denies checks until the interval elapsed', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { now: at(10, 59), lastUpdateCheck: lastUpdateCheck }))
+                .toEqual({ allowed: false, reason: Reasons.MIN_INTERVAL });
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { now: at(11, 0), lastUpdateCheck: lastUpdateCheck }).allowed).toBe(true);
+        });
+
+        test('allows the first check', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { now: at(10, 1), lastUpdateCheck: 0 }).allowed).toBe(true);
+        });
+
+        test('does not hold back downloading', function() {
+            expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { now: at(10, 1), lastUpdateCheck: lastUpdateCheck }).allowed).toBe(true);
+        });
+    });
+
+    test('onlyWhenBackgrounded holds back checking and downloading in the foreground', function() {
+        const policy = { onlyWhenBackgrounded: true };
+
+        expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { isBackground: false })).toEqual({ allowed: false, reason: Reasons.NOT_BACKGROUNDED });
+        expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { isBackground: false }).allowed).toBe(false);
+        expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { isBackground: true }).allowed).toBe(true);
+        expect(UpdatePolicy.evaluate(policy, Steps.APPLY, { isBackground: false }).allowed).toBe(true);
+    });
+
+    test('maxAttemptsPerDay holds back downloading once reached', function() {
+        const policy = { maxAttemptsPerDay: 3 };
+
+        expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { attemptsToday: 2 }).allowed).toBe(true);
+        expect(UpdatePolicy.evaluate(policy, Steps.DOWNLOAD, { attemptsToday: 3 })).toEqual({ allowed: false, reason: Reasons.MAX_ATTEMPTS });
+        expect(UpdatePolicy.evaluate(policy, Steps.CHECK, { attemptsToday: 3 }).allowed).toBe(true);
+    });
+});
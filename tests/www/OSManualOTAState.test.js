@@ -0,0 +1,121 @@
+const OSManualOTAStateMachine = require('../../www/OSManualOTAState');
+
+const { States } = OSManualOTAStateMachine;
+
+// Walks the machine through the given states, failing on the first refused transition
+function machineIn(path) {
+    const machine = new OSManualOTAStateMachine();
+    path.forEach(function(state) {
+        expect(machine.transition(state, { version: 'v2' })).toBe(true);
+    });
+    return machine;
+}
+
+const PATHS = {
+    idle: [],
+    checking: [States.CHECKING],
+    available: [States.AVAILABLE],
+    downloading: [States.AVAILABLE, States.DOWNLOADING],
+    downloaded: [States.DOWNLOADED],
+    applying: [States.DOWNLOADED, States.APPLYING],
+    pendingRestart: [States.DOWNLOADED, States.APPLYING, States.PENDING_RESTART],
+    failed: [States.CHECKING, States.FAILED],
+    rolledBack: [States.ROLLED_BACK]
+};
+
+test('starts idle', function() {
+    expect(new OSManualOTAStateMachine().snapshot()).toMatchObject({
+        state: States.IDLE,
+        previousState: null,
+        version: null,
+        downloadedVersion: null,
+        error: null
+    });
+});
+
+test('follows the update flow and reports every change', function() {
+    const onChange = jest.fn();
+    const machine = new OSManualOTAStateMachine(onChange);
+
+    [States.CHECKING, States.AVAILABLE, States.DOWNLOADING, States.DOWNLOADED, States.APPLYING, States.PENDING_RESTART]
+        .forEach(function(state) {
+            expect(machine.transition(state, { version: 'v2' })).toBe(true);
+        });
+
+    expect(onChange).toHaveBeenCalledTimes(6);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+        state: States.PENDING_RESTART,
+        previousState: States.APPLYING,
+        version: 'v2'
+    }));
+});
+
+test('refuses illegal transitions without notifying', function() {
+    const onChange = jest.fn();
+    const machine = new OSManualOTAStateMachine(onChange);
+
+    expect(machine.can(States.APPLYING)).toBe(false);
+    expect(machine.transition(States.APPLYING)).toBe(false);
+    expect(machine.transition(States.IDLE)).toBe(false);
+    expect(machine.current()).toBe(States.IDLE);
+    expect(onChange).not.toHaveBeenCalled();
+});
+
+// A rollback must stay possible whatever the last check or download left behind
+test.each(['idle', 'checking', 'available', 'downloading', 'downloaded', 'pendingRestart', 'failed', 'rolledBack'])(
+    'rolls back from %s',
+    function(state) {
+        const machine = machineIn(PATHS[state]);
+
+        expect(machine.can(States.ROLLED_BACK)).toBe(true);
+    }
+);
+
+test('does not roll back in the middle of applying', function() {
+    expect(machineIn(PATHS.applying).can(States.ROLLED_BACK)).toBe(false);
+});
+
+test('a rollback forgets the downloaded version and the pending restart', function() {
+    const machine = machineIn(PATHS.pendingRestart);
+
+    machine.transition(States.ROLLED_BACK);
+
+    expect(machine.snapshot().downloadedVersion).toBeNull();
+    expect(machine.restingState()).toBe(States.IDLE);
+});
+
+test('a launch can start in downloaded or pendingRestart', function() {
+    expect(new OSManualOTAStateMachine().transition(States.DOWNLOADED, { version: 'v2' })).toBe(true);
+    expect(new OSManualOTAStateMachine().transition(States.PENDING_RESTART, { version: 'v2' })).toBe(true);
+});
+
+describe('failed', function() {
+    test('keeps the error until the next transition', function() {
+        const error = new Error('Network error');
+        const machine = machineIn([States.CHECKING]);
+
+        machine.transition(States.FAILED, { error: error });
+        expect(machine.snapshot().error).toBe(error);
+
+        machine.transition(States.CHECKING);
+        expect(machine.snapshot().error).toBeNull();
+    });
+
+    test('retries applying only when something was downloaded', function() {
+        expect(machineIn(PATHS.failed).can(States.APPLYING)).toBe(false);
+        expect(machineIn([States.DOWNLOADED, States.APPLYING, States.FAILED]).can(States.APPLYING)).toBe(true);
+    });
+});
+
+describe('restingState', function() {
+    test.each([
+        ['idle', PATHS.idle, States.IDLE],
+        ['downloaded', PATHS.downloaded, States.DOWNLOADED],
+        ['pendingRestart', PATHS.pendingRestart, States.PENDING_RESTART]
+    ])('after %s', function(name, path, resting) {
+        const machine = machineIn(path);
+        machine.transition(States.CHECKING);
+
+        expect(machine.restingState()).toBe(resting);
+    });
+});
@@ -0,0 +1,330 @@
+const OSManualOTAUI = require('../../www/OSManualOTAUI');
+const OSManualOTAError = require('../../www/OSManualOTAError');
+
+// Just enough DOM for the prompt: elements, classes, attributes, text and click listeners
+function FakeElement(tag) {
+    const element = this;
+    this.tagName = tag.toUpperCase();
+    this.children = [];
+    this.parentNode = null;
+    this.attributes = {};
+    this.style = {};
+    this.listeners = {};
+    this.className = '';
+    this.ownText = '';
+    this.classList = {
+        contains: function(name) {
+            return element.className.split(' ').indexOf(name) !== -1;
+        },
+        add: function(name) {
+            if (!element.classList.contains(name)) {
+                element.className = (element.className + ' ' + name).trim();
+            }
+        },
+        remove: function(name) {
+            element.className = element.className.split(' ').filter(function(existing) {
+                return existing !== name;
+            }).join(' ');
+        },
+        toggle: function(name, force) {
+            (force ? element.classList.add : element.classList.remove)(name);
+        }
+    };
+}
+
+Object.defineProperty(FakeElement.prototype, 'textContent', {
+    get: function() {
+        return this.ownText + this.children.map(function(child) {
+            return child.textContent;
+        }).join('');
+    },
+    set: function(text) {
+        this.children = [];
+        this.ownText = String(text);
+    }
+});
+
+FakeElement.prototype.appendChild = function(child) {
+    return this.insertBefore(child, null);
+};
+
+FakeElement.prototype.insertBefore = function(child, reference) {
+    const index = reference ? this.children.indexOf(reference) : -1;
+    child.parentNode = this;
+    this.children.splice(index === -1 ? this.children.length : index, 0, child);
+    return child;
+};
+
+FakeElement.prototype.removeChild = function(child) {
+    this.children.splice(this.children.indexOf(child), 1);
+    child.parentNode = null;
+    return child;
+};
+
+FakeElement.prototype.setAttribute = function(name, value) {
+    this.attributes[name] = value;
+};
+
+FakeElement.prototype.addEventListener = function(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+};
+
+FakeElement.prototype.click = function() {
+    (this.listeners.click || []).forEach(function(listener) {
+        listener();
+    });
+};
+
+function findAll(root, className) {
+    return root.children.reduce(function(found, child) {
+        return found.concat(child.classList.contains(className) ? [child] : [], findAll(child, className));
+    }, []);
+}
+
+function find(root, className) {
+    return findAll(root, className)[0];
+}
+
+function buttonLabels() {
+    return findAll(document.body, 'os-ota-button').map(function(button) {
+        return button.textContent;
+    });
+}
+
+function flush() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+}
+
+let api;
+let ui;
+
+beforeEach(function() {
+    const head = new FakeElement('head');
+    global.document = {
+        head: head,
+        body: new FakeElement('body'),
+        createElement: function(tag) {
+            return new FakeElement(tag);
+        },
+        getElementById: function(id) {
+            return head.children.filter(function(child) {
+                return child.id === id;
+            })[0] || null;
+        }
+    };
+    global.window = { location: { reload: jest.fn() } };
+
+    api = {
+        OSManualOTAError: OSManualOTAError,
+        ErrorCodes: OSManualOTAError.ErrorCodes,
+        States: { IDLE: 'idle', DOWNLOADED: 'downloaded' },
+        getState: jest.fn(function() {
+            return { state: 'idle' };
+        }),
+        checkForUpdates: jest.fn(function() {
+            return Promise.resolve({ hasUpdate: true, version: 'v2', severity: 'optional' });
+        }),
+        estimateUpdate: jest.fn(function() {
+            return Promise.resolve({ estimatedBytes: 1536 });
+        }),
+        downloadUpdate: jest.fn(function(options) {
+            options.onProgress({ percentage: 40 });
+            return Promise.resolve({ success: true });
+        }),
+        applyUpdate: jest.fn(function() {
+            return Promise.resolve({ message: 'Update applied' });
+        })
+    };
+    ui = new OSManualOTAUI(api);
+    jest.spyOn(console, 'log').mockImplementation(function() {});
+});
+
+afterEach(function() {
+    console.log.mockRestore();
+    delete global.document;
+    delete global.window;
+});
+
+describe('promptForUpdate', function() {
+    test('resolves noUpdate without showing anything', async function() {
+        api.checkForUpdates.mockResolvedValue({ hasUpdate: false, version: 'v1' });
+
+        await expect(ui.promptForUpdate()).resolves.toEqual({ action: 'noUpdate', version: 'v1' });
+        expect(document.body.children).toHaveLength(0);
+    });
+
+    test('shows the version, size and release notes as text', async function() {
+        ui.promptForUpdate({ update: { hasUpdate: true, version: 'v2', versionLabel: '2.4.0', releaseNotes: '<b>Faster</b>' } });
+        await flush();
+
+        expect(find(document.body, 'os-ota-title').textContent).toBe('Update available');
+        expect(find(document.body, 'os-ota-version').textContent).toBe('Version 2.4.0');
+        expect(find(document.body, 'os-ota-size').textContent).toBe('Download size: 1.5 KB');
+        expect(find(document.body, 'os-ota-notes').textContent).toBe('<b>Faster</b>');
+        expect(buttonLabels()).toEqual(['Later', 'Update now']);
+    });
+
+    test('"Later" closes the prompt', async function() {
+        const result = ui.promptForUpdate();
+        await flush();
+
+        find(document.body, 'os-ota-button-later').click();
+
+        await expect(result).resolves.toEqual({ action: 'later', version: 'v2' });
+        expect(document.body.children).toHaveLength(0);
+        expect(ui.isShowing()).toBe(false);
+    });
+
+    test.each([
+        ['critical', undefined, true],
+        ['recommended', undefined, false],
+        ['critical', false, false],
+        ['optional', true, true]
+    ])('a %s update with mandatory %s hides "Later": %s', async function(severity, mandatory, hidden) {
+        ui.promptForUpdate({ update: { hasUpdate: true, version: 'v2', severity: severity }, mandatory: mandatory });
+        await flush();
+
+        expect(buttonLabels()).toEqual(hidden ? ['Update now'] : ['Later', 'Update now']);
+        expect(find(document.body, 'os-ota-title').textContent).toBe(hidden ? 'Update required' : 'Update available');
+    });
+
+    test('rejects while another prompt is showing', async function() {
+        ui.promptForUpdate();
+        await flush();
+
+        await expect(ui.promptForUpdate()).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    describe('after the update is applied', function() {
+        async function download(options) {
+            const result = ui.promptForUpdate(options);
+            await flush();
+            find(document.body, 'os-ota-button-updateNow').click();
+            await flush();
+            return result;
+        }
+
+        test('asks to close and reopen the app without onRestart', async function() {
+            const result = download();
+            await flush();
+
+            expect(api.applyUpdate).toHaveBeenCalled();
+            expect(find(document.body, 'os-ota-status').textContent).toBe('The update is ready. Close and reopen the app to use it.');
+            expect(buttonLabels()).toEqual(['OK']);
+
+            find(document.body, 'os-ota-button-done').click();
+
+            await expect(result).resolves.toEqual({ action: 'ready', version: 'v2' });
+            expect(window.location.reload).not.toHaveBeenCalled();
+        });
+
+        test('a mandatory prompt can still be closed with "OK"', async function() {
+            const result = download({ mandatory: true });
+            await flush();
+
+            expect(buttonLabels()).toEqual(['OK']);
+            find(document.body, 'os-ota-button-done').click();
+
+            await expect(result).resolves.toEqual({ action: 'ready', version: 'v2' });
+        });
+
+        test('applies an update that is already downloaded without downloading it again', async function() {
+            api.getState.mockReturnValue({ state: 'downloaded', downloadedVersion: 'v2' });
+            const result = download();
+            await flush();
+
+            expect(api.downloadUpdate).not.toHaveBeenCalled();
+            expect(api.applyUpdate).toHaveBeenCalled();
+            find(document.body, 'os-ota-button-done').click();
+            await expect(result).resolves.toEqual({ action: 'ready', version: 'v2' });
+        });
+
+        test('offers "Restart now" with onRestart', async function() {
+            const onRestart = jest.fn();
+            const result = download({ onRestart: onRestart });
+            await flush();
+
+            expect(buttonLabels()).toEqual(['Later', 'Restart now']);
+            find(document.body, 'os-ota-button-restartNow').click();
+
+            await expect(result).resolves.toEqual({ action: 'restart', version: 'v2' });
+            expect(onRestart).toHaveBeenCalled();
+            expect(window.location.reload).not.toHaveBeenCalled();
+        });
+    });
+
+    test('shows the progress and a retry after a failure', async function() {
+        api.downloadUpdate.mockImplementationOnce(function(options) {
+            options.onProgress({ percentage: 40 });
+            expect(find(document.body, 'os-ota-status').textContent).toBe('Downloading... 40%');
+            expect(find(document.body, 'os-ota-progress').attributes['aria-valuenow']).toBe('40');
+            return Promise.reject(new Error('Network error'));
+        });
+        ui.promptForUpdate();
+        await flush();
+
+        find(document.body, 'os-ota-button-updateNow').click();
+        await flush();
+
+        expect(find(document.body, 'os-ota-status').textContent).toBe('The update could not be installed: Network error');
+        expect(buttonLabels()).toEqual(['Later', 'Try again']);
+    });
+
+    test('uses texts from setTexts and per prompt', async function() {
+        ui.setTexts({ title: 'Actualización disponible', later: 'Más tarde' });
+        ui.promptForUpdate({ texts: { later: 'Después' } });
+        await flush();
+
+        expect(find(document.body, 'os-ota-title').textContent).toBe('Actualización disponible');
+        expect(buttonLabels()).toEqual(['Después', 'Update now']);
+    });
+});
+
+describe('blockUntilRestart', function() {
+    const update = { hasUpdate: true, version: 'v3', severity: 'critical' };
+
+    test('has no buttons while downloading', function() {
+        const overlay = ui.blockUntilRestart(update);
+        overlay.setProgress(25);
+
+        expect(find(document.body, 'os-ota-title').textContent).toBe('Critical update');
+        expect(find(document.body, 'os-ota-status').textContent).toBe('Downloading... 25%');
+        expect(buttonLabels()).toEqual([]);
+    });
+
+    test('stays up and asks to close and reopen the app without onRestart', function() {
+        ui.blockUntilRestart(update).ready();
+
+        expect(find(document.body, 'os-ota-status').textContent).toBe('The update is ready. Close and reopen the app to use it.');
+        expect(buttonLabels()).toEqual([]);
+    });
+
+    test('only offers "Restart now" with onRestart', function() {
+        const onRestart = jest.fn();
+        ui.blockUntilRestart(update, { onRestart: onRestart }).ready();
+
+        expect(buttonLabels()).toEqual(['Restart now']);
+        find(document.body, 'os-ota-button-restartNow').click();
+        expect(onRestart).toHaveBeenCalled();
+        expect(document.body.children).toHaveLength(0);
+    });
+
+    test('closes an open prompt with "later"', async function() {
+        const prompt = ui.promptForUpdate();
+        await flush();
+
+        ui.blockUntilRestart(update);
+
+        await expect(prompt).resolves.toEqual({ action: 'later', version: 'v2' });
+        expect(findAll(document.body, 'os-ota-overlay')).toHaveLength(1);
+    });
+});
+
+test('formatBytes', function() {
+    expect(OSManualOTAUI.formatBytes(512)).toBe('512 B');
+    expect(OSManualOTAUI.formatBytes(1536)).toBe('1.5 KB');
+    expect(OSManualOTAUI.formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+    expect(OSManualOTAUI.formatBytes(-1)).toBeNull();
+});
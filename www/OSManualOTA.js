@@ -5,286 +5,2372 @@
 
 var exec = require('cordova/exec');
 var cordova = require('cordova');
+var OSManualOTAError = require('./OSManualOTAError');
+var ErrorCodes = OSManualOTAError.ErrorCodes;
+var OSManualOTAEvents = require('./OSManualOTAEvents');
+var OSManualOTAStateMachine = require('./OSManualOTAState');
+var States = OSManualOTAStateMachine.States;
+var UpdatePolicy = require('./OSManualOTAPolicy');
+var Steps = UpdatePolicy.Steps;
+var BlockingPolicy = require('./OSManualOTABlocking');
+var OSManualOTAUI = require('./OSManualOTAUI');
 
+var SERVICE = 'OSManualOTA';
+
+// localStorage keys (same prefix as the keys shared with the native side)
+var POLICY_STORAGE_KEY = 'os_manual_ota_update_policy';
+var DEFERRED_APPLY_STORAGE_KEY = 'os_manual_ota_deferred_apply_version';
+// Read by the OutSystemsManifestLoader hook before the plugin is loaded
+var VERSION_RULES_STORAGE_KEY = 'os_manual_ota_version_rules';
+// Last automatic (health check) rollback already delivered as a rolledBack event
+var HEALTH_ROLLBACK_SEEN_STORAGE_KEY = 'os_manual_ota_health_rollback_seen';
+// Metadata returned by the JS resolver, per version token, for offline use
+var METADATA_STORAGE_KEY = 'os_manual_ota_update_metadata';
+var METADATA_CACHE_SIZE = 20;
+// Decisions of the loader hook and of this module, merged into exportDiagnostics()
+var DIAGNOSTICS_STORAGE_KEY = 'os_manual_ota_diagnostics';
+var DIAGNOSTICS_CAPACITY = 100;
+// Written by the OutSystemsManifestLoader hook
+var CURRENT_VERSION_STORAGE_KEY = 'os_manual_ota_current_version';
+
+// Name of the channel made of the top-level configure() settings when no defaultChannel is given
+var DEFAULT_CHANNEL = 'production';
+
+/**
+ * Events that can be subscribed to with OSManualOTA.on/off/once
+ */
+var Events = {
+    UPDATE_AVAILABLE: 'updateAvailable',
+    DOWNLOAD_PROGRESS: 'downloadProgress',
+    DOWNLOAD_COMPLETE: 'downloadComplete',
+    DOWNLOAD_FAILED: 'downloadFailed',
+    DOWNLOAD_DEFERRED: 'downloadDeferred',
+    DOWNLOAD_RESUMED: 'downloadResumed',
+    UPDATE_APPLIED: 'updateApplied',
+    ROLLED_BACK: 'rolledBack',
+    BACKGROUND_CHECK_COMPLETED: 'backgroundCheckCompleted',
+    BLOCKING_STATUS_CHANGED: 'blockingStatusChanged',
+    AUTOMATIC_OTA_PROGRESS: 'automaticOTAProgress',
+    AUTOMATIC_OTA_COMPLETED: 'automaticOTACompleted',
+    CHANNEL_CHANGED: 'channelChanged',
+    STATE_CHANGED: 'stateChanged'
+};
+
+/**
+ * Names of the events passed to the telemetry handler (see setTelemetryHandler)
+ */
+var TelemetryEvents = {
+    UPDATE_CHECK: 'updateCheck',
+    UPDATE_AVAILABLE: 'updateAvailable',
+    DOWNLOAD_STARTED: 'downloadStarted',
+    DOWNLOAD_FINISHED: 'downloadFinished',
+    DOWNLOAD_FAILED: 'downloadFailed',
+    UPDATE_APPLIED: 'updateApplied',
+    ROLLED_BACK: 'rolledBack',
+    CRASH_DETECTED: 'crashDetected',
+    BACKGROUND_WAKE: 'backgroundWake'
+};
+
+var telemetryHandler = null;
+
+/**
+ * Update severities reported by checkForUpdates (see configure: severity / severityURL)
+ */
+var Severity = {
+    OPTIONAL: 'optional',
+    RECOMMENDED: 'recommended',
+    CRITICAL: 'critical'
+};
+
+var events = new OSManualOTAEvents(Object.keys(Events).map(function(key) {
+    return Events[key];
+}));
+
+/**
+ * Copies the data attached by cordova.fireDocumentEvent into a plain object
+ */
+function eventPayload(event) {
+    var payload = {};
+    Object.keys(event).forEach(function(key) {
+        if (key !== 'isTrusted') {
+            payload[key] = event[key];
+        }
+    });
+    return payload;
+}
+
+/**
+ * The native side fires 'OSManualOTA.<event>' document events for everything it does
+ * (including background fetch and silent push work); re-emit them to every subscriber
+ */
+function listenToNativeEvents() {
+    Object.keys(Events).forEach(function(key) {
+        var name = Events[key];
+
+        document.addEventListener('OSManualOTA.' + name, function(event) {
+            var payload = eventPayload(event);
+
+            if (name === Events.DOWNLOAD_FAILED) {
+                payload.error = OSManualOTAError.from(payload.message, 'downloadUpdate');
+            }
+
+            emitEvent(name, payload);
+        }, false);
+    });
+
+    document.addEventListener('OSManualOTA.telemetry', function(event) {
+        if (!telemetryHandler) {
+            return;
+        }
+        try {
+            telemetryHandler(eventPayload(event));
+        } catch (e) {
+            console.log('[OSManualOTA] ⚠️ Telemetry handler threw: ' + e);
+        }
+    }, false);
+}
+
+// Plugin-internal subscribers (state tracking), out of reach of OSManualOTA.off
+var internalEvents = new OSManualOTAEvents(Object.keys(Events).map(function(key) {
+    return Events[key];
+}));
+
+/**
+ * Delivers an event to the plugin's own subscribers first, then to the app's
+ */
+function emitEvent(name, payload) {
+    internalEvents.emit(name, payload);
+    events.emit(name, payload);
+}
+
+var stateMachine = new OSManualOTAStateMachine(function(snapshot) {
+    events.emit(Events.STATE_CHANGED, snapshot);
+});
+
+// State each action moves to when it starts
+var ACTION_STATES = {
+    checkForUpdates: States.CHECKING,
+    downloadUpdate: States.DOWNLOADING,
+    setChannel: States.DOWNLOADING,
+    applyUpdate: States.APPLYING,
+    rollback: States.ROLLED_BACK,
+    rollbackTo: States.ROLLED_BACK
+};
+
+/**
+ * Returns an error when the action makes no sense in the current update state
+ * (e.g. applying before anything was downloaded, or a second concurrent download)
+ * @returns {OSManualOTAError|null}
+ */
+function stateError(action) {
+    var state = stateMachine.current();
+
+    if (stateMachine.can(ACTION_STATES[action])) {
+        return null;
+    }
+
+    if ((action === 'downloadUpdate' || action === 'setChannel') && state === States.DOWNLOADING) {
+        return new OSManualOTAError(ErrorCodes.DOWNLOAD_IN_PROGRESS, 'Update download already in progress', { action: action });
+    }
+
+    if (action === 'applyUpdate') {
+        return new OSManualOTAError(ErrorCodes.INVALID_STATE, 'No downloaded update to apply (state: ' + state + ')', { action: action });
+    }
+
+    return new OSManualOTAError(ErrorCodes.INVALID_STATE, 'Cannot ' + action + ' while ' + state, { action: action });
+}
+
+/**
+ * A rollback replaces whatever is being downloaded: cancel the download first so it can't land afterwards
+ * @returns {Promise} Resolves once native acknowledged the cancellation (or right away when idle)
+ */
+function cancelRunningDownload() {
+    if (stateMachine.current() !== States.DOWNLOADING) {
+        return Promise.resolve();
+    }
+    console.log('[OSManualOTA] Cancelling the running download before rolling back');
+    return new Promise(function(resolve) {
+        exec(resolve, resolve, SERVICE, 'cancelDownload', []);
+    });
+}
+
+/**
+ * Returns an error callback that records the failure in the state machine before rejecting
+ */
+function failWith(action, reject) {
+    return function(error) {
+        var otaError = OSManualOTAError.from(error, action);
+        stateMachine.transition(States.FAILED, { error: otaError });
+        reject(otaError);
+    };
+}
+
+/**
+ * Keeps the state machine in sync with work the native side reports on its own
+ * (background fetch, silent push, or events racing the JS callbacks)
+ */
+function trackNativeEvents() {
+    internalEvents.on(Events.UPDATE_AVAILABLE, function(payload) {
+        stateMachine.transition(States.AVAILABLE, { version: payload.version });
+    });
+    internalEvents.on(Events.DOWNLOAD_PROGRESS, function() {
+        stateMachine.transition(States.DOWNLOADING);
+    });
+    internalEvents.on(Events.DOWNLOAD_COMPLETE, function(payload) {
+        stateMachine.transition(States.DOWNLOADED, { version: payload.version });
+    });
+    internalEvents.on(Events.DOWNLOAD_FAILED, function(payload) {
+        stateMachine.transition(States.FAILED, { error: payload.error });
+    });
+    internalEvents.on(Events.DOWNLOAD_RESUMED, function(payload) {
+        stateMachine.transition(States.DOWNLOADING, { version: payload.version || undefined });
+    });
+    internalEvents.on(Events.UPDATE_APPLIED, function(payload) {
+        stateMachine.transition(States.PENDING_RESTART, { version: payload.version });
+    });
+    internalEvents.on(Events.ROLLED_BACK, function(payload) {
+        stateMachine.transition(States.ROLLED_BACK, { version: payload.version });
+        if (payload.reason) {
+            writeStorage(HEALTH_ROLLBACK_SEEN_STORAGE_KEY, healthRollbackKey(payload));
+        }
+    });
+}
+
+function healthRollbackKey(rollback) {
+    return rollback.fromVersion + '|' + rollback.reason;
+}
+
+/**
+ * Health check rollbacks happen at app launch, before JavaScript can listen;
+ * deliver the last one as a rolledBack event unless it was already seen
+ */
+function replayHealthCheckRollback(info) {
+    var rollback = info && info.healthCheck && info.healthCheck.lastRollback;
+    if (!rollback || readStorage(HEALTH_ROLLBACK_SEEN_STORAGE_KEY) === healthRollbackKey(rollback)) {
+        return;
+    }
+
+    console.log('[OSManualOTA] ⏪ Update ' + rollback.fromVersion + ' was rolled back at launch: ' + rollback.reason);
+    emitEvent(Events.ROLLED_BACK, {
+        version: rollback.version,
+        fromVersion: rollback.fromVersion,
+        reason: rollback.reason,
+        message: rollback.message
+    });
+}
+
+/**
+ * Sends fatal errors the patched OSManifestLoader bootstrap caught before deviceready
+ */
+function flushBootErrors() {
+    var bootErrors = typeof window !== 'undefined' && window.OSManualOTA_BootErrors;
+    if (!bootErrors || !bootErrors.length || window.OSManualOTA_Healthy) {
+        return;
+    }
+    exec(function() {}, function() {}, SERVICE, 'reportUnhealthy', [bootErrors[0]]);
+}
+
+/**
+ * Picks up update work native did before the WebView loaded: a running download (e.g. background fetch),
+ * a finished download waiting to be applied, or an applied update waiting for a restart
+ */
+function syncStateFromNative() {
+    exec(function(info) {
+        info = info || {};
+        if (info.isDownloading) {
+            stateMachine.transition(States.DOWNLOADING);
+        } else if (info.isUpdateDownloaded && info.downloadedVersion) {
+            // A download from a previous launch (or Background Fetch) waits to be applied; once applied,
+            // native reports it as the current version until the app restarts into it
+            var loaded = typeof OSManifestLoader !== 'undefined' && OSManifestLoader.indexVersionToken;
+            if (info.downloadedVersion !== info.currentVersion) {
+                stateMachine.transition(States.DOWNLOADED, { version: info.downloadedVersion });
+            } else if (loaded && loaded !== info.downloadedVersion) {
+                stateMachine.transition(States.PENDING_RESTART, { version: info.downloadedVersion });
+            }
+        }
+        replayHealthCheckRollback(info);
+    }, function() {}, SERVICE, 'getVersionInfo', []);
+}
+
+/**
+ * Mirrors the native version rules into localStorage for the OutSystemsManifestLoader hook
+ */
+function storeVersionRules(rules) {
+    writeStorage(VERSION_RULES_STORAGE_KEY, JSON.stringify(rules));
+    return rules;
+}
+
+/**
+ * Calls a native version rule action and mirrors the resulting rules
+ */
+function execVersionRules(action, token, successCallback, errorCallback) {
+    return callbackOrPromise(action, successCallback, errorCallback, function(resolve, reject) {
+        if (token !== undefined && (typeof token !== 'string' || !token)) {
+            reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid version: expected version token', { action: action }));
+            return;
+        }
+
+        exec(function(rules) {
+            resolve(storeVersionRules(rules));
+        }, reject, SERVICE, action, token !== undefined ? [token] : []);
+    });
+}
+
+/**
+ * Validates the optional staged rollout settings passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateRolloutConfig(config) {
+    if (config.rolloutURL !== undefined && typeof config.rolloutURL !== 'string') {
+        return 'rolloutURL must be a string';
+    }
+    if (config.cohorts !== undefined && !(Array.isArray(config.cohorts) && config.cohorts.every(function(cohort) {
+        return typeof cohort === 'string';
+    }))) {
+        return 'cohorts must be an array of strings';
+    }
+    if (config.rollout === undefined) {
+        return null;
+    }
+    if (!config.rollout || typeof config.rollout.versions !== 'object' || config.rollout.versions === null) {
+        return 'rollout must be {versions: {<versionToken>: {percentage, cohorts}}}';
+    }
+
+    var tokens = Object.keys(config.rollout.versions);
+    for (var i = 0; i < tokens.length; i++) {
+        var rule = config.rollout.versions[tokens[i]] || {};
+        if (rule.percentage !== undefined &&
+            !(typeof rule.percentage === 'number' && rule.percentage >= 0 && rule.percentage <= 100)) {
+            return 'rollout percentage for ' + tokens[i] + ' must be between 0 and 100';
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the optional per-file retry settings passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateRetryConfig(retry) {
+    if (retry === undefined) {
+        return null;
+    }
+    if (!retry || typeof retry !== 'object') {
+        return 'retry must be {maxRetries, initialDelay, maxDelay, multiplier, jitter}';
+    }
+
+    var keys = ['maxRetries', 'initialDelay', 'maxDelay', 'multiplier', 'jitter'];
+    for (var i = 0; i < keys.length; i++) {
+        var value = retry[keys[i]];
+        if (value !== undefined && !(typeof value === 'number' && isFinite(value) && value >= 0)) {
+            return 'retry.' + keys[i] + ' must be a non-negative number';
+        }
+    }
+    if (retry.jitter !== undefined && retry.jitter > 1) {
+        return 'retry.jitter must be between 0 and 1';
+    }
+    return null;
+}
+
+/**
+ * Validates the optional manifest signing settings passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateIntegrityConfig(config) {
+    if (config.manifestPublicKey !== undefined &&
+        !(typeof config.manifestPublicKey === 'string' && /^[A-Za-z0-9+\/=\s]+$/.test(config.manifestPublicKey))) {
+        return 'manifestPublicKey must be a base64 string';
+    }
+    if (config.manifestSignatureURL !== undefined && typeof config.manifestSignatureURL !== 'string') {
+        return 'manifestSignatureURL must be a string';
+    }
+    return null;
+}
+
+/**
+ * Validates the optional health check settings passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateHealthCheckConfig(healthCheck) {
+    if (healthCheck === undefined) {
+        return null;
+    }
+    if (!healthCheck || typeof healthCheck !== 'object') {
+        return 'healthCheck must be {timeout, maxLaunches, rollbackOnFatalError}';
+    }
+    if (healthCheck.timeout !== undefined &&
+        !(typeof healthCheck.timeout === 'number' && isFinite(healthCheck.timeout) && healthCheck.timeout >= 0)) {
+        return 'healthCheck.timeout must be a non-negative number of seconds';
+    }
+    if (healthCheck.maxLaunches !== undefined &&
+        !(typeof healthCheck.maxLaunches === 'number' && healthCheck.maxLaunches >= 0 &&
+          Math.floor(healthCheck.maxLaunches) === healthCheck.maxLaunches)) {
+        return 'healthCheck.maxLaunches must be a non-negative integer';
+    }
+    return null;
+}
+
+/**
+ * Validates the optional severity rules passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateSeverityConfig(config) {
+    var severities = Object.keys(Severity).map(function(key) {
+        return Severity[key];
+    });
+    var isSeverity = function(value) {
+        return severities.indexOf(value) !== -1;
+    };
+
+    if (config.severityURL !== undefined && typeof config.severityURL !== 'string') {
+        return 'severityURL must be a string';
+    }
+    if (config.metadataURL !== undefined && typeof config.metadataURL !== 'string') {
+        return 'metadataURL must be a string';
+    }
+    if (config.severity === undefined) {
+        return null;
+    }
+
+    var severity = config.severity;
+    if (!severity || typeof severity !== 'object') {
+        return 'severity must be {minimumVersion, defaultSeverity, versions: {<versionToken>: {severity}}}';
+    }
+    if (severity.minimumVersion !== undefined && typeof severity.minimumVersion !== 'string') {
+        return 'severity.minimumVersion must be a version token';
+    }
+    var invalidList = ['releases', 'unsupportedVersions'].filter(function(key) {
+        return severity[key] !== undefined && !(Array.isArray(severity[key]) && severity[key].every(function(token) {
+            return typeof token === 'string';
+        }));
+    })[0];
+    if (invalidList) {
+        return 'severity.' + invalidList + ' must be an array of version tokens';
+    }
+    if (severity.defaultSeverity !== undefined && !isSeverity(severity.defaultSeverity)) {
+        return 'severity.defaultSeverity must be one of ' + severities.join(', ');
+    }
+    if (severity.versions !== undefined && (typeof severity.versions !== 'object' || severity.versions === null)) {
+        return 'severity.versions must be {<versionToken>: {severity}}';
+    }
+
+    var tokens = Object.keys(severity.versions || {});
+    for (var i = 0; i < tokens.length; i++) {
+        var rule = severity.versions[tokens[i]];
+        if (!isSeverity(rule && typeof rule === 'object' ? rule.severity : rule)) {
+            return 'severity for ' + tokens[i] + ' must be one of ' + severities.join(', ');
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the optional telemetry reporter settings passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateTelemetryConfig(telemetry) {
+    if (telemetry === undefined) {
+        return null;
+    }
+    if (!telemetry || typeof telemetry !== 'object' || typeof telemetry.endpoint !== 'string') {
+        return 'telemetry must be {endpoint, headers, batchSize, flushInterval, maxQueueSize}';
+    }
+    if (telemetry.headers !== undefined && !(telemetry.headers && typeof telemetry.headers === 'object' &&
+        Object.keys(telemetry.headers).every(function(key) {
+            return typeof telemetry.headers[key] === 'string';
+        }))) {
+        return 'telemetry.headers must map header names to strings';
+    }
+
+    var keys = ['batchSize', 'flushInterval', 'maxQueueSize'];
+    for (var i = 0; i < keys.length; i++) {
+        var value = telemetry[keys[i]];
+        if (value !== undefined && !(typeof value === 'number' && isFinite(value) && value > 0)) {
+            return 'telemetry.' + keys[i] + ' must be a positive number';
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the optional remote command keys passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateRemoteCommandsConfig(remoteCommands) {
+    if (remoteCommands === undefined || remoteCommands === null) {
+        return null;
+    }
+    if (typeof remoteCommands !== 'object' || (!remoteCommands.hmacKey && !remoteCommands.publicKey)) {
+        return 'remoteCommands must be {hmacKey, publicKey} with at least one key';
+    }
+    if (remoteCommands.hmacKey !== undefined && typeof remoteCommands.hmacKey !== 'string') {
+        return 'remoteCommands.hmacKey must be a string';
+    }
+    if (remoteCommands.publicKey !== undefined &&
+        !(typeof remoteCommands.publicKey === 'string' && /^[A-Za-z0-9+\/=\s]+$/.test(remoteCommands.publicKey))) {
+        return 'remoteCommands.publicKey must be a base64 string';
+    }
+    return null;
+}
+
+/**
+ * Validates the optional release channels passed to configure
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateChannelsConfig(config) {
+    if (config.defaultChannel !== undefined && !(typeof config.defaultChannel === 'string' && config.defaultChannel)) {
+        return 'defaultChannel must be a non-empty string';
+    }
+    if (config.channels === undefined) {
+        return null;
+    }
+    if (!config.channels || typeof config.channels !== 'object' || Array.isArray(config.channels)) {
+        return 'channels must be {<name>: {baseURL, hostname, applicationPath}}';
+    }
+
+    var defaultChannel = config.defaultChannel || DEFAULT_CHANNEL;
+    var names = Object.keys(config.channels);
+    for (var i = 0; i < names.length; i++) {
+        var channel = config.channels[names[i]];
+        if (names[i] === defaultChannel) {
+            return 'channel ' + names[i] + ' is the default channel (the top-level baseURL, hostname and applicationPath)';
+        }
+        if (!channel || typeof channel.baseURL !== 'string' || !channel.baseURL ||
+            typeof channel.hostname !== 'string' || !channel.hostname ||
+            typeof channel.applicationPath !== 'string' || !channel.applicationPath) {
+            return 'channel ' + names[i] + ' needs baseURL, hostname and applicationPath';
+        }
+    }
+    return null;
+}
+
+function readStorage(key) {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    } catch (e) {
+        console.log('[OSManualOTA] ⚠️ Could not write ' + key + ' to localStorage: ' + e);
+    }
+}
+
+/**
+ * Logs a decision and keeps it in the localStorage ring buffer shared with the loader hook
+ * @param {string} category - e.g. "policy"
+ * @param {string} message
+ * @param {Object} [details]
+ */
+function logDecision(category, message, details) {
+    console.log('[OSManualOTA] ' + message);
+
+    var entries;
+    try {
+        entries = JSON.parse(readStorage(DIAGNOSTICS_STORAGE_KEY)) || [];
+    } catch (e) {
+        entries = [];
+    }
+    var entry = {
+        timestamp: Date.now() / 1000,
+        source: 'js',
+        level: 'info',
+        category: category,
+        message: message
+    };
+    if (details) {
+        entry.details = details;
+    }
+    entries.push(entry);
+    writeStorage(DIAGNOSTICS_STORAGE_KEY, JSON.stringify(entries.slice(-DIAGNOSTICS_CAPACITY)));
+}
+
+function readDiagnostics() {
+    try {
+        return JSON.parse(readStorage(DIAGNOSTICS_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function loadStoredPolicy() {
+    try {
+        return UpdatePolicy.normalize(JSON.parse(readStorage(POLICY_STORAGE_KEY)) || {});
+    } catch (e) {
+        return UpdatePolicy.normalize({});
+    }
+}
+
+var updatePolicy = loadStoredPolicy();
+var appInBackground = false;
+var metadataResolver = null;
+
+var SEVERITY_ORDER = [Severity.OPTIONAL, Severity.RECOMMENDED, Severity.CRITICAL];
+
+/**
+ * Keeps the known fields of resolver output, dropping values of the wrong type
+ */
+function sanitizeMetadata(metadata) {
+    var result = {};
+    if (!metadata || typeof metadata !== 'object') {
+        return result;
+    }
+    ['releaseNotes', 'versionLabel', 'publishedAt'].forEach(function(key) {
+        if (typeof metadata[key] === 'string') {
+            result[key] = metadata[key];
+        }
+    });
+    if (SEVERITY_ORDER.indexOf(metadata.severity) !== -1) {
+        result.severity = metadata.severity;
+    }
+    return result;
+}
+
+function readMetadataCache() {
+    try {
+        return JSON.parse(readStorage(METADATA_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function cacheMetadata(versionToken, metadata) {
+    var cache = readMetadataCache();
+    delete cache[versionToken];
+    cache[versionToken] = metadata;
+
+    // Oldest entries first
+    var tokens = Object.keys(cache);
+    for (var i = 0; i < tokens.length - METADATA_CACHE_SIZE; i++) {
+        delete cache[tokens[i]];
+    }
+    writeStorage(METADATA_STORAGE_KEY, JSON.stringify(cache));
+}
+
+/**
+ * Metadata from the resolver set with setMetadataResolver, or its cached copy when it fails
+ * @param {string} versionToken
+ * @param {boolean} [preferCache] - Only call the resolver for versions it never described
+ * @returns {Promise<Object|null>} {releaseNotes, versionLabel, publishedAt, severity}, or null without a resolver
+ */
+function resolveMetadata(versionToken, preferCache) {
+    if (!metadataResolver || !versionToken) {
+        return Promise.resolve(null);
+    }
+    if (preferCache && readMetadataCache()[versionToken]) {
+        return Promise.resolve(readMetadataCache()[versionToken]);
+    }
+
+    var resolver = metadataResolver;
+    return new Promise(function(resolve) {
+        resolve(resolver(versionToken));
+    }).then(function(metadata) {
+        metadata = sanitizeMetadata(metadata);
+        cacheMetadata(versionToken, metadata);
+        return metadata;
+    }, function(error) {
+        console.log('[OSManualOTA] ⚠️ Metadata resolver failed for ' + versionToken + ': ' +
+            (error && error.message ? error.message : error) + ' - using cached copy');
+        return readMetadataCache()[versionToken] || null;
+    });
+}
+
+/**
+ * Copies resolver metadata onto a result; the highest severity wins
+ */
+function mergeMetadata(target, metadata) {
+    if (!metadata) {
+        return target;
+    }
+    Object.keys(metadata).forEach(function(key) {
+        if (key !== 'severity') {
+            target[key] = metadata[key];
+        }
+    });
+    if (metadata.severity && SEVERITY_ORDER.indexOf(metadata.severity) > SEVERITY_ORDER.indexOf(target.severity)) {
+        target.severity = metadata.severity;
+    }
+    return target;
+}
+
+/**
+ * Evaluates the update policy for a step, using lastUpdateCheck and today's attempts from native
+ * @param {string} step - One of UpdatePolicy.Steps
+ * @param {Object} [context] - Extra evaluator context (e.g. {isColdStart: true} during app launch)
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+function policyDecision(step, context) {
+    var evaluate = function(facts) {
+        facts.isBackground = appInBackground;
+        Object.keys(context || {}).forEach(function(key) {
+            facts[key] = context[key];
+        });
+        return UpdatePolicy.evaluate(updatePolicy, step, facts);
+    };
+
+    if (step === Steps.APPLY) {
+        return Promise.resolve(evaluate({}));
+    }
+
+    return new Promise(function(resolve) {
+        exec(function(info) {
+            resolve(evaluate({
+                now: Date.now(),
+                lastUpdateCheck: info.lastUpdateCheck,
+                attemptsToday: info.updateAttemptsToday
+            }));
+        }, function() {
+            resolve(evaluate({}));
+        }, SERVICE, 'getVersionInfo', []);
+    });
+}
+
+/**
+ * Applies an update whose apply step was deferred to app launch by the applyOnColdStart rule
+ */
+function applyDeferredUpdate() {
+    var version = readStorage(DEFERRED_APPLY_STORAGE_KEY);
+    if (!version) {
+        return;
+    }
+
+    // Runs from deviceready, which is the cold start the applyOnColdStart rule waits for
+    policyDecision(Steps.APPLY, { isColdStart: true }).then(function(decision) {
+        if (!decision.allowed) {
+            logDecision('policy', 'Apply deferred by policy: ' + decision.reason, { version: version });
+            return;
+        }
+
+        writeStorage(DEFERRED_APPLY_STORAGE_KEY, null);
+        console.log('[OSManualOTA] Applying update deferred to app launch: ' + version);
+
+        stateMachine.transition(States.DOWNLOADED, { version: version });
+        return OSManualOTA.applyUpdate();
+    }).catch(function(error) {
+        console.log('[OSManualOTA] ⚠️ Deferred apply failed: ' + error.message);
+    });
+}
+
+trackNativeEvents();
+
+if (typeof document !== 'undefined') {
+    listenToNativeEvents();
+    document.addEventListener('deviceready', function() {
+        syncStateFromNative();
+        exec(storeVersionRules, function() {}, SERVICE, 'getVersionRules', []);
+        flushBootErrors();
+        applyDeferredUpdate();
+    }, false);
+    document.addEventListener('pause', function() {
+        appInBackground = true;
+    }, false);
+    document.addEventListener('resume', function() {
+        appInBackground = false;
+    }, false);
+}
+
+/**
+ * Runs an operation callback-style when callbacks are given, or returns a Promise otherwise.
+ * The executor receives resolve/reject functions; only the first settle call is honoured.
+ * @param {string} action - Name of the plugin action (used to tag errors)
+ * @param {Function} [successCallback]
+ * @param {Function} [errorCallback]
+ * @param {Function} executor - function(resolve, reject)
+ * @returns {Promise|undefined} Promise when no callbacks were passed
+ */
+function callbackOrPromise(action, successCallback, errorCallback, executor) {
+    var useCallbacks = typeof successCallback === 'function' || typeof errorCallback === 'function';
+
+    var run = function(resolve, reject) {
+        var settled = false;
+
+        executor(
+            function(result) {
+                if (settled) { return; }
+                settled = true;
+                resolve(result);
+            },
+            function(error) {
+                if (settled) { return; }
+                settled = true;
+                reject(OSManualOTAError.from(error, action));
+            }
+        );
+    };
+
+    if (useCallbacks) {
+        run(
+            function(result) { successCallback && successCallback(result); },
+            function(error) { errorCallback && errorCallback(error); }
+        );
+        return;
+    }
+
+    return new Promise(run);
+}
+
+/**
+ * Calls a native action, callback-style or as a Promise
+ */
+function execNative(action, args, successCallback, errorCallback) {
+    return callbackOrPromise(action, successCallback, errorCallback, function(resolve, reject) {
+        exec(resolve, reject, SERVICE, action, args || []);
+    });
+}
+
+/**
+ * Extracts the progress handler from a progress callback or an options object ({onProgress: fn})
+ */
+function getProgressHandler(progress) {
+    if (typeof progress === 'function') {
+        return progress;
+    }
+    if (progress && typeof progress.onProgress === 'function') {
+        return progress.onProgress;
+    }
+    return null;
+}
+
+// Network conditions accepted by downloadUpdate / checkAndDownload
+var DOWNLOAD_OPTION_TYPES = {
+    requireUnmetered: 'boolean',
+    allowCellular: 'boolean',
+    maxCellularBytes: 'number',
+    deferIfLowDataMode: 'boolean'
+};
+
+/**
+ * Extracts the network download options from an options object
+ * @returns {Object|null} Options for native, or null when none are set
+ * @throws {OSManualOTAError} INVALID_ARGUMENT when an option has the wrong type
+ */
+function getDownloadOptions(options) {
+    if (!options || typeof options !== 'object') {
+        return null;
+    }
+
+    var result = null;
+    Object.keys(DOWNLOAD_OPTION_TYPES).forEach(function(key) {
+        if (options[key] === undefined) {
+            return;
+        }
+        if (typeof options[key] !== DOWNLOAD_OPTION_TYPES[key] ||
+            (key === 'maxCellularBytes' && !(options[key] >= 0))) {
+            throw new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT,
+                'Invalid parameter: ' + key + ' must be a ' + (key === 'maxCellularBytes' ? 'non-negative number' : 'boolean'),
+                { action: 'downloadUpdate' });
+        }
+        result = result || {};
+        result[key] = options[key];
+    });
+    return result;
+}
+
+/**
+ * downloadUpdate options (progress handler and network conditions) from a progress callback or options object
+ */
+function getDownloadArgument(progressCallback) {
+    var downloadArg = { onProgress: getProgressHandler(progressCallback) };
+
+    if (progressCallback && typeof progressCallback === 'object') {
+        Object.keys(DOWNLOAD_OPTION_TYPES).forEach(function(key) {
+            if (progressCallback[key] !== undefined) {
+                downloadArg[key] = progressCallback[key];
+            }
+        });
+    }
+    return downloadArg;
+}
+
+/**
+ * Check → download steps of checkAndDownload and checkDownloadAndApply
+ *
+ * Critical updates skip the download policy and the network conditions and download right away.
+ * @param {Object} api - The OSManualOTA module
+ * @param {Object} downloadArg - Options for downloadUpdate
+ * @param {Function} [onCritical] - Called with the check result before a critical update downloads;
+ *   may return a progress handler to use instead of downloadArg.onProgress
+ * @returns {Promise} Resolves with {hasUpdate, downloaded, version, severity, deferred, reason}
+ */
+function checkAndDownloadUpdate(api, downloadArg, onCritical) {
+    return policyDecision(Steps.CHECK).then(function(checkDecision) {
+        if (!checkDecision.allowed) {
+            logDecision('policy', 'Update check deferred by policy: ' + checkDecision.reason);
+            return {
+                hasUpdate: false,
+                downloaded: false,
+                deferred: true,
+                reason: checkDecision.reason
+            };
+        }
+
+        return api.checkForUpdates().then(function(checkResult) {
+            if (!checkResult.hasUpdate) {
+                console.log('[OSManualOTA] No update available' + (checkResult.reason ? ' (' + checkResult.reason + ')' : ''));
+                var noUpdate = {
+                    hasUpdate: false,
+                    downloaded: false
+                };
+                if (checkResult.reason) {
+                    noUpdate.reason = checkResult.reason;
+                }
+                return noUpdate;
+            }
+
+            var critical = checkResult.severity === Severity.CRITICAL;
+            var updateResult = function(fields) {
+                var result = {
+                    hasUpdate: true,
+                    version: checkResult.version
+                };
+                if (checkResult.severity) {
+                    result.severity = checkResult.severity;
+                }
+                Object.keys(fields).forEach(function(key) {
+                    result[key] = fields[key];
+                });
+                return result;
+            };
+
+            console.log('[OSManualOTA] Update available: ' + checkResult.version + (critical ? ' (critical)' : ''));
+
+            var downloadDecision = critical ?
+                Promise.resolve({ allowed: true, reason: null }) :
+                policyDecision(Steps.DOWNLOAD);
+
+            return downloadDecision.then(function(decision) {
+                if (!decision.allowed) {
+                    logDecision('policy', 'Download deferred by policy: ' + decision.reason, { version: checkResult.version });
+                    return updateResult({ downloaded: false, deferred: true, reason: decision.reason });
+                }
+
+                var options = downloadArg;
+                if (critical) {
+                    // No network conditions: a critical update must not wait for Wi-Fi
+                    var onProgress = onCritical && onCritical(checkResult);
+                    options = { onProgress: onProgress || downloadArg.onProgress };
+                }
+
+                return api.downloadUpdate(options).then(function(downloadResult) {
+                    if (downloadResult.deferred) {
+                        return updateResult({ downloaded: false, deferred: true, reason: downloadResult.reason });
+                    }
+                    return updateResult({ downloaded: downloadResult.success });
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Steps reported by automaticOTAProgress events
+ */
+var AutomaticOTASteps = {
+    CHECKING_VERSION: 'checkingVersion',
+    FETCHING_MANIFEST: 'fetchingManifest',
+    MANIFEST_LOADED: 'manifestLoaded',
+    UPGRADING: 'upgrading'
+};
+
+var automaticOTARunning = false;
+
+/**
+ * Version the OutSystems runtime is running, as seen by the loader hook
+ */
+function runningVersion() {
+    if (typeof OSManifestLoader !== 'undefined' && OSManifestLoader.indexVersionToken) {
+        return OSManifestLoader.indexVersionToken;
+    }
+    return readStorage(CURRENT_VERSION_STORAGE_KEY);
+}
+
+/**
+ * Same pin/blocklist check the loader hook applies to the wrapped methods
+ * @returns {string|null} 'pinned', 'blocked' or null when the version may be installed
+ */
+function versionRuleViolation(versionToken, currentVersion) {
+    var rules;
+    try {
+        rules = JSON.parse(readStorage(VERSION_RULES_STORAGE_KEY)) || {};
+    } catch (e) {
+        return null;
+    }
+
+    if (!versionToken || versionToken === currentVersion) {
+        return null;
+    }
+    if ((rules.blockedVersions || []).indexOf(versionToken) !== -1) {
+        return 'blocked';
+    }
+    if (rules.pinnedVersion && rules.pinnedVersion !== versionToken) {
+        return 'pinned';
+    }
+    return null;
+}
+
+/**
+ * Resolves with the result of a step, or rejects with TIMEOUT when it takes longer than timeout ms
+ */
+function withTimeout(promise, timeout, step) {
+    if (!timeout) {
+        return promise;
+    }
+
+    return new Promise(function(resolve, reject) {
+        var timer = setTimeout(function() {
+            reject(new OSManualOTAError(ErrorCodes.TIMEOUT, 'Automatic OTA step timed out: ' + step, {
+                action: 'triggerAutomaticOTA',
+                retryable: true
+            }));
+        }, timeout);
+
+        promise.then(function(result) {
+            clearTimeout(timer);
+            resolve(result);
+        }, function(error) {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Runs OutSystems' own getLatestVersion/getLatestManifest (saved by the loader hook before wrapping)
+ * and, when a newer version is allowed, upgrades to it: its files are downloaded into the OutSystems
+ * cache and swapped in on the next start (unless options.upgrade is false)
+ * @param {Object} options - Options of triggerAutomaticOTA
+ * @param {Function} progress - Called with (step, details)
+ * @returns {Promise} Resolves with {hasUpdate, version, currentVersion, reason?, manifest?, upgraded?}
+ */
+function runAutomaticOTAFlow(options, progress) {
+    var originals = window.OSManualOTA_OriginalMethods;
+    var loader = typeof OSManifestLoader !== 'undefined' ? OSManifestLoader : null;
+    var currentVersion = runningVersion();
+    var result = { hasUpdate: false, currentVersion: currentVersion };
+
+    progress(AutomaticOTASteps.CHECKING_VERSION);
+
+    return withTimeout(Promise.resolve().then(function() {
+        return originals.getLatestVersion.call(loader);
+    }), options.timeout, AutomaticOTASteps.CHECKING_VERSION).then(function(latest) {
+        result.version = latest && latest.versionToken;
+
+        if (!result.version || result.version === currentVersion || latest.hasNewVersion === false) {
+            return result;
+        }
+
+        var violation = versionRuleViolation(result.version, currentVersion);
+        if (violation) {
+            logDecision('blocking', '📌 Automatic OTA ignoring version ' + result.version + ' (' + violation + ')');
+            result.reason = violation;
+            return result;
+        }
+
+        progress(AutomaticOTASteps.FETCHING_MANIFEST, { version: result.version });
+
+        return withTimeout(Promise.resolve().then(function() {
+            return originals.getLatestManifest.call(loader);
+        }), options.timeout, AutomaticOTASteps.FETCHING_MANIFEST).then(function(latestManifest) {
+            var manifest = latestManifest && latestManifest.manifest;
+            if (!manifest) {
+                throw new OSManualOTAError(ErrorCodes.MANIFEST_FETCH_FAILED, 'Failed to fetch manifest: empty response', {
+                    action: 'triggerAutomaticOTA'
+                });
+            }
+
+            result.hasUpdate = true;
+            result.manifest = manifest;
+            progress(AutomaticOTASteps.MANIFEST_LOADED, {
+                version: result.version,
+                fileCount: Object.keys(manifest.urlVersions || {}).length
+            });
+
+            if (options.upgrade === false) {
+                result.upgraded = false;
+                return result;
+            }
+
+            progress(AutomaticOTASteps.UPGRADING, { version: result.version });
+            // A download of this version may already have finished (e.g. a deferred one)
+            var downloaded = stateMachine.current() === States.DOWNLOADED &&
+                stateMachine.snapshot().downloadedVersion === result.version;
+            return (downloaded ? Promise.resolve({ success: true }) : OSManualOTA.downloadUpdate()).then(function(download) {
+                if (download.deferred) {
+                    result.upgraded = false;
+                    result.reason = download.reason;
+                    return result;
+                }
+                return OSManualOTA.applyUpdate().then(function() {
+                    result.upgraded = true;
+                    return result;
+                });
+            });
+        }, function(error) {
+            if (error instanceof OSManualOTAError) {
+                throw error;
+            }
+            throw new OSManualOTAError(ErrorCodes.MANIFEST_FETCH_FAILED, 'Failed to fetch manifest: ' + (error && error.message || error), {
+                action: 'triggerAutomaticOTA',
+                retryable: true
+            });
+        });
+    });
+}
+
+/**
+ * Actions a remote command can carry (see handleRemoteCommand)
+ */
+var RemoteCommandActions = {
+    CHECK: 'check',
+    DOWNLOAD: 'download',
+    APPLY: 'apply',
+    ROLLBACK: 'rollback',
+    PIN: 'pin',
+    SET_BLOCKING: 'setBlocking'
+};
+
+/**
+ * Finds the signed envelope {command, signature} in a push payload: the envelope itself, its JSON,
+ * or either one under an `otaCommand` key (push plugins often deliver data values as strings)
+ * @returns {{command: string, signature: string}|null}
+ */
+function remoteCommandEnvelope(payload) {
+    if (typeof payload === 'string') {
+        try {
+            payload = JSON.parse(payload);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (payload && payload.otaCommand !== undefined) {
+        return remoteCommandEnvelope(payload.otaCommand);
+    }
+    if (!payload || typeof payload.command !== 'string' || typeof payload.signature !== 'string') {
+        return null;
+    }
+    return { command: payload.command, signature: payload.signature };
+}
+
+/**
+ * Runs a verified remote command through the public API, so state, events and version rules apply
+ * as for calls made by the app. The update policy is not consulted: a command is an explicit request.
+ * @param {Object} command - Verified command {id, action, version?, expiresAt, blocking?}
+ * @returns {Promise} Resolves with the result of the action, or {skipped: true, reason}
+ */
+function runRemoteCommand(command) {
+    var target = command.version;
+    var skipped = function(reason) {
+        return { skipped: true, reason: reason };
+    };
+
+    switch (command.action) {
+        case RemoteCommandActions.CHECK:
+            return OSManualOTA.checkForUpdates();
+        case RemoteCommandActions.DOWNLOAD:
+            return OSManualOTA.checkForUpdates().then(function(check) {
+                if (!check.hasUpdate) {
+                    return skipped(check.reason || 'noUpdate');
+                }
+                if (target && check.version !== target) {
+                    return skipped('versionMismatch');
+                }
+                return OSManualOTA.downloadUpdate();
+            });
+        case RemoteCommandActions.APPLY:
+            return OSManualOTA.getVersionInfo().then(function(info) {
+                if (target && info.downloadedVersion !== target) {
+                    return skipped('versionMismatch');
+                }
+                return OSManualOTA.applyUpdate();
+            });
+        case RemoteCommandActions.ROLLBACK:
+            return target ? OSManualOTA.rollbackTo(target) : OSManualOTA.rollback();
+        case RemoteCommandActions.PIN:
+            return OSManualOTA.pinVersion(target);
+        case RemoteCommandActions.SET_BLOCKING:
+            return typeof command.blocking === 'boolean' ?
+                OSManualOTA.setOTABlockingEnabled(command.blocking) :
+                OSManualOTA.setOTABlockingPolicy(command.blocking);
+        default:
+            return Promise.reject(new OSManualOTAError(ErrorCodes.COMMAND_REJECTED,
+                'Remote command rejected: unknown action ' + command.action, { action: 'handleRemoteCommand' }));
+    }
+}
+
+/**
+ * Throws when subscribing with an unknown event name or a non-function handler
+ */
+function assertEventHandler(event, handler) {
+    if (!events.isKnownEvent(event)) {
+        throw new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Unknown event: ' + event);
+    }
+    if (typeof handler !== 'function') {
+        throw new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Event handler must be a function');
+    }
+}
+
+/**
+ * Every method accepts optional success/error callbacks. When no callbacks are passed
+ * the method returns a Promise instead. Failures are always reported as OSManualOTAError
+ * objects carrying a `code` from OSManualOTA.ErrorCodes.
+ */
 var OSManualOTA = {
 
+    /**
+     * Error codes reported in OSManualOTAError.code
+     */
+    ErrorCodes: ErrorCodes,
+
+    /**
+     * Error type used for every failure (code, message, phase, retryable)
+     */
+    OSManualOTAError: OSManualOTAError,
+
+    /**
+     * Event names accepted by on/off/once
+     */
+    Events: Events,
+
+    /**
+     * Update states reported by getState() and the stateChanged event
+     */
+    States: States,
+
+    /**
+     * Pure policy evaluator: UpdatePolicy.evaluate(policy, step, {now, lastUpdateCheck, isBackground, attemptsToday, isColdStart})
+     */
+    UpdatePolicy: UpdatePolicy,
+
+    /**
+     * Update severities reported by checkForUpdates
+     */
+    Severity: Severity,
+
+    /**
+     * Event names passed to the telemetry handler
+     */
+    TelemetryEvents: TelemetryEvents,
+
+    /**
+     * Modes accepted by setOTABlockingPolicy
+     */
+    BlockingModes: BlockingPolicy.Modes,
+
+    /**
+     * Pure blocking policy evaluator: BlockingPolicy.evaluate(policy, {now, launches})
+     */
+    BlockingPolicy: BlockingPolicy,
+
+    /**
+     * Steps reported by the automaticOTAProgress event (see triggerAutomaticOTA)
+     */
+    AutomaticOTASteps: AutomaticOTASteps,
+
+    /**
+     * Actions accepted by handleRemoteCommand
+     */
+    RemoteCommandActions: RemoteCommandActions,
+
     /**
      * Configure the OTA plugin with your OutSystems environment details
      * @param {Object} config - Configuration object
      * @param {string} config.baseURL - Base URL of your OutSystems environment (e.g., "https://yourenv.outsystems.net/YourApp")
      * @param {string} config.hostname - Hostname (e.g., "yourenv.outsystems.net")
      * @param {string} config.applicationPath - Application path (e.g., "/YourApp")
-     * @param {Function} successCallback - Called when configuration succeeds
-     * @param {Function} errorCallback - Called when configuration fails
+     * @param {Object} [config.rollout] - Staged rollout document: {versions: {<versionToken>: {percentage, cohorts}}}
+     * @param {string} [config.rolloutURL] - URL of a rollout document (absolute, or relative to baseURL), fetched on every check
+     * @param {string[]} [config.cohorts] - Cohorts this install belongs to (always eligible for versions listing them)
+     * @param {Object} [config.retry] - Per-file retries: {maxRetries: 3, initialDelay: 1, maxDelay: 30, multiplier: 2, jitter: 0.2}
+     *   (delays in seconds, jitter as a fraction of the delay)
+     * @param {string} [config.manifestPublicKey] - Base64 Ed25519 or P-256 public key; manifests must then be signed with it
+     * @param {string} [config.manifestSignatureURL] - URL of the detached manifest signature (absolute, or relative to baseURL;
+     *   "{version}" is replaced by the version token). Used when the manifest response carries no signature.
+     * @param {Object} [config.healthCheck] - Require markUpdateHealthy() after an update is applied:
+     *   {timeout: 60, maxLaunches: 2, rollbackOnFatalError: true} (timeout in seconds from the first launch, 0 = off)
+     * @param {Object} [config.severity] - Update severities: {minimumVersion, releases: [oldest, ..., newest],
+     *   unsupportedVersions: [], defaultSeverity: 'optional', versions: {<versionToken>: {severity: 'optional'|'recommended'|'critical'}}}
+     * @param {string} [config.severityURL] - URL of a severity document (absolute, or relative to baseURL), fetched on every check
+     * @param {string} [config.metadataURL] - URL template of the release metadata (absolute, or relative to baseURL;
+     *   "{version}" is replaced by the version token). See setMetadataResolver for a JavaScript source.
+     * @param {Object} [config.telemetry] - Built-in reporter POSTing {events: [...]} in batches:
+     *   {endpoint, headers: {}, batchSize: 20, flushInterval: 60, maxQueueSize: 500} (flushInterval in seconds).
+     *   Events stay queued in storage while offline.
+     * @param {Object} [config.channels] - Other release channels: {<name>: {baseURL, hostname, applicationPath}}.
+     *   The top-level baseURL, hostname and applicationPath form the default channel. See setChannel.
+     * @param {string} [config.defaultChannel='production'] - Name of the default channel
+     * @param {Object} [config.remoteCommands] - Keys handleRemoteCommand checks signatures with:
+     *   {hmacKey: shared secret, publicKey: base64 Ed25519 or P-256 public key}. Omitted keeps the keys set before
+     *   (e.g. from config.xml), null removes them.
+     * @param {Function} [successCallback] - Called when configuration succeeds
+     * @param {Function} [errorCallback] - Called when configuration fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     configure: function(config, successCallback, errorCallback) {
-        if (!config || !config.baseURL || !config.hostname || !config.applicationPath) {
-            errorCallback && errorCallback('Invalid configuration: baseURL, hostname, and applicationPath are required');
-            return;
-        }
+        return callbackOrPromise('configure', successCallback, errorCallback, function(resolve, reject) {
+            if (!config || !config.baseURL || !config.hostname || !config.applicationPath) {
+                reject(new OSManualOTAError(
+                    ErrorCodes.INVALID_CONFIGURATION,
+                    'Invalid configuration: baseURL, hostname, and applicationPath are required'
+                ));
+                return;
+            }
 
-        // Try to get current version from OutSystems
-        var currentVersion = null;
+            var configError = validateRolloutConfig(config) || validateRetryConfig(config.retry) ||
+                validateIntegrityConfig(config) || validateHealthCheckConfig(config.healthCheck) ||
+                validateSeverityConfig(config) || validateTelemetryConfig(config.telemetry) ||
+                validateChannelsConfig(config) || validateRemoteCommandsConfig(config.remoteCommands);
+            if (configError) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_CONFIGURATION, 'Invalid configuration: ' + configError));
+                return;
+            }
 
-        // Try from OSManifestLoader.indexVersionToken (most reliable)
-        if (typeof OSManifestLoader !== 'undefined' && OSManifestLoader.indexVersionToken) {
-            currentVersion = OSManifestLoader.indexVersionToken;
-            console.log('[OSManualOTA] Got current version from indexVersionToken: ' + currentVersion);
-        }
+            // Try to get current version from OutSystems
+            var currentVersion = null;
 
-        // Pass current version to native if available
-        if (currentVersion) {
-            config.currentVersion = currentVersion;
-        }
+            // Try from OSManifestLoader.indexVersionToken (most reliable)
+            if (typeof OSManifestLoader !== 'undefined' && OSManifestLoader.indexVersionToken) {
+                currentVersion = OSManifestLoader.indexVersionToken;
+                console.log('[OSManualOTA] Got current version from indexVersionToken: ' + currentVersion);
+            }
 
-        exec(successCallback, errorCallback, 'OSManualOTA', 'configure', [config]);
+            // Pass current version to native if available
+            if (currentVersion) {
+                config.currentVersion = currentVersion;
+            }
+
+            exec(resolve, reject, SERVICE, 'configure', [config]);
+        });
     },
 
     /**
      * Check if an update is available
-     * @param {Function} successCallback - Called with {hasUpdate: boolean, version: string}
-     * @param {Function} errorCallback - Called when check fails
+     * When a newer version exists but is not offered to this install, hasUpdate is false and
+     * reason explains why ('notInRollout', 'pinned' or 'blocked'). Available updates carry a severity
+     * ('optional', 'recommended' or 'critical'); it is 'critical' whenever the running version is
+     * below the configured minimum version. With a metadata source (metadataURL or setMetadataResolver)
+     * they also carry releaseNotes, versionLabel and publishedAt.
+     * @param {Function} [successCallback] - Called with {hasUpdate: boolean, version: string, severity?: string, reason?: string,
+     *                                       releaseNotes?: string, versionLabel?: string, publishedAt?: string}
+     * @param {Function} [errorCallback] - Called when check fails
+     * @returns {Promise|undefined} Promise resolving to {hasUpdate, version, severity, ...metadata} when no callbacks are passed
      */
     checkForUpdates: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'checkForUpdates', []);
+        return callbackOrPromise('checkForUpdates', successCallback, errorCallback, function(resolve, reject) {
+            var error = stateError('checkForUpdates');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            stateMachine.transition(States.CHECKING);
+
+            exec(function(result) {
+                var metadata = result.hasUpdate ? resolveMetadata(result.version) : Promise.resolve(null);
+
+                metadata.then(function(resolved) {
+                    stateMachine.transition(
+                        result.hasUpdate ? States.AVAILABLE : stateMachine.restingState(),
+                        { version: result.version }
+                    );
+                    resolve(mergeMetadata(result, resolved));
+                });
+            }, failWith('checkForUpdates', reject), SERVICE, 'checkForUpdates', []);
+        });
+    },
+
+    /**
+     * Estimate what downloadUpdate would fetch, without downloading
+     * @param {Function} [successCallback] - Called with {version, hasUpdate, changedFiles, unchangedFiles,
+     *   totalFiles, estimatedBytes (null when the server reports no sizes), sizeComplete}
+     * @param {Function} [errorCallback] - Called when the manifest cannot be fetched
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    estimateUpdate: function(successCallback, errorCallback) {
+        return execNative('estimateUpdate', [], successCallback, errorCallback);
     },
 
     /**
      * Download an available update
-     * @param {Function} progressCallback - Called with progress updates {downloaded: number, total: number, skipped: number, percentage: number}
-     * @param {Function} errorCallback - Called when download fails
-     * @param {Function} completeCallback - Called when download completes with {success: boolean}
+     *
+     * Callback style: downloadUpdate(progressCallback, errorCallback, completeCallback)
+     * Promise style:  downloadUpdate({onProgress: fn, ...networkOptions}) or downloadUpdate(progressCallback)
+     *
+     * When the network does not match the options, nothing is downloaded: the result is
+     * {success: false, deferred: true, reason} ('offline', 'lowDataMode', 'metered', 'cellular',
+     * 'cellularSizeLimit') and the download resumes automatically once conditions match
+     * (downloadDeferred / downloadResumed events).
+     *
+     * @param {Function|Object} [progressCallback] - Called with progress updates {downloaded: number, total: number, skipped: number, percentage: number},
+     *                                               or an options object {onProgress: Function}
+     * @param {boolean} [progressCallback.requireUnmetered=false] - Only download on unmetered networks (not cellular or personal hotspot)
+     * @param {boolean} [progressCallback.allowCellular=true] - Allow downloading over cellular
+     * @param {number} [progressCallback.maxCellularBytes] - Largest estimated download allowed over cellular
+     * @param {boolean} [progressCallback.deferIfLowDataMode=false] - Wait while Low Data Mode is on
+     * @param {Function} [errorCallback] - Called when download fails
+     * @param {Function} [completeCallback] - Called when download completes with {success: boolean}
+     * @returns {Promise|undefined} Promise resolving to {success: true} when no error/complete callbacks are passed
      */
     downloadUpdate: function(progressCallback, errorCallback, completeCallback) {
-        var combinedCallback = function(result) {
-            // Check if this is a progress update or final result
-            if (result.success !== undefined) {
-                // Final result
-                completeCallback && completeCallback(result);
-            } else if (result.downloaded !== undefined) {
-                // Progress update
-                progressCallback && progressCallback(result);
+        var onProgress = getProgressHandler(progressCallback);
+
+        return callbackOrPromise('downloadUpdate', completeCallback, errorCallback, function(resolve, reject) {
+            var downloadOptions;
+            try {
+                downloadOptions = getDownloadOptions(progressCallback);
+            } catch (e) {
+                reject(e);
+                return;
             }
-        };
 
-        exec(combinedCallback, errorCallback, 'OSManualOTA', 'downloadUpdate', []);
+            var error = stateError('downloadUpdate');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            stateMachine.transition(States.DOWNLOADING);
+
+            var combinedCallback = function(result) {
+                // Check if this is a progress update or final result
+                if (result.deferred) {
+                    console.log('[OSManualOTA] Download deferred: ' + result.reason);
+                    stateMachine.transition(States.AVAILABLE);
+                    resolve(result);
+                } else if (result.success !== undefined) {
+                    // Final result
+                    stateMachine.transition(States.DOWNLOADED);
+                    resolve(result);
+                } else if (result.downloaded !== undefined) {
+                    // Progress update
+                    onProgress && onProgress(result);
+                }
+            };
+
+            exec(combinedCallback, failWith('downloadUpdate', reject), SERVICE, 'downloadUpdate', downloadOptions ? [downloadOptions] : []);
+        });
     },
 
     /**
      * Apply the downloaded update (will take effect on next app restart)
-     * @param {Function} successCallback - Called when update is marked to be applied
-     * @param {Function} errorCallback - Called when apply fails
+     * @param {Function} [successCallback] - Called when update is marked to be applied
+     * @param {Function} [errorCallback] - Called when apply fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     applyUpdate: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'applyUpdate', []);
+        return callbackOrPromise('applyUpdate', successCallback, errorCallback, function(resolve, reject) {
+            var error = stateError('applyUpdate');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            stateMachine.transition(States.APPLYING);
+
+            exec(function(result) {
+                stateMachine.transition(States.PENDING_RESTART);
+                resolve(result);
+            }, failWith('applyUpdate', reject), SERVICE, 'applyUpdate', []);
+        });
     },
 
     /**
      * Rollback to the previous version
-     * @param {Function} successCallback - Called when rollback succeeds
-     * @param {Function} errorCallback - Called when rollback fails
+     * @param {Function} [successCallback] - Called when rollback succeeds
+     * @param {Function} [errorCallback] - Called when rollback fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     rollback: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'rollback', []);
+        return callbackOrPromise('rollback', successCallback, errorCallback, function(resolve, reject) {
+            var error = stateError('rollback');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            cancelRunningDownload().then(function() {
+                exec(function(result) {
+                    stateMachine.transition(States.ROLLED_BACK);
+                    resolve(result);
+                }, failWith('rollback', reject), SERVICE, 'rollback', []);
+            });
+        });
+    },
+
+    /**
+     * Rollback to any version still retained on disk (see getVersionHistory, rollbackAvailable)
+     * @param {string} versionToken - Version to go back to
+     * @param {Function} [successCallback] - Called with {success, version, message}
+     * @param {Function} [errorCallback] - Called when the version is not retained or the rollback fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    rollbackTo: function(versionToken, successCallback, errorCallback) {
+        return callbackOrPromise('rollbackTo', successCallback, errorCallback, function(resolve, reject) {
+            if (typeof versionToken !== 'string' || !versionToken) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid version: expected version token', { action: 'rollbackTo' }));
+                return;
+            }
+
+            var error = stateError('rollbackTo');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            cancelRunningDownload().then(function() {
+                exec(function(result) {
+                    stateMachine.transition(States.ROLLED_BACK, { version: versionToken });
+                    resolve(result);
+                }, failWith('rollbackTo', reject), SERVICE, 'rollbackTo', [versionToken]);
+            });
+        });
+    },
+
+    /**
+     * Confirm the running update works. With config.healthCheck, an applied update that is not marked
+     * healthy within the timeout or number of launches is rolled back (rolledBack event with
+     * reason 'healthCheckTimeout')
+     * @param {Function} [successCallback] - Called with {version, wasPending}
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    markUpdateHealthy: function(successCallback, errorCallback) {
+        if (typeof window !== 'undefined') {
+            // Stops the patched bootstrap from reporting later errors as fatal
+            window.OSManualOTA_Healthy = true;
+        }
+        return execNative('markUpdateHealthy', [], successCallback, errorCallback);
+    },
+
+    /**
+     * Report the running update as broken. Rolls back at once (rolledBack event with reason 'fatalError')
+     * when a health check is pending and healthCheck.rollbackOnFatalError is on; ignored otherwise
+     * @param {string} [message] - What went wrong
+     * @param {Function} [successCallback] - Called once reported
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    reportUnhealthy: function(message, successCallback, errorCallback) {
+        return execNative('reportUnhealthy', [String(message || 'Reported unhealthy')], successCallback, errorCallback);
+    },
+
+    /**
+     * Get the version history, newest first. Each release channel keeps its own history.
+     * @param {string} [channel] - Release channel (defaults to the current one)
+     * @param {Function} [successCallback] - Called with an array of
+     *   {version, installedAt (seconds since epoch), source ('manual', 'background_fetch', 'silent_push', 'rollback',
+     *    'healthCheck', 'channel_switch'), outcome ('installed', 'failed', 'rolledBack'),
+     *    error? (failure, or reason of an automatic rollback), rollbackAvailable}
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    getVersionHistory: function(channel, successCallback, errorCallback) {
+        if (typeof channel !== 'string') {
+            errorCallback = successCallback;
+            successCallback = channel;
+            channel = null;
+        }
+        return execNative('getVersionHistory', channel ? [channel] : [], successCallback, errorCallback);
+    },
+
+    /**
+     * Switch to another release channel (see configure's channels)
+     *
+     * The latest version of the channel is downloaded in full, since files of another environment
+     * can't be diffed against the running ones. The switch only takes effect once that download
+     * succeeds; on failure the app stays on the previous channel. The downloaded version is then
+     * applied like any other download (applyUpdate, or the update policy). When the channel already
+     * serves the running version nothing is downloaded and downloaded is false. Like downloadUpdate,
+     * it is rejected while an update is being checked, downloaded or applied, or waits to be applied.
+     *
+     * @param {string} name - Channel name
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with {downloaded, total, skipped, percentage}
+     * @param {Function} [successCallback] - Called with {channel, previousChannel, version, downloaded}
+     * @param {Function} [errorCallback] - Called when the channel is unknown or its download fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    setChannel: function(name, options, successCallback, errorCallback) {
+        if (typeof options === 'function') {
+            errorCallback = successCallback;
+            successCallback = options;
+            options = null;
+        }
+        var onProgress = getProgressHandler(options);
+
+        return callbackOrPromise('setChannel', successCallback, errorCallback, function(resolve, reject) {
+            if (typeof name !== 'string' || !name) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: channel name must be a non-empty string'));
+                return;
+            }
+            var error = stateError('setChannel');
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            var switched = function(result) {
+                if (result.channel === undefined) {
+                    // Progress update
+                    stateMachine.transition(States.DOWNLOADING);
+                    onProgress && onProgress(result);
+                    return;
+                }
+
+                // Nothing is downloaded when the channel serves the running version
+                stateMachine.transition(result.downloaded ? States.DOWNLOADED : stateMachine.restingState(),
+                    { version: result.version });
+                console.log('[OSManualOTA] Release channel: ' + result.channel +
+                    (result.downloaded ? ' (downloaded ' + result.version + ')' : ''));
+                resolve(result);
+            };
+
+            exec(switched, failWith('setChannel', reject), SERVICE, 'setChannel', [name]);
+        });
+    },
+
+    /**
+     * Get the current release channel
+     * @param {Function} [successCallback] - Called with {channel, defaultChannel, channels (names),
+     *   baseURL, hostname, applicationPath}
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    getChannel: function(successCallback, errorCallback) {
+        return execNative('getChannel', [], successCallback, errorCallback);
+    },
+
+    /**
+     * Set how many past versions stay on disk for rollbackTo (default 3)
+     * @param {number} count - Number of past versions to retain
+     * @param {Function} [successCallback] - Called with {retention}
+     * @param {Function} [errorCallback] - Called when count is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    setVersionRetention: function(count, successCallback, errorCallback) {
+        return callbackOrPromise('setVersionRetention', successCallback, errorCallback, function(resolve, reject) {
+            if (typeof count !== 'number' || count < 0 || Math.floor(count) !== count) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: expected non-negative integer', { action: 'setVersionRetention' }));
+                return;
+            }
+
+            exec(resolve, reject, SERVICE, 'setVersionRetention', [count]);
+        });
     },
 
     /**
      * Cancel an ongoing download
-     * @param {Function} successCallback - Called when cancellation succeeds
-     * @param {Function} errorCallback - Called when cancellation fails
+     * @param {Function} [successCallback] - Called when cancellation succeeds
+     * @param {Function} [errorCallback] - Called when cancellation fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     cancelDownload: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'cancelDownload', []);
+        return execNative('cancelDownload', [], successCallback, errorCallback);
     },
 
     /**
      * Get current version information
-     * @param {Function} successCallback - Called with version info object
-     * @param {Function} errorCallback - Called when getting info fails
+     * @param {Function} [successCallback] - Called with version info object
+     * @param {Function} [errorCallback] - Called when getting info fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      * Returns: {
      *   currentVersion: string,
      *   downloadedVersion: string,
      *   previousVersion: string,
      *   lastUpdateCheck: number,
      *   isUpdateDownloaded: boolean,
-     *   isDownloading: boolean
+     *   isDownloading: boolean,
+     *   partialDownload: {version, completed, total} | null - files already fetched by an interrupted download
+     *   integrity: {version, verified, unverifiable, mismatched} | null - hash verification of the last download
+     *   healthCheck: {enabled, pending: {version, previousVersion, launches, maxLaunches, deadline?} | null,
+     *                 lastRollback: {version, fromVersion, reason, message, rolledBackAt} | null}
+     *   metadata: {releaseNotes, versionLabel, publishedAt, severity} | null - for the running version
+     *   downloadedMetadata: {releaseNotes, versionLabel, publishedAt, severity} | null - for the downloaded version
      * }
      */
     getVersionInfo: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'getVersionInfo', []);
+        return callbackOrPromise('getVersionInfo', successCallback, errorCallback, function(resolve, reject) {
+            exec(function(info) {
+                Promise.all([
+                    resolveMetadata(info.currentVersion, true),
+                    resolveMetadata(info.downloadedVersion, true)
+                ]).then(function(resolved) {
+                    if (resolved[0]) {
+                        info.metadata = mergeMetadata(info.metadata || {}, resolved[0]);
+                    }
+                    if (resolved[1]) {
+                        info.downloadedMetadata = mergeMetadata(info.downloadedMetadata || {}, resolved[1]);
+                    }
+                    resolve(info);
+                });
+            }, failWith('getVersionInfo', reject), SERVICE, 'getVersionInfo', []);
+        });
+    },
+
+    /**
+     * Receive every update funnel event (see TelemetryEvents), e.g. to forward it to an analytics SDK
+     * Events are recorded natively, so background work is reported too while the WebView is alive.
+     * @param {Function|null} handler - Called with {id, name, timestamp, installId, version, properties}.
+     *   Pass null to remove it.
+     * @throws {OSManualOTAError} INVALID_ARGUMENT when handler is neither a function nor null
+     */
+    setTelemetryHandler: function(handler) {
+        if (handler !== null && typeof handler !== 'function') {
+            throw new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: handler must be a function or null', {
+                action: 'setTelemetryHandler'
+            });
+        }
+        telemetryHandler = handler;
+    },
+
+    /**
+     * Send the events queued by the built-in telemetry reporter now
+     * @param {Function} [successCallback] - Called with {queued: number} (events queued when the flush started)
+     * @param {Function} [errorCallback] - Called when the flush cannot start
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    flushTelemetry: function(successCallback, errorCallback) {
+        return execNative('flushTelemetry', [], successCallback, errorCallback);
+    },
+
+    /**
+     * Collect a debug bundle to attach to a support ticket
+     * URL query strings and telemetry header values are redacted natively.
+     * @param {Function} [successCallback] - Called with {
+     *   generatedAt: number - seconds since 1970
+     *   log: Array<{timestamp, source, level, category, message, details?}> - oldest first; source is
+     *        "native", "loader" (OutSystemsManifestLoader hook) or "js"
+     *   versionInfo: Object - same as getVersionInfo()
+     *   versionHistory: Array - same as getVersionHistory()
+     *   versionRules: {pinnedVersion, blockedVersions}
+     *   flags: {otaBlockingEnabled, splashBypassEnabled}
+     *   configuration: Object - native configuration, redacted
+     *   js: {updatePolicy, state, telemetryHandler, metadataResolver, userAgent}
+     * }
+     * @param {Function} [errorCallback] - Called when the native side cannot build the bundle
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    exportDiagnostics: function(successCallback, errorCallback) {
+        return callbackOrPromise('exportDiagnostics', successCallback, errorCallback, function(resolve, reject) {
+            exec(function(bundle) {
+                bundle.log = (bundle.log || []).concat(readDiagnostics()).sort(function(a, b) {
+                    return a.timestamp - b.timestamp;
+                });
+                bundle.js = {
+                    updatePolicy: OSManualOTA.getUpdatePolicy(),
+                    state: stateMachine.snapshot(),
+                    telemetryHandler: telemetryHandler !== null,
+                    metadataResolver: metadataResolver !== null,
+                    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+                };
+                resolve(bundle);
+            }, failWith('exportDiagnostics', reject), SERVICE, 'exportDiagnostics', []);
+        });
+    },
+
+    /**
+     * Use a JavaScript function as the metadata source instead of (or on top of) metadataURL
+     * Its fields override the ones from metadataURL; results are cached in localStorage and the
+     * cached copy is used when the resolver throws or rejects (e.g. offline).
+     * @param {Function|null} resolver - Called with a version token; returns (or resolves to)
+     *   {releaseNotes, versionLabel, publishedAt, severity}. Pass null to remove it.
+     * @throws {OSManualOTAError} INVALID_ARGUMENT when resolver is neither a function nor null
+     */
+    setMetadataResolver: function(resolver) {
+        if (resolver !== null && typeof resolver !== 'function') {
+            throw new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: resolver must be a function or null', {
+                action: 'setMetadataResolver'
+            });
+        }
+        metadataResolver = resolver;
     },
 
     /**
      * Enable or disable automatic OTA blocking
+     * Shorthand for setOTABlockingPolicy({mode: 'always'}) / setOTABlockingPolicy({mode: 'never'})
      * @param {boolean} enabled - True to block automatic OTA, false to allow it
-     * @param {Function} successCallback - Called when setting succeeds
-     * @param {Function} errorCallback - Called when setting fails
+     * @param {Function} [successCallback] - Called with the blocking status (see isOTABlockingEnabled)
+     * @param {Function} [errorCallback] - Called when setting fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     setOTABlockingEnabled: function(enabled, successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'setOTABlockingEnabled', [enabled]);
+        return execNative('setOTABlockingEnabled', [enabled], successCallback, errorCallback);
+    },
+
+    /**
+     * Set when automatic OTA is blocked; evaluated by the OutSystemsManifestLoader hook at every
+     * automatic check and by the native side. Setting a policy restarts the launch count.
+     * @param {Object} policy
+     * @param {string} policy.mode - One of OSManualOTA.BlockingModes
+     * @param {Array} [policy.windows] - scheduled: [{start: 'HH:MM', end: 'HH:MM', days?: [0-6]}] local time
+     *   windows in which automatic OTA may run (days: 0 = Sunday; windows may wrap midnight)
+     * @param {Date|string|number} [policy.until] - untilDate: block until this date (Date, ISO 8601 or ms since epoch)
+     * @param {number} [policy.launches] - afterNLaunches: block during the next N app launches
+     * @param {Function} [successCallback] - Called with the blocking status (see isOTABlockingEnabled)
+     * @param {Function} [errorCallback] - Called when the policy is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    setOTABlockingPolicy: function(policy, successCallback, errorCallback) {
+        return callbackOrPromise('setOTABlockingPolicy', successCallback, errorCallback, function(resolve, reject) {
+            var normalized;
+            try {
+                normalized = BlockingPolicy.normalize(policy);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            exec(function(status) {
+                logDecision('blocking', 'Blocking policy set to ' + normalized.mode + ': ' +
+                    (status.enabled ? 'blocked' : 'allowed') + ' (' + status.reason + ')', { policy: normalized });
+                resolve(status);
+            }, reject, SERVICE, 'setOTABlockingPolicy', [normalized]);
+        });
     },
 
     /**
-     * Check if automatic OTA blocking is enabled
-     * @param {Function} successCallback - Called with {enabled: boolean}
-     * @param {Function} errorCallback - Called when check fails
+     * Check if automatic OTA is blocked right now
+     * @param {Function} [successCallback] - Called with {enabled: boolean, mode: string, reason: string, policy: Object, launches?: number}
+     *   `reason` is one of OSManualOTA.BlockingPolicy.Reasons, or 'suspended' while triggerAutomaticOTA runs;
+     *   `launches` (afterNLaunches only) counts launches since the policy was set
+     * @param {Function} [errorCallback] - Called when check fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     isOTABlockingEnabled: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'isOTABlockingEnabled', []);
+        return execNative('isOTABlockingEnabled', [], successCallback, errorCallback);
+    },
+
+    /**
+     * Run OutSystems' own OTA flow on demand, even while automatic OTA blocking is in effect
+     * Blocking is suspended for the duration of the run (without touching the blocking policy) and
+     * resumed afterwards, also when the run fails; a suspension never outlives the app session.
+     * A newer version found by the original loader methods is downloaded and applied, so it runs after
+     * the next restart (see applyUpdate). Pin/blocklist rules still apply.
+     * Progress is reported as automaticOTAProgress events ({step, version?, fileCount?}) and the
+     * outcome as an automaticOTACompleted event ({success, hasUpdate, version, currentVersion, blockingRestored, error?}).
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Milliseconds each step (version check, manifest fetch) may take
+     * @param {Function} [options.onProgress] - Called with every automaticOTAProgress payload
+     * @param {boolean} [options.upgrade=true] - False to only check and fetch the manifest
+     * @param {Function} [successCallback] - Called with {hasUpdate, version, currentVersion, reason?, manifest?, upgraded?}
+     *   (upgraded: false with the reason when the download was deferred, see downloadUpdate)
+     * @param {Function} [errorCallback] - Called when the flow fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    triggerAutomaticOTA: function(options, successCallback, errorCallback) {
+        if (typeof options === 'function') {
+            errorCallback = successCallback;
+            successCallback = options;
+            options = undefined;
+        }
+        options = options || {};
+
+        return callbackOrPromise('triggerAutomaticOTA', successCallback, errorCallback, function(resolve, reject) {
+            var originals = typeof window !== 'undefined' && window.OSManualOTA_OriginalMethods;
+            if (!originals || typeof originals.getLatestVersion !== 'function' || typeof originals.getLatestManifest !== 'function') {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_STATE, 'Automatic OTA hook not installed (OutSystemsManifestLoader.js was not patched)', {
+                    action: 'triggerAutomaticOTA'
+                }));
+                return;
+            }
+            if (options.upgrade !== undefined && typeof options.upgrade !== 'boolean') {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: upgrade must be a boolean', {
+                    action: 'triggerAutomaticOTA'
+                }));
+                return;
+            }
+            if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout > 0)) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid parameter: timeout must be a positive number', {
+                    action: 'triggerAutomaticOTA'
+                }));
+                return;
+            }
+            if (automaticOTARunning) {
+                reject(new OSManualOTAError(ErrorCodes.INVALID_STATE, 'Automatic OTA already in progress', {
+                    action: 'triggerAutomaticOTA'
+                }));
+                return;
+            }
+            automaticOTARunning = true;
+
+            var progress = function(step, details) {
+                var payload = { step: step };
+                Object.keys(details || {}).forEach(function(key) {
+                    payload[key] = details[key];
+                });
+                if (typeof options.onProgress === 'function') {
+                    options.onProgress(payload);
+                }
+                emitEvent(Events.AUTOMATIC_OTA_PROGRESS, payload);
+            };
+
+            var wasBlocking = false;
+
+            var restoreBlocking = function() {
+                if (!wasBlocking) {
+                    return Promise.resolve(false);
+                }
+                return new Promise(function(done) {
+                    exec(function() {
+                        logDecision('blocking', 'Automatic OTA finished, blocking resumed');
+                        done(true);
+                    }, function(error) {
+                        // The suspension ends with the app session anyway
+                        console.log('[OSManualOTA] ⚠️ Could not resume blocking: ' + error);
+                        done(false);
+                    }, SERVICE, 'setOTABlockingSuspended', [false]);
+                });
+            };
+
+            var finish = function(error, result) {
+                restoreBlocking().then(function(blockingRestored) {
+                    automaticOTARunning = false;
+
+                    var completed = {
+                        success: !error,
+                        hasUpdate: !!(result && result.hasUpdate),
+                        version: result ? result.version : undefined,
+                        currentVersion: result ? result.currentVersion : runningVersion(),
+                        blockingRestored: wasBlocking ? blockingRestored : null
+                    };
+                    if (error) {
+                        completed.error = OSManualOTAError.from(error, 'triggerAutomaticOTA');
+                    }
+                    emitEvent(Events.AUTOMATIC_OTA_COMPLETED, completed);
+
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            };
+
+            new Promise(function(done, fail) {
+                exec(done, fail, SERVICE, 'isOTABlockingEnabled', []);
+            }).then(function(status) {
+                if (!status || !status.enabled) {
+                    return;
+                }
+                wasBlocking = true;
+                logDecision('blocking', 'Suspending blocking for triggerAutomaticOTA (' + status.reason + ')');
+                return new Promise(function(done, fail) {
+                    exec(done, fail, SERVICE, 'setOTABlockingSuspended', [true]);
+                });
+            }).then(function() {
+                return runAutomaticOTAFlow(options, progress);
+            }).then(function(result) {
+                finish(null, result);
+            }, function(error) {
+                finish(error);
+            });
+        });
+    },
+
+    /**
+     * Handle an OTA command received through any push plugin (or any other channel)
+     *
+     * The payload is a signed envelope {command, signature}, as an object or JSON string, optionally
+     * under an `otaCommand` key. `command` is a JSON string
+     * {id, action, version?, expiresAt, blocking?} and `signature` the base64 HMAC-SHA256 of it with
+     * remoteCommands.hmacKey, or its Ed25519 / P-256 signature for remoteCommands.publicKey (see configure).
+     * Commands with a bad signature, past their expiresAt (seconds since epoch, at most 30 days ahead)
+     * or whose id was already handled are rejected with COMMAND_REJECTED (error.details.reason:
+     * 'notConfigured', 'malformed', 'invalidSignature', 'expired', 'lifetimeTooLong', 'duplicate' or 'ledgerFull').
+     * When the action fails, its id is forgotten so the same command can be delivered again.
+     *
+     * Actions: 'check', 'download' (only when the latest version is `version`, if given), 'apply'
+     * (only when the downloaded version is `version`, if given), 'rollback' (to `version`, if given),
+     * 'pin' (to `version`) and 'setBlocking' (`blocking`: boolean or blocking policy).
+     *
+     * @param {Object|string} payload - Push payload carrying the envelope
+     * @param {Function} [successCallback] - Called with {id, action, version?, result}, where result is what the
+     *   action resolved with, or {skipped: true, reason} ('noUpdate', 'pinned', 'blocked', 'notInRollout', 'versionMismatch')
+     * @param {Function} [errorCallback] - Called when the command is rejected or its action fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    handleRemoteCommand: function(payload, successCallback, errorCallback) {
+        return callbackOrPromise('handleRemoteCommand', successCallback, errorCallback, function(resolve, reject) {
+            var envelope = remoteCommandEnvelope(payload);
+            if (!envelope) {
+                reject(new OSManualOTAError(ErrorCodes.COMMAND_REJECTED,
+                    'Remote command rejected: expected {command: <JSON string>, signature: <base64>}', {
+                        action: 'handleRemoteCommand',
+                        details: { reason: 'malformed' }
+                    }));
+                return;
+            }
+
+            exec(function(command) {
+                var outcome = { id: command.id, action: command.action };
+                if (command.version) {
+                    outcome.version = command.version;
+                }
+                logDecision('remoteCommand', 'Running remote command ' + command.id + ' (' + command.action + ')', outcome);
+
+                runRemoteCommand(command).then(function(result) {
+                    outcome.result = result;
+                    resolve(outcome);
+                }, function(error) {
+                    logDecision('remoteCommand', 'Remote command ' + command.id + ' failed, it can be delivered again', outcome);
+                    var done = function() {
+                        reject(error);
+                    };
+                    exec(done, done, SERVICE, 'forgetRemoteCommand', [command.id]);
+                });
+            }, function(error) {
+                reject(OSManualOTAError.from(error, 'handleRemoteCommand'));
+            }, SERVICE, 'verifyRemoteCommand', [envelope]);
+        });
     },
 
     /**
      * Enable or disable background updates
      * @param {boolean} enabled - True to enable background updates, false to disable
-     * @param {Function} successCallback - Called when setting succeeds
-     * @param {Function} errorCallback - Called when setting fails
+     * @param {Function} [successCallback] - Called when setting succeeds
+     * @param {Function} [errorCallback] - Called when setting fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     enableBackgroundUpdates: function(enabled, successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'enableBackgroundUpdates', [enabled]);
+        return execNative('enableBackgroundUpdates', [enabled], successCallback, errorCallback);
     },
 
     /**
      * Check if background updates are enabled
-     * @param {Function} successCallback - Called with {enabled: boolean}
-     * @param {Function} errorCallback - Called when check fails
+     * @param {Function} [successCallback] - Called with {enabled: boolean}
+     * @param {Function} [errorCallback] - Called when check fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     isBackgroundFetchEnabled: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'isBackgroundFetchEnabled', []);
+        return execNative('isBackgroundFetchEnabled', [], successCallback, errorCallback);
     },
 
     /**
      * Set the minimum background fetch interval
      * @param {number} interval - Interval in seconds (minimum value handled by iOS)
-     * @param {Function} successCallback - Called when setting succeeds
-     * @param {Function} errorCallback - Called when setting fails
+     * @param {Function} [successCallback] - Called when setting succeeds
+     * @param {Function} [errorCallback] - Called when setting fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     setBackgroundFetchInterval: function(interval, successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'setBackgroundFetchInterval', [interval]);
+        return execNative('setBackgroundFetchInterval', [interval], successCallback, errorCallback);
+    },
+
+    /**
+     * Stay on a version token: newer versions are not offered (hasUpdate: false, reason: 'pinned')
+     * until unpinVersion() is called. Also honoured by automatic OutSystems OTA.
+     * @param {string} token - Version token to stay on
+     * @param {Function} [successCallback] - Called with the rules {pinnedVersion, blockedVersions}
+     * @param {Function} [errorCallback] - Called when the token is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    pinVersion: function(token, successCallback, errorCallback) {
+        return execVersionRules('pinVersion', token, successCallback, errorCallback);
+    },
+
+    /**
+     * Remove the version pin
+     * @param {Function} [successCallback] - Called with the rules {pinnedVersion, blockedVersions}
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    unpinVersion: function(successCallback, errorCallback) {
+        return execVersionRules('unpinVersion', undefined, successCallback, errorCallback);
+    },
+
+    /**
+     * Never install a version token (hasUpdate: false, reason: 'blocked'; downloadUpdate fails
+     * with VERSION_NOT_ALLOWED). Also honoured by automatic OutSystems OTA.
+     * @param {string} token - Version token to block
+     * @param {Function} [successCallback] - Called with the rules {pinnedVersion, blockedVersions}
+     * @param {Function} [errorCallback] - Called when the token is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    blockVersion: function(token, successCallback, errorCallback) {
+        return execVersionRules('blockVersion', token, successCallback, errorCallback);
+    },
+
+    /**
+     * Remove a version token from the blocklist
+     * @param {string} token - Version token to unblock
+     * @param {Function} [successCallback] - Called with the rules {pinnedVersion, blockedVersions}
+     * @param {Function} [errorCallback] - Called when the token is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    unblockVersion: function(token, successCallback, errorCallback) {
+        return execVersionRules('unblockVersion', token, successCallback, errorCallback);
+    },
+
+    /**
+     * Get the version pin and blocklist
+     * @param {Function} [successCallback] - Called with {pinnedVersion: string|null, blockedVersions: string[]}
+     * @param {Function} [errorCallback] - Called on failure
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    getVersionRules: function(successCallback, errorCallback) {
+        return execVersionRules('getVersionRules', undefined, successCallback, errorCallback);
     },
 
     /**
      * Reset OTA state (clears cached versions and hashes) - for debugging/testing
-     * @param {Function} successCallback - Called when reset succeeds
-     * @param {Function} errorCallback - Called when reset fails
+     * @param {Function} [successCallback] - Called when reset succeeds
+     * @param {Function} [errorCallback] - Called when reset fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     resetOTAState: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'resetOTAState', []);
+        return execNative('resetOTAState', [], successCallback, errorCallback);
     },
 
     /**
      * Convenience method: Check and download update if available
-     * @param {Function} progressCallback - Called with progress updates
-     * @param {Function} successCallback - Called when process completes with {hasUpdate: boolean, downloaded: boolean}
-     * @param {Function} errorCallback - Called when process fails
+     * Goes through the update policy (see setUpdatePolicy); a step the policy or the network
+     * conditions refuse resolves with {deferred: true, reason}. Critical updates download right away.
+     * @param {Function|Object} [progressCallback] - Called with progress updates, or an options object
+     *                                               {onProgress: Function, ...network options of downloadUpdate}
+     * @param {Function} [successCallback] - Called when process completes with {hasUpdate: boolean, downloaded: boolean, severity?: string}
+     * @param {Function} [errorCallback] - Called when process fails
+     * @returns {Promise|undefined} Promise when no success/error callbacks are passed
      */
     checkAndDownload: function(progressCallback, successCallback, errorCallback) {
         var self = this;
+        var downloadArg = getDownloadArgument(progressCallback);
 
-        this.checkForUpdates(
-            function(checkResult) {
-                if (checkResult.hasUpdate) {
-                    console.log('[OSManualOTA] Update available: ' + checkResult.version);
-
-                    self.downloadUpdate(
-                        progressCallback,
-                        errorCallback,
-                        function(downloadResult) {
-                            successCallback && successCallback({
-                                hasUpdate: true,
-                                downloaded: downloadResult.success,
-                                version: checkResult.version
-                            });
-                        }
-                    );
-                } else {
-                    console.log('[OSManualOTA] No update available');
-                    successCallback && successCallback({
-                        hasUpdate: false,
-                        downloaded: false
-                    });
-                }
-            },
-            errorCallback
-        );
+        return callbackOrPromise('checkAndDownload', successCallback, errorCallback, function(resolve, reject) {
+            checkAndDownloadUpdate(self, downloadArg).then(resolve, reject);
+        });
     },
 
     /**
      * Convenience method: Check, download, and apply update if available
-     * @param {Function} progressCallback - Called with progress updates
-     * @param {Function} successCallback - Called when process completes
-     * @param {Function} errorCallback - Called when process fails
+     * Goes through the update policy (see setUpdatePolicy); with applyOnColdStart the apply
+     * step is deferred to the next app launch.
+     *
+     * Critical updates bypass the policy: they download and apply right away while a full-screen
+     * overlay (OSManualOTA.ui) blocks the app until the user restarts it.
+     * @param {Function|Object} [progressCallback] - Called with progress updates, or an options object
+     *                                               {onProgress: Function, ...network options of downloadUpdate}
+     * @param {boolean} [progressCallback.blockInteraction=true] - Show the blocking overlay for critical updates
+     * @param {Object} [progressCallback.texts] - Texts for the blocking overlay (see OSManualOTA.ui.DEFAULT_TEXTS)
+     * @param {Function} [progressCallback.onRestart] - Called by the overlay's restart button; without it the overlay asks the user to close and reopen the app
+     * @param {Function} [successCallback] - Called when process completes
+     * @param {Function} [errorCallback] - Called when process fails
+     * @returns {Promise|undefined} Promise when no success/error callbacks are passed
      */
     checkDownloadAndApply: function(progressCallback, successCallback, errorCallback) {
         var self = this;
+        var options = progressCallback && typeof progressCallback === 'object' ? progressCallback : {};
+        var downloadArg = getDownloadArgument(progressCallback);
+        var overlay = null;
+
+        var blockInteraction = function(checkResult) {
+            if (options.blockInteraction === false || typeof document === 'undefined') {
+                return null;
+            }
+            overlay = self.ui.blockUntilRestart(checkResult, {
+                texts: options.texts,
+                onRestart: options.onRestart
+            });
+            return function(progress) {
+                overlay.setProgress(progress.percentage || 0);
+                downloadArg.onProgress && downloadArg.onProgress(progress);
+            };
+        };
+
+        var closeOverlay = function() {
+            if (overlay) {
+                overlay.close();
+                overlay = null;
+            }
+        };
+
+        return callbackOrPromise('checkDownloadAndApply', successCallback, errorCallback, function(resolve, reject) {
+            checkAndDownloadUpdate(self, downloadArg, blockInteraction).then(function(result) {
+                if (!(result.hasUpdate && result.downloaded)) {
+                    closeOverlay();
+                    result.applied = false;
+                    return result;
+                }
+
+                var critical = result.severity === Severity.CRITICAL;
+                var applyDecision = critical ?
+                    Promise.resolve({ allowed: true, reason: null }) :
+                    policyDecision(Steps.APPLY);
+
+                return applyDecision.then(function(decision) {
+                    if (!decision.allowed) {
+                        logDecision('policy', 'Apply deferred by policy: ' + decision.reason, { version: result.version });
+                        writeStorage(DEFERRED_APPLY_STORAGE_KEY, result.version);
+                        return {
+                            hasUpdate: true,
+                            downloaded: true,
+                            applied: false,
+                            version: result.version,
+                            severity: result.severity,
+                            deferred: true,
+                            reason: decision.reason
+                        };
+                    }
 
-        this.checkAndDownload(
-            progressCallback,
-            function(result) {
-                if (result.hasUpdate && result.downloaded) {
                     console.log('[OSManualOTA] Applying update...');
 
-                    self.applyUpdate(
-                        function(applyResult) {
-                            successCallback && successCallback({
-                                hasUpdate: true,
-                                downloaded: true,
-                                applied: true,
-                                message: applyResult.message
-                            });
-                        },
-                        errorCallback
-                    );
-                } else {
-                    successCallback && successCallback({
-                        hasUpdate: result.hasUpdate,
-                        downloaded: result.downloaded,
-                        applied: false
+                    return self.applyUpdate().then(function(applyResult) {
+                        // The overlay now only offers the restart
+                        overlay && overlay.ready();
+                        return {
+                            hasUpdate: true,
+                            downloaded: true,
+                            applied: true,
+                            version: result.version,
+                            severity: result.severity,
+                            message: applyResult.message
+                        };
                     });
-                }
-            },
-            errorCallback
-        );
+                });
+            }).then(resolve, function(error) {
+                closeOverlay();
+                reject(error);
+            });
+        });
+    },
+
+    /**
+     * Set the rules deciding whether checkAndDownload, checkDownloadAndApply and background
+     * fetch may check, download and apply updates
+     * @param {Object} policy - Rules (omitted rules keep their defaults)
+     * @param {number} [policy.minCheckInterval=0] - Seconds since lastUpdateCheck before checking again
+     * @param {boolean} [policy.onlyWhenBackgrounded=false] - Only check/download while the app is in the background
+     * @param {Object} [policy.quietHours] - {start: 'HH:MM', end: 'HH:MM'} local time window without checks/downloads
+     * @param {number} [policy.maxAttemptsPerDay=0] - Maximum download attempts per day (0 = unlimited)
+     * @param {boolean} [policy.applyOnColdStart=false] - Apply downloaded updates only on the next app launch
+     * @param {Function} [successCallback] - Called with the complete policy
+     * @param {Function} [errorCallback] - Called when the policy is invalid
+     * @returns {Promise|undefined} Promise when no callbacks are passed
+     */
+    setUpdatePolicy: function(policy, successCallback, errorCallback) {
+        return callbackOrPromise('setUpdatePolicy', successCallback, errorCallback, function(resolve, reject) {
+            var normalized;
+            try {
+                normalized = UpdatePolicy.normalize(policy);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            exec(function() {
+                updatePolicy = normalized;
+                writeStorage(POLICY_STORAGE_KEY, JSON.stringify(normalized));
+                resolve(normalized);
+            }, reject, SERVICE, 'setUpdatePolicy', [normalized]);
+        });
+    },
+
+    /**
+     * Get the update policy in effect
+     * @returns {Object} Complete policy (defaults filled in)
+     */
+    getUpdatePolicy: function() {
+        return JSON.parse(JSON.stringify(updatePolicy));
     },
 
     /**
      * Enable or disable splash screen bypass
      * When enabled, the WebView splash screen is skipped, improving startup time
      * @param {boolean} enabled - True to bypass splash screen, false to show it normally
-     * @param {Function} successCallback - Called when setting succeeds
-     * @param {Function} errorCallback - Called when setting fails
+     * @param {Function} [successCallback] - Called when setting succeeds
+     * @param {Function} [errorCallback] - Called when setting fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     setSplashBypassEnabled: function(enabled, successCallback, errorCallback) {
-        // Set in native plugin
-        exec(
-            function() {
-                console.log('[OSManualOTA] Splash bypass ' + (enabled ? 'enabled' : 'disabled'));
-                successCallback && successCallback();
-            },
-            errorCallback,
-            'OSManualOTA',
-            'setSplashBypassEnabled',
-            [enabled]
-        );
+        return callbackOrPromise('setSplashBypassEnabled', successCallback, errorCallback, function(resolve, reject) {
+            // Set in native plugin
+            exec(
+                function(result) {
+                    console.log('[OSManualOTA] Splash bypass ' + (enabled ? 'enabled' : 'disabled'));
+                    resolve(result);
+                },
+                reject,
+                SERVICE,
+                'setSplashBypassEnabled',
+                [enabled]
+            );
+        });
     },
 
     /**
      * Check if splash screen bypass is enabled
-     * @param {Function} successCallback - Called with {enabled: boolean}
-     * @param {Function} errorCallback - Called when check fails
+     * @param {Function} [successCallback] - Called with {enabled: boolean}
+     * @param {Function} [errorCallback] - Called when check fails
+     * @returns {Promise|undefined} Promise when no callbacks are passed
      */
     isSplashBypassEnabled: function(successCallback, errorCallback) {
-        exec(successCallback, errorCallback, 'OSManualOTA', 'isSplashBypassEnabled', []);
+        return execNative('isSplashBypassEnabled', [], successCallback, errorCallback);
+    },
+
+    /**
+     * Get where the current update stands
+     * @returns {{state: string, previousState: string, version: string, downloadedVersion: string, error: OSManualOTAError, updatedAt: number}}
+     *          `state` is one of OSManualOTA.States
+     */
+    getState: function() {
+        return stateMachine.snapshot();
+    },
+
+    /**
+     * Subscribe to a plugin event. Every subscriber receives every event.
+     * @param {string} event - One of OSManualOTA.Events
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Function that removes the subscription
+     */
+    on: function(event, handler) {
+        assertEventHandler(event, handler);
+        return events.on(event, handler);
+    },
+
+    /**
+     * Subscribe to the next occurrence of a plugin event only
+     * @param {string} event - One of OSManualOTA.Events
+     * @param {Function} handler - Called once with the event payload
+     * @returns {Function} Function that removes the subscription
+     */
+    once: function(event, handler) {
+        assertEventHandler(event, handler);
+        return events.once(event, handler);
+    },
+
+    /**
+     * Unsubscribe from a plugin event
+     * @param {string} event - One of OSManualOTA.Events
+     * @param {Function} [handler] - Handler passed to on/once; removes every handler of the event when omitted
+     */
+    off: function(event, handler) {
+        events.off(event, handler);
     },
 
     /**
      * Event listener for OTA blocking status changes
+     * @deprecated Use OSManualOTA.on('blockingStatusChanged', callback)
      * @param {Function} callback - Called when blocking status changes with {enabled: boolean}
+     * @returns {Function} Function that removes the listener
      */
     onBlockingStatusChanged: function(callback) {
-        document.addEventListener('OSManualOTA.blockingStatusChanged', function(event) {
-            callback && callback(event);
-        }, false);
+        return this.on(Events.BLOCKING_STATUS_CHANGED, callback);
     }
 };
 
+/**
+ * Built-in update prompt: OSManualOTA.ui.promptForUpdate(options)
+ */
+OSManualOTA.ui = new OSManualOTAUI(OSManualOTA);
+
 module.exports = OSManualOTA;
@@ -0,0 +1,164 @@
+/**
+ * OSManualOTABlocking.js
+ * Automatic OTA blocking policy and its pure evaluator
+ *
+ * The policy is stored as JSON and evaluated in three places: here (browser platform),
+ * in src/ios/OSBlockingPolicy.swift and in the OutSystemsManifestLoader hook
+ * (hooks/patches/manifest_loader.js, which embeds the window helpers of OSManualOTATime.js).
+ * Keep the Swift copy in sync.
+ */
+
+var OSManualOTAError = require('./OSManualOTAError');
+var TimeWindow = require('./OSManualOTATime');
+var ErrorCodes = OSManualOTAError.ErrorCodes;
+
+/**
+ * Blocking modes
+ */
+var Modes = {
+    ALWAYS: 'always',                 // block automatic OTA
+    NEVER: 'never',                   // let automatic OTA run
+    SCHEDULED: 'scheduled',           // allow automatic OTA only inside the time windows
+    UNTIL_DATE: 'untilDate',          // block until a date, then allow
+    AFTER_N_LAUNCHES: 'afterNLaunches' // block during the next N launches, then allow
+};
+
+/**
+ * Reasons reported with a blocking decision
+ */
+var Reasons = {
+    ALWAYS: 'always',
+    NEVER: 'never',
+    OUTSIDE_WINDOW: 'outsideWindow',
+    INSIDE_WINDOW: 'insideWindow',
+    BEFORE_DATE: 'beforeDate',
+    DATE_REACHED: 'dateReached',
+    LAUNCHES_REMAINING: 'launchesRemaining',
+    LAUNCHES_REACHED: 'launchesReached'
+};
+
+/**
+ * Policy used when none was set: automatic OTA runs
+ */
+var DEFAULT_POLICY = {
+    mode: Modes.NEVER
+};
+
+function invalid(message) {
+    return new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid blocking policy: ' + message);
+}
+
+function isModeName(mode) {
+    return Object.keys(Modes).some(function(key) {
+        return Modes[key] === mode;
+    });
+}
+
+function normalizeWindow(window) {
+    if (!window || typeof window !== 'object' ||
+        !TimeWindow.TIME_PATTERN.test(window.start) || !TimeWindow.TIME_PATTERN.test(window.end)) {
+        throw invalid("windows must be [{start: 'HH:MM', end: 'HH:MM', days?: [0-6]}]");
+    }
+
+    var result = { start: window.start, end: window.end };
+    if (window.days !== undefined && window.days !== null) {
+        if (!Array.isArray(window.days) || !window.days.length || !window.days.every(function(day) {
+            return day === Math.floor(day) && day >= 0 && day <= 6;
+        })) {
+            throw invalid('window days must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)');
+        }
+        result.days = window.days.slice();
+    }
+    return result;
+}
+
+/**
+ * Validate a blocking policy and keep only the fields of its mode
+ * @param {Object} policy - {mode, windows?, until?, launches?}
+ * @returns {Object} Normalized policy (`until` as milliseconds since epoch)
+ * @throws {OSManualOTAError} INVALID_ARGUMENT when the policy has the wrong shape
+ */
+function normalize(policy) {
+    if (!policy || typeof policy !== 'object') {
+        throw invalid('expected an object');
+    }
+    if (!isModeName(policy.mode)) {
+        throw invalid('mode must be one of ' + Object.keys(Modes).map(function(key) {
+            return Modes[key];
+        }).join(', '));
+    }
+
+    var result = { mode: policy.mode };
+
+    if (policy.mode === Modes.SCHEDULED) {
+        if (!Array.isArray(policy.windows) || !policy.windows.length) {
+            throw invalid('scheduled mode needs at least one window');
+        }
+        result.windows = policy.windows.map(normalizeWindow);
+    }
+
+    if (policy.mode === Modes.UNTIL_DATE) {
+        var until = policy.until instanceof Date ? policy.until.getTime() :
+            typeof policy.until === 'string' ? Date.parse(policy.until) : policy.until;
+        if (typeof until !== 'number' || !isFinite(until)) {
+            throw invalid('untilDate mode needs until (Date, ISO 8601 string or milliseconds since epoch)');
+        }
+        result.until = until;
+    }
+
+    if (policy.mode === Modes.AFTER_N_LAUNCHES) {
+        if (typeof policy.launches !== 'number' || policy.launches !== Math.floor(policy.launches) || policy.launches < 1) {
+            throw invalid('afterNLaunches mode needs launches (a positive integer)');
+        }
+        result.launches = policy.launches;
+    }
+
+    return result;
+}
+
+/**
+ * Decide whether automatic OTA is blocked now
+ * @param {Object} [policy] - Normalized policy (DEFAULT_POLICY when missing)
+ * @param {Object} [context]
+ * @param {number|Date} [context.now] - Current time (defaults to Date.now())
+ * @param {number} [context.launches] - Launches since the policy was set, including the current one
+ * @returns {{enabled: boolean, mode: string, reason: string}}
+ */
+function evaluate(policy, context) {
+    policy = policy || DEFAULT_POLICY;
+    context = context || {};
+
+    var now = context.now instanceof Date ? context.now : new Date(context.now !== undefined ? context.now : Date.now());
+
+    var decide = function(enabled, reason) {
+        return { enabled: enabled, mode: policy.mode, reason: reason };
+    };
+
+    switch (policy.mode) {
+        case Modes.ALWAYS:
+            return decide(true, Reasons.ALWAYS);
+        case Modes.SCHEDULED:
+            return (policy.windows || []).some(function(window) { return TimeWindow.isInWindow(window, now); }) ?
+                decide(false, Reasons.INSIDE_WINDOW) :
+                decide(true, Reasons.OUTSIDE_WINDOW);
+        case Modes.UNTIL_DATE:
+            return now.getTime() < policy.until ?
+                decide(true, Reasons.BEFORE_DATE) :
+                decide(false, Reasons.DATE_REACHED);
+        case Modes.AFTER_N_LAUNCHES:
+            return (context.launches || 0) <= policy.launches ?
+                decide(true, Reasons.LAUNCHES_REMAINING) :
+                decide(false, Reasons.LAUNCHES_REACHED);
+        default:
+            return decide(false, Reasons.NEVER);
+    }
+}
+
+module.exports = {
+    Modes: Modes,
+    Reasons: Reasons,
+    DEFAULT_POLICY: DEFAULT_POLICY,
+    normalize: normalize,
+    evaluate: evaluate,
+    isInWindow: TimeWindow.isInWindow
+};
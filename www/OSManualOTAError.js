@@ -0,0 +1,223 @@
+/**
+ * OSManualOTAError.js
+ * Error type and error codes used for every failure reported by the OSManualOTA plugin
+ */
+
+/**
+ * Machine readable error codes
+ */
+var ErrorCodes = {
+    INVALID_CONFIGURATION: 'INVALID_CONFIGURATION',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    INVALID_STATE: 'INVALID_STATE',
+    NETWORK_UNAVAILABLE: 'NETWORK_UNAVAILABLE',
+    TIMEOUT: 'TIMEOUT',
+    VERSION_CHECK_FAILED: 'VERSION_CHECK_FAILED',
+    MANIFEST_FETCH_FAILED: 'MANIFEST_FETCH_FAILED',
+    NO_UPDATE_AVAILABLE: 'NO_UPDATE_AVAILABLE',
+    DOWNLOAD_IN_PROGRESS: 'DOWNLOAD_IN_PROGRESS',
+    DOWNLOAD_CANCELLED: 'DOWNLOAD_CANCELLED',
+    DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+    WIFI_REQUIRED: 'WIFI_REQUIRED',
+    VERSION_NOT_ALLOWED: 'VERSION_NOT_ALLOWED',
+    INTEGRITY_CHECK_FAILED: 'INTEGRITY_CHECK_FAILED',
+    APPLY_FAILED: 'APPLY_FAILED',
+    ROLLBACK_FAILED: 'ROLLBACK_FAILED',
+    COMMAND_REJECTED: 'COMMAND_REJECTED',
+    UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Update phases an error can belong to
+ */
+var Phases = {
+    CHECK: 'check',
+    DOWNLOAD: 'download',
+    APPLY: 'apply',
+    ROLLBACK: 'rollback'
+};
+
+// Codes worth retrying later without user intervention
+var RETRYABLE_CODES = [
+    ErrorCodes.NETWORK_UNAVAILABLE,
+    ErrorCodes.TIMEOUT,
+    ErrorCodes.VERSION_CHECK_FAILED,
+    ErrorCodes.MANIFEST_FETCH_FAILED,
+    ErrorCodes.DOWNLOAD_IN_PROGRESS,
+    ErrorCodes.DOWNLOAD_FAILED,
+    ErrorCodes.WIFI_REQUIRED
+];
+
+// Phase implied by the error code itself (takes precedence over the action)
+var CODE_PHASES = {
+    VERSION_CHECK_FAILED: Phases.CHECK,
+    MANIFEST_FETCH_FAILED: Phases.DOWNLOAD,
+    DOWNLOAD_IN_PROGRESS: Phases.DOWNLOAD,
+    DOWNLOAD_CANCELLED: Phases.DOWNLOAD,
+    DOWNLOAD_FAILED: Phases.DOWNLOAD,
+    WIFI_REQUIRED: Phases.DOWNLOAD,
+    VERSION_NOT_ALLOWED: Phases.DOWNLOAD,
+    INTEGRITY_CHECK_FAILED: Phases.DOWNLOAD,
+    APPLY_FAILED: Phases.APPLY,
+    ROLLBACK_FAILED: Phases.ROLLBACK
+};
+
+// Phase implied by the plugin action that failed
+var ACTION_PHASES = {
+    checkForUpdates: Phases.CHECK,
+    estimateUpdate: Phases.CHECK,
+    downloadUpdate: Phases.DOWNLOAD,
+    cancelDownload: Phases.DOWNLOAD,
+    checkAndDownload: Phases.DOWNLOAD,
+    setChannel: Phases.DOWNLOAD,
+    applyUpdate: Phases.APPLY,
+    checkDownloadAndApply: Phases.APPLY,
+    triggerAutomaticOTA: Phases.CHECK,
+    rollback: Phases.ROLLBACK,
+    rollbackTo: Phases.ROLLBACK
+};
+
+// Code used when a native message matches none of the known patterns
+var ACTION_DEFAULT_CODES = {
+    checkForUpdates: ErrorCodes.VERSION_CHECK_FAILED,
+    estimateUpdate: ErrorCodes.MANIFEST_FETCH_FAILED,
+    downloadUpdate: ErrorCodes.DOWNLOAD_FAILED,
+    checkAndDownload: ErrorCodes.DOWNLOAD_FAILED,
+    setChannel: ErrorCodes.DOWNLOAD_FAILED,
+    triggerAutomaticOTA: ErrorCodes.VERSION_CHECK_FAILED,
+    handleRemoteCommand: ErrorCodes.COMMAND_REJECTED,
+    applyUpdate: ErrorCodes.APPLY_FAILED,
+    rollback: ErrorCodes.ROLLBACK_FAILED,
+    rollbackTo: ErrorCodes.ROLLBACK_FAILED
+};
+
+// Known native messages (OTAError descriptions, plugin argument errors, NSURLError texts)
+// Order matters: the first matching pattern wins
+var MESSAGE_PATTERNS = [
+    [/^Remote command rejected/i, ErrorCodes.COMMAND_REJECTED],
+    [/^Invalid (OTA )?configuration/i, ErrorCodes.INVALID_CONFIGURATION],
+    [/^Invalid (parameter|version)/i, ErrorCodes.INVALID_ARGUMENT],
+    [/^Version not allowed/i, ErrorCodes.VERSION_NOT_ALLOWED],
+    [/^Integrity check failed/i, ErrorCodes.INTEGRITY_CHECK_FAILED],
+    [/already in progress/i, ErrorCodes.DOWNLOAD_IN_PROGRESS],
+    // OTAError.cancelled, cancelDownload, and NSURLError's "cancelled"
+    [/^Update was cancelled|^Download cancelled|\bcancelled\.?$/i, ErrorCodes.DOWNLOAD_CANCELLED],
+    [/^No update available/i, ErrorCodes.NO_UPDATE_AVAILABLE],
+    [/wi-?fi/i, ErrorCodes.WIFI_REQUIRED],
+    [/timed out|timeout/i, ErrorCodes.TIMEOUT],
+    [/network connection|internet connection|offline|could not connect|hostname could not be found/i, ErrorCodes.NETWORK_UNAVAILABLE],
+    [/^Failed to check for updates/i, ErrorCodes.VERSION_CHECK_FAILED],
+    [/^Failed to fetch update manifest/i, ErrorCodes.MANIFEST_FETCH_FAILED],
+    [/^Download (failed|error)/i, ErrorCodes.DOWNLOAD_FAILED],
+    [/^Failed to apply update/i, ErrorCodes.APPLY_FAILED],
+    [/^Failed to rollback/i, ErrorCodes.ROLLBACK_FAILED]
+];
+
+/**
+ * Error reported by the OSManualOTA plugin
+ * @param {string} code - One of ErrorCodes
+ * @param {string} message - Human readable description
+ * @param {Object} [options]
+ * @param {string} [options.phase] - Update phase: "check", "download", "apply" or "rollback"
+ * @param {boolean} [options.retryable] - Whether retrying later may succeed (defaults per code)
+ * @param {string} [options.action] - Plugin action that failed (e.g. "downloadUpdate")
+ * @param {*} [options.details] - Raw value reported by the native side
+ */
+function OSManualOTAError(code, message, options) {
+    options = options || {};
+
+    this.name = 'OSManualOTAError';
+    this.code = code || ErrorCodes.UNKNOWN;
+    this.message = message || 'Unknown error';
+    this.action = options.action || null;
+    this.phase = options.phase || CODE_PHASES[this.code] || ACTION_PHASES[this.action] || null;
+    this.retryable = typeof options.retryable === 'boolean' ?
+        options.retryable :
+        RETRYABLE_CODES.indexOf(this.code) !== -1;
+    this.details = options.details !== undefined ? options.details : null;
+
+    if (typeof Error.captureStackTrace === 'function') {
+        Error.captureStackTrace(this, OSManualOTAError);
+    } else {
+        this.stack = (new Error(this.message)).stack;
+    }
+}
+
+OSManualOTAError.prototype = Object.create(Error.prototype);
+OSManualOTAError.prototype.constructor = OSManualOTAError;
+
+/**
+ * Returns the plain message so callback-style code doing `'Failed: ' + error` keeps working
+ */
+OSManualOTAError.prototype.toString = function() {
+    return this.message;
+};
+
+/**
+ * Plain object representation (Error properties are not enumerable by JSON.stringify)
+ */
+OSManualOTAError.prototype.toJSON = function() {
+    return {
+        code: this.code,
+        message: this.message,
+        phase: this.phase,
+        retryable: this.retryable,
+        action: this.action
+    };
+};
+
+/**
+ * Map a raw native message to an error code
+ * @param {string} message
+ * @param {string} [action] - Plugin action that failed, used as fallback
+ * @returns {string} One of ErrorCodes
+ */
+OSManualOTAError.codeForMessage = function(message, action) {
+    if (typeof message === 'string') {
+        for (var i = 0; i < MESSAGE_PATTERNS.length; i++) {
+            if (MESSAGE_PATTERNS[i][0].test(message)) {
+                return MESSAGE_PATTERNS[i][1];
+            }
+        }
+    }
+    return ACTION_DEFAULT_CODES[action] || ErrorCodes.UNKNOWN;
+};
+
+/**
+ * Convert any value reported by the native side into an OSManualOTAError
+ * @param {*} error - Raw error (string, {success: false} result, Error...)
+ * @param {string} [action] - Plugin action that failed
+ * @returns {OSManualOTAError}
+ */
+OSManualOTAError.from = function(error, action) {
+    if (error instanceof OSManualOTAError) {
+        if (!error.action && action) {
+            error.action = action;
+            error.phase = error.phase || ACTION_PHASES[action] || null;
+        }
+        return error;
+    }
+
+    var message;
+    if (typeof error === 'string') {
+        message = error;
+    } else if (error && typeof error.message === 'string') {
+        message = error.message;
+    } else if (error && error.success === false) {
+        message = 'Operation failed';
+    }
+
+    var code = error && typeof error.code === 'string' && ErrorCodes[error.code] ?
+        error.code :
+        OSManualOTAError.codeForMessage(message, action);
+
+    return new OSManualOTAError(code, message, {
+        action: action,
+        details: error
+    });
+};
+
+OSManualOTAError.ErrorCodes = ErrorCodes;
+OSManualOTAError.Phases = Phases;
+
+module.exports = OSManualOTAError;
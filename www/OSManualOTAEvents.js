@@ -0,0 +1,100 @@
+/**
+ * OSManualOTAEvents.js
+ * Minimal event emitter backing OSManualOTA.on/off/once
+ */
+
+/**
+ * @param {string[]} eventNames - Names of the events that can be subscribed to
+ */
+function OSManualOTAEvents(eventNames) {
+    this._eventNames = eventNames || [];
+    this._listeners = {};
+}
+
+/**
+ * Whether the given event name is known
+ * @param {string} event
+ * @returns {boolean}
+ */
+OSManualOTAEvents.prototype.isKnownEvent = function(event) {
+    return this._eventNames.indexOf(event) !== -1;
+};
+
+/**
+ * Subscribe to an event
+ * @param {string} event - Event name
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Function that removes this subscription
+ */
+OSManualOTAEvents.prototype.on = function(event, handler) {
+    var self = this;
+
+    if (!this._listeners[event]) {
+        this._listeners[event] = [];
+    }
+    this._listeners[event].push(handler);
+
+    return function() {
+        self.off(event, handler);
+    };
+};
+
+/**
+ * Subscribe to the next occurrence of an event only
+ * @param {string} event - Event name
+ * @param {Function} handler - Called once with the event payload
+ * @returns {Function} Function that removes this subscription
+ */
+OSManualOTAEvents.prototype.once = function(event, handler) {
+    var self = this;
+
+    var wrapper = function(payload) {
+        self.off(event, wrapper);
+        handler(payload);
+    };
+    // Allow off(event, handler) with the original handler
+    wrapper.originalHandler = handler;
+
+    return this.on(event, wrapper);
+};
+
+/**
+ * Unsubscribe from an event
+ * @param {string} event - Event name
+ * @param {Function} [handler] - Handler to remove; removes every handler of the event when omitted
+ */
+OSManualOTAEvents.prototype.off = function(event, handler) {
+    var listeners = this._listeners[event];
+    if (!listeners) {
+        return;
+    }
+
+    if (!handler) {
+        delete this._listeners[event];
+        return;
+    }
+
+    this._listeners[event] = listeners.filter(function(listener) {
+        return listener !== handler && listener.originalHandler !== handler;
+    });
+};
+
+/**
+ * Deliver an event to every subscriber
+ * A throwing subscriber is logged and does not prevent delivery to the others
+ * @param {string} event - Event name
+ * @param {Object} [payload] - Event data
+ */
+OSManualOTAEvents.prototype.emit = function(event, payload) {
+    var listeners = (this._listeners[event] || []).slice();
+
+    listeners.forEach(function(listener) {
+        try {
+            listener(payload);
+        } catch (e) {
+            console.log('[OSManualOTA] ⚠️ Error in "' + event + '" listener: ' + e);
+        }
+    });
+};
+
+module.exports = OSManualOTAEvents;
@@ -0,0 +1,154 @@
+/**
+ * OSManualOTAPolicy.js
+ * Declarative update policy and its pure evaluator
+ *
+ * The evaluator has no side effects and takes the clock from its context, so it can be
+ * unit tested with a fake clock. src/ios/OSUpdatePolicy.swift mirrors it for the
+ * background path; keep both in sync.
+ */
+
+var OSManualOTAError = require('./OSManualOTAError');
+var TimeWindow = require('./OSManualOTATime');
+var ErrorCodes = OSManualOTAError.ErrorCodes;
+
+/**
+ * Steps of the update flow a policy can gate
+ */
+var Steps = {
+    CHECK: 'check',
+    DOWNLOAD: 'download',
+    APPLY: 'apply'
+};
+
+/**
+ * Reasons reported when a step is not allowed
+ */
+var Reasons = {
+    MIN_INTERVAL: 'minInterval',
+    NOT_BACKGROUNDED: 'notBackgrounded',
+    QUIET_HOURS: 'quietHours',
+    MAX_ATTEMPTS: 'maxAttemptsReached',
+    COLD_START_ONLY: 'applyOnColdStart'
+};
+
+/**
+ * Policy used when none was set: everything allowed
+ */
+var DEFAULT_POLICY = {
+    minCheckInterval: 0,         // seconds since lastUpdateCheck before checking again
+    onlyWhenBackgrounded: false, // only check/download while the app is in the background
+    quietHours: null,            // {start: 'HH:MM', end: 'HH:MM'} local time, no check/download inside
+    maxAttemptsPerDay: 0,        // download attempts per calendar day, 0 = unlimited
+    applyOnColdStart: false      // defer applying downloaded updates to the next app launch
+};
+
+function invalid(message) {
+    return new OSManualOTAError(ErrorCodes.INVALID_ARGUMENT, 'Invalid update policy: ' + message);
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Whether a date falls inside quiet hours; windows may wrap midnight (e.g. 22:00 - 07:00)
+ * @param {{start: string, end: string}} quietHours
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInQuietHours(quietHours, date) {
+    return !!quietHours && TimeWindow.isInWindow({ start: quietHours.start, end: quietHours.end }, date);
+}
+
+/**
+ * Merge a policy with the defaults and validate it
+ * @param {Object} [policy]
+ * @returns {Object} Complete policy
+ * @throws {OSManualOTAError} INVALID_ARGUMENT when a rule has the wrong shape
+ */
+function normalize(policy) {
+    var result = {};
+    policy = policy || {};
+
+    Object.keys(DEFAULT_POLICY).forEach(function(key) {
+        result[key] = policy[key] !== undefined ? policy[key] : DEFAULT_POLICY[key];
+    });
+
+    if (!isNonNegativeNumber(result.minCheckInterval)) {
+        throw invalid('minCheckInterval must be a number of seconds');
+    }
+    if (!isNonNegativeNumber(result.maxAttemptsPerDay)) {
+        throw invalid('maxAttemptsPerDay must be a non-negative number');
+    }
+    if (result.quietHours !== null) {
+        if (typeof result.quietHours !== 'object' ||
+            !TimeWindow.TIME_PATTERN.test(result.quietHours.start) ||
+            !TimeWindow.TIME_PATTERN.test(result.quietHours.end)) {
+            throw invalid("quietHours must be {start: 'HH:MM', end: 'HH:MM'}");
+        }
+        result.quietHours = { start: result.quietHours.start, end: result.quietHours.end };
+    }
+    result.onlyWhenBackgrounded = !!result.onlyWhenBackgrounded;
+    result.applyOnColdStart = !!result.applyOnColdStart;
+
+    return result;
+}
+
+/**
+ * Decide whether a step of the update flow may run now
+ * @param {Object} policy - Policy (normalized or partial)
+ * @param {string} step - One of Steps
+ * @param {Object} [context]
+ * @param {number|Date} [context.now] - Current time (defaults to Date.now())
+ * @param {number} [context.lastUpdateCheck] - Last check, in seconds since epoch (as getVersionInfo reports it)
+ * @param {boolean} [context.isBackground] - Whether the app is in the background
+ * @param {number} [context.attemptsToday] - Download attempts made today
+ * @param {boolean} [context.isColdStart] - Whether this runs during app launch
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+function evaluate(policy, step, context) {
+    policy = normalize(policy);
+    context = context || {};
+
+    var now = context.now instanceof Date ? context.now : new Date(context.now !== undefined ? context.now : Date.now());
+
+    var deny = function(reason) {
+        return { allowed: false, reason: reason };
+    };
+
+    if (step === Steps.CHECK || step === Steps.DOWNLOAD) {
+        if (policy.onlyWhenBackgrounded && !context.isBackground) {
+            return deny(Reasons.NOT_BACKGROUNDED);
+        }
+        if (isInQuietHours(policy.quietHours, now)) {
+            return deny(Reasons.QUIET_HOURS);
+        }
+    }
+
+    if (step === Steps.CHECK && policy.minCheckInterval > 0 && context.lastUpdateCheck > 0) {
+        var elapsed = now.getTime() / 1000 - context.lastUpdateCheck;
+        if (elapsed < policy.minCheckInterval) {
+            return deny(Reasons.MIN_INTERVAL);
+        }
+    }
+
+    if (step === Steps.DOWNLOAD && policy.maxAttemptsPerDay > 0 &&
+        (context.attemptsToday || 0) >= policy.maxAttemptsPerDay) {
+        return deny(Reasons.MAX_ATTEMPTS);
+    }
+
+    if (step === Steps.APPLY && policy.applyOnColdStart && !context.isColdStart) {
+        return deny(Reasons.COLD_START_ONLY);
+    }
+
+    return { allowed: true, reason: null };
+}
+
+module.exports = {
+    Steps: Steps,
+    Reasons: Reasons,
+    DEFAULT_POLICY: DEFAULT_POLICY,
+    normalize: normalize,
+    evaluate: evaluate,
+    isInQuietHours: isInQuietHours
+};
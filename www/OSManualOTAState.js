@@ -0,0 +1,135 @@
+/**
+ * OSManualOTAState.js
+ * JavaScript-side model of where the current update stands
+ *
+ * idle → checking → available → downloading → downloaded → applying → pendingRestart
+ *                                                  ↘ failed / rolledBack
+ */
+
+var States = {
+    IDLE: 'idle',
+    CHECKING: 'checking',
+    AVAILABLE: 'available',
+    DOWNLOADING: 'downloading',
+    DOWNLOADED: 'downloaded',
+    APPLYING: 'applying',
+    PENDING_RESTART: 'pendingRestart',
+    FAILED: 'failed',
+    ROLLED_BACK: 'rolledBack'
+};
+
+// Allowed transitions: current state -> states it may move to
+var TRANSITIONS = {
+    idle: ['checking', 'available', 'downloading', 'downloaded', 'pendingRestart', 'rolledBack'],
+    checking: ['idle', 'available', 'downloaded', 'pendingRestart', 'failed', 'rolledBack'],
+    available: ['checking', 'downloading', 'idle', 'rolledBack'],
+    downloading: ['downloaded', 'failed', 'available', 'rolledBack'], // back to available when deferred; rollback cancels it
+    downloaded: ['checking', 'applying', 'pendingRestart', 'rolledBack'],
+    applying: ['pendingRestart', 'failed'],
+    pendingRestart: ['checking', 'rolledBack'],
+    failed: ['idle', 'checking', 'available', 'downloading', 'downloaded', 'applying', 'rolledBack'],
+    rolledBack: ['idle', 'checking', 'available', 'downloading', 'rolledBack'] // rolling back further via rollbackTo
+};
+
+/**
+ * @param {Function} onChange - Called with a state snapshot after every transition
+ */
+function OSManualOTAStateMachine(onChange) {
+    this._onChange = onChange;
+    this._state = States.IDLE;
+    this._previousState = null;
+    this._version = null;
+    this._downloadedVersion = null;
+    this._restartPending = false;
+    this._error = null;
+    this._updatedAt = Date.now();
+}
+
+/**
+ * Current state name
+ * @returns {string} One of States
+ */
+OSManualOTAStateMachine.prototype.current = function() {
+    return this._state;
+};
+
+/**
+ * Whether moving from the current state to `next` is allowed
+ * @param {string} next - One of States
+ * @returns {boolean}
+ */
+OSManualOTAStateMachine.prototype.can = function(next) {
+    if (next === States.APPLYING && this._state === States.FAILED) {
+        // Retrying apply only makes sense if something was downloaded
+        return !!this._downloadedVersion;
+    }
+    return (TRANSITIONS[this._state] || []).indexOf(next) !== -1;
+};
+
+/**
+ * Move to a new state. Moving to the current state is a no-op.
+ * @param {string} next - One of States
+ * @param {Object} [context]
+ * @param {string} [context.version] - Version token the state refers to
+ * @param {Error} [context.error] - Failure that caused the transition
+ * @returns {boolean} True if the state changed
+ */
+OSManualOTAStateMachine.prototype.transition = function(next, context) {
+    context = context || {};
+
+    if (next === this._state || !this.can(next)) {
+        return false;
+    }
+
+    this._previousState = this._state;
+    this._state = next;
+    this._error = next === States.FAILED ? (context.error || null) : null;
+    this._updatedAt = Date.now();
+
+    if (context.version) {
+        this._version = context.version;
+    }
+
+    if (next === States.DOWNLOADED) {
+        this._downloadedVersion = context.version || this._version;
+    } else if (next === States.PENDING_RESTART) {
+        this._downloadedVersion = null;
+        this._restartPending = true;
+    } else if (next === States.ROLLED_BACK) {
+        this._downloadedVersion = null;
+        this._restartPending = false;
+    }
+
+    this._onChange && this._onChange(this.snapshot());
+    return true;
+};
+
+/**
+ * State to return to when a check finds nothing new
+ * @returns {string} One of States
+ */
+OSManualOTAStateMachine.prototype.restingState = function() {
+    if (this._restartPending) {
+        return States.PENDING_RESTART;
+    }
+    return this._downloadedVersion ? States.DOWNLOADED : States.IDLE;
+};
+
+/**
+ * Plain object describing the current state
+ * @returns {{state: string, previousState: string, version: string, downloadedVersion: string, error: Error, updatedAt: number}}
+ */
+OSManualOTAStateMachine.prototype.snapshot = function() {
+    return {
+        state: this._state,
+        previousState: this._previousState,
+        version: this._version,
+        downloadedVersion: this._downloadedVersion,
+        error: this._error,
+        updatedAt: this._updatedAt
+    };
+};
+
+OSManualOTAStateMachine.States = States;
+
+module.exports = OSManualOTAStateMachine;
@@ -0,0 +1,53 @@
+/**
+ * OSManualOTATime.js
+ * 'HH:MM' local time windows, shared by the update policy (quiet hours) and the blocking policy
+ * (scheduled windows). The OutSystemsManifestLoader hook embeds minutesOf and isInWindow from this
+ * file (hooks/patches/manifest_loader.js), so they must not use anything but each other.
+ */
+
+var TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight for an 'HH:MM' string
+ */
+function minutesOf(time) {
+    var parts = String(time).split(':');
+    return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+}
+
+/**
+ * Whether a date falls inside a window; windows may wrap midnight (e.g. 22:00 - 02:00),
+ * in which case `days` refers to the day the window starts
+ * @param {{start: string, end: string, days?: number[]}} window
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInWindow(window, date) {
+    var start = minutesOf(window.start);
+    var end = minutesOf(window.end);
+    var minutes = date.getHours() * 60 + date.getMinutes();
+    var day = date.getDay();
+
+    if (start === end) {
+        return false;
+    }
+
+    var inside;
+    if (start < end) {
+        inside = minutes >= start && minutes < end;
+    } else if (minutes >= start) {
+        inside = true;
+    } else {
+        inside = minutes < end;
+        // After midnight: the window started the day before
+        day = (day + 6) % 7;
+    }
+
+    return inside && (!window.days || window.days.indexOf(day) !== -1);
+}
+
+module.exports = {
+    TIME_PATTERN: TIME_PATTERN,
+    minutesOf: minutesOf,
+    isInWindow: isInWindow
+};
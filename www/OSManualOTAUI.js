@@ -0,0 +1,467 @@
+/**
+ * OSManualOTAUI.js
+ * Optional built-in update prompt (OSManualOTA.ui)
+ *
+ * Renders an overlay with the version, estimated size, release notes and download progress,
+ * and drives checkForUpdates → downloadUpdate → applyUpdate. Texts can be replaced per call or
+ * globally (setTexts); colors, fonts and spacing come from CSS variables that apps can override.
+ */
+
+var STYLE_ELEMENT_ID = 'os-manual-ota-ui-style';
+
+/**
+ * Default (English) texts. {version}, {size}, {percentage}, {reason} and {message} are replaced.
+ */
+var DEFAULT_TEXTS = {
+    title: 'Update available',
+    mandatoryTitle: 'Update required',
+    versionLabel: 'Version {version}',
+    sizeLabel: 'Download size: {size}',
+    releaseNotesTitle: "What's new",
+    later: 'Later',
+    updateNow: 'Update now',
+    restartNow: 'Restart now',
+    done: 'OK',
+    retry: 'Try again',
+    downloading: 'Downloading... {percentage}%',
+    ready: 'The update is ready. Restart the app to use it.',
+    reopen: 'The update is ready. Close and reopen the app to use it.',
+    deferred: 'The download will start when the network allows it ({reason}).',
+    failed: 'The update could not be installed: {message}',
+    criticalTitle: 'Critical update',
+    criticalMessage: 'This update is required to keep using the app. It is being installed now.'
+};
+
+// Every visual value is a CSS variable so apps can theme the prompt from their own stylesheet
+var STYLES = [
+    '.os-ota-overlay {',
+    '  position: fixed; top: 0; right: 0; bottom: 0; left: 0;',
+    '  z-index: var(--os-ota-z-index, 10000);',
+    '  display: flex; align-items: center; justify-content: center;',
+    '  background: var(--os-ota-overlay-background, rgba(0, 0, 0, 0.5));',
+    '  font-family: var(--os-ota-font-family, -apple-system, BlinkMacSystemFont, sans-serif);',
+    '}',
+    '.os-ota-dialog {',
+    '  box-sizing: border-box; width: var(--os-ota-dialog-width, 90%); max-width: var(--os-ota-dialog-max-width, 400px);',
+    '  max-height: 80%; overflow: auto; padding: var(--os-ota-padding, 20px);',
+    '  border-radius: var(--os-ota-border-radius, 12px);',
+    '  background: var(--os-ota-dialog-background, #ffffff); color: var(--os-ota-text-color, #1c1c1e);',
+    '  box-shadow: var(--os-ota-shadow, 0 10px 30px rgba(0, 0, 0, 0.3));',
+    '}',
+    '.os-ota-title { margin: 0 0 8px; font-size: var(--os-ota-title-size, 20px); }',
+    '.os-ota-meta { margin: 0 0 4px; font-size: 14px; color: var(--os-ota-secondary-text-color, #6e6e73); }',
+    '.os-ota-notes-title { margin: 16px 0 4px; font-size: 15px; }',
+    '.os-ota-notes { margin: 0; white-space: pre-wrap; font-size: 14px; }',
+    '.os-ota-status { margin: 16px 0 0; font-size: 14px; }',
+    '.os-ota-progress {',
+    '  height: 6px; margin-top: 8px; overflow: hidden;',
+    '  border-radius: 3px; background: var(--os-ota-progress-track-color, #e5e5ea);',
+    '}',
+    '.os-ota-progress-bar { height: 100%; width: 0; background: var(--os-ota-accent-color, #007aff); transition: width 0.2s; }',
+    '.os-ota-buttons { display: flex; justify-content: flex-end; margin-top: 20px; }',
+    '.os-ota-button {',
+    '  margin-left: 8px; padding: 10px 16px; border: 0; font-size: 15px;',
+    '  border-radius: var(--os-ota-button-radius, 8px);',
+    '  background: var(--os-ota-secondary-button-background, transparent);',
+    '  color: var(--os-ota-accent-color, #007aff);',
+    '}',
+    '.os-ota-button-primary {',
+    '  background: var(--os-ota-accent-color, #007aff);',
+    '  color: var(--os-ota-primary-button-text-color, #ffffff);',
+    '}',
+    '.os-ota-hidden { display: none; }'
+].join('\n');
+
+/**
+ * Replace {placeholders} in a text
+ */
+function format(text, values) {
+    return String(text).replace(/\{(\w+)\}/g, function(match, key) {
+        return values[key] !== undefined && values[key] !== null ? values[key] : match;
+    });
+}
+
+/**
+ * Human readable size, e.g. 1.4 MB
+ */
+function formatBytes(bytes) {
+    if (typeof bytes !== 'number' || bytes < 0) {
+        return null;
+    }
+    var units = ['B', 'KB', 'MB', 'GB'];
+    var unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return (unit === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[unit];
+}
+
+function createElement(tag, className, text) {
+    var element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        // textContent only: release notes come from the server and must not inject markup
+        element.textContent = text;
+    }
+    return element;
+}
+
+function injectStyles() {
+    if (document.getElementById(STYLE_ELEMENT_ID)) {
+        return;
+    }
+    var style = document.createElement('style');
+    style.id = STYLE_ELEMENT_ID;
+    style.textContent = STYLES;
+    // First in <head> so app stylesheets win over the defaults
+    var head = document.head || document.getElementsByTagName('head')[0];
+    head.insertBefore(style, head.firstChild);
+}
+
+/**
+ * @param {Object} api - The OSManualOTA module
+ */
+function OSManualOTAUI(api) {
+    this._api = api;
+    this._texts = {};
+    this._current = null;
+}
+
+/**
+ * Replace default texts for every prompt (e.g. with translations)
+ * @param {Object} texts - Any keys of OSManualOTA.ui.DEFAULT_TEXTS
+ */
+OSManualOTAUI.prototype.setTexts = function(texts) {
+    var self = this;
+    Object.keys(texts || {}).forEach(function(key) {
+        self._texts[key] = texts[key];
+    });
+};
+
+/**
+ * Whether a prompt is currently shown
+ * @returns {boolean}
+ */
+OSManualOTAUI.prototype.isShowing = function() {
+    return !!this._current;
+};
+
+/**
+ * Show the update prompt and run the update flow from it
+ * @param {Object} [options]
+ * @param {Object} [options.update] - Result of checkForUpdates; checked when omitted
+ * @param {boolean} [options.mandatory] - Hide "Later" (defaults to true for critical updates)
+ * @param {string} [options.releaseNotes] - Plain-text release notes (defaults to update.releaseNotes)
+ * @param {boolean} [options.showSize=true] - Show the size from estimateUpdate
+ * @param {Object} [options.downloadOptions] - Passed to downloadUpdate (allowCellular, maxCellularBytes...)
+ * @param {Object} [options.texts] - Texts for this prompt only (see DEFAULT_TEXTS)
+ * @param {string} [options.className] - Extra class on the overlay, for per-prompt theming
+ * @param {Element} [options.container] - Where to render (defaults to document.body)
+ * @param {Function} [options.onRestart] - Called by "Restart now". Without it the prompt asks the user to
+ *   close and reopen the app, since reloading the WebView can crash it
+ * @returns {Promise} Resolves with {action, version} once the prompt closes; action is
+ *   'noUpdate', 'later', 'deferred', 'restart' or 'ready' (closed with "OK" after applying)
+ */
+OSManualOTAUI.prototype.promptForUpdate = function(options) {
+    var self = this;
+    var api = this._api;
+    options = options || {};
+
+    if (this._current) {
+        return Promise.reject(new api.OSManualOTAError(
+            api.ErrorCodes.INVALID_STATE, 'An update prompt is already showing', { action: 'promptForUpdate' }
+        ));
+    }
+
+    var checked = options.update ? Promise.resolve(options.update) : api.checkForUpdates();
+
+    return checked.then(function(update) {
+        if (!update || !update.hasUpdate) {
+            return { action: 'noUpdate', version: update ? update.version : null };
+        }
+
+        return new Promise(function(resolve) {
+            self._current = new Prompt(self, update, options, function(result) {
+                self._current = null;
+                resolve(result);
+            });
+        });
+    });
+};
+
+/**
+ * Show a full-screen overlay that cannot be dismissed while a critical update downloads and
+ * is applied; once ready() is called it only offers "Restart now", or without onRestart asks the user to
+ * close and reopen the app. Used by checkDownloadAndApply.
+ * An open update prompt is closed with action 'later'.
+ * @param {Object} update - Result of checkForUpdates
+ * @param {Object} [options]
+ * @param {Object} [options.texts] - Texts for this overlay only (see DEFAULT_TEXTS)
+ * @param {Element} [options.container] - Where to render (defaults to document.body)
+ * @param {Function} [options.onRestart] - Called by "Restart now"
+ * @returns {{setProgress: Function, ready: Function, close: Function}} Controls for the overlay
+ */
+OSManualOTAUI.prototype.blockUntilRestart = function(update, options) {
+    var self = this;
+    options = options || {};
+
+    if (this._current) {
+        this._current._close('later');
+    }
+
+    var prompt = new Prompt(this, update, {
+        mandatory: true,
+        blocking: true,
+        showSize: false,
+        texts: options.texts,
+        container: options.container,
+        onRestart: options.onRestart,
+        className: 'os-ota-blocking'
+    }, function() {
+        if (self._current === prompt) {
+            self._current = null;
+        }
+    });
+    this._current = prompt;
+
+    return {
+        setProgress: function(percentage) {
+            prompt.overlay && prompt._showProgress(percentage);
+        },
+        ready: function() {
+            prompt.overlay && prompt._showReady();
+        },
+        close: function() {
+            prompt._close('closed');
+        }
+    };
+};
+
+/**
+ * Text for a key: per-prompt override, then setTexts, then the default
+ */
+OSManualOTAUI.prototype._text = function(overrides, key, values) {
+    var text = overrides && overrides[key] !== undefined ? overrides[key] :
+        (this._texts[key] !== undefined ? this._texts[key] : DEFAULT_TEXTS[key]);
+    return format(text, values || {});
+};
+
+/**
+ * One open prompt
+ */
+function Prompt(ui, update, options, onClose) {
+    this._ui = ui;
+    this._api = ui._api;
+    this._update = update;
+    this._options = options;
+    this._onClose = onClose;
+    this._mandatory = options.mandatory !== undefined ? !!options.mandatory : update.severity === 'critical';
+
+    injectStyles();
+    this._render();
+
+    if (options.blocking) {
+        // Downloading already; no buttons until the update is ready
+        this._setButtons([]);
+        this._showProgress(0);
+    } else {
+        this._showPrompt();
+    }
+
+    if (options.showSize !== false) {
+        this._loadSize();
+    }
+}
+
+Prompt.prototype._text = function(key, values) {
+    return this._ui._text(this._options.texts, key, values);
+};
+
+Prompt.prototype._render = function() {
+    var version = this._update.versionLabel || this._update.version;
+    var notes = this._options.releaseNotes !== undefined ? this._options.releaseNotes : this._update.releaseNotes;
+
+    this.overlay = createElement('div', 'os-ota-overlay' + (this._options.className ? ' ' + this._options.className : ''));
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+
+    var dialog = createElement('div', 'os-ota-dialog');
+    var titleKey = this._options.blocking ? 'criticalTitle' : (this._mandatory ? 'mandatoryTitle' : 'title');
+    dialog.appendChild(createElement('h2', 'os-ota-title', this._text(titleKey, { version: version })));
+    dialog.appendChild(createElement('p', 'os-ota-meta os-ota-version', this._text('versionLabel', { version: version })));
+
+    if (this._options.blocking) {
+        dialog.appendChild(createElement('p', 'os-ota-meta os-ota-critical', this._text('criticalMessage', { version: version })));
+    }
+
+    this.sizeElement = createElement('p', 'os-ota-meta os-ota-size os-ota-hidden');
+    dialog.appendChild(this.sizeElement);
+
+    if (notes) {
+        dialog.appendChild(createElement('h3', 'os-ota-notes-title', this._text('releaseNotesTitle')));
+        dialog.appendChild(createElement('p', 'os-ota-notes', notes));
+    }
+
+    this.statusElement = createElement('p', 'os-ota-status os-ota-hidden');
+    dialog.appendChild(this.statusElement);
+
+    this.progressElement = createElement('div', 'os-ota-progress os-ota-hidden');
+    this.progressBar = createElement('div', 'os-ota-progress-bar');
+    this.progressElement.setAttribute('role', 'progressbar');
+    this.progressElement.appendChild(this.progressBar);
+    dialog.appendChild(this.progressElement);
+
+    this.buttons = createElement('div', 'os-ota-buttons');
+    dialog.appendChild(this.buttons);
+
+    this.overlay.appendChild(dialog);
+    (this._options.container || document.body).appendChild(this.overlay);
+};
+
+Prompt.prototype._loadSize = function() {
+    var self = this;
+    this._api.estimateUpdate().then(function(estimate) {
+        var size = formatBytes(estimate && estimate.estimatedBytes);
+        if (size && self.overlay) {
+            self.sizeElement.textContent = self._text('sizeLabel', { size: size });
+            self.sizeElement.classList.remove('os-ota-hidden');
+        }
+    }, function(error) {
+        console.log('[OSManualOTA] ⚠️ Could not estimate update size: ' + error.message);
+    });
+};
+
+/**
+ * Replace the buttons; each spec is {key, primary, onClick}
+ */
+Prompt.prototype._setButtons = function(specs) {
+    var self = this;
+    this.buttons.textContent = '';
+
+    specs.forEach(function(spec) {
+        if (spec.key === 'later' && self._mandatory) {
+            return;
+        }
+        var button = createElement('button', 'os-ota-button os-ota-button-' + spec.key +
+            (spec.primary ? ' os-ota-button-primary' : ''), self._text(spec.key));
+        button.type = 'button';
+        button.addEventListener('click', spec.onClick, false);
+        self.buttons.appendChild(button);
+    });
+};
+
+Prompt.prototype._setStatus = function(text) {
+    this.statusElement.textContent = text;
+    this.statusElement.classList.toggle('os-ota-hidden', !text);
+};
+
+Prompt.prototype._showPrompt = function() {
+    var self = this;
+    this._setStatus('');
+    this._setButtons([
+        { key: 'later', onClick: function() { self._close('later'); } },
+        { key: 'updateNow', primary: true, onClick: function() { self._download(); } }
+    ]);
+};
+
+Prompt.prototype._download = function() {
+    var self = this;
+    var api = this._api;
+    var downloadOptions = {};
+
+    Object.keys(this._options.downloadOptions || {}).forEach(function(key) {
+        downloadOptions[key] = self._options.downloadOptions[key];
+    });
+    downloadOptions.onProgress = function(progress) {
+        self._showProgress(progress.percentage || 0);
+    };
+
+    this._setButtons([]);
+    this._showProgress(0);
+
+    // Already downloaded, e.g. by a deferred download that finished in the background
+    var downloaded = api.getState().state === api.States.DOWNLOADED ?
+        Promise.resolve({ success: true }) : api.downloadUpdate(downloadOptions);
+
+    downloaded.then(function(result) {
+        if (result && result.deferred) {
+            if (self._mandatory) {
+                // Nothing to wait for in the prompt; the download resumes on its own
+                self._close('deferred');
+                return null;
+            }
+            self.progressElement.classList.add('os-ota-hidden');
+            self._setStatus(self._text('deferred', { reason: result.reason }));
+            self._setButtons([{ key: 'later', primary: true, onClick: function() { self._close('deferred'); } }]);
+            return null;
+        }
+        return api.applyUpdate().then(function() {
+            self._showReady();
+        });
+    }).catch(function(error) {
+        self._showError(error);
+    });
+};
+
+Prompt.prototype._showProgress = function(percentage) {
+    percentage = Math.max(0, Math.min(100, Math.round(percentage)));
+    this.progressElement.classList.remove('os-ota-hidden');
+    this.progressElement.setAttribute('aria-valuenow', String(percentage));
+    this.progressBar.style.width = percentage + '%';
+    this._setStatus(this._text('downloading', { percentage: percentage }));
+};
+
+Prompt.prototype._showReady = function() {
+    var self = this;
+    this.progressElement.classList.add('os-ota-hidden');
+
+    if (typeof this._options.onRestart !== 'function') {
+        // Native loads the new version on the next launch; a WebView reload can crash the app.
+        // The blocking overlay stays up until then; a prompt, even a mandatory one, can be closed.
+        this._setStatus(this._text('reopen'));
+        this._setButtons(this._options.blocking ? [] :
+            [{ key: 'done', primary: true, onClick: function() { self._close('ready'); } }]);
+        return;
+    }
+
+    this._setStatus(this._text('ready'));
+    this._setButtons([
+        { key: 'later', onClick: function() { self._close('later'); } },
+        { key: 'restartNow', primary: true, onClick: function() { self._restart(); } }
+    ]);
+};
+
+Prompt.prototype._showError = function(error) {
+    var self = this;
+    this.progressElement.classList.add('os-ota-hidden');
+    this._setStatus(this._text('failed', { message: error && error.message ? error.message : String(error) }));
+    this._setButtons([
+        { key: 'later', onClick: function() { self._close('later'); } },
+        { key: 'retry', primary: true, onClick: function() { self._download(); } }
+    ]);
+};
+
+Prompt.prototype._restart = function() {
+    this._close('restart');
+    this._options.onRestart();
+};
+
+Prompt.prototype._close = function(action) {
+    if (!this.overlay) {
+        return;
+    }
+    if (this.overlay.parentNode) {
+        this.overlay.parentNode.removeChild(this.overlay);
+    }
+    this.overlay = null;
+    this._onClose({ action: action, version: this._update.version });
+};
+
+// Reachable as OSManualOTA.ui.DEFAULT_TEXTS
+OSManualOTAUI.prototype.DEFAULT_TEXTS = DEFAULT_TEXTS;
+OSManualOTAUI.formatBytes = formatBytes;
+
+module.exports = OSManualOTAUI;